@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+process.env.ENCRYPTION_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+const encryptionService = require('../services/encryption');
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const TAG_LENGTH = 16;
+
+/**
+ * Run buffers through a transform and collect its output
+ * @param {Transform} transform - Stream under test
+ * @param {Buffer} input - Input bytes
+ * @param {number} chunkSize - Size of the writes fed into the stream
+ * @returns {Promise<Buffer>} Output bytes
+ */
+const run = async (transform, input, chunkSize = input.length || 1) => {
+  const chunks = [];
+  for (let offset = 0; offset < input.length; offset += chunkSize) {
+    chunks.push(input.subarray(offset, offset + chunkSize));
+  }
+
+  const output = [];
+  await pipeline(Readable.from(chunks), transform, async function* (source) {
+    for await (const chunk of source) output.push(chunk);
+  });
+  return Buffer.concat(output);
+};
+
+/**
+ * Compare bytes without jest's element-by-element diff, which is slow on large buffers
+ */
+const expectBytes = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  expect(Buffer.compare(actual, expected)).toBe(0);
+};
+
+const newFileKey = () => {
+  const { dataKey, noncePrefix, metadata } = encryptionService.createFileKey(USER_ID);
+  return { dataKey, noncePrefix, segmentSize: metadata.segmentSize };
+};
+
+const encryptFile = (fileKey, plaintext, chunkSize) =>
+  run(encryptionService.createEncryptStream(fileKey, 0, plaintext.length, plaintext.length), plaintext, chunkSize);
+
+const decryptFile = (fileKey, stored, size, chunkSize) =>
+  run(encryptionService.createDecryptStream(fileKey, 0, encryptionService.getSegmentCount(size), size), stored, chunkSize);
+
+/**
+ * Decrypt an inclusive plaintext range the way downloads do: fetch the stored range of
+ * whole segments, decrypt them and cut the requested bytes out
+ */
+const decryptRange = async (fileKey, stored, size, range) => {
+  const storedRange = encryptionService.getStoredRange(range, size);
+  const plaintext = await run(
+    encryptionService.createDecryptStream(fileKey, storedRange.firstSegment, storedRange.segmentCount, size),
+    stored.subarray(storedRange.start, storedRange.end + 1)
+  );
+  return plaintext.subarray(storedRange.skip, storedRange.skip + range.end - range.start + 1);
+};
+
+describe('encryption segment framing', () => {
+  const fileKey = newFileKey();
+  const SEGMENT = fileKey.segmentSize;
+
+  it('uses 64KB segments', () => {
+    expect(SEGMENT).toBe(64 * 1024);
+  });
+
+  describe.each([
+    ['empty', 0],
+    ['one byte', 1],
+    ['one byte short of a segment', SEGMENT - 1],
+    ['exactly one segment', SEGMENT],
+    ['one byte past a segment', SEGMENT + 1],
+    ['exactly two segments', 2 * SEGMENT],
+    ['two and a half segments', 2.5 * SEGMENT]
+  ])('round trip of %s (%i bytes)', (label, size) => {
+    const plaintext = crypto.randomBytes(size);
+
+    it('stores one tag per segment', async () => {
+      const stored = await encryptFile(fileKey, plaintext);
+
+      expect(stored.length).toBe(encryptionService.getEncryptedSize(0, size));
+      expect(stored.length).toBe(size + encryptionService.getSegmentCount(size) * TAG_LENGTH);
+    });
+
+    it.each([
+      ['one write', undefined],
+      ['small writes', 1000],
+      ['segment-sized writes', SEGMENT]
+    ])('decrypts what was encrypted with %s', async (writes, chunkSize) => {
+      const stored = await encryptFile(fileKey, plaintext, chunkSize);
+
+      expectBytes(await decryptFile(fileKey, stored, size, chunkSize), plaintext);
+      expectBytes(await decryptFile(fileKey, stored, size, 1021), plaintext);
+    });
+  });
+
+  it('seals a full last segment in flush, marked as last', async () => {
+    const plaintext = crypto.randomBytes(2 * SEGMENT);
+    const stored = await encryptFile(fileKey, plaintext, SEGMENT);
+    const last = stored.subarray(SEGMENT + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', fileKey.dataKey, encryptionService.getSegmentNonce(fileKey.noncePrefix, 1));
+    decipher.setAAD(Buffer.from([1]));
+    decipher.setAuthTag(last.subarray(SEGMENT));
+
+    expectBytes(Buffer.concat([decipher.update(last.subarray(0, SEGMENT)), decipher.final()]), plaintext.subarray(SEGMENT));
+  });
+
+  it('encrypts chunk-aligned pieces that join into the whole file', async () => {
+    const size = 5 * SEGMENT + 123;
+    const plaintext = crypto.randomBytes(size);
+    const boundaries = [0, 2 * SEGMENT, 4 * SEGMENT, size];
+    const pieces = [];
+
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const [start, end] = [boundaries[i], boundaries[i + 1]];
+      const piece = await run(
+        encryptionService.createEncryptStream(fileKey, start, end, size),
+        plaintext.subarray(start, end),
+        3000
+      );
+
+      expect(piece.length).toBe(encryptionService.getEncryptedSize(start, end));
+      pieces.push(piece);
+    }
+
+    expectBytes(Buffer.concat(pieces), await encryptFile(fileKey, plaintext));
+    expectBytes(await decryptFile(fileKey, Buffer.concat(pieces), size), plaintext);
+  });
+
+  describe('ranged decrypts', () => {
+    const size = 3 * SEGMENT + 100;
+    const plaintext = crypto.randomBytes(size);
+    let stored;
+
+    beforeAll(async () => {
+      stored = await encryptFile(fileKey, plaintext);
+    });
+
+    it.each([
+      ['first byte', 0, 0],
+      ['first segment', 0, SEGMENT - 1],
+      ['last byte of a segment', SEGMENT - 1, SEGMENT - 1],
+      ['first byte of a segment', SEGMENT, SEGMENT],
+      ['across a segment edge', SEGMENT - 1, SEGMENT],
+      ['across several segments', 10, 2 * SEGMENT + 10],
+      ['the partial last segment', 3 * SEGMENT, size - 1],
+      ['the last byte', size - 1, size - 1],
+      ['the whole file', 0, size - 1]
+    ])('returns %s', async (label, start, end) => {
+      expectBytes(await decryptRange(fileKey, stored, size, { start, end }), plaintext.subarray(start, end + 1));
+    });
+
+    it('clips the stored range at the end of the file', () => {
+      const range = encryptionService.getStoredRange({ start: size - 1, end: size - 1 }, size);
+
+      expect(range).toEqual({
+        start: 3 * (SEGMENT + TAG_LENGTH),
+        end: stored.length - 1,
+        firstSegment: 3,
+        segmentCount: 1,
+        skip: 99
+      });
+    });
+
+    it('does not clip a full last segment', () => {
+      const fullSize = 2 * SEGMENT;
+      const range = encryptionService.getStoredRange({ start: SEGMENT, end: fullSize - 1 }, fullSize);
+
+      expect(range.end).toBe(encryptionService.getEncryptedSize(0, fullSize) - 1);
+      expect(range.end - range.start + 1).toBe(SEGMENT + TAG_LENGTH);
+    });
+  });
+
+  describe('tampering', () => {
+    const size = 2 * SEGMENT + 10;
+    const plaintext = crypto.randomBytes(size);
+    let stored;
+
+    beforeAll(async () => {
+      stored = await encryptFile(fileKey, plaintext);
+    });
+
+    it('rejects a flipped bit', async () => {
+      const tampered = Buffer.from(stored);
+      tampered[SEGMENT + 5] ^= 1;
+
+      await expect(decryptFile(fileKey, tampered, size)).rejects.toMatchObject({ code: 'FILE_INTEGRITY_ERROR' });
+    });
+
+    it('rejects content truncated at a segment boundary', async () => {
+      const truncated = stored.subarray(0, 2 * (SEGMENT + TAG_LENGTH));
+
+      await expect(decryptFile(fileKey, truncated, size)).rejects.toMatchObject({ code: 'FILE_INTEGRITY_ERROR' });
+      await expect(decryptFile(fileKey, truncated, 2 * SEGMENT)).rejects.toMatchObject({ code: 'FILE_INTEGRITY_ERROR' });
+    });
+
+    it('rejects reordered segments', async () => {
+      const segment = SEGMENT + TAG_LENGTH;
+      const reordered = Buffer.concat([stored.subarray(segment, 2 * segment), stored.subarray(0, segment), stored.subarray(2 * segment)]);
+
+      await expect(decryptFile(fileKey, reordered, size)).rejects.toMatchObject({ code: 'FILE_INTEGRITY_ERROR' });
+    });
+
+    it('rejects another file key', async () => {
+      await expect(decryptFile(newFileKey(), stored, size)).rejects.toMatchObject({ code: 'FILE_INTEGRITY_ERROR' });
+    });
+  });
+
+  it('unwraps a stored file key for its owner only', () => {
+    const { dataKey, metadata } = encryptionService.createFileKey(USER_ID);
+    const row = {
+      user_id: USER_ID,
+      encrypted_data_key: metadata.encryptedDataKey,
+      encryption_key_scope: metadata.keyScope,
+      encryption_nonce: metadata.nonce,
+      encryption_segment_size: metadata.segmentSize
+    };
+
+    expectBytes(encryptionService.openFileKey(row).dataKey, dataKey);
+    expect(() => encryptionService.openFileKey({ ...row, user_id: 'someone-else' })).toThrow('Failed to unlock file');
+  });
+});
@@ -0,0 +1,235 @@
+jest.mock('../services/supabase', () => ({
+  createSaga: jest.fn(),
+  updateSaga: jest.fn(),
+  getFileById: jest.fn(),
+  getFileChunks: jest.fn(),
+  getFileVersions: jest.fn(),
+  addFileReference: jest.fn(),
+  deleteFileReference: jest.fn(),
+  updateFileHealth: jest.fn(),
+  promoteFileVersion: jest.fn(),
+  getRepositoryById: jest.fn()
+}));
+jest.mock('../services/storage', () => ({ deleteAsset: jest.fn() }));
+jest.mock('../services/repoManager', () => ({ updateRepositorySize: jest.fn() }));
+
+const supabaseService = require('../services/supabase');
+const storageService = require('../services/storage');
+const repoManagerService = require('../services/repoManager');
+const fileManagerService = require('../services/fileManager');
+
+const USER_ID = 'user-1';
+
+// File rows by ID, standing in for the files table
+let files;
+
+const addFile = (id, fields = {}) => {
+  files.set(id, {
+    id,
+    user_id: USER_ID,
+    repo_id: 'repo-1',
+    filename: `${id}.bin`,
+    original_name: `${id}.txt`,
+    size_mb: 1,
+    size_bytes: 1024 * 1024,
+    mime_type: 'text/plain',
+    storage_tier: 'release',
+    gh_release_id: 7,
+    gh_asset_id: `asset-${id}`,
+    is_chunked: false,
+    chunk_count: 1,
+    version_of: null,
+    version_number: 1,
+    health_status: 'unverified',
+    created_at: '2024-01-01T00:00:00.000Z',
+    repos: { name: 'user_1_bucket_1', github_repo_id: 1 },
+    ...fields
+  });
+  return files.get(id);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  files = new Map();
+  let sagas = 0;
+
+  supabaseService.createSaga.mockImplementation(async ({ userId, type, fileId, steps }) =>
+    ({ id: `saga-${++sagas}`, user_id: userId, type, file_id: fileId, status: 'running', attempts: 0, steps }));
+  supabaseService.getFileById.mockImplementation(async id => files.get(id) || null);
+  supabaseService.getFileVersions.mockImplementation(async id =>
+    [...files.values()].filter(file => file.version_of === id));
+  supabaseService.getRepositoryById.mockImplementation(async id => ({ id, name: 'user_1_bucket_1' }));
+
+  // Like delete_file_reference: remove the row, then count the rows sharing its content
+  supabaseService.deleteFileReference.mockImplementation(async id => {
+    const file = files.get(id);
+    if (!file) return null;
+
+    files.delete(id);
+    return [...files.values()].filter(other => other.filename === file.filename).length;
+  });
+
+  // Like add_file_reference: a new row with the source's content, or none if it is gone
+  supabaseService.addFileReference.mockImplementation(async (sourceId, userId, fields) => {
+    const source = files.get(sourceId);
+    if (!source) return null;
+
+    const { id, ...content } = source;
+    return addFile(`ref-${files.size}`, {
+      ...content,
+      folder_id: fields.folderId,
+      version_of: fields.versionOf,
+      original_name: fields.originalName,
+      content_sha256: fields.contentSha256
+    });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reference-counted deletes', () => {
+  it('keeps shared content until the last file referring to it is deleted', async () => {
+    addFile('a');
+    addFile('b', { filename: 'a.bin' });
+
+    await fileManagerService.deleteFile('a', USER_ID);
+
+    expect(files.has('a')).toBe(false);
+    expect(storageService.deleteAsset).not.toHaveBeenCalled();
+    expect(repoManagerService.updateRepositorySize).not.toHaveBeenCalled();
+
+    const result = await fileManagerService.deleteFile('b', USER_ID);
+
+    expect(result.deletedFile).toMatchObject({ id: 'b', filename: 'a.bin' });
+    expect(storageService.deleteAsset).toHaveBeenCalledTimes(1);
+    expect(storageService.deleteAsset).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'repo-1' }),
+      { tier: 'release', releaseId: 7, assetId: 'asset-b' }
+    );
+    expect(repoManagerService.updateRepositorySize).toHaveBeenCalledWith('repo-1', -1, -1);
+  });
+
+  it('releases every chunk of a chunked file', async () => {
+    addFile('big', { is_chunked: true, chunk_count: 2, gh_asset_id: null, repo_id: 'repo-1' });
+    supabaseService.getFileChunks.mockResolvedValue([
+      { chunk_index: 0, repo_id: 'repo-1', size_bytes: 1024 * 1024, gh_release_id: 7, gh_asset_id: 71 },
+      { chunk_index: 1, repo_id: 'repo-2', size_bytes: 512 * 1024, gh_release_id: 8, gh_asset_id: 72 }
+    ]);
+
+    await fileManagerService.deleteFile('big', USER_ID);
+
+    expect(storageService.deleteAsset.mock.calls.map(([repository, asset]) => [repository.id, asset.assetId]))
+      .toEqual([['repo-1', 71], ['repo-2', 72]]);
+    expect(repoManagerService.updateRepositorySize).toHaveBeenCalledWith('repo-2', -0.5, -1);
+  });
+
+  it('deletes earlier versions first, each releasing its own content', async () => {
+    addFile('doc', { version_number: 3 });
+    addFile('doc-v1', { version_of: 'doc', version_number: 1 });
+    addFile('doc-v2', { version_of: 'doc', version_number: 2, filename: 'doc.bin' });
+
+    await fileManagerService.deleteFile('doc', USER_ID);
+
+    expect(files.size).toBe(0);
+    expect(storageService.deleteAsset.mock.calls.map(([, asset]) => asset.assetId))
+      .toEqual(['asset-doc-v1', 'asset-doc']);
+  });
+
+  it('fails with a 404 and releases nothing when the file was deleted concurrently', async () => {
+    addFile('a');
+    supabaseService.deleteFileReference.mockResolvedValueOnce(null);
+
+    await expect(fileManagerService.deleteFile('a', USER_ID)).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(storageService.deleteAsset).not.toHaveBeenCalled();
+    expect(supabaseService.updateSaga).toHaveBeenCalledWith('saga-1', expect.objectContaining({ status: 'compensated' }));
+  });
+});
+
+describe('version promotion', () => {
+  beforeEach(() => {
+    addFile('doc', { version_number: 2, content_sha256: 'new' });
+    addFile('doc-v1', { version_of: 'doc', version_number: 1, content_sha256: 'old', health_status: 'healthy' });
+  });
+
+  it('restores a version as a new version referring to its content', async () => {
+    supabaseService.promoteFileVersion.mockResolvedValue(3);
+
+    await fileManagerService.restoreVersion('doc', 'doc-v1', USER_ID);
+
+    expect(supabaseService.addFileReference).toHaveBeenCalledWith('doc-v1', USER_ID, expect.objectContaining({
+      versionOf: 'doc',
+      originalName: 'doc.txt',
+      contentSha256: 'old'
+    }));
+
+    const copy = [...files.values()].find(file => file.id.startsWith('ref-'));
+    expect(copy).toMatchObject({ filename: 'doc-v1.bin', version_of: 'doc' });
+    expect(supabaseService.updateFileHealth).toHaveBeenCalledWith(copy.id, expect.objectContaining({ status: 'healthy' }));
+    expect(supabaseService.promoteFileVersion).toHaveBeenCalledWith('doc', copy.id);
+    expect(storageService.deleteAsset).not.toHaveBeenCalled();
+  });
+
+  it('removes the new version without touching the shared content if promotion fails', async () => {
+    supabaseService.promoteFileVersion.mockRejectedValue(new Error('File is not a version of file doc'));
+
+    await expect(fileManagerService.restoreVersion('doc', 'doc-v1', USER_ID)).rejects.toThrow('not a version');
+
+    expect([...files.keys()]).toEqual(['doc', 'doc-v1']);
+    expect(storageService.deleteAsset).not.toHaveBeenCalled();
+  });
+
+  it('refuses to restore a version deleted in the meantime', async () => {
+    supabaseService.addFileReference.mockResolvedValueOnce(null);
+
+    await expect(fileManagerService.restoreVersion('doc', 'doc-v1', USER_ID)).rejects.toMatchObject({ statusCode: 404 });
+    expect(supabaseService.promoteFileVersion).not.toHaveBeenCalled();
+  });
+
+  it('keeps the current version when restoring it', async () => {
+    const restored = await fileManagerService.restoreVersion('doc', 'doc', USER_ID);
+
+    expect(restored.version).toBe(2);
+    expect(supabaseService.addFileReference).not.toHaveBeenCalled();
+    expect(supabaseService.promoteFileVersion).not.toHaveBeenCalled();
+  });
+
+  it('adds no version for an upload of unchanged content', async () => {
+    const result = await fileManagerService.uploadVersion(
+      { originalname: 'doc.txt', size: 1024 * 1024 },
+      USER_ID,
+      files.get('doc'),
+      'new'
+    );
+
+    expect(result.file).toMatchObject({ id: 'doc', version: 2, unchanged: true });
+    expect(supabaseService.promoteFileVersion).not.toHaveBeenCalled();
+  });
+});
+
+describe('downloads', () => {
+  it('refuses a file in the trash, and its versions', async () => {
+    addFile('doc', { trashed_at: '2024-02-01T00:00:00.000Z' });
+    addFile('doc-v1', { version_of: 'doc', version_number: 1 });
+
+    await expect(fileManagerService.getDownloadableFile('doc', USER_ID)).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'FILE_IN_TRASH'
+    });
+    await expect(fileManagerService.getDownloadableFile('doc-v1', USER_ID)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('serves a file and its versions once restored', async () => {
+    addFile('doc');
+    addFile('doc-v1', { version_of: 'doc', version_number: 1 });
+
+    await expect(fileManagerService.getDownloadableFile('doc', USER_ID)).resolves.toMatchObject({ id: 'doc' });
+    await expect(fileManagerService.getDownloadableFile('doc-v1', USER_ID)).resolves.toMatchObject({ id: 'doc-v1', versionOf: 'doc' });
+  });
+});
@@ -0,0 +1,71 @@
+const express = require('express');
+
+jest.mock('../services/fileManager', () => ({ openDownloadStream: jest.fn() }));
+const { resolveRange } = require('../utils/fileResponses');
+
+const file = {
+  id: 'file-1',
+  size: 1000,
+  etag: '"abc"',
+  uploadedAt: '2024-05-01T12:00:00.123Z'
+};
+
+/**
+ * Build a request that parses Range headers the way Express does
+ * @param {Object} headers - Request headers (lower case)
+ * @returns {Object} Request object
+ */
+const request = (headers = {}) => Object.assign(Object.create(express.request), { headers });
+
+describe('resolveRange', () => {
+  it('serves the whole file without a Range header', () => {
+    expect(resolveRange(request(), file)).toBeNull();
+  });
+
+  it.each([
+    ['a closed range', 'bytes=0-99', { start: 0, end: 99 }],
+    ['a range from the middle', 'bytes=500-599', { start: 500, end: 599 }],
+    ['an open-ended range', 'bytes=900-', { start: 900, end: 999 }],
+    ['a suffix range', 'bytes=-10', { start: 990, end: 999 }],
+    ['a range past the end, clipped', 'bytes=990-5000', { start: 990, end: 999 }],
+    ['overlapping ranges, combined', 'bytes=0-9,5-19', { start: 0, end: 19 }]
+  ])('resolves %s', (label, header, expected) => {
+    expect(resolveRange(request({ range: header }), file)).toEqual(expected);
+  });
+
+  it.each([
+    ['malformed', 'bytes 0-9'],
+    ['not in bytes', 'items=0-9'],
+    ['several disjoint ranges', 'bytes=0-9,100-109']
+  ])('serves the whole file for a %s range', (label, header) => {
+    expect(resolveRange(request({ range: header }), file)).toBeNull();
+  });
+
+  it('serves an empty file whole', () => {
+    expect(resolveRange(request({ range: 'bytes=0-9' }), { ...file, size: 0 })).toBeNull();
+  });
+
+  it('refuses a range starting past the end with the Content-Range to send', () => {
+    expect(() => resolveRange(request({ range: 'bytes=1000-1009' }), file)).toThrow(
+      expect.objectContaining({ statusCode: 416, contentRange: 'bytes */1000' })
+    );
+  });
+
+  describe('If-Range', () => {
+    it('honors the range while the ETag matches', () => {
+      expect(resolveRange(request({ range: 'bytes=10-19', 'if-range': '"abc"' }), file)).toEqual({ start: 10, end: 19 });
+    });
+
+    it('serves the whole file once the ETag changed', () => {
+      expect(resolveRange(request({ range: 'bytes=10-19', 'if-range': '"old"' }), file)).toBeNull();
+      expect(resolveRange(request({ range: 'bytes=10-19', 'if-range': 'W/"abc"' }), file)).toBeNull();
+    });
+
+    it('compares dates to the second', () => {
+      const lastModified = new Date(file.uploadedAt).toUTCString();
+
+      expect(resolveRange(request({ range: 'bytes=10-19', 'if-range': lastModified }), file)).toEqual({ start: 10, end: 19 });
+      expect(resolveRange(request({ range: 'bytes=10-19', 'if-range': 'Wed, 01 May 2024 11:59:59 GMT' }), file)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,323 @@
+jest.mock('../services/supabase', () => ({
+  createSaga: jest.fn(),
+  updateSaga: jest.fn(),
+  getPendingSagas: jest.fn(),
+  deleteFinishedSagas: jest.fn(),
+  getFileById: jest.fn(),
+  deleteFile: jest.fn(),
+  deleteFileReference: jest.fn(),
+  countFileReferences: jest.fn(),
+  countAssetReferences: jest.fn(),
+  getRepositoryById: jest.fn()
+}));
+jest.mock('../services/storage', () => ({
+  deleteAsset: jest.fn(),
+  bucketExists: jest.fn(),
+  listAssets: jest.fn(),
+  runInBackground: jest.fn(task => task())
+}));
+jest.mock('../services/repoManager', () => ({ updateRepositorySize: jest.fn() }));
+
+const supabaseService = require('../services/supabase');
+const storageService = require('../services/storage');
+const repoManagerService = require('../services/repoManager');
+const fileSagaService = require('../services/fileSagas');
+const { FILE_SAGA_MAX_ATTEMPTS } = require('../utils/constants');
+
+const USER_ID = 'user-1';
+const FILE_ID = 'file-1';
+const repository = { id: 'repo-1', name: 'user_1_bucket_1' };
+
+const saga = (type, steps, fields = {}) => ({
+  id: `saga-${type}`,
+  user_id: USER_ID,
+  file_id: FILE_ID,
+  type,
+  status: 'running',
+  attempts: 0,
+  steps: steps.map(step => ({ ...step, at: '2024-01-01T00:00:00.000Z' })),
+  ...fields
+});
+
+const stepNames = record => record.steps.map(step => step.step);
+
+// What an upload of one asset logs until its file row is counted against the repository
+const uploadSteps = [
+  { step: 'asset_pending', repoId: 'repo-1', filename: 'a.bin' },
+  { step: 'asset_stored', repoId: 'repo-1', filename: 'a.bin', tier: 'release', releaseId: 7, assetId: 70 },
+  { step: 'file_pending', filename: 'a.bin' },
+  { step: 'repo_size_updated', repoId: 'repo-1', sizeMb: 2 }
+];
+
+const deletePlan = (assets, fields = { filename: 'a.bin' }) =>
+  ({ step: 'delete_planned', ...fields, assets });
+
+const chunkAssets = [
+  { repoId: 'repo-1', tier: 'release', releaseId: 7, assetId: 71, sizeMb: 1 },
+  { repoId: 'repo-2', tier: 'release', releaseId: 8, assetId: 72, sizeMb: 1 }
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  fileSagaService.active.clear();
+  supabaseService.getRepositoryById.mockImplementation(async id => ({ ...repository, id }));
+  supabaseService.countFileReferences.mockResolvedValue(0);
+  supabaseService.getFileById.mockResolvedValue(null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('upload compensation', () => {
+  it('undoes the logged steps in reverse order', async () => {
+    const record = saga('upload', uploadSteps);
+    const undone = [];
+    repoManagerService.updateRepositorySize.mockImplementation(async () => undone.push('repo_size_updated'));
+    storageService.deleteAsset.mockImplementation(async () => undone.push('asset_stored'));
+    supabaseService.deleteFile.mockImplementation(async () => undone.push('file_pending'));
+
+    await fileSagaService.abort(record, new Error('Storing chunk 2 failed'));
+
+    expect(undone).toEqual(['repo_size_updated', 'file_pending', 'asset_stored']);
+    expect(repoManagerService.updateRepositorySize).toHaveBeenCalledWith('repo-1', -2, -1);
+    expect(storageService.deleteAsset).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'repo-1' }),
+      { tier: 'release', releaseId: 7, assetId: 70 }
+    );
+    expect(supabaseService.deleteFile).toHaveBeenCalledWith(FILE_ID, USER_ID);
+    expect(record.status).toBe('compensated');
+    expect(record.error).toBe('Storing chunk 2 failed');
+    expect(record.steps.every(step => step.compensated)).toBe(true);
+  });
+
+  it('looks up an asset whose upload was never confirmed by name', async () => {
+    const record = saga('upload', uploadSteps.slice(0, 1));
+    storageService.bucketExists.mockResolvedValue(true);
+    storageService.listAssets.mockResolvedValue([
+      { name: 'a.bin', assetId: 70 },
+      { name: 'other.bin', assetId: 71 }
+    ]);
+
+    await fileSagaService.abort(record, new Error('Connection reset'));
+
+    expect(storageService.deleteAsset).toHaveBeenCalledTimes(1);
+    expect(storageService.deleteAsset).toHaveBeenCalledWith(expect.anything(), { name: 'a.bin', assetId: 70 });
+    expect(record.status).toBe('compensated');
+  });
+
+  it('keeps content another file was deduplicated against in the meantime', async () => {
+    const record = saga('upload', uploadSteps);
+    supabaseService.countFileReferences.mockResolvedValue(1);
+
+    await fileSagaService.abort(record, new Error('Database write failed'));
+
+    expect(supabaseService.countFileReferences).toHaveBeenCalledWith(USER_ID, 'a.bin', FILE_ID);
+    expect(supabaseService.deleteFile).toHaveBeenCalledWith(FILE_ID, USER_ID);
+    expect(storageService.deleteAsset).not.toHaveBeenCalled();
+    expect(repoManagerService.updateRepositorySize).not.toHaveBeenCalled();
+    expect(record.status).toBe('compensated');
+  });
+
+  it('does not repeat undone steps when a failed compensation is retried', async () => {
+    const record = saga('upload', uploadSteps);
+    storageService.deleteAsset.mockRejectedValueOnce(new Error('GitHub is down'));
+
+    await fileSagaService.abort(record, new Error('Database write failed'));
+
+    expect(record.status).toBe('compensating');
+    expect(record.attempts).toBe(1);
+    expect(Date.parse(record.next_attempt_at)).toBeGreaterThan(Date.now());
+    expect(record.steps.filter(step => step.compensated).map(step => step.step))
+      .toEqual(['file_pending', 'repo_size_updated']);
+
+    await fileSagaService.resume(record);
+
+    expect(repoManagerService.updateRepositorySize).toHaveBeenCalledTimes(1);
+    expect(supabaseService.deleteFile).toHaveBeenCalledTimes(1);
+    expect(storageService.deleteAsset).toHaveBeenCalledTimes(2);
+    expect(record.status).toBe('compensated');
+  });
+
+  it('treats a file row that was never written as removed', async () => {
+    const record = saga('upload', uploadSteps.slice(0, 3));
+    supabaseService.deleteFile.mockRejectedValue(Object.assign(new Error('Record not found'), { statusCode: 404 }));
+
+    await fileSagaService.abort(record, new Error('Database write failed'));
+
+    expect(storageService.deleteAsset).toHaveBeenCalledTimes(1);
+    expect(record.status).toBe('compensated');
+  });
+});
+
+describe('delete roll-forward', () => {
+  it('removes the row and releases every planned asset when it was the last reference', async () => {
+    const record = saga('delete', [deletePlan(chunkAssets)]);
+    supabaseService.deleteFileReference.mockResolvedValue(0);
+
+    await expect(fileSagaService.removeFileRecord(record)).resolves.toBe(0);
+    await expect(fileSagaService.releaseStorage(record)).resolves.toBe(true);
+
+    expect(supabaseService.deleteFileReference).toHaveBeenCalledWith(FILE_ID, USER_ID, record.id);
+    expect(storageService.deleteAsset).toHaveBeenCalledTimes(2);
+    expect(repoManagerService.updateRepositorySize).toHaveBeenCalledWith('repo-1', -1, -1);
+    expect(repoManagerService.updateRepositorySize).toHaveBeenCalledWith('repo-2', -1, -1);
+    expect(stepNames(record)).toEqual(['delete_planned', 'file_deleted', 'asset_deleted', 'asset_deleted']);
+    expect(record.status).toBe('completed');
+  });
+
+  it('keeps content other files still refer to', async () => {
+    const record = saga('delete', [deletePlan(chunkAssets)]);
+    supabaseService.deleteFileReference.mockResolvedValue(2);
+
+    await expect(fileSagaService.removeFileRecord(record)).resolves.toBe(2);
+    await expect(fileSagaService.releaseStorage(record)).resolves.toBe(true);
+
+    expect(storageService.deleteAsset).not.toHaveBeenCalled();
+    expect(repoManagerService.updateRepositorySize).not.toHaveBeenCalled();
+    expect(record.status).toBe('completed');
+  });
+
+  it('fails with a 404 when the file was already deleted', async () => {
+    const record = saga('delete', [deletePlan(chunkAssets)]);
+    supabaseService.deleteFileReference.mockResolvedValue(null);
+
+    await expect(fileSagaService.removeFileRecord(record)).rejects.toMatchObject({ statusCode: 404 });
+    expect(stepNames(record)).toEqual(['delete_planned']);
+  });
+
+  it('retries storage failures later, continuing after the released assets', async () => {
+    const record = saga('delete', [deletePlan(chunkAssets), { step: 'file_deleted', references: 0 }]);
+    storageService.deleteAsset
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('GitHub is down'));
+
+    await expect(fileSagaService.releaseStorage(record)).resolves.toBe(false);
+
+    expect(record.status).toBe('running');
+    expect(record.attempts).toBe(1);
+    expect(stepNames(record)).toEqual(['delete_planned', 'file_deleted', 'asset_deleted']);
+
+    await fileSagaService.resume(record);
+
+    expect(storageService.deleteAsset).toHaveBeenCalledTimes(3);
+    expect(storageService.deleteAsset.mock.calls[2][1]).toMatchObject({ assetId: 72 });
+    expect(repoManagerService.updateRepositorySize).toHaveBeenCalledTimes(2);
+    expect(record.status).toBe('completed');
+  });
+
+  it('skips the storage of assets whose repository no longer exists', async () => {
+    const record = saga('delete', [deletePlan(chunkAssets.slice(0, 1)), { step: 'file_deleted', references: 0 }]);
+    supabaseService.getRepositoryById.mockResolvedValue(null);
+
+    await fileSagaService.resume(record);
+
+    expect(storageService.deleteAsset).not.toHaveBeenCalled();
+    expect(repoManagerService.updateRepositorySize).toHaveBeenCalledWith('repo-1', -1, -1);
+    expect(record.status).toBe('completed');
+  });
+
+  it('drops a saga interrupted before its row was removed', async () => {
+    const record = saga('delete', [deletePlan(chunkAssets)]);
+
+    await fileSagaService.resume(record);
+
+    expect(supabaseService.getFileById).not.toHaveBeenCalled();
+    expect(storageService.deleteAsset).not.toHaveBeenCalled();
+    expect(record.status).toBe('compensated');
+  });
+
+  describe('sagas logged before the deletion counted references', () => {
+    it('finishes releasing the assets once the row is gone', async () => {
+      const record = saga('delete', [deletePlan(chunkAssets, {})]);
+
+      await fileSagaService.resume(record);
+
+      expect(supabaseService.getFileById).toHaveBeenCalledWith(FILE_ID, USER_ID);
+      expect(storageService.deleteAsset).toHaveBeenCalledTimes(2);
+      expect(record.status).toBe('completed');
+    });
+
+    it('drops the saga while the row still exists', async () => {
+      const record = saga('delete', [deletePlan(chunkAssets, {})]);
+      supabaseService.getFileById.mockResolvedValue({ id: FILE_ID });
+
+      await fileSagaService.resume(record);
+
+      expect(storageService.deleteAsset).not.toHaveBeenCalled();
+      expect(record.status).toBe('compensated');
+    });
+  });
+});
+
+describe('move recovery', () => {
+  const moveSteps = [
+    { step: 'move_planned', repoId: 'repo-1', tier: 'release', releaseId: 7, assetId: 70 },
+    { step: 'asset_pending', repoId: 'repo-2', filename: 'a.bin' },
+    { step: 'asset_stored', repoId: 'repo-2', filename: 'a.bin', tier: 'release', releaseId: 8, assetId: 80 }
+  ];
+
+  it('deletes the copy while the rows still point at the original', async () => {
+    const record = saga('move', moveSteps);
+    supabaseService.countAssetReferences.mockResolvedValue(0);
+
+    await fileSagaService.resume(record);
+
+    expect(supabaseService.countAssetReferences).toHaveBeenCalledWith('repo-2', 80);
+    expect(storageService.deleteAsset).toHaveBeenCalledWith(expect.objectContaining({ id: 'repo-2' }), expect.objectContaining({ assetId: 80 }));
+    expect(record.status).toBe('compensated');
+  });
+
+  it('rolls forward once the rows were switched to the copy, even if that was not logged', async () => {
+    const record = saga('move', moveSteps);
+    supabaseService.countAssetReferences.mockResolvedValue(1);
+
+    await fileSagaService.resume(record);
+
+    expect(storageService.deleteAsset).toHaveBeenCalledTimes(1);
+    expect(storageService.deleteAsset).toHaveBeenCalledWith(expect.objectContaining({ id: 'repo-1' }), expect.objectContaining({ assetId: 70 }));
+    expect(stepNames(record)).toContain('source_deleted');
+    expect(record.status).toBe('completed');
+  });
+});
+
+describe('retries', () => {
+  it('backs off exponentially', async () => {
+    const record = saga('delete', [deletePlan([])], { attempts: 2 });
+    const before = Date.now();
+
+    await fileSagaService.scheduleRetry(record, new Error('GitHub is down'));
+
+    expect(record.attempts).toBe(3);
+    expect(Date.parse(record.next_attempt_at) - before).toBeGreaterThanOrEqual(4 * 60 * 1000);
+    expect(supabaseService.updateSaga).toHaveBeenCalledWith(record.id, expect.objectContaining({ attempts: 3, error: 'GitHub is down' }));
+  });
+
+  it('gives up after the last attempt', async () => {
+    const record = saga('delete', [deletePlan([])], { attempts: FILE_SAGA_MAX_ATTEMPTS - 1 });
+
+    await fileSagaService.scheduleRetry(record, new Error('GitHub is down'));
+
+    expect(record.status).toBe('failed');
+    expect(record.next_attempt_at).toBeNull();
+  });
+
+  it('resumes only interrupted sagas that are due', async () => {
+    const due = saga('delete', [deletePlan([]), { step: 'file_deleted', references: 0 }], { id: 'due' });
+    const later = saga('delete', [deletePlan([])], { id: 'later', next_attempt_at: new Date(Date.now() + 60000).toISOString() });
+    const running = saga('delete', [deletePlan([])], { id: 'running' });
+    fileSagaService.active.add('running');
+    supabaseService.getPendingSagas.mockResolvedValue([due, later, running]);
+
+    await fileSagaService.resumePending();
+
+    expect(due.status).toBe('completed');
+    expect(later.status).toBe('running');
+    expect(running.status).toBe('running');
+    expect(supabaseService.deleteFinishedSagas).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../services/supabase', () => ({
+  getPendingSagas: jest.fn(),
+  getRepositoryContents: jest.fn(),
+  getFileById: jest.fn(),
+  getFileChunks: jest.fn(),
+  updateFileHealth: jest.fn()
+}));
+jest.mock('../services/storage', () => ({
+  bucketExists: jest.fn(),
+  listAssets: jest.fn(),
+  runInBackground: jest.fn(task => task())
+}));
+jest.mock('../services/fileManager', () => ({
+  getSizeBytes: jest.fn(file => Number(file.size_bytes)),
+  openDownloadStream: jest.fn()
+}));
+
+const supabaseService = require('../services/supabase');
+const storageService = require('../services/storage');
+const integrityScrubber = require('../services/integrityScrubber');
+
+const USER_ID = 'user-1';
+const repository = { id: 'repo-1', name: 'user_1_bucket_1' };
+
+const fileRow = (id, fields = {}) => ({
+  id,
+  user_id: USER_ID,
+  repo_id: 'repo-1',
+  filename: `${id}.bin`,
+  original_name: `${id}.txt`,
+  gh_asset_id: `${id}-asset`,
+  size_bytes: 10,
+  health_status: 'healthy',
+  content_sha256: null,
+  ...fields
+});
+
+const listed = (...assetIds) => assetIds.map(assetId => ({ assetId, size: 10, complete: true }));
+
+const healthOf = fileId => supabaseService.updateFileHealth.mock.calls
+  .filter(([id]) => id === fileId)
+  .map(([, health]) => health.status);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  supabaseService.getPendingSagas.mockResolvedValue([]);
+  supabaseService.getFileById.mockImplementation(async id => fileRow(id));
+  storageService.bucketExists.mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('integrity scrub', () => {
+  it('marks a file whose asset is missing as damaged', async () => {
+    supabaseService.getRepositoryContents.mockResolvedValue({ files: [fileRow('a'), fileRow('b')], chunks: [] });
+    storageService.listAssets.mockResolvedValue(listed('a-asset'));
+
+    const summary = await integrityScrubber.run([repository]);
+
+    expect(healthOf('a')).toEqual(['healthy']);
+    expect(healthOf('b')).toEqual(['damaged']);
+    expect(summary).toMatchObject({ healthy: 1, damaged: 1 });
+  });
+
+  it('leaves a file alone whose asset was moved after its row was read', async () => {
+    supabaseService.getRepositoryContents.mockResolvedValue({ files: [fileRow('a')], chunks: [] });
+    storageService.listAssets.mockResolvedValue([]);
+    supabaseService.getFileById.mockResolvedValue(fileRow('a', { repo_id: 'repo-2', gh_asset_id: 'copy-asset' }));
+
+    const summary = await integrityScrubber.run([repository]);
+
+    expect(supabaseService.updateFileHealth).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({ healthy: 0, damaged: 0 });
+  });
+
+  it('leaves a version alone whose content was swapped with the current file', async () => {
+    supabaseService.getRepositoryContents.mockResolvedValue({ files: [fileRow('v')], chunks: [] });
+    storageService.listAssets.mockResolvedValue([]);
+    supabaseService.getFileById.mockResolvedValue(fileRow('v', { filename: 'doc.bin', gh_asset_id: 'doc-asset' }));
+
+    await integrityScrubber.run([repository]);
+
+    expect(supabaseService.updateFileHealth).not.toHaveBeenCalled();
+  });
+
+  it('leaves a file alone that was deleted after its row was read', async () => {
+    supabaseService.getRepositoryContents.mockResolvedValue({ files: [fileRow('a')], chunks: [] });
+    storageService.listAssets.mockResolvedValue([]);
+    supabaseService.getFileById.mockRejectedValue(Object.assign(new Error('Record not found'), { statusCode: 404 }));
+
+    await integrityScrubber.run([repository]);
+
+    expect(supabaseService.updateFileHealth).not.toHaveBeenCalled();
+  });
+
+  it('leaves a chunked file alone whose chunk was moved after its row was read', async () => {
+    const big = fileRow('big', { gh_asset_id: null, is_chunked: true });
+    supabaseService.getRepositoryContents.mockResolvedValue({
+      files: [],
+      chunks: [
+        { chunk_index: 0, gh_asset_id: 'c0', size_bytes: 10, files: big },
+        { chunk_index: 1, gh_asset_id: 'c1', size_bytes: 10, files: big }
+      ]
+    });
+    storageService.listAssets.mockResolvedValue(listed('c0'));
+    supabaseService.getFileById.mockResolvedValue(big);
+    supabaseService.getFileChunks.mockResolvedValue([
+      { chunk_index: 0, gh_asset_id: 'c0' },
+      { chunk_index: 1, gh_asset_id: 'c1-copy' }
+    ]);
+
+    await integrityScrubber.run([repository]);
+
+    expect(supabaseService.updateFileHealth).not.toHaveBeenCalled();
+
+    supabaseService.getFileChunks.mockResolvedValue([
+      { chunk_index: 0, gh_asset_id: 'c0' },
+      { chunk_index: 1, gh_asset_id: 'c1' }
+    ]);
+
+    await integrityScrubber.run([repository]);
+
+    expect(healthOf('big')).toEqual(['damaged']);
+  });
+
+  it('skips buckets an unfinished saga is working in', async () => {
+    supabaseService.getPendingSagas.mockResolvedValue([{
+      type: 'move',
+      steps: [{ step: 'move_planned', repoId: 'repo-1', assetId: 'a-asset', filename: 'a.bin', targetRepoId: 'repo-2' }]
+    }]);
+    supabaseService.getRepositoryContents.mockResolvedValue({ files: [fileRow('a')], chunks: [] });
+    storageService.listAssets.mockResolvedValue([]);
+
+    const summary = await integrityScrubber.run([repository]);
+
+    expect(storageService.listAssets).not.toHaveBeenCalled();
+    expect(supabaseService.updateFileHealth).not.toHaveBeenCalled();
+    expect(summary.repositoriesBusy).toEqual(['user_1_bucket_1']);
+  });
+
+  it('skips assets an unfinished saga is working on in another bucket', async () => {
+    supabaseService.getPendingSagas.mockResolvedValue([{
+      type: 'delete',
+      steps: [{ step: 'delete_planned', filename: 'other.bin', assets: [{ repoId: 'repo-9', assetId: 'b-asset' }] }]
+    }]);
+    supabaseService.getRepositoryContents.mockResolvedValue({ files: [fileRow('a'), fileRow('b')], chunks: [] });
+    storageService.listAssets.mockResolvedValue(listed('a-asset'));
+
+    await integrityScrubber.run([repository]);
+
+    expect(healthOf('a')).toEqual(['healthy']);
+    expect(healthOf('b')).toEqual([]);
+  });
+});
@@ -0,0 +1,180 @@
+const express = require('express');
+const request = require('supertest');
+const { Readable } = require('stream');
+
+jest.mock('../services/supabase', () => ({
+  getShareByToken: jest.fn(),
+  claimShareDownload: jest.fn()
+}));
+jest.mock('../services/fileManager', () => ({
+  getFile: jest.fn(),
+  openDownloadStream: jest.fn()
+}));
+jest.mock('../services/folders', () => ({}));
+
+const supabaseService = require('../services/supabase');
+const fileManagerService = require('../services/fileManager');
+const publicSharesRouter = require('../routes/publicShares');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createShareDownloadGrant } = require('../middleware/auth');
+
+const TOKEN = 'b'.repeat(32);
+const FILE_ID = '6f1c2f0e-8d3a-4b6e-9f4e-2a7d1c3b5e80';
+const content = Buffer.from('0123456789'.repeat(100));
+
+const app = express();
+app.use('/s', publicSharesRouter);
+app.use(errorHandler);
+
+let share;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  share = {
+    id: 'share-1',
+    token: TOKEN,
+    user_id: 'user-1',
+    file_id: FILE_ID,
+    folder_id: null,
+    password_hash: null,
+    expires_at: null,
+    max_downloads: 3,
+    download_count: 0,
+    revoked_at: null
+  };
+
+  supabaseService.getShareByToken.mockImplementation(async () => ({ ...share }));
+
+  // Like claim_share_download: count the download only while the share has some left
+  supabaseService.claimShareDownload.mockImplementation(async () => {
+    if (share.download_count >= share.max_downloads) return false;
+
+    share.download_count++;
+    return true;
+  });
+
+  fileManagerService.getFile.mockResolvedValue({
+    id: FILE_ID,
+    originalName: 'notes.txt',
+    size: content.length,
+    mimeType: 'text/plain',
+    etag: '"etag"',
+    uploadedAt: '2024-01-01T00:00:00.000Z',
+    trashedAt: null
+  });
+  fileManagerService.openDownloadStream.mockImplementation(async (fileId, userId, range) => ({
+    stream: Readable.from([range ? content.subarray(range.start, range.end + 1) : content])
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('shared file downloads', () => {
+  it('counts a full download and grants its continuation', async () => {
+    const response = await request(app).get(`/s/${TOKEN}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-length']).toBe(String(content.length));
+    expect(response.headers['freedrive-share-grant']).toEqual(expect.any(String));
+    expect(response.headers['set-cookie'][0]).toMatch(new RegExp(`^share_download=.+; Max-Age=14400; Path=/s/${TOKEN}; .*HttpOnly`));
+    expect(share.download_count).toBe(1);
+  });
+
+  it('counts a download once however many ranges a player fetches', async () => {
+    const player = request.agent(app);
+
+    for (const range of ['bytes=0-', 'bytes=500-', 'bytes=100-199', 'bytes=900-', 'bytes=-10', 'bytes=0-1']) {
+      const response = await player.get(`/s/${TOKEN}`).set('Range', range);
+      expect(response.status).toBe(206);
+    }
+
+    expect(share.download_count).toBe(1);
+    expect(fileManagerService.openDownloadStream).toHaveBeenCalledTimes(6);
+  });
+
+  it('accepts the grant as a header from clients without cookies', async () => {
+    const first = await request(app).get(`/s/${TOKEN}`).set('Range', 'bytes=0-99');
+    const resumed = await request(app).get(`/s/${TOKEN}`)
+      .set('Range', 'bytes=100-')
+      .set('FreeDrive-Share-Grant', first.headers['freedrive-share-grant']);
+
+    expect(resumed.status).toBe(206);
+    expect(resumed.text).toBe(content.subarray(100).toString());
+    expect(share.download_count).toBe(1);
+  });
+
+  it('exhausts a share read in ranges by clients that present no grant', async () => {
+    for (const range of ['bytes=1-', 'bytes=100-199', 'bytes=-10']) {
+      const response = await request(app).get(`/s/${TOKEN}`).set('Range', range);
+      expect(response.status).toBe(206);
+    }
+
+    expect(share.download_count).toBe(3);
+
+    const refused = await request(app).get(`/s/${TOKEN}`).set('Range', 'bytes=200-299');
+
+    expect(refused.status).toBe(410);
+    expect(fileManagerService.openDownloadStream).toHaveBeenCalledTimes(3);
+  });
+
+  it('lets a counted download continue once the share is out of downloads', async () => {
+    share.max_downloads = 1;
+    const player = request.agent(app);
+
+    expect((await player.get(`/s/${TOKEN}`).set('Range', 'bytes=0-99')).status).toBe(206);
+    expect((await request(app).get(`/s/${TOKEN}`)).status).toBe(410);
+    expect((await player.get(`/s/${TOKEN}`).set('Range', 'bytes=100-')).status).toBe(206);
+    expect(share.download_count).toBe(1);
+  });
+
+  it('refuses a grant forged or issued for another share', async () => {
+    const forged = await request(app).get(`/s/${TOKEN}`)
+      .set('Range', 'bytes=0-99')
+      .set('FreeDrive-Share-Grant', createShareDownloadGrant('share-2', FILE_ID));
+
+    expect(forged.status).toBe(206);
+    expect(share.download_count).toBe(1);
+  });
+
+  it('refuses a range the last download was claimed for concurrently', async () => {
+    share.download_count = 2;
+    supabaseService.getShareByToken.mockResolvedValue({ ...share });
+
+    const responses = await Promise.all([
+      request(app).get(`/s/${TOKEN}`).set('Range', 'bytes=0-99'),
+      request(app).get(`/s/${TOKEN}`).set('Range', 'bytes=500-')
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([206, 410]);
+    expect(share.download_count).toBe(3);
+  });
+
+  it('does not count a download whose content could not be opened', async () => {
+    fileManagerService.openDownloadStream.mockRejectedValueOnce(Object.assign(new Error('Storage unavailable'), { status: 502 }));
+
+    const response = await request(app).get(`/s/${TOKEN}`);
+
+    expect(response.status).toBe(502);
+    expect(share.download_count).toBe(0);
+  });
+
+  it('does not count HEAD requests, which send no content', async () => {
+    const response = await request(app).head(`/s/${TOKEN}`);
+
+    expect(response.status).toBe(200);
+    expect(share.download_count).toBe(0);
+    expect(fileManagerService.openDownloadStream).not.toHaveBeenCalled();
+  });
+
+  it('does not count a range that cannot be satisfied', async () => {
+    const response = await request(app).get(`/s/${TOKEN}`).set('Range', `bytes=${content.length}-`);
+
+    expect(response.status).toBe(416);
+    expect(response.headers['content-range']).toBe(`bytes */${content.length}`);
+    expect(share.download_count).toBe(0);
+  });
+});
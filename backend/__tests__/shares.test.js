@@ -0,0 +1,117 @@
+jest.mock('../services/supabase', () => ({
+  getShareByToken: jest.fn(),
+  claimShareDownload: jest.fn()
+}));
+jest.mock('../services/fileManager', () => ({}));
+jest.mock('../services/folders', () => ({}));
+
+const supabaseService = require('../services/supabase');
+const shareService = require('../services/shares');
+const { createShareAccessToken, createShareDownloadGrant } = require('../middleware/auth');
+
+const TOKEN = 'a'.repeat(32);
+
+const share = (fields = {}) => ({
+  id: 'share-1',
+  token: TOKEN,
+  user_id: 'user-1',
+  file_id: 'file-1',
+  folder_id: null,
+  password_hash: null,
+  expires_at: null,
+  max_downloads: null,
+  download_count: 0,
+  revoked_at: null,
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('opening shares', () => {
+  it('opens an active share', async () => {
+    supabaseService.getShareByToken.mockResolvedValue(share({ max_downloads: 3, download_count: 2 }));
+
+    await expect(shareService.openShare(TOKEN)).resolves.toMatchObject({ id: 'share-1' });
+  });
+
+  it('does not look up malformed tokens', async () => {
+    await expect(shareService.openShare('../etc')).rejects.toMatchObject({ statusCode: 404 });
+    expect(supabaseService.getShareByToken).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['revoked', { revoked_at: '2024-01-01T00:00:00.000Z' }, 'revoked'],
+    ['expired', { expires_at: '2024-01-01T00:00:00.000Z' }, 'expired'],
+    ['out of downloads', { max_downloads: 3, download_count: 3 }, 'out of downloads']
+  ])('refuses a %s share', async (label, fields, details) => {
+    supabaseService.getShareByToken.mockResolvedValue(share(fields));
+
+    await expect(shareService.openShare(TOKEN)).rejects.toMatchObject({
+      statusCode: 410,
+      code: 'SHARE_UNAVAILABLE',
+      details: `This share link is ${details}`
+    });
+  });
+
+  it('keeps serving the downloads it counted once it is out of downloads', async () => {
+    supabaseService.getShareByToken.mockResolvedValue(share({ max_downloads: 1, download_count: 1 }));
+
+    await expect(shareService.openShare(TOKEN, null, true, [createShareDownloadGrant('share-1', 'file-1')]))
+      .resolves.toMatchObject({ id: 'share-1' });
+    await expect(shareService.openShare(TOKEN, null, true, [createShareDownloadGrant('share-2', 'file-1')]))
+      .rejects.toMatchObject({ statusCode: 410 });
+  });
+
+  it('does not let download grants outlive a revoked share', async () => {
+    supabaseService.getShareByToken.mockResolvedValue(share({ revoked_at: '2024-01-01T00:00:00.000Z' }));
+
+    await expect(shareService.openShare(TOKEN, null, true, [createShareDownloadGrant('share-1', 'file-1')]))
+      .rejects.toMatchObject({ statusCode: 410 });
+  });
+
+  it('requires an access token for this share once it has a password', async () => {
+    supabaseService.getShareByToken.mockResolvedValue(share({ password_hash: 'hash' }));
+
+    await expect(shareService.openShare(TOKEN)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(shareService.openShare(TOKEN, createShareAccessToken('share-2'))).rejects.toMatchObject({ statusCode: 401 });
+    await expect(shareService.openShare(TOKEN, createShareAccessToken('share-1'))).resolves.toMatchObject({ id: 'share-1' });
+  });
+});
+
+describe('claiming downloads', () => {
+  it('counts a download the share still has and grants its continuation', async () => {
+    supabaseService.claimShareDownload.mockResolvedValue(true);
+
+    const grant = await shareService.claimDownload(share(), 'file-1');
+
+    expect(supabaseService.claimShareDownload).toHaveBeenCalledWith('share-1');
+    await expect(shareService.claimDownload(share(), 'file-1', ['forged', grant])).resolves.toBeNull();
+    expect(supabaseService.claimShareDownload).toHaveBeenCalledTimes(1);
+  });
+
+  it('counts a download of another file in the share', async () => {
+    supabaseService.claimShareDownload.mockResolvedValue(true);
+
+    const grant = await shareService.claimDownload(share(), 'file-1');
+    await expect(shareService.claimDownload(share(), 'file-2', [grant])).resolves.toEqual(expect.any(String));
+
+    expect(supabaseService.claimShareDownload).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses a download a concurrent request claimed first', async () => {
+    supabaseService.claimShareDownload.mockResolvedValue(false);
+
+    await expect(shareService.claimDownload(share({ max_downloads: 1 }), 'file-1')).rejects.toMatchObject({
+      statusCode: 410,
+      code: 'SHARE_UNAVAILABLE'
+    });
+  });
+
+  it('reports the downloads left', () => {
+    expect(shareService.describeShare(share({ max_downloads: 5, download_count: 2 })).downloadsRemaining).toBe(3);
+    expect(shareService.describeShare(share({ max_downloads: 5, download_count: 7 })).downloadsRemaining).toBe(0);
+    expect(shareService.describeShare(share()).downloadsRemaining).toBeNull();
+  });
+});
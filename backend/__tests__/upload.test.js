@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+process.env.UPLOAD_TEMP_DIR = tempDir;
+
+const uploadTracker = require('../services/uploadTracker');
+const { singleFileUpload } = require('../middleware/upload');
+const { AppError, errorHandler } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Wait until a condition holds, letting response close handlers run
+ * @param {Function} condition - Condition to wait for
+ */
+const until = async (condition) => {
+  for (let i = 0; i < 1000 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+};
+
+let received;
+
+const app = express();
+app.post('/upload', singleFileUpload('file'), (req, res, next) => {
+  received = req.file;
+
+  if (req.query.refuse) {
+    return next(new AppError('Invalid folder', ERROR_CODES.VALIDATION_ERROR, 400));
+  }
+
+  uploadTracker.finish(req.file.uploadId, 'completed');
+  res.json({ success: true });
+});
+app.use(errorHandler);
+
+beforeEach(() => {
+  received = null;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('spooled uploads', () => {
+  it('marks an upload the request refused after spooling it as failed', async () => {
+    const response = await request(app)
+      .post('/upload?refuse=1')
+      .attach('file', Buffer.from('hello'), { filename: 'hello.txt', contentType: 'text/plain' });
+
+    expect(response.status).toBe(400);
+    await until(() => !fs.existsSync(received.path));
+
+    expect(fs.existsSync(received.path)).toBe(false);
+    expect(uploadTracker.get(received.uploadId)).toMatchObject({
+      status: 'failed',
+      error: 'Upload was not stored',
+      bytesReceived: 5
+    });
+  });
+
+  it('leaves the final state of a stored upload alone', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('file', Buffer.from('hello'), { filename: 'hello.txt', contentType: 'text/plain' });
+
+    expect(response.status).toBe(200);
+    await until(() => !fs.existsSync(received.path));
+
+    expect(uploadTracker.get(received.uploadId)).toMatchObject({ status: 'completed', error: null });
+  });
+});
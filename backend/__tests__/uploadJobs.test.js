@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-jobs-test-'));
+process.env.UPLOAD_TEMP_DIR = tempDir;
+
+jest.mock('../services/fileManager', () => ({
+  validateFile: jest.fn(),
+  uploadFile: jest.fn()
+}));
+
+const fileManagerService = require('../services/fileManager');
+const uploadJobService = require('../services/uploadJobs');
+
+const USER_ID = 'user-1';
+
+/**
+ * Spool a file the way the upload middleware does
+ * @param {string} name - Original name
+ * @returns {Object} File object as multer produces it
+ */
+const spool = (name) => {
+  const filePath = path.join(tempDir, `spool-${name}`);
+  fs.writeFileSync(filePath, name);
+  return { path: filePath, originalname: name, mimetype: 'text/plain', size: name.length };
+};
+
+/**
+ * Wait until a condition holds, letting file writes and workers progress
+ * @param {Function} condition - Condition to wait for
+ * @param {number} attempts - Milliseconds to wait at most, roughly
+ */
+const until = async (condition, attempts = 1000) => {
+  for (let i = 0; i < attempts && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('upload job recovery', () => {
+  it('resumes jobs of a previous run without repeating jobs accepted before it started', async () => {
+    // A job the previous run was processing when it stopped
+    const leftover = {
+      id: 'a'.repeat(32),
+      userId: USER_ID,
+      state: 'processing',
+      originalName: 'left.txt',
+      mimeType: 'text/plain',
+      size: 4,
+      folderId: null,
+      versionOf: null,
+      sha256: null,
+      trackerId: 'gone',
+      cancelRequested: false,
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      startedAt: '2024-01-01T00:00:00.000Z',
+      finishedAt: null
+    };
+    const { dataPath, infoPath } = uploadJobService.getPaths(leftover.id);
+    fs.writeFileSync(dataPath, 'left');
+    fs.writeFileSync(infoPath, JSON.stringify(leftover));
+
+    const uploads = [];
+    fileManagerService.uploadFile.mockImplementation(file => new Promise(resolve => {
+      uploads.push({ name: file.originalname, finish: () => resolve({ file: { id: `file-${file.originalname}` } }) });
+    }));
+
+    // Accepted while file sagas are still being recovered, and already running
+    const early = await uploadJobService.enqueue(spool('early.txt'), USER_ID);
+    await until(() => uploads.length === 1);
+
+    await uploadJobService.start();
+    await until(() => uploads.length === 2);
+    // A job started twice would show up here
+    await until(() => uploads.length > 2, 50);
+
+    expect(uploads.map(upload => upload.name)).toEqual(['early.txt', 'left.txt']);
+    expect(uploadJobService.queue).toEqual([]);
+    expect(uploadJobService.getJob(early.id, USER_ID).state).toBe('processing');
+
+    uploads.forEach(upload => upload.finish());
+    await until(() => uploadJobService.running.size === 0);
+
+    expect(fileManagerService.uploadFile).toHaveBeenCalledTimes(2);
+    expect(uploadJobService.getJob(early.id, USER_ID)).toMatchObject({ state: 'completed', fileId: 'file-early.txt' });
+    expect(uploadJobService.getJob(leftover.id, USER_ID)).toMatchObject({ state: 'completed', fileId: 'file-left.txt' });
+  });
+});
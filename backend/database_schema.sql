@@ -8,6 +8,8 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE TABLE IF NOT EXISTS users (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   email TEXT UNIQUE NOT NULL,
+  -- Bucket placement policy fields overridden for this user; NULL uses the deployment policy
+  placement_policy JSONB,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -18,29 +20,185 @@ CREATE TABLE IF NOT EXISTS repos (
   user_id UUID REFERENCES users(id) ON DELETE CASCADE,
   name TEXT NOT NULL,
   github_repo_id TEXT UNIQUE NOT NULL,
+  -- GitHub account the bucket lives under; NULL means the default account
+  github_owner TEXT,
+  -- True when the bucket lives in the user's own linked GitHub account
+  user_owned BOOLEAN DEFAULT false,
+  -- MIME family ('media', 'documents' or 'other') the bucket is dedicated to under the
+  -- mime-family placement strategy; NULL for buckets that take any type
+  placement_family TEXT,
   size_mb DECIMAL(10,2) DEFAULT 0,
   max_size_mb DECIMAL(10,2) DEFAULT 800,
+  -- Stored assets (single-asset files and chunks); maintained with size_mb by adjust_repo_usage
+  file_count INTEGER DEFAULT 0,
   is_active BOOLEAN DEFAULT true,
+  -- Set when the rebalancer emptied the bucket and archived it; archived buckets stay inactive
+  archived_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Folders table
+-- Folders form a tree per user; files and folders without a parent are at the root
+CREATE TABLE IF NOT EXISTS folders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  parent_id UUID REFERENCES folders(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE NULLS NOT DISTINCT (user_id, parent_id, name)
+);
+
 -- Files table
 CREATE TABLE IF NOT EXISTS files (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID REFERENCES users(id) ON DELETE CASCADE,
   repo_id UUID REFERENCES repos(id) ON DELETE CASCADE,
+  -- Folder the file is listed in; NULL for the root. Folders holding files cannot be
+  -- deleted until the files are, so stored assets are always released by a delete saga
+  folder_id UUID REFERENCES folders(id),
+  -- Earlier versions of a file are rows of their own that point at the current row and
+  -- are not listed in any folder. The current row cannot be deleted while versions
+  -- remain, so their assets are released by delete sagas as well
+  version_of UUID REFERENCES files(id),
+  version_number INTEGER NOT NULL DEFAULT 1,
+  -- Set while the file is in the trash; it keeps its content (and versions) until it is
+  -- restored or purged
+  trashed_at TIMESTAMP WITH TIME ZONE,
   filename TEXT NOT NULL,
   original_name TEXT NOT NULL,
   size_mb DECIMAL(10,2) NOT NULL,
+  size_bytes BIGINT,
   mime_type TEXT,
+  -- Storage location; NULL for chunked files, whose chunks live in file_chunks
+  download_url TEXT,
+  gh_release_id TEXT,
+  gh_asset_id TEXT,
+  -- Where the content lives: a release asset, or for small files a git blob on the
+  -- default branch, in which case gh_asset_id is its path and gh_release_id is NULL
+  storage_tier TEXT NOT NULL DEFAULT 'release' CHECK (storage_tier IN ('release', 'blob')),
+  is_chunked BOOLEAN DEFAULT false,
+  chunk_count INTEGER DEFAULT 1,
+  -- Envelope encryption; NULL algorithm means the asset is stored in plaintext.
+  -- The per-file data key is stored wrapped by the master key or a per-user key.
+  encryption_algorithm TEXT,
+  encryption_key_scope TEXT CHECK (encryption_key_scope IN ('user', 'master')),
+  encrypted_data_key TEXT,
+  encryption_nonce TEXT,
+  encryption_segment_size INTEGER,
+  -- SHA-256 of the plaintext; identical uploads by the same user share one stored asset
+  -- (same filename), which is only deleted with its last referencing row
+  content_sha256 TEXT,
+  -- Integrity scrubber results: 'unverified' until first checked, then 'healthy' or 'damaged'
+  health_status TEXT DEFAULT 'unverified' CHECK (health_status IN ('unverified', 'healthy', 'damaged')),
+  health_issue TEXT,
+  health_checked_at TIMESTAMP WITH TIME ZONE,
+  content_verified_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Chunk manifest for files larger than one release asset
+-- Chunks are reassembled in chunk_index order and may span several repositories
+CREATE TABLE IF NOT EXISTS file_chunks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  file_id UUID REFERENCES files(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  repo_id UUID REFERENCES repos(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  size_bytes BIGINT NOT NULL,
   download_url TEXT NOT NULL,
   gh_release_id TEXT NOT NULL,
   gh_asset_id TEXT NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (file_id, chunk_index)
+);
+
+-- Public links to a file or a whole folder, served without authentication by token
+-- A share stops working when revoked, expired or once max_downloads downloads were served
+CREATE TABLE IF NOT EXISTS shares (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  file_id UUID REFERENCES files(id) ON DELETE CASCADE,
+  folder_id UUID REFERENCES folders(id) ON DELETE CASCADE,
+  token TEXT UNIQUE NOT NULL,
+  -- bcrypt hash; NULL for shares without a password
+  password_hash TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  max_downloads INTEGER CHECK (max_downloads > 0),
+  download_count INTEGER NOT NULL DEFAULT 0,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK ((file_id IS NULL) <> (folder_id IS NULL))
+);
+
+-- GitHub accounts users have linked to own their buckets
+-- The OAuth token is encrypted with the user's key; only the service role reads this table
+CREATE TABLE IF NOT EXISTS user_github_accounts (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  github_login TEXT NOT NULL,
+  github_user_id TEXT NOT NULL,
+  encrypted_token TEXT NOT NULL,
+  token_scope TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Step logs of multi-step file operations (uploads, deletions and moves between buckets)
+-- Failed or interrupted sagas are compensated or finished by the server; only the service role reads this table
+CREATE TABLE IF NOT EXISTS file_sagas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('upload', 'delete', 'move')),
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'compensating', 'completed', 'compensated', 'failed')),
+  file_id UUID,
+  steps JSONB NOT NULL DEFAULT '[]',
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Upgrade databases created from an earlier version of this file
+-- CREATE TABLE IF NOT EXISTS leaves existing tables as they are, so columns added since
+-- are added here; on a new database these statements change nothing.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS placement_policy JSONB;
+
+ALTER TABLE repos
+  ADD COLUMN IF NOT EXISTS github_owner TEXT,
+  ADD COLUMN IF NOT EXISTS user_owned BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS placement_family TEXT,
+  ADD COLUMN IF NOT EXISTS file_count INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE files
+  ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES folders(id),
+  ADD COLUMN IF NOT EXISTS version_of UUID REFERENCES files(id),
+  ADD COLUMN IF NOT EXISTS version_number INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS trashed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS size_bytes BIGINT,
+  ADD COLUMN IF NOT EXISTS storage_tier TEXT NOT NULL DEFAULT 'release' CHECK (storage_tier IN ('release', 'blob')),
+  ADD COLUMN IF NOT EXISTS is_chunked BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS chunk_count INTEGER DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS encryption_algorithm TEXT,
+  ADD COLUMN IF NOT EXISTS encryption_key_scope TEXT CHECK (encryption_key_scope IN ('user', 'master')),
+  ADD COLUMN IF NOT EXISTS encrypted_data_key TEXT,
+  ADD COLUMN IF NOT EXISTS encryption_nonce TEXT,
+  ADD COLUMN IF NOT EXISTS encryption_segment_size INTEGER,
+  ADD COLUMN IF NOT EXISTS content_sha256 TEXT,
+  ADD COLUMN IF NOT EXISTS health_status TEXT DEFAULT 'unverified' CHECK (health_status IN ('unverified', 'healthy', 'damaged')),
+  ADD COLUMN IF NOT EXISTS health_issue TEXT,
+  ADD COLUMN IF NOT EXISTS health_checked_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS content_verified_at TIMESTAMP WITH TIME ZONE,
+  -- Chunked files keep their storage location in file_chunks
+  ALTER COLUMN download_url DROP NOT NULL,
+  ALTER COLUMN gh_release_id DROP NOT NULL,
+  ALTER COLUMN gh_asset_id DROP NOT NULL;
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_repos_user_id ON repos(user_id);
 CREATE INDEX IF NOT EXISTS idx_repos_active ON repos(user_id, is_active);
@@ -50,6 +208,17 @@ CREATE INDEX IF NOT EXISTS idx_files_repo_id ON files(repo_id);
 CREATE INDEX IF NOT EXISTS idx_files_created_at ON files(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_files_filename ON files(filename);
 CREATE INDEX IF NOT EXISTS idx_files_original_name ON files(original_name);
+CREATE INDEX IF NOT EXISTS idx_files_content_sha256 ON files(user_id, content_sha256);
+CREATE INDEX IF NOT EXISTS idx_files_user_filename ON files(user_id, filename);
+CREATE INDEX IF NOT EXISTS idx_files_health ON files(user_id, health_status);
+CREATE INDEX IF NOT EXISTS idx_files_folder_id ON files(user_id, folder_id);
+CREATE INDEX IF NOT EXISTS idx_files_version_of ON files(version_of, version_number DESC);
+CREATE INDEX IF NOT EXISTS idx_files_trashed_at ON files(trashed_at) WHERE trashed_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_folders_parent_id ON folders(user_id, parent_id);
+CREATE INDEX IF NOT EXISTS idx_shares_user_id ON shares(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_file_chunks_file_id ON file_chunks(file_id, chunk_index);
+CREATE INDEX IF NOT EXISTS idx_file_chunks_repo_id ON file_chunks(repo_id);
+CREATE INDEX IF NOT EXISTS idx_file_sagas_status ON file_sagas(status, updated_at);
 
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -61,71 +230,149 @@ END;
 $$ language 'plpgsql';
 
 -- Create triggers to automatically update updated_at
-CREATE TRIGGER update_users_updated_at 
+CREATE OR REPLACE TRIGGER update_users_updated_at 
     BEFORE UPDATE ON users 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_repos_updated_at 
+CREATE OR REPLACE TRIGGER update_repos_updated_at 
     BEFORE UPDATE ON repos 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_files_updated_at 
+CREATE OR REPLACE TRIGGER update_folders_updated_at 
+    BEFORE UPDATE ON folders 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_shares_updated_at 
+    BEFORE UPDATE ON shares 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_files_updated_at 
     BEFORE UPDATE ON files 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE OR REPLACE TRIGGER update_file_sagas_updated_at 
+    BEFORE UPDATE ON file_sagas 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Row Level Security (RLS) policies
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE repos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE folders ENABLE ROW LEVEL SECURITY;
 ALTER TABLE files ENABLE ROW LEVEL SECURITY;
+ALTER TABLE file_chunks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shares ENABLE ROW LEVEL SECURITY;
+-- No policies: linked account tokens are never exposed to clients
+ALTER TABLE user_github_accounts ENABLE ROW LEVEL SECURITY;
+-- No policies: saga logs are internal to the server
+ALTER TABLE file_sagas ENABLE ROW LEVEL SECURITY;
 
+-- Policies are dropped and created again so this file can be run on an existing database
 -- Policies for users table
+DROP POLICY IF EXISTS "Users can view own profile" ON users;
 CREATE POLICY "Users can view own profile" ON users
     FOR SELECT USING (auth.uid() = id);
 
+DROP POLICY IF EXISTS "Users can update own profile" ON users;
 CREATE POLICY "Users can update own profile" ON users
     FOR UPDATE USING (auth.uid() = id);
 
 -- Policies for repos table
+DROP POLICY IF EXISTS "Users can view own repositories" ON repos;
 CREATE POLICY "Users can view own repositories" ON repos
     FOR SELECT USING (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Users can create own repositories" ON repos;
 CREATE POLICY "Users can create own repositories" ON repos
     FOR INSERT WITH CHECK (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Users can update own repositories" ON repos;
 CREATE POLICY "Users can update own repositories" ON repos
     FOR UPDATE USING (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Users can delete own repositories" ON repos;
 CREATE POLICY "Users can delete own repositories" ON repos
     FOR DELETE USING (auth.uid() = user_id);
 
+-- Policies for folders table
+DROP POLICY IF EXISTS "Users can view own folders" ON folders;
+CREATE POLICY "Users can view own folders" ON folders
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create own folders" ON folders;
+CREATE POLICY "Users can create own folders" ON folders
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own folders" ON folders;
+CREATE POLICY "Users can update own folders" ON folders
+    FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own folders" ON folders;
+CREATE POLICY "Users can delete own folders" ON folders
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Policies for shares table (public access by token goes through the service role)
+DROP POLICY IF EXISTS "Users can view own shares" ON shares;
+CREATE POLICY "Users can view own shares" ON shares
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create own shares" ON shares;
+CREATE POLICY "Users can create own shares" ON shares
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own shares" ON shares;
+CREATE POLICY "Users can update own shares" ON shares
+    FOR UPDATE USING (auth.uid() = user_id);
+
 -- Policies for files table
+DROP POLICY IF EXISTS "Users can view own files" ON files;
 CREATE POLICY "Users can view own files" ON files
     FOR SELECT USING (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Users can create own files" ON files;
 CREATE POLICY "Users can create own files" ON files
     FOR INSERT WITH CHECK (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Users can update own files" ON files;
 CREATE POLICY "Users can update own files" ON files
     FOR UPDATE USING (auth.uid() = user_id);
 
+DROP POLICY IF EXISTS "Users can delete own files" ON files;
 CREATE POLICY "Users can delete own files" ON files
     FOR DELETE USING (auth.uid() = user_id);
 
+-- Policies for file_chunks table
+DROP POLICY IF EXISTS "Users can view own file chunks" ON file_chunks;
+CREATE POLICY "Users can view own file chunks" ON file_chunks
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create own file chunks" ON file_chunks;
+CREATE POLICY "Users can create own file chunks" ON file_chunks
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own file chunks" ON file_chunks;
+CREATE POLICY "Users can delete own file chunks" ON file_chunks
+    FOR DELETE USING (auth.uid() = user_id);
+
 -- Optional: Create a view for file statistics
+-- Files are counted once, without their earlier versions; the storage versions take up is
+-- part of the total and also reported on its own. Dropped first, as columns were added since.
+DROP VIEW IF EXISTS file_stats;
 CREATE VIEW file_stats AS
 SELECT 
     user_id,
-    COUNT(*) as total_files,
+    COUNT(*) FILTER (WHERE version_of IS NULL) as total_files,
     SUM(size_mb) as total_size_mb,
-    AVG(size_mb) as avg_file_size_mb,
-    MAX(size_mb) as largest_file_mb,
-    MIN(size_mb) as smallest_file_mb,
-    MAX(created_at) as last_upload
+    AVG(size_mb) FILTER (WHERE version_of IS NULL) as avg_file_size_mb,
+    MAX(size_mb) FILTER (WHERE version_of IS NULL) as largest_file_mb,
+    MIN(size_mb) FILTER (WHERE version_of IS NULL) as smallest_file_mb,
+    MAX(created_at) as last_upload,
+    COUNT(*) FILTER (WHERE version_of IS NOT NULL) as version_files,
+    SUM(size_mb) FILTER (WHERE version_of IS NOT NULL) as version_size_mb
 FROM files
 GROUP BY user_id;
 
 -- Optional: Create a view for repository statistics
-CREATE VIEW repo_stats AS
+CREATE OR REPLACE VIEW repo_stats AS
 SELECT 
     user_id,
     COUNT(*) as total_repos,
@@ -137,10 +384,13 @@ FROM repos
 GROUP BY user_id;
 
 -- Function to calculate user storage statistics
-CREATE OR REPLACE FUNCTION get_user_storage_stats(user_uuid UUID)
+DROP FUNCTION IF EXISTS get_user_storage_stats(UUID);
+CREATE FUNCTION get_user_storage_stats(user_uuid UUID)
 RETURNS TABLE (
     total_files BIGINT,
     total_size_mb NUMERIC,
+    version_files BIGINT,
+    version_size_mb NUMERIC,
     total_repos BIGINT,
     active_repos BIGINT,
     total_capacity_mb NUMERIC,
@@ -151,6 +401,8 @@ BEGIN
     SELECT 
         COALESCE(fs.total_files, 0) as total_files,
         COALESCE(fs.total_size_mb, 0) as total_size_mb,
+        COALESCE(fs.version_files, 0) as version_files,
+        COALESCE(fs.version_size_mb, 0) as version_size_mb,
         COALESCE(rs.total_repos, 0) as total_repos,
         COALESCE(rs.active_repos, 0) as active_repos,
         COALESCE(rs.total_capacity_mb, 0) as total_capacity_mb,
@@ -164,6 +416,310 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Atomically add to (or subtract from) a repository's usage
+-- Concurrent uploads and deletions each apply their delta in a single statement
+CREATE OR REPLACE FUNCTION adjust_repo_usage(repo_uuid UUID, size_delta_mb NUMERIC, file_delta INTEGER DEFAULT 0)
+RETURNS SETOF repos AS $$
+    UPDATE repos
+    SET size_mb = GREATEST(size_mb + size_delta_mb, 0),
+        file_count = GREATEST(file_count + file_delta, 0)
+    WHERE id = repo_uuid
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Recompute every repository's usage from the files and chunks stored in it and correct
+-- the ones that drifted. Deduplicated files share their stored content, so each stored
+-- asset is counted once. Repositories with an unfinished upload, delete or move saga are skipped,
+-- as their assets and file rows are not in step yet.
+-- Returns the corrected repositories with their recorded and actual usage.
+CREATE OR REPLACE FUNCTION reconcile_repo_usage()
+RETURNS TABLE (
+    repo_id UUID,
+    repo_name TEXT,
+    recorded_size_mb NUMERIC,
+    actual_size_mb NUMERIC,
+    recorded_file_count INTEGER,
+    actual_file_count INTEGER
+) AS $$
+    WITH stored AS (
+        SELECT DISTINCT ON (f.repo_id, f.user_id, f.filename)
+            f.repo_id, COALESCE(f.size_bytes / 1048576.0, f.size_mb) AS size_mb
+        FROM files f
+        WHERE f.repo_id IS NOT NULL AND NOT COALESCE(f.is_chunked, false)
+        UNION ALL
+        SELECT DISTINCT ON (c.repo_id, c.gh_asset_id)
+            c.repo_id, c.size_bytes / 1048576.0 AS size_mb
+        FROM file_chunks c
+    ),
+    usage AS (
+        SELECT r.id, r.size_mb AS recorded_size_mb, r.file_count AS recorded_file_count,
+            ROUND(COALESCE(SUM(s.size_mb), 0), 2) AS actual_size_mb,
+            COUNT(s.repo_id)::INTEGER AS actual_file_count
+        FROM repos r
+        LEFT JOIN stored s ON s.repo_id = r.id
+        WHERE NOT EXISTS (
+            SELECT 1 FROM file_sagas fs
+            WHERE fs.status IN ('running', 'compensating')
+              AND (fs.steps @> jsonb_build_array(jsonb_build_object('repoId', r.id::TEXT))
+                OR fs.steps @> jsonb_build_array(jsonb_build_object('assets', jsonb_build_array(jsonb_build_object('repoId', r.id::TEXT)))))
+        )
+        GROUP BY r.id
+    )
+    UPDATE repos r
+    SET size_mb = u.actual_size_mb,
+        file_count = u.actual_file_count
+    FROM usage u
+    WHERE r.id = u.id
+      AND (r.size_mb IS DISTINCT FROM u.actual_size_mb OR r.file_count IS DISTINCT FROM u.actual_file_count)
+    RETURNING r.id, r.name, u.recorded_size_mb, u.actual_size_mb, u.recorded_file_count, u.actual_file_count;
+$$ LANGUAGE sql;
+
+-- Point every file and chunk stored as one asset at its copy in another repository and
+-- move the asset's usage along with it, in a single transaction. Chunked files follow
+-- their chunks, so a repository holds no rows once all of its assets were moved.
+-- Returns the number of rows moved; 0 means nothing references the asset any more.
+CREATE OR REPLACE FUNCTION move_stored_asset(
+    source_repo UUID,
+    source_asset_id TEXT,
+    target_repo UUID,
+    target_release_id TEXT,
+    target_asset_id TEXT,
+    target_download_url TEXT,
+    target_storage_tier TEXT,
+    asset_size_mb NUMERIC
+)
+RETURNS INTEGER AS $$
+DECLARE
+    moved_files INTEGER;
+    moved_chunks INTEGER;
+BEGIN
+    UPDATE files
+    SET repo_id = target_repo,
+        gh_release_id = target_release_id,
+        gh_asset_id = target_asset_id,
+        download_url = target_download_url,
+        storage_tier = target_storage_tier
+    WHERE files.repo_id = source_repo AND files.gh_asset_id = source_asset_id;
+    GET DIAGNOSTICS moved_files = ROW_COUNT;
+
+    UPDATE file_chunks
+    SET repo_id = target_repo,
+        gh_release_id = target_release_id,
+        gh_asset_id = target_asset_id,
+        download_url = target_download_url
+    WHERE file_chunks.repo_id = source_repo AND file_chunks.gh_asset_id = source_asset_id;
+    GET DIAGNOSTICS moved_chunks = ROW_COUNT;
+
+    UPDATE files
+    SET repo_id = target_repo
+    WHERE files.is_chunked AND files.repo_id = source_repo
+      AND files.id IN (
+          SELECT file_chunks.file_id FROM file_chunks
+          WHERE file_chunks.repo_id = target_repo AND file_chunks.gh_asset_id = target_asset_id
+      );
+
+    IF moved_files + moved_chunks > 0 THEN
+        PERFORM adjust_repo_usage(source_repo, -asset_size_mb, -1);
+        PERFORM adjust_repo_usage(target_repo, asset_size_mb, 1);
+    END IF;
+
+    RETURN moved_files + moved_chunks;
+END;
+$$ LANGUAGE plpgsql;
+
+-- IDs of a folder and every folder below it
+CREATE OR REPLACE FUNCTION folder_subtree(owner UUID, root_folder UUID)
+RETURNS TABLE (folder_id UUID) AS $$
+    WITH RECURSIVE tree AS (
+        SELECT folders.id FROM folders
+        WHERE folders.user_id = owner AND folders.id = root_folder
+        UNION ALL
+        SELECT folders.id FROM folders JOIN tree ON folders.parent_id = tree.id
+    )
+    SELECT tree.id FROM tree;
+$$ LANGUAGE sql STABLE;
+
+-- Recursive totals of folders: the files and folders anywhere below each one, and the
+-- files' combined size; files in the trash are left out
+CREATE OR REPLACE FUNCTION folder_stats(owner UUID, folder_ids UUID[])
+RETURNS TABLE (folder_id UUID, file_count BIGINT, folder_count BIGINT, size_bytes BIGINT) AS $$
+    WITH RECURSIVE tree AS (
+        SELECT folders.id AS root_id, folders.id FROM folders
+        WHERE folders.user_id = owner AND folders.id = ANY(folder_ids)
+        UNION ALL
+        SELECT tree.root_id, folders.id FROM folders JOIN tree ON folders.parent_id = tree.id
+    )
+    SELECT tree.root_id,
+        COUNT(files.id),
+        COUNT(DISTINCT tree.id) - 1,
+        COALESCE(SUM(COALESCE(files.size_bytes, ROUND(files.size_mb * 1048576))), 0)::BIGINT
+    FROM tree
+    LEFT JOIN files ON files.folder_id = tree.id AND files.trashed_at IS NULL
+    GROUP BY tree.root_id;
+$$ LANGUAGE sql STABLE;
+
+-- Count one download of a share, unless it is revoked, expired or out of downloads
+-- Returns TRUE if the download may be served. Checking and counting in one statement keeps
+-- concurrent downloads from going over max_downloads.
+CREATE OR REPLACE FUNCTION claim_share_download(target_share UUID)
+RETURNS BOOLEAN AS $$
+    WITH claimed AS (
+        UPDATE shares
+        SET download_count = download_count + 1
+        WHERE id = target_share
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+          AND (max_downloads IS NULL OR download_count < max_downloads)
+        RETURNING id
+    )
+    SELECT EXISTS (SELECT 1 FROM claimed);
+$$ LANGUAGE sql;
+
+-- Make a version the current content of a file. The two rows swap their content and
+-- chunks in one transaction, so the file keeps its ID (and its shares) while its previous
+-- content stays behind as a version. Returns the new current version number.
+CREATE OR REPLACE FUNCTION promote_file_version(current_file UUID, version_file UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    next_version INTEGER;
+BEGIN
+    -- Concurrent new versions of one file are numbered one after the other
+    PERFORM 1 FROM files WHERE id = current_file FOR UPDATE;
+
+    SELECT MAX(files.version_number) + 1 INTO next_version
+    FROM files
+    WHERE files.id = current_file OR files.version_of = current_file;
+
+    UPDATE files SET version_number = next_version
+    WHERE id = version_file AND version_of = current_file;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'File % is not a version of file %', version_file, current_file;
+    END IF;
+
+    UPDATE files f
+    SET repo_id = o.repo_id,
+        filename = o.filename,
+        size_mb = o.size_mb,
+        size_bytes = o.size_bytes,
+        mime_type = o.mime_type,
+        download_url = o.download_url,
+        gh_release_id = o.gh_release_id,
+        gh_asset_id = o.gh_asset_id,
+        storage_tier = o.storage_tier,
+        is_chunked = o.is_chunked,
+        chunk_count = o.chunk_count,
+        encryption_algorithm = o.encryption_algorithm,
+        encryption_key_scope = o.encryption_key_scope,
+        encrypted_data_key = o.encrypted_data_key,
+        encryption_nonce = o.encryption_nonce,
+        encryption_segment_size = o.encryption_segment_size,
+        content_sha256 = o.content_sha256,
+        health_status = o.health_status,
+        health_issue = o.health_issue,
+        health_checked_at = o.health_checked_at,
+        content_verified_at = o.content_verified_at,
+        version_number = o.version_number,
+        created_at = o.created_at,
+        updated_at = NOW()
+    FROM files o
+    WHERE (f.id = current_file AND o.id = version_file)
+       OR (f.id = version_file AND o.id = current_file);
+
+    -- Chunk indexes are negated while moving so (file_id, chunk_index) stays unique
+    UPDATE file_chunks SET file_id = version_file, chunk_index = -1 - chunk_index
+    WHERE file_id = current_file;
+
+    UPDATE file_chunks SET file_id = current_file
+    WHERE file_id = version_file AND chunk_index >= 0;
+
+    UPDATE file_chunks SET chunk_index = -1 - chunk_index
+    WHERE file_id = version_file AND chunk_index < 0;
+
+    RETURN next_version;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Add a file row that refers to the stored content (asset or chunks) of another one.
+-- The source row is locked while the reference is made, so a concurrent
+-- delete_file_reference either counts the new row or has removed the source first, in
+-- which case nothing is added. Returns the new row, or no row if the source is gone.
+CREATE OR REPLACE FUNCTION add_file_reference(owner UUID, source_file UUID, fields JSONB)
+RETURNS SETOF files AS $$
+DECLARE
+    created files;
+BEGIN
+    PERFORM 1 FROM files WHERE files.id = source_file AND files.user_id = owner FOR SHARE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO files (
+        user_id, repo_id, folder_id, version_of, filename, original_name, size_mb, size_bytes,
+        mime_type, download_url, gh_release_id, gh_asset_id, storage_tier, is_chunked, chunk_count,
+        encryption_algorithm, encryption_key_scope, encrypted_data_key, encryption_nonce,
+        encryption_segment_size, content_sha256
+    )
+    SELECT owner, s.repo_id, (fields->>'folder_id')::UUID, (fields->>'version_of')::UUID, s.filename,
+        fields->>'original_name', (fields->>'size_mb')::NUMERIC, (fields->>'size_bytes')::BIGINT,
+        fields->>'mime_type', s.download_url, s.gh_release_id, s.gh_asset_id, s.storage_tier,
+        s.is_chunked, s.chunk_count, s.encryption_algorithm, s.encryption_key_scope,
+        s.encrypted_data_key, s.encryption_nonce, s.encryption_segment_size, fields->>'content_sha256'
+    FROM files s
+    WHERE s.id = source_file
+    RETURNING * INTO created;
+
+    INSERT INTO file_chunks (file_id, user_id, repo_id, chunk_index, size_bytes, download_url, gh_release_id, gh_asset_id)
+    SELECT created.id, owner, c.repo_id, c.chunk_index, c.size_bytes, c.download_url, c.gh_release_id, c.gh_asset_id
+    FROM file_chunks c
+    WHERE c.file_id = source_file;
+
+    RETURN NEXT created;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Delete a file row for a delete saga and count the rows still referring to its stored
+-- content, in one transaction. Every row sharing the content is locked first, so of two
+-- concurrent deletions only the later one finds no other reference. The count is logged
+-- as the saga's file_deleted step in the same transaction, so a saga resumed after a crash
+-- releases the content only if this deletion was its last reference.
+-- Returns the number of other references, or NULL if the file does not exist.
+CREATE OR REPLACE FUNCTION delete_file_reference(owner UUID, target_file UUID, delete_saga UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    shared_filename TEXT;
+    remaining INTEGER;
+BEGIN
+    SELECT files.filename INTO shared_filename
+    FROM files WHERE files.id = target_file AND files.user_id = owner;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM 1 FROM files
+    WHERE files.user_id = owner AND files.filename = shared_filename
+    ORDER BY files.id
+    FOR UPDATE;
+
+    DELETE FROM files WHERE files.id = target_file AND files.user_id = owner;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT COUNT(*) INTO remaining
+    FROM files WHERE files.user_id = owner AND files.filename = shared_filename;
+
+    UPDATE file_sagas
+    SET steps = steps || jsonb_build_array(jsonb_build_object('step', 'file_deleted', 'references', remaining, 'at', NOW()))
+    WHERE file_sagas.id = delete_saga;
+
+    RETURN remaining;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Sample data (optional, for testing)
 -- Uncomment the following lines if you want to add sample data
 
@@ -211,7 +767,10 @@ DROP VIEW IF EXISTS file_stats CASCADE;
 DROP VIEW IF EXISTS repo_stats CASCADE;
 DROP FUNCTION IF EXISTS get_user_storage_stats(UUID);
 DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
+DROP TABLE IF EXISTS shares CASCADE;
+DROP TABLE IF EXISTS file_chunks CASCADE;
 DROP TABLE IF EXISTS files CASCADE;
+DROP TABLE IF EXISTS folders CASCADE;
 DROP TABLE IF EXISTS repos CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
 */
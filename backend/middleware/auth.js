@@ -1,6 +1,15 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const supabaseService = require('../services/supabase');
 const { AppError } = require('./errorHandler');
-const { ERROR_CODES } = require('../utils/constants');
+const { ERROR_CODES, DOWNLOAD_URL_TTL_SECONDS, SHARE_ACCESS_TTL_SECONDS, SHARE_DOWNLOAD_GRANT_SECONDS } = require('../utils/constants');
+
+// Key for signed download links. Without a configured secret, links stop working on restart.
+const downloadUrlSecret = process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET;
+if (!downloadUrlSecret) {
+  console.warn('⚠️ DOWNLOAD_URL_SECRET is not set; signed download links will not survive a restart');
+}
+const downloadSigningKey = downloadUrlSecret || crypto.randomBytes(32).toString('hex');
 
 /**
  * Authentication middleware for protecting routes
@@ -113,6 +122,121 @@ const optionalAuthMiddleware = async (req, res, next) => {
   }
 };
 
+/**
+ * Create a signed, short-lived token that grants download access to one file
+ * @param {string} fileId - File ID
+ * @param {string} userId - Owner's user ID
+ * @returns {string} Download token
+ */
+const createDownloadToken = (fileId, userId) => {
+  return jwt.sign({ fid: fileId }, downloadSigningKey, {
+    subject: userId,
+    audience: 'download',
+    expiresIn: DOWNLOAD_URL_TTL_SECONDS
+  });
+};
+
+/**
+ * Create a signed, short-lived token proving the password of a share was given
+ * @param {string} shareId - Share ID
+ * @returns {string} Share access token
+ */
+const createShareAccessToken = (shareId) => {
+  return jwt.sign({}, downloadSigningKey, {
+    subject: shareId,
+    audience: 'share',
+    expiresIn: SHARE_ACCESS_TTL_SECONDS
+  });
+};
+
+/**
+ * Check a share access token
+ * @param {string} token - Share access token
+ * @param {string} shareId - Share the token must have been issued for
+ * @returns {boolean} True if the token is valid for the share
+ */
+const verifyShareAccessToken = (token, shareId) => {
+  try {
+    return jwt.verify(token, downloadSigningKey, { audience: 'share', subject: shareId }).sub === shareId;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Create a signed, short-lived grant for one counted download of a shared file
+ * Later requests of the same download (ranges) present it instead of counting again.
+ * @param {string} shareId - Share ID
+ * @param {string} fileId - Downloaded file ID
+ * @returns {string} Download grant
+ */
+const createShareDownloadGrant = (shareId, fileId) => {
+  return jwt.sign({ fid: fileId }, downloadSigningKey, {
+    subject: shareId,
+    audience: 'share-download',
+    expiresIn: SHARE_DOWNLOAD_GRANT_SECONDS
+  });
+};
+
+/**
+ * Check a share download grant
+ * @param {string} grant - Download grant
+ * @param {string} shareId - Share the grant must have been issued for
+ * @param {string|null} fileId - File the grant must have been issued for (any file if null)
+ * @returns {boolean} True if the grant is valid
+ */
+const verifyShareDownloadGrant = (grant, shareId, fileId = null) => {
+  try {
+    const payload = jwt.verify(grant, downloadSigningKey, { audience: 'share-download', subject: shareId });
+    return payload.sub === shareId && (fileId === null || payload.fid === fileId);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Authentication middleware that also accepts signed download links
+ * A `token` query parameter authenticates only GET/HEAD of the file it was issued for;
+ * every other request goes through the regular authMiddleware.
+ */
+const downloadAuthMiddleware = (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    const payload = jwt.verify(token, downloadSigningKey, { audience: 'download' });
+    const isOwnDownload = (req.method === 'GET' || req.method === 'HEAD') &&
+      req.path === `/${payload.fid}/download`;
+
+    if (!isOwnDownload) {
+      throw new AppError(
+        'Invalid download link',
+        ERROR_CODES.AUTH_INVALID,
+        401,
+        'This link only grants access to a single file download'
+      );
+    }
+
+    req.user = { id: payload.sub };
+    next();
+  } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+
+    const expired = error.name === 'TokenExpiredError';
+    next(new AppError(
+      expired ? 'Download link expired' : 'Invalid download link',
+      expired ? ERROR_CODES.AUTH_EXPIRED : ERROR_CODES.AUTH_INVALID,
+      401,
+      'Request a new download link'
+    ));
+  }
+};
+
 /**
  * Admin-only middleware
  * Checks if user has admin privileges
@@ -261,6 +385,12 @@ const validateOwnership = (resourceKey = 'id') => {
 module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
+  downloadAuthMiddleware,
+  createDownloadToken,
+  createShareAccessToken,
+  verifyShareAccessToken,
+  createShareDownloadGrant,
+  verifyShareDownloadGrant,
   adminMiddleware,
   userRateLimitMiddleware,
   validateOwnership
@@ -1,14 +1,97 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const multer = require('multer');
+const uploadTracker = require('../services/uploadTracker');
 const { AppError } = require('./errorHandler');
-const { ERROR_CODES, MAX_FILE_SIZE_BYTES, ALLOWED_MIME_TYPES } = require('../utils/constants');
+const { ERROR_CODES, MAX_FILE_SIZE_BYTES, ALLOWED_MIME_TYPES, UPLOAD_TEMP_DIR } = require('../utils/constants');
 const Helpers = require('../utils/helpers');
 
 /**
  * Configure multer for file uploads
  */
 
-// Memory storage - files will be stored in memory as Buffer
-const storage = multer.memoryStorage();
+/**
+ * Spool storage engine
+ * Streams each uploaded file to a temporary file on disk instead of buffering it in
+ * memory, counting received bytes in the upload tracker and hashing them on the way.
+ * Files expose `path`, `uploadId` and `sha256`; the spooled copy is removed once the
+ * response has been sent.
+ */
+class SpoolStorage {
+  constructor() {
+    fs.mkdirSync(UPLOAD_TEMP_DIR, { recursive: true });
+  }
+
+  _handleFile(req, file, cb) {
+    const spoolPath = path.join(UPLOAD_TEMP_DIR, `upload-${Helpers.generateRandomString(24)}`);
+    const uploadId = uploadTracker.start({
+      userId: req.user?.id,
+      filename: file.originalname
+    });
+
+    const hash = crypto.createHash('sha256');
+
+    pipeline(
+      file.stream,
+      uploadTracker.createCounter(uploadId, 'bytesReceived'),
+      new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          callback(null, chunk);
+        }
+      }),
+      fs.createWriteStream(spoolPath)
+    )
+      .then(() => {
+        const { bytesReceived } = uploadTracker.get(uploadId);
+        uploadTracker.update(uploadId, { totalBytes: bytesReceived, status: 'received' });
+        cb(null, { path: spoolPath, size: bytesReceived, uploadId, sha256: hash.digest('hex') });
+      })
+      .catch((error) => {
+        uploadTracker.finish(uploadId, 'failed', error.message);
+        fs.promises.rm(spoolPath, { force: true }).finally(() => cb(error));
+      });
+  }
+
+  _removeFile(req, file, cb) {
+    if (file.uploadId) {
+      uploadTracker.finish(file.uploadId, 'failed', 'Upload aborted');
+    }
+
+    fs.promises.rm(file.path, { force: true }).then(() => cb(null), cb);
+  }
+}
+
+const storage = new SpoolStorage();
+
+/**
+ * Remove spooled upload files once the response is finished
+ * Files whose `path` was cleared (handed off to another owner) are left alone. Uploads
+ * that never got to storage (the request was refused, or the client went away) are
+ * marked failed in the upload tracker.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cleanupSpooledFiles = (req, res) => {
+  res.on('close', () => {
+    const uploadedFiles = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+    const files = [req.file, ...uploadedFiles].filter(file => file && file.path);
+
+    for (const file of files) {
+      const upload = file.uploadId ? uploadTracker.get(file.uploadId) : null;
+      if (upload && ['receiving', 'received'].includes(upload.status)) {
+        uploadTracker.finish(file.uploadId, 'failed', 'Upload was not stored');
+      }
+
+      fs.promises.rm(file.path, { force: true }).catch((error) => {
+        console.warn(`Failed to remove spooled upload ${file.path}:`, error.message);
+      });
+    }
+  });
+};
 
 /**
  * File filter function to validate uploaded files
@@ -98,6 +181,7 @@ const uploadMultiple = multer({
 const singleFileUpload = (fieldName = 'file') => {
   return (req, res, next) => {
     const uploadSingle = upload.single(fieldName);
+    cleanupSpooledFiles(req, res);
     
     uploadSingle(req, res, (error) => {
       if (error) {
@@ -190,6 +274,7 @@ const multipleFileUpload = (fieldName = 'files', maxFiles = 10) => {
     });
     
     const uploadArray = uploadMultipleConfig.array(fieldName, maxFiles);
+    cleanupSpooledFiles(req, res);
     
     uploadArray(req, res, (error) => {
       if (error) {
@@ -268,6 +353,7 @@ const multipleFileUpload = (fieldName = 'files', maxFiles = 10) => {
 const fileFieldsUpload = (fields) => {
   return (req, res, next) => {
     const uploadFields = upload.fields(fields);
+    cleanupSpooledFiles(req, res);
     
     uploadFields(req, res, (error) => {
       if (error) {
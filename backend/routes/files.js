@@ -1,22 +1,65 @@
 const express = require('express');
 const fileManagerService = require('../services/fileManager');
-const { authMiddleware, validateOwnership, userRateLimitMiddleware } = require('../middleware/auth');
+const uploadJobService = require('../services/uploadJobs');
+const storageService = require('../services/storage');
+const folderService = require('../services/folders');
+const shareService = require('../services/shares');
+const { downloadAuthMiddleware, createDownloadToken, validateOwnership, userRateLimitMiddleware } = require('../middleware/auth');
 const { singleFileUpload, multipleFileUpload, validateUploadRequirements, logUploadAttempt } = require('../middleware/upload');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { ERROR_CODES } = require('../utils/constants');
+const { ERROR_CODES, DOWNLOAD_MODE } = require('../utils/constants');
 const Helpers = require('../utils/helpers');
+const { sendFileContent } = require('../utils/fileResponses');
 
 const router = express.Router();
 
-// Apply authentication to all file routes
-router.use(authMiddleware);
+// Apply authentication to all file routes (downloads also accept signed links)
+router.use(downloadAuthMiddleware);
 
 // Apply user-specific rate limiting
 const fileUploadRateLimit = userRateLimitMiddleware(50, 60 * 1000); // 50 uploads per minute
 const fileOperationRateLimit = userRateLimitMiddleware(200, 60 * 1000); // 200 operations per minute
 
+/**
+ * Resolve the folder an upload goes to from the form's `folderId` or `path` field
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} Folder ID, or null for the root
+ */
+const resolveUploadFolder = async (req) => {
+  const folder = await folderService.resolveFolder(req.user.id, req.body || {});
+  return folder ? folder.id : null;
+};
+
+/**
+ * Resolve the folder a rename, move or copy targets from the body's `folderId` or `path`
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null|undefined>} Folder ID, null for the root, or undefined if neither was given
+ */
+const resolveTargetFolder = async (req) => {
+  const { folderId, path } = req.body || {};
+
+  if (folderId === undefined && path === undefined) {
+    return undefined;
+  }
+
+  const folder = await folderService.resolveFolder(req.user.id, { folderId, path });
+  return folder ? folder.id : null;
+};
+
+/**
+ * Get the share options of a request body
+ * @param {Object} req - Express request object
+ * @returns {Object} Share options (password, expiresAt, expiresIn, maxDownloads)
+ */
+const getShareOptions = (req) => {
+  const { password, expiresAt, expiresIn, maxDownloads } = req.body || {};
+  return { password, expiresAt, expiresIn, maxDownloads };
+};
+
 /**
  * Upload a single file
+ * With ?async=true the file is only received here and stored by a background job;
+ * the response is 202 with the job to poll.
  * POST /api/files/upload
  */
 router.post('/upload', 
@@ -26,6 +69,21 @@ router.post('/upload',
   singleFileUpload('file'),
   asyncHandler(async (req, res) => {
     try {
+      req.file.folderId = await resolveUploadFolder(req);
+
+      if (req.query.async === 'true') {
+        const job = await uploadJobService.enqueue(req.file, req.user.id);
+
+        const response = Helpers.createResponse(
+          true,
+          { job },
+          'File received and queued for storage',
+          'FILE_UPLOAD_QUEUED'
+        );
+
+        return res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json(response);
+      }
+
       const uploadResult = await fileManagerService.uploadFile(req.file, req.user.id);
 
       const response = Helpers.createResponse(
@@ -65,6 +123,9 @@ router.post('/upload-multiple',
   multipleFileUpload('files', 10), // Maximum 10 files
   asyncHandler(async (req, res) => {
     try {
+      const folderId = await resolveUploadFolder(req);
+      req.files.forEach(file => { file.folderId = folderId; });
+
       const uploadResult = await fileManagerService.uploadMultipleFiles(req.files, req.user.id);
 
       const response = Helpers.createResponse(
@@ -93,8 +154,320 @@ router.post('/upload-multiple',
   })
 );
 
+/**
+ * List the user's upload jobs, newest first
+ * GET /api/files/jobs?active=true
+ */
+router.get('/jobs',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    try {
+      const jobs = uploadJobService.listJobs(req.user.id, req.query.active === 'true');
+
+      const response = Helpers.createResponse(
+        true,
+        { jobs },
+        'Upload jobs retrieved successfully',
+        'UPLOAD_JOBS_RETRIEVED'
+      );
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('Upload job listing error:', error);
+      
+      if (error instanceof AppError) {
+        throw error;
+      }
+      
+      throw new AppError(
+        'Failed to retrieve upload jobs',
+        ERROR_CODES.INTERNAL_ERROR,
+        500,
+        error.message
+      );
+    }
+  })
+);
+
+/**
+ * Get an upload job's state and progress
+ * GET /api/files/jobs/:jobId
+ */
+router.get('/jobs/:jobId',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    try {
+      const job = uploadJobService.getJob(req.params.jobId, req.user.id);
+
+      const response = Helpers.createResponse(
+        true,
+        { job },
+        'Upload job retrieved successfully',
+        'UPLOAD_JOB_RETRIEVED'
+      );
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('Upload job retrieval error:', error);
+      
+      if (error instanceof AppError) {
+        throw error;
+      }
+      
+      throw new AppError(
+        'Failed to retrieve upload job',
+        ERROR_CODES.INTERNAL_ERROR,
+        500,
+        error.message
+      );
+    }
+  })
+);
+
+/**
+ * Cancel an upload job
+ * DELETE /api/files/jobs/:jobId
+ */
+router.delete('/jobs/:jobId',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    try {
+      const job = await uploadJobService.cancelJob(req.params.jobId, req.user.id);
+
+      const response = Helpers.createResponse(
+        true,
+        { job },
+        job.state === 'cancelled' ? 'Upload job cancelled' : 'Upload job cancellation requested',
+        'UPLOAD_JOB_CANCELLED'
+      );
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('Upload job cancellation error:', error);
+      
+      if (error instanceof AppError) {
+        throw error;
+      }
+      
+      throw new AppError(
+        'Failed to cancel upload job',
+        ERROR_CODES.INTERNAL_ERROR,
+        500,
+        error.message
+      );
+    }
+  })
+);
+
+/**
+ * Create a folder
+ * POST /api/files/folders
+ * Body: { name, parentId? }
+ */
+router.post('/folders',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const folder = await folderService.createFolder(req.user.id, req.body.name, req.body.parentId || null);
+
+    const response = Helpers.createResponse(
+      true,
+      { folder },
+      'Folder created successfully',
+      'FOLDER_CREATED'
+    );
+
+    res.status(201).json(response);
+  })
+);
+
+/**
+ * Get a folder with its breadcrumbs and recursive file count and size
+ * GET /api/files/folders/:folderId
+ */
+router.get('/folders/:folderId',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const folder = await folderService.getFolder(req.user.id, req.params.folderId);
+
+    const response = Helpers.createResponse(
+      true,
+      { folder },
+      'Folder retrieved successfully',
+      'FOLDER_RETRIEVED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Rename a folder or move it under another parent
+ * PATCH /api/files/folders/:folderId
+ * Body: { name?, parentId? } (parentId null moves the folder to the root)
+ */
+router.patch('/folders/:folderId',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const folder = await folderService.updateFolder(req.user.id, req.params.folderId, {
+      name: req.body.name,
+      parentId: req.body.parentId
+    });
+
+    const response = Helpers.createResponse(
+      true,
+      { folder },
+      'Folder updated successfully',
+      'FOLDER_UPDATED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Delete a folder
+ * Non-empty folders are only deleted with ?recursive=true, which moves every file below
+ * them to the trash and deletes the folders.
+ * DELETE /api/files/folders/:folderId
+ */
+router.delete('/folders/:folderId',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const result = await folderService.deleteFolder(req.user.id, req.params.folderId, req.query.recursive === 'true');
+
+    const response = Helpers.createResponse(
+      true,
+      result,
+      'Folder deleted successfully',
+      'FOLDER_DELETED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Create a share link to a folder and everything in it
+ * POST /api/files/folders/:folderId/share
+ * Body: { password?, expiresAt? | expiresIn?, maxDownloads? }
+ */
+router.post('/folders/:folderId/share',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const share = await shareService.createShare(
+      req.user.id,
+      { folderId: req.params.folderId },
+      getShareOptions(req),
+      `${req.protocol}://${req.get('host')}`
+    );
+
+    const response = Helpers.createResponse(
+      true,
+      { share, shareUrl: share.shareUrl },
+      'Share link created successfully',
+      'SHARE_CREATED'
+    );
+
+    res.status(201).json(response);
+  })
+);
+
+/**
+ * List the files in the trash
+ * GET /api/files/trash
+ * Query: limit, offset
+ */
+router.get('/trash',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const trash = await fileManagerService.listTrash(req.user.id, {
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    const response = Helpers.createResponse(
+      true,
+      trash,
+      'Trash retrieved successfully',
+      'TRASH_RETRIEVED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Empty the trash, deleting everything in it for good
+ * DELETE /api/files/trash
+ */
+router.delete('/trash',
+  fileOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const result = await fileManagerService.emptyTrash(req.user.id);
+
+    const response = Helpers.createResponse(
+      result.success,
+      result,
+      result.success ? 'Trash emptied successfully' : 'Some files could not be deleted',
+      result.success ? 'TRASH_EMPTIED' : 'TRASH_EMPTIED_PARTIAL'
+    );
+
+    res.status(result.success ? 200 : 207).json(response);
+  })
+);
+
+/**
+ * Restore a file from the trash
+ * POST /api/files/trash/:id/restore
+ * Body: { conflict? } ('rename' (default) or 'reject' for a name taken in the meantime)
+ */
+router.post('/trash/:id/restore',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const file = await fileManagerService.restoreFile(req.params.id, req.user.id, {
+      conflict: (req.body || {}).conflict
+    });
+
+    const response = Helpers.createResponse(
+      true,
+      { file },
+      'File restored successfully',
+      'FILE_RESTORED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Delete a file in the trash for good
+ * DELETE /api/files/trash/:id
+ */
+router.delete('/trash/:id',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const deleteResult = await fileManagerService.purgeTrashedFile(req.params.id, req.user.id);
+
+    const response = Helpers.createResponse(
+      true,
+      deleteResult,
+      'File deleted successfully',
+      'FILE_DELETED'
+    );
+
+    res.json(response);
+  })
+);
+
 /**
  * Get user files with pagination and search
+ * With ?path=/a/b or ?folderId=..., only that folder's files are listed, along with
+ * its subfolders (including their recursive totals) and breadcrumbs.
  * GET /api/files
  */
 router.get('/',
@@ -121,7 +494,10 @@ router.get('/',
         sortOrder
       };
 
-      const result = await fileManagerService.getUserFiles(req.user.id, options);
+      const { path, folderId } = req.query;
+      const result = path !== undefined || folderId
+        ? await folderService.listFolder(req.user.id, { path, folderId }, options)
+        : await fileManagerService.getUserFiles(req.user.id, options);
 
       const response = Helpers.createResponse(
         true,
@@ -187,7 +563,241 @@ router.get('/:id',
 );
 
 /**
- * Get file download URL (redirect to GitHub)
+ * Rename a file and/or move it to another folder
+ * PUT /api/files/:id
+ * Body: { name?, folderId? | path?, conflict? } (folderId null moves the file to the root;
+ * conflict is 'reject' (default) or 'rename' for a name already taken in the target folder)
+ */
+router.put('/:id',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const file = await fileManagerService.updateFile(req.params.id, req.user.id, {
+      name: req.body.name,
+      folderId: await resolveTargetFolder(req),
+      conflict: req.body.conflict
+    });
+
+    const response = Helpers.createResponse(
+      true,
+      { file },
+      'File updated successfully',
+      'FILE_UPDATED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Copy a file, reusing its stored content
+ * POST /api/files/:id/copy
+ * Body: { name?, folderId? | path?, conflict? } (defaults to the original's name and folder;
+ * conflict is 'rename' (default) or 'reject')
+ */
+router.post('/:id/copy',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const file = await fileManagerService.copyFile(req.params.id, req.user.id, {
+      name: req.body.name,
+      folderId: await resolveTargetFolder(req),
+      conflict: req.body.conflict
+    });
+
+    const response = Helpers.createResponse(
+      true,
+      { file },
+      'File copied successfully',
+      'FILE_COPIED'
+    );
+
+    res.status(201).json(response);
+  })
+);
+
+/**
+ * List the versions of a file
+ * GET /api/files/:id/versions
+ */
+router.get('/:id/versions',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const versions = await fileManagerService.listVersions(req.params.id, req.user.id);
+
+    const response = Helpers.createResponse(
+      true,
+      versions,
+      'File versions retrieved successfully',
+      'FILE_VERSIONS_RETRIEVED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Upload a new version of a file
+ * The file keeps its ID, name and folder; its previous content stays available as a version.
+ * With ?async=true the version is stored by a background job, as for /upload.
+ * POST /api/files/:id/versions
+ */
+router.post('/:id/versions',
+  fileUploadRateLimit,
+  validateOwnership('id'),
+  validateUploadRequirements,
+  logUploadAttempt,
+  singleFileUpload('file'),
+  asyncHandler(async (req, res) => {
+    // Checked before queueing, so a bad target fails now rather than in the job
+    await fileManagerService.getCurrentFileRecord(req.params.id, req.user.id);
+    req.file.versionOf = req.params.id;
+
+    if (req.query.async === 'true') {
+      const job = await uploadJobService.enqueue(req.file, req.user.id);
+
+      const response = Helpers.createResponse(
+        true,
+        { job },
+        'File received and queued for storage',
+        'FILE_UPLOAD_QUEUED'
+      );
+
+      return res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json(response);
+    }
+
+    const uploadResult = await fileManagerService.uploadFile(req.file, req.user.id);
+
+    const response = Helpers.createResponse(
+      true,
+      uploadResult,
+      uploadResult.file.unchanged ? 'File content unchanged' : 'File version uploaded successfully',
+      'FILE_VERSION_UPLOADED'
+    );
+
+    res.status(uploadResult.file.unchanged ? 200 : 201).json(response);
+  })
+);
+
+/**
+ * Delete earlier versions of a file by count and/or age
+ * DELETE /api/files/:id/versions
+ * Query: keep (number of earlier versions to keep), olderThanDays
+ */
+router.delete('/:id/versions',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const { keep, olderThanDays } = req.query;
+
+    const result = await fileManagerService.pruneVersions(req.params.id, req.user.id, {
+      keep: keep !== undefined ? Number(keep) : undefined,
+      olderThanDays: olderThanDays !== undefined ? Number(olderThanDays) : undefined
+    });
+
+    const response = Helpers.createResponse(
+      true,
+      result,
+      'File versions pruned successfully',
+      'FILE_VERSIONS_PRUNED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Download one version of a file
+ * GET /api/files/:id/versions/:versionId/download
+ */
+router.get('/:id/versions/:versionId/download',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const file = await fileManagerService.getVersion(req.params.id, req.params.versionId, req.user.id);
+
+    await sendFileContent(req, res, file, req.user.id);
+  })
+);
+
+/**
+ * Make an earlier version of a file current again
+ * The restored content is added as a new version; no version is removed.
+ * POST /api/files/:id/versions/:versionId/restore
+ */
+router.post('/:id/versions/:versionId/restore',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const file = await fileManagerService.restoreVersion(req.params.id, req.params.versionId, req.user.id);
+
+    const response = Helpers.createResponse(
+      true,
+      { file },
+      'File version restored successfully',
+      'FILE_VERSION_RESTORED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Delete one earlier version of a file
+ * DELETE /api/files/:id/versions/:versionId
+ */
+router.delete('/:id/versions/:versionId',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const result = await fileManagerService.deleteVersion(req.params.id, req.params.versionId, req.user.id);
+
+    const response = Helpers.createResponse(
+      true,
+      result,
+      'File version deleted successfully',
+      'FILE_VERSION_DELETED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Create a share link to a file
+ * POST /api/files/:id/share
+ * Body: { password?, expiresAt? | expiresIn?, maxDownloads? }
+ */
+router.post('/:id/share',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    const share = await shareService.createShare(
+      req.user.id,
+      { fileId: req.params.id },
+      getShareOptions(req),
+      `${req.protocol}://${req.get('host')}`
+    );
+
+    const response = Helpers.createResponse(
+      true,
+      { share, shareUrl: share.shareUrl },
+      'Share link created successfully',
+      'SHARE_CREATED'
+    );
+
+    res.status(201).json(response);
+  })
+);
+
+/**
+ * Download a file
+ * Streams the file through the API by default. With DOWNLOAD_MODE=redirect, files that
+ * the provider serves publicly are redirected to instead; chunked and encrypted files and
+ * providers without public URLs (e.g. local disk) are always streamed.
+ * With ?url=true, returns a download URL instead (a signed, expiring link when streaming).
+ * Files in the trash, and their versions, cannot be downloaded.
  * GET /api/files/:id/download
  */
 router.get('/:id/download',
@@ -195,16 +805,23 @@ router.get('/:id/download',
   validateOwnership('id'),
   asyncHandler(async (req, res) => {
     try {
-      const file = await fileManagerService.getFile(req.params.id, req.user.id);
+      const file = await fileManagerService.getDownloadableFile(req.params.id, req.user.id);
+      // Public asset URLs serve stored bytes as-is, so only plain, single-asset files can use them
+      const redirect = DOWNLOAD_MODE === 'redirect' && storageService.providesPublicUrls &&
+        !file.isChunked && !file.isEncrypted;
 
       // Check if we should redirect or return URL
       const returnUrl = req.query.url === 'true';
 
       if (returnUrl) {
+        const downloadUrl = redirect
+          ? file.downloadUrl
+          : `${req.protocol}://${req.get('host')}${req.baseUrl}/${file.id}/download?token=${createDownloadToken(file.id, req.user.id)}`;
+
         const response = Helpers.createResponse(
           true,
           {
-            downloadUrl: file.downloadUrl,
+            downloadUrl,
             filename: file.originalName,
             size: file.size,
             sizeFormatted: file.sizeFormatted
@@ -214,9 +831,11 @@ router.get('/:id/download',
         );
 
         res.json(response);
-      } else {
+      } else if (redirect) {
         // Redirect to GitHub download URL
         res.redirect(302, file.downloadUrl);
+      } else {
+        await sendFileContent(req, res, file, req.user.id);
       }
 
     } catch (error) {
@@ -237,44 +856,8 @@ router.get('/:id/download',
 );
 
 /**
- * Delete a file
- * DELETE /api/files/:id
- */
-router.delete('/:id',
-  fileOperationRateLimit,
-  validateOwnership('id'),
-  asyncHandler(async (req, res) => {
-    try {
-      const deleteResult = await fileManagerService.deleteFile(req.params.id, req.user.id);
-
-      const response = Helpers.createResponse(
-        true,
-        deleteResult,
-        'File deleted successfully',
-        'FILE_DELETED'
-      );
-
-      res.json(response);
-
-    } catch (error) {
-      console.error('File deletion error:', error);
-      
-      if (error instanceof AppError) {
-        throw error;
-      }
-      
-      throw new AppError(
-        'Failed to delete file',
-        ERROR_CODES.FILE_DELETE_FAILED,
-        500,
-        error.message
-      );
-    }
-  })
-);
-
-/**
- * Delete multiple files
+ * Delete multiple files, moving them to the trash
+ * Registered before /:id, which would otherwise match it.
  * DELETE /api/files/batch
  */
 router.delete('/batch',
@@ -306,7 +889,7 @@ router.delete('/batch',
       const response = Helpers.createResponse(
         deleteResult.success,
         deleteResult,
-        deleteResult.success ? 'Files deleted successfully' : 'Some files failed to delete',
+        deleteResult.success ? 'Files moved to trash' : 'Some files failed to move to trash',
         deleteResult.success ? 'BATCH_DELETE_SUCCESS' : 'BATCH_DELETE_PARTIAL'
       );
 
@@ -329,6 +912,43 @@ router.delete('/batch',
   })
 );
 
+/**
+ * Delete a file, moving it to the trash
+ * DELETE /api/files/:id
+ */
+router.delete('/:id',
+  fileOperationRateLimit,
+  validateOwnership('id'),
+  asyncHandler(async (req, res) => {
+    try {
+      const trashResult = await fileManagerService.trashFile(req.params.id, req.user.id);
+
+      const response = Helpers.createResponse(
+        true,
+        trashResult,
+        'File moved to trash',
+        'FILE_TRASHED'
+      );
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('File deletion error:', error);
+      
+      if (error instanceof AppError) {
+        throw error;
+      }
+      
+      throw new AppError(
+        'Failed to delete file',
+        ERROR_CODES.FILE_DELETE_FAILED,
+        500,
+        error.message
+      );
+    }
+  })
+);
+
 /**
  * Get file statistics for the user
  * GET /api/files/stats
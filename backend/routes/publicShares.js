@@ -0,0 +1,155 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const shareService = require('../services/shares');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Helpers = require('../utils/helpers');
+const { sendFileContent } = require('../utils/fileResponses');
+const { SHARE_DOWNLOAD_GRANT_SECONDS } = require('../utils/constants');
+
+// Public share links; no authentication, access is granted by the share token
+const router = express.Router();
+
+// Wrong password guesses per IP address
+const unlockRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many requests',
+    message: 'Too many password attempts. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Cookie carrying the download grant, so browsers (video and audio players) present it
+// with every range request of a download
+const GRANT_COOKIE = 'share_download';
+
+/**
+ * Get the download grants a request presents, from the FreeDrive-Share-Grant header or
+ * the grant cookie
+ * @param {Object} req - Express request object
+ * @returns {Array} Grants
+ */
+const getDownloadGrants = (req) => {
+  const grants = req.get('FreeDrive-Share-Grant') ? [req.get('FreeDrive-Share-Grant')] : [];
+
+  for (const cookie of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === GRANT_COOKIE && value.length > 0) {
+      grants.push(decodeURIComponent(value.join('=')));
+    }
+  }
+
+  return grants;
+};
+
+/**
+ * Stream a shared file
+ * A download counts against the share's limit once its content is open; the response
+ * carries a grant that the range requests continuing the same download (seeking,
+ * resuming) present instead of counting again. HEAD requests send no content and are free.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} share - Share record
+ * @param {Object} file - File data from fileManagerService.getFile
+ * @param {Array} grants - Download grants the request presents
+ * @returns {Promise<void>}
+ */
+const sendSharedFile = async (req, res, share, file, grants) => {
+  await sendFileContent(req, res, file, share.user_id, async () => {
+    if (req.method !== 'GET') {
+      return;
+    }
+
+    const grant = await shareService.claimDownload(share, file.id, grants);
+
+    if (grant) {
+      res.set('FreeDrive-Share-Grant', grant);
+      res.cookie(GRANT_COOKIE, grant, {
+        path: req.baseUrl + req.path,
+        maxAge: SHARE_DOWNLOAD_GRANT_SECONDS * 1000,
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure
+      });
+    }
+  });
+};
+
+/**
+ * Exchange a share's password for an access token
+ * POST /s/:token/unlock
+ * Body: { password }
+ */
+router.post('/:token/unlock',
+  unlockRateLimit,
+  asyncHandler(async (req, res) => {
+    const access = await shareService.unlockShare(req.params.token, (req.body || {}).password);
+
+    const response = Helpers.createResponse(
+      true,
+      access,
+      'Share unlocked successfully',
+      'SHARE_UNLOCKED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Download a file of a shared folder
+ * GET /s/:token/files/:fileId
+ * Query: access (token from /unlock, for password-protected shares)
+ */
+router.get('/:token/files/:fileId',
+  asyncHandler(async (req, res) => {
+    const grants = getDownloadGrants(req);
+    const share = await shareService.openShare(req.params.token, req.query.access, true, grants);
+    const file = await shareService.getSharedFile(share, req.params.fileId);
+
+    await sendSharedFile(req, res, share, file, grants);
+  })
+);
+
+/**
+ * Open a share link
+ * File shares download the file; folder shares list the folder (or a folder below it
+ * with ?path=/a/b), with a download link for each file.
+ * GET /s/:token
+ * Query: access (token from /unlock, for password-protected shares), path, limit, offset
+ */
+router.get('/:token',
+  asyncHandler(async (req, res) => {
+    const grants = getDownloadGrants(req);
+    const share = await shareService.openShare(req.params.token, req.query.access, true, grants);
+
+    if (share.file_id) {
+      const file = await shareService.getSharedFile(share);
+      return sendSharedFile(req, res, share, file, grants);
+    }
+
+    const listing = await shareService.listSharedFolder(share, req.query.path, {
+      limit: Math.min(parseInt(req.query.limit) || 50, 100),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    const accessQuery = req.query.access ? `?access=${encodeURIComponent(req.query.access)}` : '';
+    const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/${share.token}`;
+
+    const response = Helpers.createResponse(
+      true,
+      {
+        ...listing,
+        files: listing.files.map(file => ({ ...file, downloadUrl: `${baseUrl}/files/${file.id}${accessQuery}` }))
+      },
+      'Shared folder retrieved successfully',
+      'SHARED_FOLDER_RETRIEVED'
+    );
+
+    res.json(response);
+  })
+);
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
 const repoManagerService = require('../services/repoManager');
-const githubService = require('../services/github');
+const storageService = require('../services/storage');
 const supabaseService = require('../services/supabase');
+const integrityScrubber = require('../services/integrityScrubber');
+const orphanReconciler = require('../services/orphanReconciler');
+const rebalancer = require('../services/rebalancer');
+const githubScheduler = require('../services/githubScheduler');
 const { authMiddleware, adminMiddleware, userRateLimitMiddleware } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { ERROR_CODES } = require('../utils/constants');
@@ -14,6 +18,7 @@ router.use(authMiddleware);
 
 // Apply rate limiting
 const repoOperationRateLimit = userRateLimitMiddleware(50, 60 * 1000); // 50 operations per minute
+const scrubRateLimit = userRateLimitMiddleware(5, 60 * 60 * 1000); // 5 scrubs per hour
 
 /**
  * Get user repositories
@@ -35,10 +40,14 @@ router.get('/',
         id: repo.id,
         name: repo.name,
         githubId: repo.github_repo_id,
+        githubOwner: repo.github_owner || null,
         sizeMb: repo.size_mb,
         maxSizeMb: repo.max_size_mb,
         usagePercentage: (repo.size_mb / repo.max_size_mb) * 100,
+        assetCount: repo.file_count || 0,
         isActive: repo.is_active,
+        archivedAt: repo.archived_at || null,
+        placementFamily: repo.placement_family || null,
         createdAt: repo.created_at,
         updatedAt: repo.updated_at,
         sizeFormatted: Helpers.formatBytes(repo.size_mb * 1024 * 1024),
@@ -109,6 +118,7 @@ router.post('/create',
         id: newRepo.id,
         name: newRepo.name,
         githubId: newRepo.github_repo_id,
+        githubOwner: newRepo.github_owner || null,
         sizeMb: newRepo.size_mb,
         maxSizeMb: newRepo.max_size_mb,
         usagePercentage: 0,
@@ -146,6 +156,140 @@ router.post('/create',
   })
 );
 
+/**
+ * Get the integrity report of the user's files
+ * GET /api/repos/integrity
+ */
+router.get('/integrity',
+  repoOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    try {
+      const files = await supabaseService.getUserFileHealth(req.user.id);
+
+      const summary = {
+        totalFiles: files.length,
+        healthy: files.filter(file => file.health_status === 'healthy').length,
+        damaged: files.filter(file => file.health_status === 'damaged').length,
+        unverified: files.filter(file => !file.health_status || file.health_status === 'unverified').length
+      };
+
+      const damagedFiles = files
+        .filter(file => file.health_status === 'damaged')
+        .map(file => ({
+          id: file.id,
+          originalName: file.original_name,
+          size: file.size_bytes,
+          issue: file.health_issue,
+          checkedAt: file.health_checked_at
+        }));
+
+      const checkedTimes = files.map(file => file.health_checked_at).filter(Boolean).sort();
+
+      const response = Helpers.createResponse(
+        true,
+        {
+          summary,
+          damagedFiles,
+          lastCheckedAt: checkedTimes.length > 0 ? checkedTimes[checkedTimes.length - 1] : null,
+          scrubRunning: integrityScrubber.running
+        },
+        'Integrity report retrieved successfully',
+        'INTEGRITY_REPORT_RETRIEVED'
+      );
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('Integrity report error:', error);
+
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      throw new AppError(
+        'Failed to retrieve integrity report',
+        ERROR_CODES.DATABASE_ERROR,
+        500,
+        error.message
+      );
+    }
+  })
+);
+
+/**
+ * Start an integrity scrub of the user's repositories
+ * The scrub runs in the background; poll GET /api/repos/integrity for results.
+ * POST /api/repos/integrity/scrub
+ */
+router.post('/integrity/scrub',
+  scrubRateLimit,
+  asyncHandler(async (req, res) => {
+    if (integrityScrubber.running) {
+      throw new AppError(
+        'Scrub already running',
+        ERROR_CODES.VALIDATION_ERROR,
+        409,
+        'An integrity scrub is already in progress, please try again later'
+      );
+    }
+
+    integrityScrubber.scrubUser(req.user.id).catch((error) => {
+      console.error('Integrity scrub failed:', error);
+    });
+
+    const response = Helpers.createResponse(
+      true,
+      null,
+      'Integrity scrub started',
+      'INTEGRITY_SCRUB_STARTED'
+    );
+
+    res.status(202).json(response);
+  })
+);
+
+/**
+ * Get the progress of the latest rebalance of the user's repositories
+ * GET /api/repos/rebalance
+ */
+router.get('/rebalance',
+  repoOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const response = Helpers.createResponse(
+      true,
+      { rebalance: rebalancer.getRun(req.user.id) },
+      'Rebalance status retrieved',
+      'REPOS_REBALANCE_RETRIEVED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Compact the user's repositories by moving files out of sparsely used buckets
+ * With dryRun the plan is returned without moving anything; otherwise the moves run in
+ * the background and their progress can be polled with GET /api/repos/rebalance.
+ * POST /api/repos/rebalance
+ * Body: { dryRun?: boolean }
+ */
+router.post('/rebalance',
+  scrubRateLimit,
+  asyncHandler(async (req, res) => {
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const rebalance = await rebalancer.rebalance(req.user.id, { dryRun });
+
+    const response = Helpers.createResponse(
+      true,
+      { rebalance },
+      dryRun ? 'Rebalance planned' : 'Rebalance started',
+      dryRun ? 'REPOS_REBALANCE_PLANNED' : 'REPOS_REBALANCE_STARTED'
+    );
+
+    res.status(dryRun ? 200 : 202).json(response);
+  })
+);
+
 /**
  * Get repository details by ID
  * GET /api/repos/:id
@@ -177,6 +321,7 @@ router.get('/:id',
         id: repository.id,
         name: repository.name,
         githubId: repository.github_repo_id,
+        githubOwner: repository.github_owner || null,
         sizeMb: repository.size_mb,
         maxSizeMb: repository.max_size_mb,
         usagePercentage: (repository.size_mb / repository.max_size_mb) * 100,
@@ -292,7 +437,7 @@ router.post('/:id/sync',
       }
 
       // Get GitHub repository stats
-      const githubStats = await githubService.getRepositoryStats(repository.name);
+      const githubStats = await storageService.getBucketStats(repository);
       
       // Update repository size if different
       const sizeDifferenceMb = Math.abs(repository.size_mb - githubStats.totalAssetSizeMb);
@@ -392,7 +537,7 @@ router.get('/github/rate-limit',
   repoOperationRateLimit,
   asyncHandler(async (req, res) => {
     try {
-      const rateLimit = await githubService.getRateLimit();
+      const rateLimit = await storageService.getRateLimit();
 
       const response = Helpers.createResponse(
         true,
@@ -420,6 +565,99 @@ router.get('/github/rate-limit',
   })
 );
 
+/**
+ * Admin route: Get GitHub request queue depth and quota per account
+ * GET /api/repos/admin/github/scheduler
+ */
+router.get('/admin/github/scheduler',
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    try {
+      const response = Helpers.createResponse(
+        true,
+        { scheduler: githubScheduler.getStatus() },
+        'GitHub scheduler status retrieved',
+        'ADMIN_SCHEDULER_RETRIEVED'
+      );
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('Admin scheduler status error:', error);
+      
+      if (error instanceof AppError) {
+        throw error;
+      }
+      
+      throw new AppError(
+        'Failed to retrieve GitHub scheduler status',
+        ERROR_CODES.INTERNAL_ERROR,
+        500,
+        error.message
+      );
+    }
+  })
+);
+
+/**
+ * Admin route: Get the report of the latest orphan reconciliation
+ * GET /api/repos/admin/orphans
+ */
+router.get('/admin/orphans',
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const response = Helpers.createResponse(
+      true,
+      {
+        running: orphanReconciler.running,
+        report: orphanReconciler.lastReport
+      },
+      'Orphan report retrieved',
+      'ADMIN_ORPHANS_RETRIEVED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Admin route: Reconcile all repositories with storage
+ * Without a policy (or with "report") this is a dry run that only reports findings.
+ * The reconciliation runs in the background; poll GET /api/repos/admin/orphans for the report.
+ * POST /api/repos/admin/orphans/reconcile
+ * Body: { policy?: 'report' | 'deactivate' | 'delete' | 'adopt' }
+ */
+router.post('/admin/orphans/reconcile',
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const policy = !req.body.policy || req.body.policy === 'report' ? null : req.body.policy;
+
+    orphanReconciler.assertPolicy(policy);
+
+    if (orphanReconciler.running) {
+      throw new AppError(
+        'Reconciliation already running',
+        ERROR_CODES.VALIDATION_ERROR,
+        409,
+        'An orphan reconciliation is already in progress, please try again later'
+      );
+    }
+
+    orphanReconciler.reconcileAll(policy).catch((error) => {
+      console.error('Orphan reconciliation failed:', error);
+    });
+
+    const response = Helpers.createResponse(
+      true,
+      { policy: policy || 'report', dryRun: policy === null },
+      'Orphan reconciliation started',
+      'ADMIN_ORPHANS_RECONCILE_STARTED'
+    );
+
+    res.status(202).json(response);
+  })
+);
+
 /**
  * Admin route: Get all repositories across all users
  * GET /api/repos/admin/all
@@ -464,17 +702,28 @@ router.get('/admin/all',
 
 /**
  * Clean up orphaned repositories
+ * Repositories whose bucket vanished are deactivated and files whose content is gone
+ * are marked damaged; nothing is deleted.
  * POST /api/repos/cleanup
  */
 router.post('/cleanup',
-  repoOperationRateLimit,
+  scrubRateLimit,
   asyncHandler(async (req, res) => {
     try {
-      const cleanupResults = await repoManagerService.cleanupOrphanedRepositories(req.user.id);
+      const report = await orphanReconciler.reconcileUser(req.user.id, 'deactivate');
+
+      if (!report) {
+        throw new AppError(
+          'Cleanup already running',
+          ERROR_CODES.VALIDATION_ERROR,
+          409,
+          'A repository cleanup is already in progress, try again later'
+        );
+      }
 
       const response = Helpers.createResponse(
         true,
-        { cleanup: cleanupResults },
+        { cleanup: report },
         'Repository cleanup completed',
         'REPOS_CLEANED'
       );
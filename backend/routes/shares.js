@@ -0,0 +1,60 @@
+const express = require('express');
+const shareService = require('../services/shares');
+const { authMiddleware, userRateLimitMiddleware } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const Helpers = require('../utils/helpers');
+
+const router = express.Router();
+
+// Apply authentication to all share management routes (shares are created under /api/files)
+router.use(authMiddleware);
+
+// Apply rate limiting
+const shareOperationRateLimit = userRateLimitMiddleware(200, 60 * 1000); // 200 operations per minute
+
+/**
+ * List the user's share links
+ * GET /api/shares
+ * Query: fileId or folderId to list the shares of one file or folder
+ */
+router.get('/',
+  shareOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const shares = await shareService.listShares(
+      req.user.id,
+      { fileId: req.query.fileId, folderId: req.query.folderId },
+      `${req.protocol}://${req.get('host')}`
+    );
+
+    const response = Helpers.createResponse(
+      true,
+      { shares },
+      'Shares retrieved successfully',
+      'SHARES_RETRIEVED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Revoke a share link
+ * DELETE /api/shares/:shareId
+ */
+router.delete('/:shareId',
+  shareOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const share = await shareService.revokeShare(req.user.id, req.params.shareId, `${req.protocol}://${req.get('host')}`);
+
+    const response = Helpers.createResponse(
+      true,
+      { share },
+      'Share revoked successfully',
+      'SHARE_REVOKED'
+    );
+
+    res.json(response);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const tusUploadService = require('../services/tusUpload');
+const { authMiddleware, userRateLimitMiddleware } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, MAX_FILE_SIZE_BYTES } = require('../utils/constants');
+
+const router = express.Router();
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+
+// Every tus response, including errors, carries the protocol version
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  next();
+});
+
+/**
+ * Discover server capabilities (no authentication required)
+ * OPTIONS /api/files/tus
+ */
+router.options('/', (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': MAX_FILE_SIZE_BYTES
+  });
+  res.status(204).end();
+});
+
+// Apply authentication to all other tus routes
+router.use(authMiddleware);
+
+// Creations are uploads; PATCH/HEAD are resumptions of one and are limited more loosely
+const tusCreateRateLimit = userRateLimitMiddleware(50, 60 * 1000); // 50 uploads per minute
+const tusOperationRateLimit = userRateLimitMiddleware(200, 60 * 1000); // 200 operations per minute
+
+// Clients must speak the tus version we support
+router.use((req, res, next) => {
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return next(new AppError(
+      'Unsupported tus version',
+      ERROR_CODES.VALIDATION_ERROR,
+      412,
+      `Tus-Resumable header must be ${TUS_VERSION}`
+    ));
+  }
+  next();
+});
+
+/**
+ * Parse a non-negative integer header
+ * @param {Object} req - Express request object
+ * @param {string} name - Header name
+ * @returns {number} Header value
+ * @throws {AppError} If the header is missing or invalid
+ */
+const parseIntegerHeader = (req, name) => {
+  const value = req.get(name);
+
+  if (value === undefined || !/^\d+$/.test(value)) {
+    throw new AppError(
+      `Invalid ${name} header`,
+      ERROR_CODES.VALIDATION_ERROR,
+      400,
+      `${name} must be a non-negative integer`
+    );
+  }
+
+  return parseInt(value, 10);
+};
+
+/**
+ * Tell the client when an unfinished upload expires (tus expiration extension)
+ * @param {Object} res - Express response object
+ * @param {Object} upload - Upload info
+ */
+const setUploadExpires = (res, upload) => {
+  if (upload.state !== 'completed') {
+    res.set('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+  }
+};
+
+/**
+ * Create a resumable upload
+ * POST /api/files/tus
+ */
+router.post('/',
+  tusCreateRateLimit,
+  asyncHandler(async (req, res) => {
+    const length = parseIntegerHeader(req, 'Upload-Length');
+
+    const upload = await tusUploadService.createUpload(
+      req.user.id,
+      length,
+      req.get('Upload-Metadata')
+    );
+
+    res.set('Location', `${req.protocol}://${req.get('host')}${req.baseUrl}/${upload.id}`);
+    setUploadExpires(res, upload);
+    res.status(201).end();
+  })
+);
+
+/**
+ * Get the current offset of an upload
+ * HEAD /api/files/tus/:id
+ */
+router.head('/:id',
+  tusOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    const upload = await tusUploadService.getUpload(req.params.id, req.user.id);
+
+    res.set({
+      'Upload-Offset': upload.offset,
+      'Upload-Length': upload.length,
+      'Cache-Control': 'no-store'
+    });
+    setUploadExpires(res, upload);
+
+    if (upload.metadata) {
+      res.set('Upload-Metadata', upload.metadata);
+    }
+
+    if (upload.fileId) {
+      res.set('FreeDrive-File-Id', upload.fileId);
+    }
+
+    res.status(200).end();
+  })
+);
+
+/**
+ * Append data to an upload
+ * The request that completes the upload also stores the file.
+ * PATCH /api/files/tus/:id
+ */
+router.patch('/:id',
+  tusOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      throw new AppError(
+        'Unsupported content type',
+        ERROR_CODES.VALIDATION_ERROR,
+        415,
+        'Content-Type must be application/offset+octet-stream'
+      );
+    }
+
+    const offset = parseIntegerHeader(req, 'Upload-Offset');
+    const upload = await tusUploadService.appendChunk(req.params.id, req.user.id, offset, req);
+
+    res.set('Upload-Offset', upload.offset);
+    setUploadExpires(res, upload);
+
+    if (upload.fileId) {
+      res.set('FreeDrive-File-Id', upload.fileId);
+    }
+
+    res.status(204).end();
+  })
+);
+
+/**
+ * Terminate an upload
+ * DELETE /api/files/tus/:id
+ */
+router.delete('/:id',
+  tusOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    await tusUploadService.terminateUpload(req.params.id, req.user.id);
+    res.status(204).end();
+  })
+);
+
+module.exports = router;
@@ -2,9 +2,11 @@ const express = require('express');
 const supabaseService = require('../services/supabase');
 const repoManagerService = require('../services/repoManager');
 const fileManagerService = require('../services/fileManager');
+const githubOAuthService = require('../services/githubOAuth');
+const placementService = require('../services/placement');
 const { authMiddleware, adminMiddleware, userRateLimitMiddleware } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
-const { ERROR_CODES } = require('../utils/constants');
+const { ERROR_CODES, MAX_FILE_SIZE_BYTES } = require('../utils/constants');
 const Helpers = require('../utils/helpers');
 
 const router = express.Router();
@@ -53,6 +55,12 @@ router.get('/dashboard',
           totalSizeFormatted: Helpers.formatBytes(storageStats.totalUsedStorageMb * 1024 * 1024),
           availableSpaceMb: storageStats.totalAvailableStorageMb,
           availableSpaceFormatted: Helpers.formatBytes(storageStats.totalAvailableStorageMb * 1024 * 1024),
+          trashedFiles: storageStats.trashedFiles,
+          trashedSizeMb: storageStats.trashedSizeMb,
+          trashedSizeFormatted: Helpers.formatBytes(storageStats.trashedSizeBytes),
+          versionFiles: storageStats.versionFiles,
+          versionSizeMb: storageStats.versionSizeMb,
+          versionSizeFormatted: Helpers.formatBytes(storageStats.versionSizeBytes),
           usagePercentage: storageStats.overallUsagePercentage,
           totalRepositories: storageStats.totalRepositories,
           activeRepositories: storageStats.activeRepositories,
@@ -134,6 +142,10 @@ router.get('/settings',
     try {
       // Get user data
       const user = await supabaseService.getUserById(req.user.id);
+      const linkedAccount = githubOAuthService.enabled
+        ? await githubOAuthService.getLinkedAccount(req.user.id)
+        : null;
+      const placement = await placementService.getPolicy(req.user.id);
       
       // For now, return basic user settings
       // In a full implementation, you might have a separate settings table
@@ -153,9 +165,14 @@ router.get('/settings',
           theme: 'light' // light or dark
         },
         limits: {
-          maxFileSize: Helpers.formatBytes(2 * 1024 * 1024 * 1024), // 2GB
+          maxFileSize: Helpers.formatBytes(MAX_FILE_SIZE_BYTES),
           maxRepositories: 50,
-          maxFilesPerRepo: 1000
+          maxFilesPerRepo: placement.maxAssets
+        },
+        placement,
+        github: {
+          linkingAvailable: githubOAuthService.enabled,
+          account: linkedAccount
         }
       };
 
@@ -243,6 +260,126 @@ router.put('/settings',
   })
 );
 
+/**
+ * Start linking the user's own GitHub account (OAuth device flow)
+ * The user enters the returned code at the verification URI, then the client polls.
+ * POST /api/users/settings/github/device
+ */
+router.post('/settings/github/device',
+  userOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    try {
+      const authorization = await githubOAuthService.startDeviceFlow(req.user.id);
+
+      const response = Helpers.createResponse(
+        true,
+        authorization,
+        'Enter the code at GitHub to link your account',
+        'GITHUB_LINK_STARTED'
+      );
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('GitHub link start error:', error);
+      
+      if (error instanceof AppError) {
+        throw error;
+      }
+      
+      throw new AppError(
+        'Failed to start GitHub account linking',
+        ERROR_CODES.GITHUB_API_ERROR,
+        500,
+        error.message
+      );
+    }
+  })
+);
+
+/**
+ * Check whether the user has authorized the GitHub link yet
+ * Returns 202 while authorization is pending; poll again after `interval` seconds.
+ * POST /api/users/settings/github/device/poll
+ */
+router.post('/settings/github/device/poll',
+  userOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await githubOAuthService.pollDeviceFlow(req.user.id);
+
+      if (result.status === 'pending') {
+        return res.status(202).json(Helpers.createResponse(
+          true,
+          { interval: result.interval },
+          'Waiting for GitHub authorization',
+          'GITHUB_LINK_PENDING'
+        ));
+      }
+
+      const response = Helpers.createResponse(
+        true,
+        { account: result.account },
+        'GitHub account linked successfully',
+        'GITHUB_LINKED'
+      );
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('GitHub link poll error:', error);
+      
+      if (error instanceof AppError) {
+        throw error;
+      }
+      
+      throw new AppError(
+        'Failed to link GitHub account',
+        ERROR_CODES.GITHUB_API_ERROR,
+        500,
+        error.message
+      );
+    }
+  })
+);
+
+/**
+ * Unlink the user's GitHub account
+ * New buckets are created in the operator account again.
+ * DELETE /api/users/settings/github
+ */
+router.delete('/settings/github',
+  userOperationRateLimit,
+  asyncHandler(async (req, res) => {
+    try {
+      await githubOAuthService.unlinkAccount(req.user.id);
+
+      const response = Helpers.createResponse(
+        true,
+        null,
+        'GitHub account unlinked successfully',
+        'GITHUB_UNLINKED'
+      );
+
+      res.json(response);
+
+    } catch (error) {
+      console.error('GitHub unlink error:', error);
+      
+      if (error instanceof AppError) {
+        throw error;
+      }
+      
+      throw new AppError(
+        'Failed to unlink GitHub account',
+        ERROR_CODES.DATABASE_ERROR,
+        500,
+        error.message
+      );
+    }
+  })
+);
+
 /**
  * Get user activity log
  * GET /api/users/activity
@@ -335,12 +472,16 @@ router.get('/summary',
             usedFormatted: Helpers.formatBytes(storageStats.totalUsedStorageMb * 1024 * 1024),
             available: storageStats.totalAvailableStorageMb,
             availableFormatted: Helpers.formatBytes(storageStats.totalAvailableStorageMb * 1024 * 1024),
+            trashed: storageStats.trashedSizeMb,
+            trashedFormatted: Helpers.formatBytes(storageStats.trashedSizeBytes),
+            versions: storageStats.versionSizeMb,
+            versionsFormatted: Helpers.formatBytes(storageStats.versionSizeBytes),
             percentage: storageStats.overallUsagePercentage
           },
           repositories: storageStats.totalRepositories
         },
         limits: {
-          maxFileSize: '2 GB',
+          maxFileSize: Helpers.formatBytes(MAX_FILE_SIZE_BYTES),
           maxStorageEstimate: `${storageStats.estimatedMaxStorageGb.toFixed(1)} GB`,
           repositoriesRemaining: Math.max(0, 50 - storageStats.totalRepositories)
         },
@@ -469,6 +610,7 @@ router.get('/export',
           id: repo.id,
           name: repo.name,
           githubId: repo.github_repo_id,
+          githubOwner: repo.github_owner || null,
           sizeMb: repo.size_mb,
           maxSizeMb: repo.max_size_mb,
           isActive: repo.is_active,
@@ -559,4 +701,58 @@ router.get('/admin/all',
   })
 );
 
+/**
+ * Admin route: Get the bucket placement policy of a user
+ * GET /api/users/admin/:userId/placement
+ */
+router.get('/admin/:userId/placement',
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const response = Helpers.createResponse(
+      true,
+      {
+        policy: await placementService.getPolicy(req.params.userId),
+        override: await supabaseService.getUserPlacementPolicy(req.params.userId),
+        deploymentPolicy: placementService.defaultPolicy
+      },
+      'Placement policy retrieved',
+      'ADMIN_PLACEMENT_RETRIEVED'
+    );
+
+    res.json(response);
+  })
+);
+
+/**
+ * Admin route: Override the bucket placement policy of a user
+ * Only the given fields are overridden; a null policy reverts to the deployment policy.
+ * Existing buckets keep their names; the policy applies to the next upload.
+ * PUT /api/users/admin/:userId/placement
+ * Body: { policy: { strategy?, fillPercent?, maxAssets?, nameTemplate? } | null }
+ */
+router.put('/admin/:userId/placement',
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    if (req.body.policy === undefined) {
+      throw new AppError(
+        'Policy required',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Send the policy fields to override, or null to use the deployment policy'
+      );
+    }
+
+    const policy = await placementService.setUserPolicy(req.params.userId, req.body.policy);
+
+    const response = Helpers.createResponse(
+      true,
+      { policy },
+      'Placement policy updated',
+      'ADMIN_PLACEMENT_UPDATED'
+    );
+
+    res.json(response);
+  })
+);
+
 module.exports = router;
@@ -9,8 +9,18 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const fileRoutes = require('./routes/files');
+const tusRoutes = require('./routes/tus');
 const repoRoutes = require('./routes/repos');
 const userRoutes = require('./routes/users');
+const shareRoutes = require('./routes/shares');
+const publicShareRoutes = require('./routes/publicShares');
+const integrityScrubber = require('./services/integrityScrubber');
+const repoManagerService = require('./services/repoManager');
+const orphanReconciler = require('./services/orphanReconciler');
+const trashPurger = require('./services/trashPurger');
+const tusUploadService = require('./services/tusUpload');
+const uploadJobService = require('./services/uploadJobs');
+const fileSagaService = require('./services/fileSagas');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -39,7 +49,22 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://your-domain.com'] 
     : ['http://localhost:3000', 'http://127.0.0.1:3000'],
-  credentials: true
+  credentials: true,
+  // Resumable upload clients read these from cross-origin responses
+  exposedHeaders: [
+    'Location',
+    'Upload-Offset',
+    'Upload-Length',
+    'Upload-Metadata',
+    'Upload-Expires',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size',
+    'FreeDrive-File-Id',
+    // Share downloads continued with range requests present this instead of counting again
+    'FreeDrive-Share-Grant'
+  ]
 }));
 
 // Body parsing middleware
@@ -62,9 +87,14 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/files/tus', tusRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/repos', repoRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/shares', shareRoutes);
+
+// Public share links
+app.use('/s', publicShareRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -83,6 +113,18 @@ app.listen(PORT, () => {
   console.log(`🚀 FreeDrive API server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+
+  integrityScrubber.start();
+  repoManagerService.start();
+  orphanReconciler.start();
+  trashPurger.start();
+  tusUploadService.start();
+
+  // Interrupted uploads are rolled back before their jobs are queued again
+  fileSagaService.start()
+    .catch(error => console.error('Failed to recover file sagas:', error))
+    .then(() => uploadJobService.start())
+    .catch(error => console.error('Failed to resume upload jobs:', error));
 });
 
 module.exports = app;
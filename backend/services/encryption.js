@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../utils/constants');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 8;
+
+/**
+ * Create an error for content that fails authentication
+ * @param {string} message - Error message
+ * @returns {Error} Error tagged with the integrity error code
+ */
+const integrityError = (message) => {
+  const error = new Error(message);
+  error.code = ERROR_CODES.FILE_INTEGRITY_ERROR;
+  return error;
+};
+
+// Plaintext bytes per encrypted segment. Chunk sizes are whole megabytes, so chunk
+// boundaries always fall on segment boundaries.
+const SEGMENT_SIZE = 64 * 1024;
+
+/**
+ * Encryption Service
+ * Envelope encryption for stored assets. Every file gets a random AES-256 data key,
+ * stored wrapped (AES-256-GCM) by a key-encryption key: either the master key from
+ * ENCRYPTION_MASTER_KEY or a per-user key derived from it with HKDF.
+ *
+ * Content is encrypted in fixed-size segments, each sealed with AES-256-GCM under
+ * the file's data key. A segment's nonce is the file's random nonce prefix followed
+ * by the segment index, and the last segment is marked in its additional data, so
+ * segments cannot be reordered or truncated unnoticed. Segments also let downloads
+ * decrypt an arbitrary byte range without reading the whole file.
+ */
+class EncryptionService {
+  constructor() {
+    this.masterKey = this.parseMasterKey(process.env.ENCRYPTION_MASTER_KEY);
+    this.keyScope = process.env.ENCRYPTION_KEY_SCOPE === 'master' ? 'master' : 'user';
+    this.enabled = this.masterKey !== null;
+
+    if (!this.enabled) {
+      console.warn('⚠️ ENCRYPTION_MASTER_KEY is not set; uploaded files will be stored unencrypted');
+    }
+  }
+
+  /**
+   * Decode the configured master key
+   * @param {string} value - Base64 or hex encoded 256-bit key
+   * @returns {Buffer|null} Master key, or null if not configured
+   * @throws {Error} If the key is not 256 bits
+   */
+  parseMasterKey(value) {
+    if (!value) {
+      return null;
+    }
+
+    const key = /^[a-f0-9]{64}$/i.test(value)
+      ? Buffer.from(value, 'hex')
+      : Buffer.from(value, 'base64');
+
+    if (key.length !== KEY_LENGTH) {
+      throw new Error('ENCRYPTION_MASTER_KEY must be a 256-bit key, base64 or hex encoded');
+    }
+
+    return key;
+  }
+
+  /**
+   * Get the key that wraps data keys
+   * @param {string} userId - Owner's user ID
+   * @param {string} scope - 'user' or 'master'
+   * @returns {Buffer} Key-encryption key
+   */
+  getKeyEncryptionKey(userId, scope) {
+    if (!this.masterKey) {
+      throw new AppError(
+        'Encryption not configured',
+        ERROR_CODES.INTERNAL_ERROR,
+        500,
+        'ENCRYPTION_MASTER_KEY is required to read encrypted files'
+      );
+    }
+
+    if (scope === 'master') {
+      return this.masterKey;
+    }
+
+    return Buffer.from(crypto.hkdfSync('sha256', this.masterKey, Buffer.alloc(0), `freedrive-user-key:${userId}`, KEY_LENGTH));
+  }
+
+  /**
+   * Generate a data key for a new file
+   * @param {string} userId - Owner's user ID
+   * @returns {Object} File key ({ dataKey, noncePrefix, metadata }); metadata is stored with the file
+   */
+  createFileKey(userId) {
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+
+    // Bind the wrapped key to its owner so it cannot be replayed onto another user's row
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKeyEncryptionKey(userId, this.keyScope), iv);
+    cipher.setAAD(Buffer.from(`freedrive-file-key:${userId}`));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      dataKey,
+      noncePrefix,
+      metadata: {
+        algorithm: ALGORITHM,
+        keyScope: this.keyScope,
+        encryptedDataKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64'),
+        nonce: noncePrefix.toString('base64'),
+        segmentSize: SEGMENT_SIZE
+      }
+    };
+  }
+
+  /**
+   * Recover the data key of a stored file
+   * @param {Object} file - File record with encryption columns
+   * @returns {Object} File key ({ dataKey, noncePrefix, segmentSize })
+   */
+  openFileKey(file) {
+    const blob = Buffer.from(file.encrypted_data_key, 'base64');
+    const iv = blob.subarray(0, IV_LENGTH);
+    const tag = blob.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.getKeyEncryptionKey(file.user_id, file.encryption_key_scope), iv);
+      decipher.setAAD(Buffer.from(`freedrive-file-key:${file.user_id}`));
+      decipher.setAuthTag(tag);
+
+      return {
+        dataKey: Buffer.concat([decipher.update(blob.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]),
+        noncePrefix: Buffer.from(file.encryption_nonce, 'base64'),
+        segmentSize: file.encryption_segment_size || SEGMENT_SIZE
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+
+      throw new AppError(
+        'Failed to unlock file',
+        ERROR_CODES.INTERNAL_ERROR,
+        500,
+        'The file key could not be decrypted with the configured master key'
+      );
+    }
+  }
+
+  /**
+   * Encrypt a small secret (e.g. an access token) under the owner's key
+   * @param {string} userId - Owner's user ID
+   * @param {string} purpose - What the secret is for; binds the ciphertext to that use
+   * @param {string} secret - Secret to encrypt
+   * @returns {string} Base64 encoded IV, tag and ciphertext
+   */
+  encryptSecret(userId, purpose, secret) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKeyEncryptionKey(userId, 'user'), iv);
+    cipher.setAAD(Buffer.from(`freedrive-secret:${purpose}:${userId}`));
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+  }
+
+  /**
+   * Decrypt a secret stored with encryptSecret
+   * @param {string} userId - Owner's user ID
+   * @param {string} purpose - Purpose the secret was encrypted for
+   * @param {string} value - Base64 encoded IV, tag and ciphertext
+   * @returns {string} Secret
+   */
+  decryptSecret(userId, purpose, value) {
+    const blob = Buffer.from(value, 'base64');
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.getKeyEncryptionKey(userId, 'user'), blob.subarray(0, IV_LENGTH));
+      decipher.setAAD(Buffer.from(`freedrive-secret:${purpose}:${userId}`));
+      decipher.setAuthTag(blob.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+      return Buffer.concat([decipher.update(blob.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+
+      throw new AppError(
+        'Failed to unlock secret',
+        ERROR_CODES.INTERNAL_ERROR,
+        500,
+        'A stored secret could not be decrypted with the configured master key'
+      );
+    }
+  }
+
+  /**
+   * Number of segments a plaintext of the given size is split into (at least one)
+   * @param {number} size - Plaintext size in bytes
+   * @param {number} segmentSize - Segment size
+   * @returns {number} Segment count
+   */
+  getSegmentCount(size, segmentSize = SEGMENT_SIZE) {
+    return Math.max(Math.ceil(size / segmentSize), 1);
+  }
+
+  /**
+   * Encrypted size of a piece of plaintext
+   * @param {number} start - First plaintext byte (inclusive, segment aligned)
+   * @param {number} end - Last plaintext byte (exclusive)
+   * @param {number} segmentSize - Segment size
+   * @returns {number} Stored size in bytes
+   */
+  getEncryptedSize(start, end, segmentSize = SEGMENT_SIZE) {
+    return end - start + this.getSegmentCount(end - start, segmentSize) * TAG_LENGTH;
+  }
+
+  /**
+   * Map a plaintext byte range to the whole segments that hold it
+   * @param {Object} range - Inclusive plaintext range ({ start, end })
+   * @param {number} size - Plaintext file size
+   * @param {number} segmentSize - Segment size
+   * @returns {Object} Stored range ({ start, end } inclusive), first segment index,
+   *   segment count and the number of plaintext bytes to skip in the first segment
+   */
+  getStoredRange(range, size, segmentSize = SEGMENT_SIZE) {
+    const firstSegment = Math.floor(range.start / segmentSize);
+    const lastSegment = Math.floor(range.end / segmentSize);
+    const storedSegmentSize = segmentSize + TAG_LENGTH;
+
+    return {
+      start: firstSegment * storedSegmentSize,
+      end: Math.min((lastSegment + 1) * storedSegmentSize, this.getEncryptedSize(0, size, segmentSize)) - 1,
+      firstSegment,
+      segmentCount: lastSegment - firstSegment + 1,
+      skip: range.start - firstSegment * segmentSize
+    };
+  }
+
+  /**
+   * Build the nonce of one segment
+   * @param {Buffer} noncePrefix - File's nonce prefix
+   * @param {number} index - Segment index within the file
+   * @returns {Buffer} 96-bit nonce
+   */
+  getSegmentNonce(noncePrefix, index) {
+    const nonce = Buffer.alloc(IV_LENGTH);
+    noncePrefix.copy(nonce, 0);
+    nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+    return nonce;
+  }
+
+  /**
+   * Create a stream that encrypts a segment-aligned piece of a file
+   * @param {Object} fileKey - File key from createFileKey or openFileKey
+   * @param {number} start - First plaintext byte of the piece (segment aligned)
+   * @param {number} end - Last plaintext byte of the piece (exclusive)
+   * @param {number} fileSize - Plaintext size of the whole file
+   * @returns {Transform} Encrypting stream
+   */
+  createEncryptStream(fileKey, start, end, fileSize) {
+    const segmentSize = fileKey.segmentSize || SEGMENT_SIZE;
+    const lastSegment = this.getSegmentCount(fileSize, segmentSize) - 1;
+    const pieceSegments = this.getSegmentCount(end - start, segmentSize);
+    let index = Math.floor(start / segmentSize);
+    let emitted = 0;
+    let buffered = [];
+    let bufferedLength = 0;
+
+    const seal = (plaintext) => {
+      const cipher = crypto.createCipheriv(ALGORITHM, fileKey.dataKey, this.getSegmentNonce(fileKey.noncePrefix, index));
+      cipher.setAAD(Buffer.from([index === lastSegment ? 1 : 0]));
+      const sealed = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+      index += 1;
+      emitted += 1;
+      return sealed;
+    };
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        buffered.push(chunk);
+        bufferedLength += chunk.length;
+
+        // The piece's last segment is always sealed in flush, even when it is full
+        while (bufferedLength >= segmentSize && emitted < pieceSegments - 1) {
+          const data = Buffer.concat(buffered);
+          this.push(seal(data.subarray(0, segmentSize)));
+          buffered = [data.subarray(segmentSize)];
+          bufferedLength = data.length - segmentSize;
+        }
+
+        callback();
+      },
+      flush(callback) {
+        this.push(seal(Buffer.concat(buffered)));
+        callback();
+      }
+    });
+  }
+
+  /**
+   * Create a stream that decrypts whole stored segments
+   * @param {Object} fileKey - File key from openFileKey
+   * @param {number} firstSegment - Index of the first segment in the stream
+   * @param {number} segmentCount - Number of segments the stream must contain
+   * @param {number} fileSize - Plaintext size of the whole file
+   * @returns {Transform} Decrypting stream; fails on any tampered or missing segment
+   */
+  createDecryptStream(fileKey, firstSegment, segmentCount, fileSize) {
+    const segmentSize = fileKey.segmentSize || SEGMENT_SIZE;
+    const storedSegmentSize = segmentSize + TAG_LENGTH;
+    const lastSegment = this.getSegmentCount(fileSize, segmentSize) - 1;
+    let index = firstSegment;
+    let buffered = Buffer.alloc(0);
+
+    const open = (sealed) => {
+      const decipher = crypto.createDecipheriv(ALGORITHM, fileKey.dataKey, this.getSegmentNonce(fileKey.noncePrefix, index));
+      decipher.setAAD(Buffer.from([index === lastSegment ? 1 : 0]));
+      decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+      const plaintext = Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)), decipher.final()]);
+      index += 1;
+      return plaintext;
+    };
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+
+        try {
+          // Keep the trailing segment until flush, when we know it is complete
+          while (buffered.length > storedSegmentSize) {
+            this.push(open(buffered.subarray(0, storedSegmentSize)));
+            buffered = buffered.subarray(storedSegmentSize);
+          }
+          callback();
+        } catch (error) {
+          callback(integrityError(`Encrypted segment ${index} failed authentication`));
+        }
+      },
+      flush(callback) {
+        try {
+          if (buffered.length > 0) {
+            this.push(open(buffered));
+          }
+
+          if (index !== firstSegment + segmentCount) {
+            return callback(integrityError(`Encrypted content ended after segment ${index - 1}`));
+          }
+          callback();
+        } catch (error) {
+          callback(integrityError(`Encrypted segment ${index} failed authentication`));
+        }
+      }
+    });
+  }
+}
+
+module.exports = new EncryptionService();
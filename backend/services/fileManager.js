@@ -1,10 +1,19 @@
-const githubService = require('./github');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable, addAbortSignal } = require('stream');
+const storageService = require('./storage');
 const supabaseService = require('./supabase');
 const repoManagerService = require('./repoManager');
+const fileSagaService = require('./fileSagas');
+const uploadTracker = require('./uploadTracker');
+const encryptionService = require('./encryption');
 const { AppError } = require('../middleware/errorHandler');
-const { ERROR_CODES, MAX_FILE_SIZE_BYTES, ALLOWED_MIME_TYPES } = require('../utils/constants');
+const { ERROR_CODES, MAX_FILE_SIZE_BYTES, CHUNK_SIZE_BYTES, SMALL_FILE_MAX_BYTES, ALLOWED_MIME_TYPES, TRASH_RETENTION_DAYS } = require('../utils/constants');
 const Helpers = require('../utils/helpers');
 
+// How a rename, move or copy treats a name already taken in the target folder
+const NAME_CONFLICT_MODES = ['reject', 'rename'];
+
 /**
  * File Manager Service
  * Handles file upload, download, deletion, and management operations
@@ -69,70 +78,452 @@ class FileManagerService {
   }
 
   /**
-   * Upload a file to GitHub storage
+   * Open a byte range of an uploaded file for streaming to storage
+   * Uploads are spooled to disk by the upload middleware; in-memory buffers are still
+   * accepted for internal callers. Bytes read are counted as stored for tracked uploads,
+   * and a `signal` on the file aborts the stream (cancelling the upload).
+   * @param {Object} file - File object with `path` (spooled) or `buffer`
+   * @param {number} start - First byte (inclusive)
+   * @param {number} end - Last byte (exclusive)
+   * @returns {Readable} Content stream
+   */
+  createSourceStream(file, start, end) {
+    let source;
+    if (file.path && end > start) {
+      source = fs.createReadStream(file.path, { start, end: end - 1 });
+    } else {
+      source = Readable.from([file.buffer ? file.buffer.subarray(start, end) : Buffer.alloc(0)]);
+    }
+
+    if (file.signal) {
+      addAbortSignal(file.signal, source);
+    }
+
+    if (!file.uploadId) {
+      return source;
+    }
+
+    const counter = uploadTracker.createCounter(file.uploadId, 'bytesStored');
+    source.on('error', (error) => counter.destroy(error));
+    return source.pipe(counter);
+  }
+
+  /**
+   * Open a byte range of an uploaded file as it will be stored
+   * Encrypted files are sealed segment by segment on the way out.
+   * @param {Object} file - File object with `path` (spooled) or `buffer`
+   * @param {number} start - First byte (inclusive)
+   * @param {number} end - Last byte (exclusive)
+   * @param {Object|null} fileKey - File key from encryptionService.createFileKey, or null
+   * @returns {Readable} Stored content stream
+   */
+  createStoredStream(file, start, end, fileKey) {
+    const source = this.createSourceStream(file, start, end);
+
+    if (!fileKey) {
+      return source;
+    }
+
+    const encryptor = encryptionService.createEncryptStream(fileKey, start, end, file.size);
+    source.on('error', (error) => encryptor.destroy(error));
+    return source.pipe(encryptor);
+  }
+
+  /**
+   * Get the stored size of a byte range of a file
+   * @param {number} start - First byte (inclusive)
+   * @param {number} end - Last byte (exclusive)
+   * @param {Object|null} fileKey - File key, or null for unencrypted files
+   * @returns {number} Stored size in bytes
+   */
+  getStoredSize(start, end, fileKey) {
+    return fileKey ? encryptionService.getEncryptedSize(start, end) : end - start;
+  }
+
+  /**
+   * Compute the SHA-256 of an uploaded file's content
+   * The multipart spool hashes while receiving; other sources are read once here.
+   * @param {Object} file - File object with `sha256`, `path` (spooled) or `buffer`
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashContent(file) {
+    if (file.sha256) {
+      return file.sha256;
+    }
+
+    const hash = crypto.createHash('sha256');
+
+    if (file.path) {
+      for await (const chunk of fs.createReadStream(file.path)) {
+        hash.update(chunk);
+      }
+    } else {
+      hash.update(file.buffer || Buffer.alloc(0));
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Create a file record that refers to the stored content of another one
+   * The asset (or the chunks) is shared: deleting either record keeps the content
+   * until the last one referring to it is gone. The record is added in one transaction
+   * with the original locked, so it cannot end up pointing at content a concurrent
+   * deletion of the original released.
+   * @param {Object} original - File record whose content is reused
+   * @param {string} userId - User ID
+   * @param {Object} fields - Fields of the new record (folderId, originalName, sizeBytes, mimeType,
+   *   contentSha256, and versionOf for a version of another file)
+   * @returns {Promise<Object>} New file record
+   * @throws {AppError} 404 if the original was deleted in the meantime
+   */
+  async createFileReference(original, userId, fields) {
+    const dbFile = await supabaseService.addFileReference(original.id, userId, {
+      ...fields,
+      sizeMb: Helpers.bytesToMb(fields.sizeBytes)
+    });
+
+    if (!dbFile) {
+      throw new AppError(
+        'File not found',
+        ERROR_CODES.FILE_NOT_FOUND,
+        404,
+        `${original.original_name} was deleted in the meantime`
+      );
+    }
+
+    return dbFile;
+  }
+
+  /**
+   * Carry a file's integrity status over to a record that refers to the same content
+   * @param {Object} original - File record whose content is reused
+   * @param {string} fileId - ID of the new record
+   * @returns {Promise<void>}
+   */
+  async copyFileHealth(original, fileId) {
+    if (original.health_status) {
+      await supabaseService.updateFileHealth(fileId, {
+        status: original.health_status,
+        issue: original.health_issue,
+        checkedAt: original.health_checked_at,
+        verifiedAt: original.content_verified_at
+      });
+    }
+  }
+
+  /**
+   * Record an upload whose content the user has already stored
+   * The new row points at the existing asset (or chunks) instead of storing the bytes
+   * again, so repository usage is unchanged.
+   * @param {Object} file - File object from multer
+   * @param {string} userId - User ID
+   * @param {Object} original - Existing file record with the same content
+   * @param {string} contentSha256 - SHA-256 of the content
+   * @param {string|null} versionOf - File the new record is a version of
+   * @returns {Promise<Object>} Upload result with file metadata
+   */
+  async createDuplicateFile(file, userId, original, contentSha256, versionOf = null) {
+    console.log(`♻️ ${file.originalname} matches stored content of ${original.original_name}, reusing it`);
+
+    const dbFile = await this.createFileReference(original, userId, {
+      folderId: file.folderId,
+      versionOf,
+      originalName: file.originalname,
+      sizeBytes: file.size,
+      mimeType: file.mimetype,
+      contentSha256
+    });
+    const isChunked = original.is_chunked || false;
+    const isEncrypted = Boolean(original.encryption_algorithm);
+
+    if (file.uploadId) {
+      uploadTracker.finish(file.uploadId, 'completed');
+    }
+
+    return {
+      success: true,
+      file: {
+        id: dbFile.id,
+        filename: dbFile.filename,
+        originalName: dbFile.original_name,
+        size: file.size,
+        sizeMb: Helpers.bytesToMb(file.size),
+        sizeFormatted: Helpers.formatBytes(file.size),
+        mimeType: dbFile.mime_type,
+        folderId: dbFile.folder_id || null,
+        downloadUrl: dbFile.download_url,
+        uploadedAt: dbFile.created_at,
+        repository: original.repos.name,
+        isChunked,
+        chunkCount: original.chunk_count || 1,
+        isEncrypted,
+        contentSha256,
+        deduplicated: true
+      },
+      repository: {
+        id: original.repo_id,
+        name: original.repos.name,
+        sizeAfterUpload: original.repos.size_mb
+      }
+    };
+  }
+
+  /**
+   * Pick the repository that will receive an upload, rotating to a new one when needed
+   * @param {string} userId - User ID
+   * @param {number} sizeBytes - Size of the data to store in bytes
+   * @param {string} mimeType - Content type of the file
+   * @returns {Promise<Object>} Repository record
+   */
+  async selectRepository(userId, sizeBytes, mimeType) {
+    const repository = await repoManagerService.getAvailableRepository(userId, sizeBytes, mimeType);
+
+    console.log(`📁 Using repository: ${repository.name}`);
+    return repository;
+  }
+
+  /**
+   * Store one asset as a step of an upload or move saga
+   * The attempt is logged before the upload so an asset the provider kept despite a
+   * failure (or a crash) can still be found and removed.
+   * @param {Object} saga - Upload or move saga
+   * @param {Object} repository - Repository record
+   * @param {string} filename - Asset name
+   * @param {Stream} data - Stored content
+   * @param {string} contentType - Asset content type
+   * @param {number} size - Stored size in bytes
+   * @param {string} tier - Storage tier to use ('release' or 'blob')
+   * @returns {Promise<Object>} Upload result ({ tier, downloadUrl, releaseId, assetId })
+   */
+  async storeAsset(saga, repository, filename, data, contentType, size, tier = 'release') {
+    await fileSagaService.recordStep(saga, 'asset_pending', { repoId: repository.id, filename });
+
+    const uploadResult = await storageService.putAsset(repository, filename, data, contentType, size, { tier });
+
+    await fileSagaService.recordStep(saga, 'asset_stored', {
+      repoId: repository.id,
+      filename,
+      tier: uploadResult.tier,
+      releaseId: uploadResult.releaseId,
+      assetId: uploadResult.assetId
+    });
+
+    return uploadResult;
+  }
+
+  /**
+   * Add one stored asset to a repository's usage as a step of an upload saga
+   * @param {Object} saga - Upload saga
+   * @param {string} repoId - Repository ID
+   * @param {number} sizeMb - Added size in MB
+   * @returns {Promise<void>}
+   */
+  async addRepositoryUsage(saga, repoId, sizeMb) {
+    await repoManagerService.updateRepositorySize(repoId, sizeMb, 1);
+    await fileSagaService.recordStep(saga, 'repo_size_updated', { repoId, sizeMb });
+  }
+
+  /**
+   * Store a large file as numbered chunks, each placed in a repository with room for it
+   * Repository sizes are updated as each chunk lands so later chunks see the new usage.
+   * Chunks already stored when a later one fails are removed by compensating the saga.
    * @param {Object} file - File object from multer
    * @param {string} userId - User ID
-   * @param {Object} options - Upload options
+   * @param {string} uniqueFilename - Generated storage filename
+   * @param {Object|null} fileKey - File key for encrypted uploads
+   * @param {Object} saga - Upload saga
+   * @returns {Promise<Array>} Stored chunks in order
+   */
+  async storeChunks(file, userId, uniqueFilename, fileKey, saga) {
+    const chunkCount = Math.ceil(file.size / CHUNK_SIZE_BYTES);
+    const chunks = [];
+
+    console.log(`🧩 Splitting ${file.originalname} into ${chunkCount} chunks`);
+
+    for (let chunkIndex = 0; chunkIndex < chunkCount; chunkIndex++) {
+      const start = chunkIndex * CHUNK_SIZE_BYTES;
+      const end = Math.min(start + CHUNK_SIZE_BYTES, file.size);
+      const chunkSize = this.getStoredSize(start, end, fileKey);
+      const chunkFilename = `${uniqueFilename}.part${String(chunkIndex + 1).padStart(3, '0')}`;
+
+      const repository = await this.selectRepository(userId, chunkSize, file.mimetype);
+
+      console.log(`⬆️ Uploading chunk ${chunkIndex + 1}/${chunkCount} to ${repository.name}`);
+      const uploadResult = await this.storeAsset(
+        saga,
+        repository,
+        chunkFilename,
+        this.createStoredStream(file, start, end, fileKey),
+        'application/octet-stream',
+        chunkSize
+      );
+
+      chunks.push({
+        chunkIndex,
+        repository,
+        repoId: repository.id,
+        sizeBytes: chunkSize,
+        downloadUrl: uploadResult.downloadUrl,
+        ghReleaseId: uploadResult.releaseId,
+        ghAssetId: uploadResult.assetId
+      });
+
+      await this.addRepositoryUsage(saga, repository.id, Helpers.bytesToMb(chunkSize));
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Load the chunk manifest of a file in the shape produced by storeChunks
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Chunks in reassembly order
+   */
+  async getFileChunks(fileId, userId) {
+    const rows = await supabaseService.getFileChunks(fileId, userId);
+
+    return rows.map(row => ({
+      chunkIndex: row.chunk_index,
+      repository: row.repos,
+      repoId: row.repo_id,
+      sizeBytes: Number(row.size_bytes),
+      downloadUrl: row.download_url,
+      ghReleaseId: row.gh_release_id,
+      ghAssetId: row.gh_asset_id
+    }));
+  }
+
+  /**
+   * Upload a file to GitHub storage
+   * Files larger than CHUNK_SIZE_BYTES are split into chunks tracked in file_chunks.
+   * The upload runs as a saga: if any step fails, everything already stored is undone.
+   * An upload to a name already taken in its folder becomes a new version of that file.
+   * @param {Object} file - File object from multer, with the `folderId` to list it in (root if unset),
+   *   or `versionOf` to add it as a new version of that file
+   * @param {string} userId - User ID
+   * @param {Object} options - Upload options (asVersionOf: store the upload as a version row
+   *   of this file, used by uploadVersion)
    * @returns {Promise<Object>} Upload result with file metadata
    */
   async uploadFile(file, userId, options = {}) {
+    let saga = null;
+
     try {
       // Validate file
       this.validateFile(file);
 
+      const contentSha256 = await this.hashContent(file);
+      const target = options.asVersionOf ? null : await this.findVersionTarget(file, userId);
+
+      if (target) {
+        return await this.uploadVersion(file, userId, target, contentSha256);
+      }
+
+      // Identical content the user already stored is referenced instead of uploaded again
+      const duplicate = await supabaseService.findFileByContentHash(userId, contentSha256, file.size);
+
+      if (duplicate) {
+        try {
+          return await this.createDuplicateFile(file, userId, duplicate, contentSha256, options.asVersionOf);
+        } catch (error) {
+          // The match was deleted since it was found, and its content may be gone; store the bytes
+          if (error.code !== ERROR_CODES.FILE_NOT_FOUND) {
+            throw error;
+          }
+        }
+      }
+
+      // Encrypted files get a fresh data key and an asset name that reveals nothing
+      const fileKey = encryptionService.enabled ? encryptionService.createFileKey(userId) : null;
+
       // Generate unique filename to avoid conflicts
-      const uniqueFilename = Helpers.generateUniqueFilename(file.originalname);
+      const uniqueFilename = fileKey
+        ? `${Helpers.generateRandomString(32)}.enc`
+        : Helpers.generateUniqueFilename(file.originalname);
       const fileSizeBytes = file.size;
       const fileSizeMb = Helpers.bytesToMb(fileSizeBytes);
+      const isChunked = fileSizeBytes > CHUNK_SIZE_BYTES;
 
       console.log(`📤 Starting upload: ${file.originalname} (${Helpers.formatBytes(fileSizeBytes)})`);
 
-      // Get available repository
-      const repository = await repoManagerService.getAvailableRepository(userId, fileSizeBytes);
-      
-      console.log(`📁 Using repository: ${repository.name}`);
-
-      // Check if we should create a new repository instead
-      if (repoManagerService.shouldRotateRepository(repository, fileSizeMb)) {
-        console.log(`🔄 Repository rotation needed, creating new repository`);
-        const newRepo = await repoManagerService.createNewRepository(
-          userId, 
-          (await supabaseService.getUserRepositories(userId)).length + 1
-        );
-        repository.id = newRepo.id;
-        repository.name = newRepo.name;
+      if (file.uploadId) {
+        uploadTracker.update(file.uploadId, { status: 'storing', totalBytes: fileSizeBytes });
       }
 
-      // Upload file to GitHub
-      console.log(`⬆️ Uploading to GitHub: ${uniqueFilename}`);
-      const uploadResult = await githubService.uploadFile(
-        repository.name,
-        uniqueFilename,
-        file.buffer,
-        file.mimetype
-      );
+      // The file ID is chosen up front so the saga can remove the row if it was written
+      saga = await fileSagaService.begin('upload', userId, crypto.randomUUID());
+
+      let repository;
+      let uploadResult = {};
+      let chunks = [];
+
+      if (isChunked) {
+        chunks = await this.storeChunks(file, userId, uniqueFilename, fileKey, saga);
+        repository = chunks[0].repository;
+      } else {
+        repository = await this.selectRepository(userId, fileSizeBytes, file.mimetype);
+
+        // Upload file to storage, small files as git blobs where the provider supports it
+        const storedSize = this.getStoredSize(0, fileSizeBytes, fileKey);
+
+        console.log(`⬆️ Uploading to ${storageService.providerName} storage: ${uniqueFilename}`);
+        uploadResult = await this.storeAsset(
+          saga,
+          repository,
+          uniqueFilename,
+          this.createStoredStream(file, 0, fileSizeBytes, fileKey),
+          fileKey ? 'application/octet-stream' : file.mimetype,
+          storedSize,
+          storedSize <= SMALL_FILE_MAX_BYTES ? 'blob' : 'release'
+        );
+      }
 
       // Store file metadata in database
       const fileData = {
+        id: saga.file_id,
         userId,
         repoId: repository.id,
+        folderId: file.folderId,
+        versionOf: options.asVersionOf,
         filename: uniqueFilename,
         originalName: file.originalname,
         sizeMb: fileSizeMb,
+        sizeBytes: fileSizeBytes,
         mimeType: file.mimetype,
         downloadUrl: uploadResult.downloadUrl,
         ghReleaseId: uploadResult.releaseId,
-        ghAssetId: uploadResult.assetId
+        ghAssetId: uploadResult.assetId,
+        storageTier: isChunked ? 'release' : uploadResult.tier,
+        isChunked,
+        chunkCount: isChunked ? chunks.length : 1,
+        encryption: fileKey ? fileKey.metadata : null,
+        contentSha256
       };
 
       console.log(`💾 Storing file metadata in database`);
+      await fileSagaService.recordStep(saga, 'file_pending', { filename: uniqueFilename });
+
       const dbFile = await supabaseService.createFile(fileData);
 
-      // Update repository size
-      await repoManagerService.updateRepositorySize(repository.id, fileSizeMb);
+      if (isChunked) {
+        await supabaseService.createFileChunks(dbFile.id, userId, chunks);
+      }
+
+      // Update repository size (chunked uploads account for each chunk as it is stored)
+      if (!isChunked) {
+        await this.addRepositoryUsage(saga, repository.id, fileSizeMb);
+      }
+
+      await fileSagaService.complete(saga);
 
       console.log(`✅ Upload completed: ${file.originalname} → ${uniqueFilename}`);
 
+      if (file.uploadId) {
+        uploadTracker.finish(file.uploadId, 'completed');
+      }
+
       return {
         success: true,
         file: {
@@ -143,19 +534,33 @@ class FileManagerService {
           sizeMb: fileSizeMb,
           sizeFormatted: Helpers.formatBytes(fileSizeBytes),
           mimeType: dbFile.mime_type,
+          folderId: dbFile.folder_id || null,
           downloadUrl: dbFile.download_url,
           uploadedAt: dbFile.created_at,
-          repository: repository.name
+          repository: repository.name,
+          isChunked,
+          chunkCount: fileData.chunkCount,
+          isEncrypted: Boolean(fileKey),
+          contentSha256,
+          deduplicated: false
         },
         repository: {
           id: repository.id,
           name: repository.name,
-          sizeAfterUpload: repository.size_mb + fileSizeMb
+          sizeAfterUpload: repository.size_mb + (isChunked ? Helpers.bytesToMb(chunks[0].sizeBytes) : fileSizeMb)
         }
       };
 
     } catch (error) {
       console.error('File upload error:', error);
+
+      if (saga) {
+        await fileSagaService.abort(saga, error);
+      }
+
+      if (file && file.uploadId) {
+        uploadTracker.finish(file.uploadId, 'failed', error.message);
+      }
       
       if (error instanceof AppError) {
         throw error;
@@ -237,6 +642,27 @@ class FileManagerService {
     };
   }
 
+  /**
+   * Get the exact size of a file record in bytes
+   * Older records only carry the rounded size_mb value.
+   * @param {Object} file - File record
+   * @returns {number} Size in bytes
+   */
+  getSizeBytes(file) {
+    return file.size_bytes ? Number(file.size_bytes) : Helpers.mbToBytes(file.size_mb);
+  }
+
+  /**
+   * Get a strong entity tag for a file's stored content
+   * Stored assets are never rewritten in place, so the asset identity pins the bytes.
+   * @param {Object} file - File record
+   * @returns {string} Quoted ETag
+   */
+  getETag(file) {
+    const identity = [file.id, file.gh_asset_id || `chunks:${file.chunk_count}`, this.getSizeBytes(file), file.created_at].join(':');
+    return `"${crypto.createHash('sha1').update(identity).digest('hex').slice(0, 27)}"`;
+  }
+
   /**
    * Get file by ID
    * @param {string} fileId - File ID
@@ -260,11 +686,23 @@ class FileManagerService {
         id: file.id,
         filename: file.filename,
         originalName: file.original_name,
-        size: file.size_mb * 1024 * 1024, // Convert back to bytes
+        size: this.getSizeBytes(file),
         sizeMb: file.size_mb,
-        sizeFormatted: Helpers.formatBytes(file.size_mb * 1024 * 1024),
+        sizeFormatted: Helpers.formatBytes(this.getSizeBytes(file)),
         mimeType: file.mime_type,
+        folderId: file.folder_id || null,
+        version: file.version_number || 1,
+        versionOf: file.version_of || null,
+        trashedAt: file.trashed_at || null,
         downloadUrl: file.download_url,
+        isChunked: file.is_chunked || false,
+        chunkCount: file.chunk_count || 1,
+        isEncrypted: Boolean(file.encryption_algorithm),
+        contentSha256: file.content_sha256 || null,
+        healthStatus: file.health_status || 'unverified',
+        healthIssue: file.health_issue || null,
+        isDamaged: file.health_status === 'damaged',
+        etag: this.getETag(file),
         uploadedAt: file.created_at,
         repository: {
           name: file.repos.name,
@@ -287,10 +725,146 @@ class FileManagerService {
     }
   }
 
+  /**
+   * Open a file's content for streaming through the API
+   * Encrypted files are read as whole segments covering the range, then decrypted and trimmed.
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @param {Object|null} range - Inclusive byte range ({ start, end }), or null for the whole file
+   * @returns {Promise<Object>} File stream with streamed size, MIME type and original name
+   */
+  async openDownloadStream(fileId, userId, range = null) {
+    // getFile throws a FILE_NOT_FOUND AppError for missing or foreign files
+    await this.getFile(fileId, userId);
+    const dbFile = await supabaseService.getFileById(fileId, userId);
+    const sizeBytes = this.getSizeBytes(dbFile);
+
+    if (!dbFile.encryption_algorithm) {
+      const stored = await this.openStoredStream(dbFile, range);
+
+      return {
+        stream: stored.stream,
+        size: stored.size,
+        mimeType: dbFile.mime_type || stored.contentType || 'application/octet-stream',
+        originalName: dbFile.original_name
+      };
+    }
+
+    const fileKey = encryptionService.openFileKey(dbFile);
+    const plainRange = range || { start: 0, end: Math.max(sizeBytes - 1, 0) };
+    const storedRange = encryptionService.getStoredRange(plainRange, sizeBytes, fileKey.segmentSize);
+    const stored = await this.openStoredStream(dbFile, { start: storedRange.start, end: storedRange.end });
+
+    const decryptor = encryptionService.createDecryptStream(
+      fileKey,
+      storedRange.firstSegment,
+      storedRange.segmentCount,
+      sizeBytes
+    );
+    stored.stream.on('error', (error) => decryptor.destroy(error));
+
+    const size = range ? range.end - range.start + 1 : sizeBytes;
+
+    return {
+      stream: Helpers.sliceStream(stored.stream.pipe(decryptor), storedRange.skip, size),
+      size,
+      mimeType: dbFile.mime_type || 'application/octet-stream',
+      originalName: dbFile.original_name
+    };
+  }
+
+  /**
+   * Open a byte range of a file's stored (possibly encrypted) content
+   * @param {Object} dbFile - File record
+   * @param {Object|null} range - Inclusive byte range of the stored content, or null for all of it
+   * @returns {Promise<Object>} Stored stream ({ stream, size, contentType })
+   */
+  async openStoredStream(dbFile, range) {
+    if (dbFile.is_chunked) {
+      const chunks = await this.getFileChunks(dbFile.id, dbFile.user_id);
+      const totalSize = chunks.reduce((sum, chunk) => sum + chunk.sizeBytes, 0);
+      const { start, end } = range || { start: 0, end: totalSize - 1 };
+
+      return {
+        stream: Readable.from(this.readChunks(chunks, start, end)),
+        size: Math.max(end - start + 1, 0),
+        contentType: null
+      };
+    }
+
+    return storageService.getAsset(dbFile.repos, {
+      tier: dbFile.storage_tier,
+      releaseId: dbFile.gh_release_id,
+      assetId: dbFile.gh_asset_id
+    }, range);
+  }
+
+  /**
+   * Read chunks one after another, yielding their content in order
+   * Only chunks overlapping the byte range are opened, each once the previous one
+   * has been fully consumed.
+   * @param {Array} chunks - Chunks in reassembly order
+   * @param {number} start - First byte of the file to yield
+   * @param {number} end - Last byte of the file to yield (inclusive)
+   */
+  async *readChunks(chunks, start, end) {
+    let chunkStart = 0;
+
+    for (const chunk of chunks) {
+      const chunkEnd = chunkStart + chunk.sizeBytes - 1;
+
+      if (chunkEnd >= start && chunkStart <= end) {
+        const isWhole = start <= chunkStart && end >= chunkEnd;
+        const asset = await storageService.getAsset(chunk.repository, {
+          releaseId: chunk.ghReleaseId,
+          assetId: chunk.ghAssetId
+        }, isWhole ? null : {
+          start: Math.max(start, chunkStart) - chunkStart,
+          end: Math.min(end, chunkEnd) - chunkStart
+        });
+
+        yield* asset.stream;
+      }
+
+      chunkStart = chunkEnd + 1;
+    }
+  }
+
+  /**
+   * Format a file record for file listings
+   * @param {Object} file - File record with repository information
+   * @returns {Object} File data
+   */
+  formatFileSummary(file) {
+    return {
+      id: file.id,
+      filename: file.filename,
+      originalName: file.original_name,
+      size: this.getSizeBytes(file),
+      sizeMb: file.size_mb,
+      sizeFormatted: Helpers.formatBytes(this.getSizeBytes(file)),
+      mimeType: file.mime_type,
+      folderId: file.folder_id || null,
+      version: file.version_number || 1,
+      downloadUrl: file.download_url,
+      isChunked: file.is_chunked || false,
+      chunkCount: file.chunk_count || 1,
+      isEncrypted: Boolean(file.encryption_algorithm),
+      healthStatus: file.health_status || 'unverified',
+      isDamaged: file.health_status === 'damaged',
+      uploadedAt: file.created_at,
+      repository: {
+        name: file.repos.name,
+        githubId: file.repos.github_repo_id
+      }
+    };
+  }
+
   /**
    * Get user files with pagination
    * @param {string} userId - User ID
-   * @param {Object} options - Query options (limit, offset, search)
+   * @param {Object} options - Query options (limit, offset, search, and folderId to list
+   *   one folder: null for the root, omitted for all files)
    * @returns {Promise<Object>} Paginated file list
    */
   async getUserFiles(userId, options = {}) {
@@ -298,27 +872,14 @@ class FileManagerService {
       const {
         limit = 20,
         offset = 0,
-        search = ''
+        search = '',
+        folderId
       } = options;
 
-      const result = await supabaseService.getUserFiles(userId, limit, offset);
+      const result = await supabaseService.getUserFiles(userId, limit, offset, folderId);
       
       // Format files for frontend
-      const formattedFiles = result.files.map(file => ({
-        id: file.id,
-        filename: file.filename,
-        originalName: file.original_name,
-        size: file.size_mb * 1024 * 1024,
-        sizeMb: file.size_mb,
-        sizeFormatted: Helpers.formatBytes(file.size_mb * 1024 * 1024),
-        mimeType: file.mime_type,
-        downloadUrl: file.download_url,
-        uploadedAt: file.created_at,
-        repository: {
-          name: file.repos.name,
-          githubId: file.repos.github_repo_id
-        }
-      }));
+      const formattedFiles = result.files.map(file => this.formatFileSummary(file));
 
       // Apply search filter if provided
       const filteredFiles = search 
@@ -353,8 +914,603 @@ class FileManagerService {
     }
   }
 
+  /**
+   * Validate and normalise a file name
+   * @param {string} name - File name
+   * @returns {string} Trimmed name
+   */
+  validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+
+    if (!Helpers.isValidEntryName(trimmed)) {
+      throw new AppError(
+        'Invalid file name',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'File names must be 1 to 255 characters, without slashes or control characters, and not "." or ".."'
+      );
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Settle the name a file gets in a folder
+   * @param {string} userId - User ID
+   * @param {string|null} folderId - Target folder ID, or null for the root
+   * @param {string} name - Wanted name
+   * @param {string} conflict - 'reject' to fail if the name is taken, 'rename' to number it
+   * @param {string|null} excludeFileId - File being renamed or moved, which may keep its own name
+   * @returns {Promise<string>} Name to use
+   */
+  async resolveName(userId, folderId, name, conflict, excludeFileId = null) {
+    if (!NAME_CONFLICT_MODES.includes(conflict)) {
+      throw new AppError(
+        'Invalid conflict mode',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        `conflict must be one of: ${NAME_CONFLICT_MODES.join(', ')}`
+      );
+    }
+
+    const taken = new Set(await supabaseService.getFolderFileNames(userId, folderId, excludeFileId));
+
+    if (!taken.has(name)) {
+      return name;
+    }
+
+    if (conflict === 'reject') {
+      throw new AppError(
+        'File already exists',
+        ERROR_CODES.NAME_CONFLICT,
+        409,
+        `A file named ${name} already exists in the target folder`
+      );
+    }
+
+    let number = 2;
+    while (taken.has(Helpers.numberName(name, number))) {
+      number++;
+    }
+
+    return Helpers.numberName(name, number);
+  }
+
+  /**
+   * Rename a file and/or move it to another folder
+   * Only the file record changes; nothing is uploaded again.
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @param {Object} changes - New name and/or folderId (null for the root), and the
+   *   conflict mode for a name already taken in the target folder (default 'reject')
+   * @returns {Promise<Object>} Updated file data
+   */
+  async updateFile(fileId, userId, { name, folderId, conflict = 'reject' } = {}) {
+    // Earlier versions follow their file and cannot be renamed or moved on their own
+    await this.getCurrentFileRecord(fileId, userId);
+    const file = await this.getFile(fileId, userId);
+    const targetFolderId = folderId === undefined ? file.folderId : folderId;
+    const wantedName = name === undefined ? file.originalName : this.validateName(name);
+
+    if (wantedName === file.originalName && targetFolderId === file.folderId) {
+      return file;
+    }
+
+    const targetName = await this.resolveName(userId, targetFolderId, wantedName, conflict, fileId);
+
+    await supabaseService.updateFile(fileId, userId, {
+      original_name: targetName,
+      folder_id: targetFolderId
+    });
+
+    console.log(`✏️ Updated file ${fileId}: ${file.originalName} → ${targetName}${targetFolderId !== file.folderId ? ` in folder ${targetFolderId || '/'}` : ''}`);
+    return this.getFile(fileId, userId);
+  }
+
+  /**
+   * Copy a file
+   * The copy refers to the same stored content, so no bytes are uploaded and repository
+   * usage is unchanged. It keeps the original's integrity status.
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @param {Object} options - Name and folderId of the copy (default: the original's), and
+   *   the conflict mode for a name already taken in the target folder (default 'rename')
+   * @returns {Promise<Object>} File data of the copy
+   */
+  async copyFile(fileId, userId, { name, folderId, conflict = 'rename' } = {}) {
+    await this.getFile(fileId, userId);
+
+    const original = await supabaseService.getFileById(fileId, userId);
+    this.assertNotTrashed(original);
+    const targetFolderId = folderId === undefined ? original.folder_id || null : folderId;
+    const targetName = await this.resolveName(
+      userId,
+      targetFolderId,
+      name === undefined ? original.original_name : this.validateName(name),
+      conflict
+    );
+
+    const dbFile = await this.createFileReference(original, userId, {
+      folderId: targetFolderId,
+      originalName: targetName,
+      sizeBytes: this.getSizeBytes(original),
+      mimeType: original.mime_type,
+      contentSha256: original.content_sha256
+    });
+
+    await this.copyFileHealth(original, dbFile.id);
+
+    console.log(`📄 Copied file ${original.original_name} → ${targetName} (${dbFile.id})`);
+    return this.getFile(dbFile.id, userId);
+  }
+
+  /**
+   * Find the file an upload adds a version to
+   * @param {Object} file - File object, with `versionOf` for an upload to a file's versions
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Current file record, or null if the upload is a new file
+   */
+  async findVersionTarget(file, userId) {
+    if (file.versionOf) {
+      return this.getCurrentFileRecord(file.versionOf, userId);
+    }
+
+    return supabaseService.findFileByName(userId, file.folderId || null, file.originalname);
+  }
+
+  /**
+   * Add an upload as the new current version of a file
+   * The content is stored like any other upload, as a version row that then swaps content
+   * with the file's row, so the file keeps its ID, name and folder. Content identical to
+   * the current version adds no version.
+   * @param {Object} file - File object from multer
+   * @param {string} userId - User ID
+   * @param {Object} target - Current file record
+   * @param {string} contentSha256 - SHA-256 of the content
+   * @returns {Promise<Object>} Upload result with the file's metadata
+   */
+  async uploadVersion(file, userId, target, contentSha256) {
+    if (target.content_sha256 === contentSha256 && this.getSizeBytes(target) === file.size) {
+      console.log(`♻️ ${target.original_name} is unchanged, keeping version ${target.version_number}`);
+
+      if (file.uploadId) {
+        uploadTracker.finish(file.uploadId, 'completed');
+      }
+
+      return {
+        success: true,
+        file: { ...(await this.getFile(target.id, userId)), deduplicated: true, unchanged: true }
+      };
+    }
+
+    const result = await this.uploadFile(
+      { ...file, originalname: target.original_name, folderId: null, versionOf: null, sha256: contentSha256 },
+      userId,
+      { asVersionOf: target.id }
+    );
+
+    let version;
+    try {
+      version = await supabaseService.promoteFileVersion(target.id, result.file.id);
+    } catch (error) {
+      // The new content never became current, so it is not kept as a version either
+      await this.deleteFile(result.file.id, userId).catch(() => {});
+      throw error;
+    }
+
+    console.log(`🕒 ${target.original_name} is now at version ${version}`);
+
+    return {
+      ...result,
+      file: {
+        ...result.file,
+        id: target.id,
+        originalName: target.original_name,
+        folderId: target.folder_id || null,
+        version
+      }
+    };
+  }
+
+  /**
+   * Get a file to download
+   * Trashed files cannot be downloaded, and neither can the versions of a trashed file.
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} File data
+   */
+  async getDownloadableFile(fileId, userId) {
+    const file = await this.getFile(fileId, userId);
+    const current = await supabaseService.getFileById(file.versionOf || file.id, userId);
+
+    this.assertNotTrashed(current);
+
+    return file;
+  }
+
+  /**
+   * Get the record of a file that can be changed, versioned or shared
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @param {boolean} includeTrashed - Whether a file in the trash is accepted
+   * @returns {Promise<Object>} File record
+   */
+  async getCurrentFileRecord(fileId, userId, includeTrashed = false) {
+    // getFile throws a FILE_NOT_FOUND AppError for missing or foreign files
+    await this.getFile(fileId, userId);
+    const dbFile = await supabaseService.getFileById(fileId, userId);
+
+    if (dbFile.version_of) {
+      throw new AppError(
+        'Not a current file',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        `This is an earlier version of file ${dbFile.version_of}; use that file instead`
+      );
+    }
+
+    if (!includeTrashed) {
+      this.assertNotTrashed(dbFile);
+    }
+
+    return dbFile;
+  }
+
+  /**
+   * Fail if a file is in the trash
+   * @param {Object} dbFile - File record
+   * @throws {AppError}
+   */
+  assertNotTrashed(dbFile) {
+    if (dbFile.trashed_at) {
+      throw new AppError(
+        'File is in the trash',
+        ERROR_CODES.FILE_IN_TRASH,
+        409,
+        `Restore ${dbFile.original_name} from the trash first`
+      );
+    }
+  }
+
+  /**
+   * Get one version of a file
+   * @param {Object} current - Current file record
+   * @param {string} versionId - Version ID (the file's own ID for the current version)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Version record
+   */
+  async getVersionRecord(current, versionId, userId) {
+    if (versionId === current.id) {
+      return current;
+    }
+
+    const version = (await supabaseService.getFileVersions(current.id, userId))
+      .find(candidate => candidate.id === versionId);
+
+    if (!version) {
+      throw new AppError(
+        'Version not found',
+        ERROR_CODES.VERSION_NOT_FOUND,
+        404,
+        `File ${current.original_name} has no such version`
+      );
+    }
+
+    return version;
+  }
+
+  /**
+   * Format a version for the API
+   * @param {Object} dbFile - File record of the version
+   * @returns {Object} Version data
+   */
+  formatVersion(dbFile) {
+    return {
+      id: dbFile.id,
+      version: dbFile.version_number || 1,
+      isCurrent: !dbFile.version_of,
+      size: this.getSizeBytes(dbFile),
+      sizeFormatted: Helpers.formatBytes(this.getSizeBytes(dbFile)),
+      mimeType: dbFile.mime_type,
+      isChunked: dbFile.is_chunked || false,
+      isEncrypted: Boolean(dbFile.encryption_algorithm),
+      contentSha256: dbFile.content_sha256 || null,
+      healthStatus: dbFile.health_status || 'unverified',
+      uploadedAt: dbFile.created_at
+    };
+  }
+
+  /**
+   * List the versions of a file
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} The file's versions, newest (current) first
+   */
+  async listVersions(fileId, userId) {
+    const current = await this.getCurrentFileRecord(fileId, userId);
+    const versions = [current, ...(await supabaseService.getFileVersions(fileId, userId))]
+      .map(version => this.formatVersion(version));
+    const totalSize = versions.reduce((sum, version) => sum + version.size, 0);
+
+    return {
+      fileId,
+      originalName: current.original_name,
+      currentVersion: current.version_number || 1,
+      versions,
+      totalSize,
+      totalSizeFormatted: Helpers.formatBytes(totalSize)
+    };
+  }
+
+  /**
+   * Get one version of a file, ready to download
+   * @param {string} fileId - File ID
+   * @param {string} versionId - Version ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} File data of the version
+   */
+  async getVersion(fileId, versionId, userId) {
+    const current = await this.getCurrentFileRecord(fileId, userId);
+    const version = await this.getVersionRecord(current, versionId, userId);
+
+    return this.getFile(version.id, userId);
+  }
+
+  /**
+   * Make an earlier version current again
+   * The version's content becomes a new version on top, referring to the stored content
+   * instead of uploading it again; the history before it is kept.
+   * @param {string} fileId - File ID
+   * @param {string} versionId - Version ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} Updated file data
+   */
+  async restoreVersion(fileId, versionId, userId) {
+    const current = await this.getCurrentFileRecord(fileId, userId);
+    const version = await this.getVersionRecord(current, versionId, userId);
+
+    if (version.id === current.id) {
+      return this.getFile(fileId, userId);
+    }
+
+    const copy = await this.createFileReference(version, userId, {
+      folderId: null,
+      versionOf: fileId,
+      originalName: current.original_name,
+      sizeBytes: this.getSizeBytes(version),
+      mimeType: version.mime_type,
+      contentSha256: version.content_sha256
+    });
+
+    let number;
+    try {
+      await this.copyFileHealth(version, copy.id);
+      number = await supabaseService.promoteFileVersion(fileId, copy.id);
+    } catch (error) {
+      await this.deleteFile(copy.id, userId).catch(() => {});
+      throw error;
+    }
+
+    console.log(`🕒 Restored version ${version.version_number} of ${current.original_name} as version ${number}`);
+    return this.getFile(fileId, userId);
+  }
+
+  /**
+   * Delete one earlier version of a file
+   * @param {string} fileId - File ID
+   * @param {string} versionId - Version ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deleteVersion(fileId, versionId, userId) {
+    const current = await this.getCurrentFileRecord(fileId, userId);
+    const version = await this.getVersionRecord(current, versionId, userId);
+
+    if (version.id === current.id) {
+      throw new AppError(
+        'Cannot delete the current version',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Restore another version first, or delete the file'
+      );
+    }
+
+    return this.deleteFile(version.id, userId);
+  }
+
+  /**
+   * Delete earlier versions of a file by count and/or age
+   * A version is removed if it is not among the `keep` newest earlier versions, or if it
+   * became current more than `olderThanDays` days ago. The current version always stays.
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @param {Object} criteria - keep and/or olderThanDays
+   * @returns {Promise<Object>} Removed versions and the number left
+   */
+  async pruneVersions(fileId, userId, { keep, olderThanDays } = {}) {
+    const invalid = details => new AppError('Invalid prune criteria', ERROR_CODES.VALIDATION_ERROR, 400, details);
+
+    if (keep === undefined && olderThanDays === undefined) {
+      throw invalid('Give keep and/or olderThanDays');
+    }
+
+    if (keep !== undefined && !(Number.isInteger(keep) && keep >= 0)) {
+      throw invalid('keep must be a whole number of versions (0 or more)');
+    }
+
+    if (olderThanDays !== undefined && !(Number.isFinite(olderThanDays) && olderThanDays > 0)) {
+      throw invalid('olderThanDays must be a positive number of days');
+    }
+
+    await this.getCurrentFileRecord(fileId, userId);
+
+    const versions = await supabaseService.getFileVersions(fileId, userId);
+    const cutoff = olderThanDays !== undefined ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+    const pruned = versions.filter((version, index) =>
+      (keep !== undefined && index >= keep) ||
+      (cutoff !== null && new Date(version.created_at).getTime() < cutoff)
+    );
+
+    for (const version of pruned) {
+      await this.deleteFile(version.id, userId);
+    }
+
+    if (pruned.length > 0) {
+      console.log(`🕒 Pruned ${pruned.length} version(s) of file ${fileId}`);
+    }
+
+    return {
+      fileId,
+      removed: pruned.map(version => this.formatVersion(version)),
+      remaining: versions.length - pruned.length
+    };
+  }
+
+  /**
+   * Get when a file in the trash will be purged
+   * @param {Object} dbFile - File record
+   * @returns {string} ISO timestamp
+   */
+  getPurgeTime(dbFile) {
+    return new Date(new Date(dbFile.trashed_at).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Move a file to the trash
+   * Nothing is deleted from storage: the file and its versions stay as they are until the
+   * file is restored or purged. Files already in the trash are left as they are.
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} Trash result
+   */
+  async trashFile(fileId, userId) {
+    let dbFile = await this.getCurrentFileRecord(fileId, userId, true);
+
+    if (!dbFile.trashed_at) {
+      dbFile = await supabaseService.updateFile(fileId, userId, { trashed_at: new Date().toISOString() });
+      console.log(`🗑️ Moved ${dbFile.original_name} (${fileId}) to the trash`);
+    }
+
+    return {
+      success: true,
+      trashedFile: {
+        id: dbFile.id,
+        originalName: dbFile.original_name,
+        size: this.getSizeBytes(dbFile),
+        sizeFormatted: Helpers.formatBytes(this.getSizeBytes(dbFile)),
+        trashedAt: dbFile.trashed_at,
+        purgeAt: this.getPurgeTime(dbFile)
+      }
+    };
+  }
+
+  /**
+   * Get the record of a file in the trash
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} File record
+   */
+  async getTrashedFileRecord(fileId, userId) {
+    const dbFile = await this.getCurrentFileRecord(fileId, userId, true);
+
+    if (!dbFile.trashed_at) {
+      throw new AppError(
+        'File is not in the trash',
+        ERROR_CODES.FILE_NOT_IN_TRASH,
+        409,
+        `${dbFile.original_name} is not in the trash`
+      );
+    }
+
+    return dbFile;
+  }
+
+  /**
+   * List the files in a user's trash
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options (limit, offset)
+   * @returns {Promise<Object>} Trashed files, most recently trashed first, with pagination
+   */
+  async listTrash(userId, { limit = 20, offset = 0 } = {}) {
+    const result = await supabaseService.getTrashedFiles(userId, limit, offset);
+
+    return {
+      files: result.files.map(file => ({
+        ...this.formatFileSummary(file),
+        trashedAt: file.trashed_at,
+        purgeAt: this.getPurgeTime(file)
+      })),
+      retentionDays: TRASH_RETENTION_DAYS,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        offset: result.offset,
+        hasMore: (result.offset + result.limit) < result.total
+      }
+    };
+  }
+
+  /**
+   * Restore a file from the trash into the folder it was deleted from
+   * Files whose folder was deleted in the meantime are restored to the root.
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @param {Object} options - Conflict mode for a name taken in the meantime (default 'rename')
+   * @returns {Promise<Object>} Restored file data
+   */
+  async restoreFile(fileId, userId, { conflict = 'rename' } = {}) {
+    const dbFile = await this.getTrashedFileRecord(fileId, userId);
+    const folderId = dbFile.folder_id || null;
+    const name = await this.resolveName(userId, folderId, dbFile.original_name, conflict, fileId);
+
+    await supabaseService.updateFile(fileId, userId, { trashed_at: null, original_name: name });
+
+    console.log(`♻️ Restored ${name} (${fileId}) from the trash`);
+    return this.getFile(fileId, userId);
+  }
+
+  /**
+   * Permanently delete one file from the trash
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} Deletion result
+   */
+  async purgeTrashedFile(fileId, userId) {
+    await this.getTrashedFileRecord(fileId, userId);
+    return this.deleteFile(fileId, userId);
+  }
+
+  /**
+   * Permanently delete everything in a user's trash
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Number of files deleted and the files that failed
+   */
+  async emptyTrash(userId) {
+    const fileIds = await supabaseService.getTrashedFileIds(userId);
+    const failed = [];
+
+    for (const fileId of fileIds) {
+      try {
+        await this.deleteFile(fileId, userId);
+      } catch (error) {
+        console.error(`Failed to purge file ${fileId}:`, error);
+        failed.push({ fileId, error: error.message, code: error.code || ERROR_CODES.FILE_DELETE_FAILED });
+      }
+    }
+
+    console.log(`🗑️ Emptied trash of user ${userId}: ${fileIds.length - failed.length} file(s) deleted`);
+    return {
+      success: failed.length === 0,
+      deleted: fileIds.length - failed.length,
+      errors: failed
+    };
+  }
+
   /**
    * Delete a file
+   * Runs as a saga: the file row is removed first, then its stored assets if no other file
+   * refers to them. Assets that cannot be deleted right away are retried in the background.
+   * Deleting a file deletes its earlier versions as well.
    * @param {string} fileId - File ID
    * @param {string} userId - User ID (for security)
    * @returns {Promise<Object>} Deletion result
@@ -363,33 +1519,56 @@ class FileManagerService {
     try {
       // Get file details first
       const file = await this.getFile(fileId, userId);
+
+      // Earlier versions go first; each releases its own stored content
+      for (const version of await supabaseService.getFileVersions(fileId, userId)) {
+        await this.deleteFile(version.id, userId);
+      }
       
       console.log(`🗑️ Deleting file: ${file.originalName} (${file.filename})`);
 
-      // Delete from GitHub (release asset)
-      try {
-        const dbFile = await supabaseService.getFileById(fileId, userId);
-        
-        if (dbFile.gh_asset_id) {
-          await githubService.deleteReleaseAsset(dbFile.gh_asset_id);
-        }
-        
-        // Optionally delete the release if it has no more assets
-        // This is commented out to avoid complications, but could be implemented
-        // if (dbFile.gh_release_id) {
-        //   await githubService.deleteRelease(dbFile.gh_release_id);
-        // }
-      } catch (githubError) {
-        console.warn('GitHub deletion failed (continuing with database cleanup):', githubError.message);
-        // Continue with database deletion even if GitHub deletion fails
+      // Stored assets to release (the release asset, or every chunk of a chunked file).
+      // Deduplicated copies share them; they are only released with the last reference.
+      const dbFile = await supabaseService.getFileById(fileId, userId);
+      let assets = [];
+
+      if (dbFile.is_chunked) {
+        assets = (await this.getFileChunks(fileId, userId)).map(chunk => ({
+          repoId: chunk.repoId,
+          releaseId: chunk.ghReleaseId,
+          assetId: chunk.ghAssetId,
+          sizeMb: Helpers.bytesToMb(chunk.sizeBytes)
+        }));
+      } else if (dbFile.repo_id) {
+        assets = [{
+          repoId: dbFile.repo_id,
+          tier: dbFile.storage_tier,
+          releaseId: dbFile.gh_release_id,
+          assetId: dbFile.gh_asset_id,
+          sizeMb: dbFile.size_mb
+        }];
       }
 
+      const saga = await fileSagaService.begin('delete', userId, fileId, [
+        { step: 'delete_planned', filename: dbFile.filename, assets }
+      ]);
+
       // Delete from database
-      const deletedFile = await supabaseService.deleteFile(fileId, userId);
+      let otherReferences;
+      try {
+        otherReferences = await fileSagaService.removeFileRecord(saga);
+      } catch (error) {
+        await fileSagaService.abort(saga, error);
+        throw error;
+      }
+
+      if (otherReferences > 0) {
+        console.log(`♻️ Keeping stored content of ${file.filename}, still referenced by ${otherReferences} file(s)`);
+      }
 
-      // Update repository size
-      if (deletedFile.repo_id) {
-        await repoManagerService.updateRepositorySize(deletedFile.repo_id, -deletedFile.size_mb);
+      // Delete from storage and update repository sizes
+      if (!(await fileSagaService.releaseStorage(saga))) {
+        console.warn(`Storage cleanup of ${file.filename} deferred, it will be retried in the background`);
       }
 
       console.log(`✅ File deleted: ${file.originalName}`);
@@ -397,11 +1576,11 @@ class FileManagerService {
       return {
         success: true,
         deletedFile: {
-          id: deletedFile.id,
-          filename: deletedFile.filename,
-          originalName: deletedFile.original_name,
-          size: deletedFile.size_mb * 1024 * 1024,
-          sizeMb: deletedFile.size_mb
+          id: dbFile.id,
+          filename: dbFile.filename,
+          originalName: dbFile.original_name,
+          size: dbFile.size_mb * 1024 * 1024,
+          sizeMb: dbFile.size_mb
         }
       };
 
@@ -422,7 +1601,7 @@ class FileManagerService {
   }
 
   /**
-   * Delete multiple files
+   * Delete multiple files, moving them to the trash
    * @param {Array} fileIds - Array of file IDs
    * @param {string} userId - User ID
    * @returns {Promise<Object>} Batch deletion results
@@ -444,16 +1623,16 @@ class FileManagerService {
       totalFiles: fileIds.length
     };
 
-    console.log(`🗑️ Starting batch deletion of ${fileIds.length} files`);
+    console.log(`🗑️ Moving ${fileIds.length} files to the trash`);
 
     // Process deletions sequentially
     for (let i = 0; i < fileIds.length; i++) {
       const fileId = fileIds[i];
       
       try {
-        const deleteResult = await this.deleteFile(fileId, userId);
-        results.successful.push(deleteResult.deletedFile);
-        results.totalSize += deleteResult.deletedFile.size;
+        const trashResult = await this.trashFile(fileId, userId);
+        results.successful.push(trashResult.trashedFile);
+        results.totalSize += trashResult.trashedFile.size;
         
       } catch (error) {
         console.error(`Failed to delete file ${fileId}:`, error);
@@ -0,0 +1,515 @@
+const storageService = require('./storage');
+const supabaseService = require('./supabase');
+const repoManagerService = require('./repoManager');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, FILE_SAGA_MAX_ATTEMPTS } = require('../utils/constants');
+
+// How often interrupted sagas and due retries are picked up
+const SAGA_POLL_INTERVAL_MS = 60 * 1000;
+// First retry delay; it doubles with every failed attempt up to the maximum
+const SAGA_RETRY_BASE_MS = 60 * 1000;
+const SAGA_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// Logs of sagas that finished cleanly are kept for a week
+const FINISHED_SAGA_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * File Saga Service
+ * Uploads, deletions and moves change storage and the database in several steps that cannot
+ * share a transaction, so each runs as a saga whose step log is kept in `file_sagas`.
+ * Steps are logged around every side effect:
+ *
+ * - upload: asset_pending / asset_stored per asset, repo_size_updated per usage change,
+ *   file_pending before the file row is written. A failed upload is compensated by undoing
+ *   the logged steps in reverse: the file row is removed, repository usage released and
+ *   stored assets deleted (an asset_pending without asset_stored is looked up by name,
+ *   since the provider may have kept it even though the upload failed).
+ * - delete: delete_planned lists the assets to release, file_deleted is logged in the same
+ *   transaction that removes the file row, with the number of rows still sharing its content
+ *   (the assets are released only if there are none), asset_deleted each released asset.
+ *   Once the row is gone the saga only rolls forward; storage failures are retried later
+ *   instead of being ignored.
+ * - move: move_planned names the asset being moved to another repository; the copy is
+ *   logged like an upload (asset_pending / asset_stored), records_moved follows the switch
+ *   of its rows to the copy and source_deleted the removal of the original. Before the rows
+ *   are switched a move is compensated by deleting the copy, afterwards it rolls forward.
+ *
+ * Compensation and roll-forward that fail are retried with exponential backoff. Sagas
+ * that were running when the server stopped are picked up again on startup.
+ */
+class FileSagaService {
+  constructor() {
+    this.timer = null;
+    this.resuming = false;
+
+    // IDs of sagas this process is executing; every other unfinished saga was interrupted
+    this.active = new Set();
+  }
+
+  /**
+   * Recover interrupted sagas and schedule periodic retries
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.resumePending().catch(error => console.error('File saga recovery failed:', error));
+    }, SAGA_POLL_INTERVAL_MS);
+    this.timer.unref();
+
+    await this.resumePending();
+  }
+
+  /**
+   * Stop periodic retries
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Start a saga
+   * @param {string} type - 'upload', 'delete' or 'move'
+   * @param {string} userId - User ID
+   * @param {string} fileId - ID of the file the saga creates, deletes or moves
+   * @param {Array} steps - Steps to log right away ({ step, ...data })
+   * @returns {Promise<Object>} Saga record
+   */
+  async begin(type, userId, fileId, steps = []) {
+    const saga = await supabaseService.createSaga({
+      userId,
+      type,
+      fileId,
+      steps: steps.map(step => ({ ...step, at: new Date().toISOString() }))
+    });
+
+    this.active.add(saga.id);
+    return saga;
+  }
+
+  /**
+   * Append a step to a saga's log
+   * @param {Object} saga - Saga record
+   * @param {string} step - Step name
+   * @param {Object} data - Data needed to undo or finish the step
+   * @returns {Promise<void>}
+   */
+  async recordStep(saga, step, data = {}) {
+    saga.steps.push({ step, ...data, at: new Date().toISOString() });
+    await supabaseService.updateSaga(saga.id, { steps: saga.steps });
+  }
+
+  /**
+   * Mark a saga as successfully completed
+   * @param {Object} saga - Saga record
+   * @returns {Promise<void>}
+   */
+  async complete(saga) {
+    await this.finish(saga, 'completed');
+  }
+
+  /**
+   * Compensate a saga after one of its steps failed
+   * Never throws: compensation that fails is retried later.
+   * @param {Object} saga - Saga record
+   * @param {Error} cause - Error that failed the saga
+   * @returns {Promise<void>}
+   */
+  async abort(saga, cause) {
+    try {
+      saga.status = 'compensating';
+      saga.error = cause.message;
+      await supabaseService.updateSaga(saga.id, { status: saga.status, error: saga.error });
+
+      await this.compensate(saga);
+    } catch (error) {
+      await this.scheduleRetry(saga, error);
+    }
+  }
+
+  /**
+   * Remove the file row of a delete saga
+   * @param {Object} saga - Delete saga record
+   * @returns {Promise<number>} Number of other rows still referring to the file's stored content
+   * @throws {AppError} 404 if the file no longer exists
+   */
+  async removeFileRecord(saga) {
+    const references = await supabaseService.deleteFileReference(saga.file_id, saga.user_id, saga.id);
+
+    if (references === null || references === undefined) {
+      throw new AppError(
+        'File not found',
+        ERROR_CODES.FILE_NOT_FOUND,
+        404,
+        'The file was deleted in the meantime'
+      );
+    }
+
+    // Already logged by the deletion itself
+    saga.steps.push({ step: 'file_deleted', references, at: new Date().toISOString() });
+    return references;
+  }
+
+  /**
+   * Release the storage of a file whose row a delete saga has removed
+   * Never throws: assets that cannot be deleted now are retried later.
+   * @param {Object} saga - Delete saga record
+   * @returns {Promise<boolean>} True if all storage was released right away
+   */
+  async releaseStorage(saga) {
+    try {
+      await this.rollForward(saga);
+      return true;
+    } catch (error) {
+      await this.scheduleRetry(saga, error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the original of an asset whose rows a move saga has switched to the copy
+   * Never throws: an original that cannot be deleted now is retried later.
+   * @param {Object} saga - Move saga record
+   * @returns {Promise<boolean>} True if the original was deleted right away
+   */
+  async releaseMovedAsset(saga) {
+    try {
+      await this.recordStep(saga, 'records_moved');
+      await this.rollForwardMove(saga);
+      return true;
+    } catch (error) {
+      await this.scheduleRetry(saga, error);
+      return false;
+    }
+  }
+
+  /**
+   * Undo a saga's logged steps in reverse order
+   * Undone steps are marked so a retried compensation does not repeat them.
+   * @param {Object} saga - Saga record
+   * @returns {Promise<void>}
+   */
+  async compensate(saga) {
+    // Once the rows point at the copy, undoing the move would lose the content
+    if (saga.type === 'move' && await this.recordsMoved(saga)) {
+      await this.rollForwardMove(saga);
+      return;
+    }
+
+    // Content another file was deduplicated against in the meantime has to stay
+    const filePending = saga.steps.find(step => step.step === 'file_pending');
+    const shared = Boolean(filePending) &&
+      await supabaseService.countFileReferences(saga.user_id, filePending.filename, saga.file_id) > 0;
+
+    for (const step of [...saga.steps].reverse()) {
+      if (step.compensated) {
+        continue;
+      }
+
+      await this.undoStep(saga, step, shared);
+
+      step.compensated = true;
+      await supabaseService.updateSaga(saga.id, { steps: saga.steps });
+    }
+
+    await this.finish(saga, 'compensated');
+    console.log(`↩️ Rolled back ${saga.type} saga ${saga.id}`);
+  }
+
+  /**
+   * Undo a single step
+   * @param {Object} saga - Saga record
+   * @param {Object} step - Logged step
+   * @param {boolean} shared - Whether the stored content is referenced by other files
+   * @returns {Promise<void>}
+   */
+  async undoStep(saga, step, shared) {
+    switch (step.step) {
+      case 'file_pending':
+        await this.deleteFileRecord(saga);
+        break;
+
+      case 'repo_size_updated':
+        if (!shared) {
+          await repoManagerService.updateRepositorySize(step.repoId, -step.sizeMb, -1);
+        }
+        break;
+
+      case 'asset_stored':
+        if (!shared) {
+          await this.deleteStoredAsset(step.repoId, step);
+        }
+        break;
+
+      case 'asset_pending': {
+        const stored = saga.steps.some(other => other.step === 'asset_stored' && other.filename === step.filename);
+
+        if (!shared && !stored) {
+          await this.deleteAssetsNamed(step.repoId, step.filename);
+        }
+        break;
+      }
+
+      default:
+        // Planning steps have no side effects to undo
+        break;
+    }
+  }
+
+  /**
+   * Finish a delete saga: release every planned asset that has not been released yet,
+   * unless other files still refer to the content
+   * @param {Object} saga - Delete saga record
+   * @returns {Promise<void>}
+   */
+  async rollForward(saga) {
+    const plan = saga.steps.find(step => step.step === 'delete_planned');
+    let deleted = saga.steps.find(step => step.step === 'file_deleted');
+
+    if (!deleted) {
+      // Interrupted before the row was removed, or it was removed by another deletion,
+      // which released the content. Sagas logged before file_deleted was written with the
+      // deletion have no filename in their plan and only planned assets nobody shared.
+      if (plan.filename !== undefined || await this.fileExists(saga)) {
+        await this.finish(saga, 'compensated');
+        return;
+      }
+
+      await this.recordStep(saga, 'file_deleted');
+      deleted = saga.steps[saga.steps.length - 1];
+    }
+
+    const assets = deleted.references > 0 ? [] : plan.assets;
+    const released = new Set(saga.steps.filter(step => step.step === 'asset_deleted').map(step => step.index));
+
+    for (const [index, asset] of assets.entries()) {
+      if (released.has(index)) {
+        continue;
+      }
+
+      if (asset.assetId) {
+        await this.deleteStoredAsset(asset.repoId, asset);
+      }
+      await repoManagerService.updateRepositorySize(asset.repoId, -asset.sizeMb, -1);
+
+      await this.recordStep(saga, 'asset_deleted', { index });
+    }
+
+    await this.finish(saga, 'completed');
+  }
+
+  /**
+   * Finish a move saga whose rows point at the copy by deleting the original
+   * @param {Object} saga - Move saga record
+   * @returns {Promise<void>}
+   */
+  async rollForwardMove(saga) {
+    const plan = saga.steps.find(step => step.step === 'move_planned');
+
+    if (!saga.steps.some(step => step.step === 'source_deleted')) {
+      await this.deleteStoredAsset(plan.repoId, plan);
+      await this.recordStep(saga, 'source_deleted');
+    }
+
+    await this.finish(saga, 'completed');
+  }
+
+  /**
+   * Check whether a move saga switched its rows to the copy
+   * The switch is a single transaction that may have committed without being logged.
+   * @param {Object} saga - Move saga record
+   * @returns {Promise<boolean>}
+   */
+  async recordsMoved(saga) {
+    if (saga.steps.some(step => step.step === 'records_moved')) {
+      return true;
+    }
+
+    const stored = saga.steps.find(step => step.step === 'asset_stored');
+    return Boolean(stored) && await supabaseService.countAssetReferences(stored.repoId, stored.assetId) > 0;
+  }
+
+  /**
+   * Continue every unfinished saga this process is not executing
+   * Uploads and moves are compensated (moves whose rows were switched roll forward),
+   * deletions rolled forward.
+   * @returns {Promise<void>}
+   */
+  async resumePending() {
+    if (this.resuming) {
+      return;
+    }
+
+    this.resuming = true;
+
+    try {
+      const now = Date.now();
+      const sagas = (await supabaseService.getPendingSagas()).filter(saga =>
+        !this.active.has(saga.id) && (!saga.next_attempt_at || Date.parse(saga.next_attempt_at) <= now)
+      );
+
+      if (sagas.length > 0) {
+        console.log(`🔁 Resuming ${sagas.length} file saga(s)`);
+        await storageService.runInBackground(async () => {
+          for (const saga of sagas) {
+            await this.resume(saga);
+          }
+        });
+      }
+
+      await supabaseService.deleteFinishedSagas(new Date(now - FINISHED_SAGA_TTL_MS).toISOString());
+    } finally {
+      this.resuming = false;
+    }
+  }
+
+  /**
+   * Continue an unfinished saga
+   * @param {Object} saga - Saga record
+   * @returns {Promise<void>}
+   */
+  async resume(saga) {
+    this.active.add(saga.id);
+
+    try {
+      if (saga.type === 'delete') {
+        await this.rollForward(saga);
+        return;
+      }
+
+      if (saga.status !== 'compensating') {
+        saga.status = 'compensating';
+        saga.error = saga.type === 'move' ? 'Move interrupted' : 'Upload interrupted';
+        await supabaseService.updateSaga(saga.id, { status: saga.status, error: saga.error });
+      }
+
+      await this.compensate(saga);
+    } catch (error) {
+      await this.scheduleRetry(saga, error);
+    }
+  }
+
+  /**
+   * Record a failed attempt and schedule the next one, or give up after too many
+   * @param {Object} saga - Saga record
+   * @param {Error} error - Error of the failed attempt
+   * @returns {Promise<void>}
+   */
+  async scheduleRetry(saga, error) {
+    this.active.delete(saga.id);
+
+    const attempts = (saga.attempts || 0) + 1;
+    const exhausted = attempts >= FILE_SAGA_MAX_ATTEMPTS;
+    const delayMs = Math.min(SAGA_RETRY_BASE_MS * 2 ** (attempts - 1), SAGA_RETRY_MAX_MS);
+
+    Object.assign(saga, {
+      attempts,
+      status: exhausted ? 'failed' : saga.status,
+      error: error.message,
+      next_attempt_at: exhausted ? null : new Date(Date.now() + delayMs).toISOString()
+    });
+
+    if (exhausted) {
+      console.error(`❌ Giving up on ${saga.type} saga ${saga.id} after ${attempts} attempts:`, error.message);
+    } else {
+      console.warn(`⏳ ${saga.type} saga ${saga.id} failed (attempt ${attempts}), retrying in ${Math.round(delayMs / 1000)}s:`, error.message);
+    }
+
+    try {
+      await supabaseService.updateSaga(saga.id, {
+        status: saga.status,
+        error: saga.error,
+        attempts: saga.attempts,
+        next_attempt_at: saga.next_attempt_at
+      });
+    } catch (updateError) {
+      // The saga stays unfinished in the log and is picked up by the next poll
+      console.error(`Failed to record retry of saga ${saga.id}:`, updateError.message);
+    }
+  }
+
+  /**
+   * Move a saga to a final state
+   * @param {Object} saga - Saga record
+   * @param {string} status - 'completed' or 'compensated'
+   * @returns {Promise<void>}
+   */
+  async finish(saga, status) {
+    saga.status = status;
+    await supabaseService.updateSaga(saga.id, { status, next_attempt_at: null });
+    this.active.delete(saga.id);
+  }
+
+  /**
+   * Check whether a saga's file row exists
+   * @param {Object} saga - Saga record
+   * @returns {Promise<boolean>}
+   */
+  async fileExists(saga) {
+    try {
+      return Boolean(await supabaseService.getFileById(saga.file_id, saga.user_id));
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a saga's file row (and with it its chunk manifest), if it was written
+   * @param {Object} saga - Saga record
+   * @returns {Promise<void>}
+   */
+  async deleteFileRecord(saga) {
+    try {
+      await supabaseService.deleteFile(saga.file_id, saga.user_id);
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Delete a stored asset
+   * @param {string} repoId - Repository ID
+   * @param {Object} asset - Asset reference ({ tier, releaseId, assetId })
+   * @returns {Promise<void>}
+   */
+  async deleteStoredAsset(repoId, asset) {
+    const repository = await supabaseService.getRepositoryById(repoId);
+
+    if (!repository) {
+      console.warn(`Repository ${repoId} no longer exists, skipping deletion of asset ${asset.assetId}`);
+      return;
+    }
+
+    await storageService.deleteAsset(repository, { tier: asset.tier, releaseId: asset.releaseId, assetId: asset.assetId });
+  }
+
+  /**
+   * Delete every asset with a given name, for uploads whose outcome was never logged
+   * @param {string} repoId - Repository ID
+   * @param {string} filename - Asset name
+   * @returns {Promise<void>}
+   */
+  async deleteAssetsNamed(repoId, filename) {
+    const repository = await supabaseService.getRepositoryById(repoId);
+
+    if (!repository || !(await storageService.bucketExists(repository))) {
+      return;
+    }
+
+    const assets = (await storageService.listAssets(repository)).filter(asset => asset.name === filename);
+
+    for (const asset of assets) {
+      await storageService.deleteAsset(repository, asset);
+    }
+  }
+}
+
+module.exports = new FileSagaService();
@@ -0,0 +1,309 @@
+const supabaseService = require('./supabase');
+const fileManagerService = require('./fileManager');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../utils/constants');
+const Helpers = require('../utils/helpers');
+
+/**
+ * Folder Service
+ * Folders are a per-user tree of named nodes. Files point at the folder they are
+ * listed in; a file or folder without one is at the root. Paths ("/photos/2024")
+ * are resolved name by name from the root.
+ */
+class FolderService {
+  /**
+   * Validate and normalise a folder name
+   * @param {string} name - Folder name
+   * @returns {string} Trimmed name
+   */
+  validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+
+    if (!Helpers.isValidEntryName(trimmed)) {
+      throw new AppError(
+        'Invalid folder name',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'Folder names must be 1 to 255 characters, without slashes or control characters, and not "." or ".."'
+      );
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Get a folder of a user
+   * @param {string} userId - User ID
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Object>} Folder record
+   */
+  async getFolderRecord(userId, folderId) {
+    const folder = Helpers.isValidUUID(folderId) ? await supabaseService.getFolderById(folderId, userId) : null;
+
+    if (!folder) {
+      throw new AppError(
+        'Folder not found',
+        ERROR_CODES.FOLDER_NOT_FOUND,
+        404,
+        'The requested folder does not exist or you do not have access to it'
+      );
+    }
+
+    return folder;
+  }
+
+  /**
+   * Resolve the folder a request refers to by ID or path
+   * @param {string} userId - User ID
+   * @param {Object} ref - Folder reference ({ folderId } or { path })
+   * @returns {Promise<Object|null>} Folder record, or null for the root
+   */
+  async resolveFolder(userId, { folderId, path } = {}) {
+    if (folderId) {
+      return this.getFolderRecord(userId, folderId);
+    }
+
+    let folder = null;
+
+    for (const name of String(path || '').split('/').filter(Boolean)) {
+      folder = await supabaseService.findFolder(userId, folder ? folder.id : null, name);
+
+      if (!folder) {
+        throw new AppError(
+          'Folder not found',
+          ERROR_CODES.FOLDER_NOT_FOUND,
+          404,
+          `No folder at ${path}`
+        );
+      }
+    }
+
+    return folder;
+  }
+
+  /**
+   * Get the folders from the root down to a folder
+   * @param {string} userId - User ID
+   * @param {Object|null} folder - Folder record, or null for the root
+   * @returns {Promise<Array>} Folder records, outermost first, ending with the folder itself
+   */
+  async getAncestry(userId, folder) {
+    const ancestry = [];
+
+    for (let current = folder; current; ) {
+      ancestry.unshift(current);
+      current = current.parent_id ? await supabaseService.getFolderById(current.parent_id, userId) : null;
+    }
+
+    return ancestry;
+  }
+
+  /**
+   * Format a folder for the API
+   * @param {Object} folder - Folder record
+   * @param {string} parentPath - Path of the folder's parent
+   * @param {Object} stats - Recursive stats row, if known
+   * @returns {Object} Formatted folder
+   */
+  formatFolder(folder, parentPath, stats = null) {
+    const sizeBytes = stats ? Number(stats.size_bytes) : 0;
+
+    return {
+      id: folder.id,
+      type: 'folder',
+      name: folder.name,
+      path: `${parentPath === '/' ? '' : parentPath}/${folder.name}`,
+      parentId: folder.parent_id || null,
+      fileCount: stats ? Number(stats.file_count) : 0,
+      folderCount: stats ? Number(stats.folder_count) : 0,
+      size: sizeBytes,
+      sizeFormatted: Helpers.formatBytes(sizeBytes),
+      createdAt: folder.created_at,
+      updatedAt: folder.updated_at
+    };
+  }
+
+  /**
+   * Get a folder with its path, breadcrumbs and recursive totals
+   * @param {string} userId - User ID
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Object>} Formatted folder
+   */
+  async getFolder(userId, folderId) {
+    const folder = await this.getFolderRecord(userId, folderId);
+    return this.describe(userId, folder);
+  }
+
+  /**
+   * Describe a folder (or the root) with its path, breadcrumbs and recursive totals
+   * @param {string} userId - User ID
+   * @param {Object|null} folder - Folder record, or null for the root
+   * @returns {Promise<Object>} Formatted folder
+   */
+  async describe(userId, folder) {
+    const ancestry = await this.getAncestry(userId, folder);
+    const breadcrumbs = [{ id: null, name: 'Home', path: '/' }];
+
+    for (const ancestor of ancestry) {
+      const parentPath = breadcrumbs[breadcrumbs.length - 1].path;
+      breadcrumbs.push({ id: ancestor.id, name: ancestor.name, path: this.formatFolder(ancestor, parentPath).path });
+    }
+
+    if (!folder) {
+      return { id: null, type: 'folder', name: 'Home', path: '/', parentId: null, breadcrumbs };
+    }
+
+    const [stats] = await supabaseService.getFolderStats(userId, [folder.id]);
+
+    return {
+      ...this.formatFolder(folder, breadcrumbs[breadcrumbs.length - 2].path, stats),
+      breadcrumbs
+    };
+  }
+
+  /**
+   * List the folders and files directly inside a folder
+   * Subfolders include recursive totals; files are paginated.
+   * @param {string} userId - User ID
+   * @param {Object} ref - Folder reference ({ folderId } or { path })
+   * @param {Object} options - File query options (limit, offset, search)
+   * @returns {Promise<Object>} Folder, subfolders, files and pagination
+   */
+  async listFolder(userId, ref, options = {}) {
+    const folder = await this.resolveFolder(userId, ref);
+    const described = await this.describe(userId, folder);
+
+    const children = await supabaseService.getChildFolders(userId, folder ? folder.id : null);
+    const stats = new Map((await supabaseService.getFolderStats(userId, children.map(child => child.id)))
+      .map(row => [row.folder_id, row]));
+
+    const { files, pagination } = await fileManagerService.getUserFiles(userId, {
+      ...options,
+      folderId: folder ? folder.id : null
+    });
+
+    return {
+      folder: described,
+      folders: children.map(child => this.formatFolder(child, described.path, stats.get(child.id))),
+      files,
+      pagination
+    };
+  }
+
+  /**
+   * Create a folder
+   * @param {string} userId - User ID
+   * @param {string} name - Folder name
+   * @param {string|null} parentId - Parent folder ID, or null for the root
+   * @returns {Promise<Object>} Formatted folder
+   */
+  async createFolder(userId, name, parentId = null) {
+    const folderName = this.validateName(name);
+    const parent = parentId ? await this.getFolderRecord(userId, parentId) : null;
+
+    await this.assertNameFree(userId, parent ? parent.id : null, folderName);
+
+    const folder = await supabaseService.createFolder(userId, folderName, parent ? parent.id : null);
+
+    console.log(`📂 Created folder ${folderName} (${folder.id}) for user ${userId}`);
+    return this.describe(userId, folder);
+  }
+
+  /**
+   * Rename a folder and/or move it under another parent
+   * @param {string} userId - User ID
+   * @param {string} folderId - Folder ID
+   * @param {Object} changes - New name and/or parentId (null moves it to the root)
+   * @returns {Promise<Object>} Formatted folder
+   */
+  async updateFolder(userId, folderId, { name, parentId } = {}) {
+    const folder = await this.getFolderRecord(userId, folderId);
+    const folderName = name === undefined ? folder.name : this.validateName(name);
+    let targetParentId = folder.parent_id || null;
+
+    if (parentId !== undefined) {
+      targetParentId = parentId ? (await this.getFolderRecord(userId, parentId)).id : null;
+
+      // A folder cannot be moved into itself or below itself
+      if (targetParentId && (await supabaseService.getFolderSubtree(userId, folder.id)).includes(targetParentId)) {
+        throw new AppError(
+          'Invalid folder move',
+          ERROR_CODES.VALIDATION_ERROR,
+          400,
+          'A folder cannot be moved into itself or one of its subfolders'
+        );
+      }
+    }
+
+    if (folderName === folder.name && targetParentId === (folder.parent_id || null)) {
+      return this.describe(userId, folder);
+    }
+
+    await this.assertNameFree(userId, targetParentId, folderName);
+
+    const updated = await supabaseService.updateFolder(folder.id, userId, {
+      name: folderName,
+      parent_id: targetParentId
+    });
+
+    console.log(`📂 Updated folder ${folder.id}: ${folder.name} → ${folderName}`);
+    return this.describe(userId, updated);
+  }
+
+  /**
+   * Delete a folder
+   * Without recursive, only empty folders can be deleted; files in the trash do not count.
+   * With it, every file below the folder is moved to the trash before the folders are
+   * removed. Trashed files of deleted folders are restored to the root.
+   * @param {string} userId - User ID
+   * @param {string} folderId - Folder ID
+   * @param {boolean} recursive - Also delete the folder's contents
+   * @returns {Promise<Object>} Deleted folder and trashed file counts
+   */
+  async deleteFolder(userId, folderId, recursive = false) {
+    const folder = await this.getFolderRecord(userId, folderId);
+    const subtree = await supabaseService.getFolderSubtree(userId, folder.id);
+    const fileIds = await supabaseService.getFolderFileIds(userId, subtree);
+
+    if (!recursive && (subtree.length > 1 || fileIds.length > 0)) {
+      throw new AppError(
+        'Folder not empty',
+        ERROR_CODES.FOLDER_NOT_EMPTY,
+        409,
+        'Delete the folder\'s contents first, or delete it recursively'
+      );
+    }
+
+    for (const fileId of fileIds) {
+      await fileManagerService.trashFile(fileId, userId);
+    }
+
+    await supabaseService.detachTrashedFiles(userId, subtree);
+    await supabaseService.deleteFolder(folder.id, userId);
+
+    console.log(`🗑️ Deleted folder ${folder.name} (${folder.id}) with ${subtree.length - 1} subfolder(s), ${fileIds.length} file(s) moved to the trash`);
+    return {
+      deletedFolders: subtree.length,
+      trashedFiles: fileIds.length
+    };
+  }
+
+  /**
+   * Make sure a folder has no subfolder with a given name
+   * @param {string} userId - User ID
+   * @param {string|null} parentId - Parent folder ID, or null for the root
+   * @param {string} name - Folder name
+   */
+  async assertNameFree(userId, parentId, name) {
+    if (await supabaseService.findFolder(userId, parentId, name)) {
+      throw new AppError(
+        'Folder already exists',
+        ERROR_CODES.NAME_CONFLICT,
+        409,
+        `A folder named ${name} already exists here`
+      );
+    }
+  }
+}
+
+module.exports = new FolderService();
@@ -1,26 +1,39 @@
-const { Octokit } = require('@octokit/rest');
+const { Readable } = require('stream');
+const StorageProvider = require('./storageProvider');
+const githubAccounts = require('./githubAccounts');
+const githubScheduler = require('./githubScheduler');
 const { AppError } = require('../middleware/errorHandler');
-const { ERROR_CODES, MAX_RETRIES } = require('../utils/constants');
+const { ERROR_CODES, MAX_RETRIES, RELEASE_MAX_ASSETS, RELEASE_TAG_PREFIX, BLOB_TIER_DIR } = require('../utils/constants');
 const Helpers = require('../utils/helpers');
 
+// Small files committed within this window of each other share one commit
+const BLOB_COMMIT_DELAY_MS = 250;
+const BLOB_COMMIT_MAX_CHANGES = 100;
+
 /**
  * GitHub service for repository and file management
+ * Implements the storage provider contract using repositories as buckets
+ * and release assets as stored files. Assets are packed into a bucket's open
+ * release until it reaches RELEASE_MAX_ASSETS, then a new release is opened.
+ *
+ * Small files can instead be stored in the 'blob' tier: their content becomes a git blob
+ * committed to the bucket's default branch under BLOB_TIER_DIR, which takes one blob
+ * request plus a commit that concurrent small uploads (and deletions) share, instead of a
+ * release, a tag and an asset upload. Blob-tier assets are identified by their path.
  */
-class GitHubService {
+class GitHubService extends StorageProvider {
   constructor() {
-    this.token = process.env.GITHUB_TOKEN;
-    this.username = process.env.GITHUB_USERNAME;
+    super('github');
+    this.providesPublicUrls = true;
 
-    if (!this.token || !this.username) {
-      throw new Error('GitHub configuration is missing. Please check GITHUB_TOKEN and GITHUB_USERNAME environment variables.');
-    }
+    // owner/repoName -> Promise of the release currently receiving uploads
+    // ({ id, tagName, uploadUrl, htmlUrl, assetCount, pending })
+    this.openReleases = new Map();
 
-    this.octokit = new Octokit({
-      auth: this.token,
-      request: {
-        timeout: 30000 // 30 seconds timeout
-      }
-    });
+    // owner/repoName -> default branch small files are committed to
+    this.defaultBranches = new Map();
+    // owner/repoName -> tree changes waiting to be committed ({ account, repoName, changes, timer })
+    this.pendingCommits = new Map();
   }
 
   /**
@@ -32,6 +45,11 @@ class GitHubService {
   handleGitHubError(error, operation) {
     console.error(`GitHub ${operation} error:`, error);
 
+    // Already explained, e.g. a failed GitHub App token refresh
+    if (error instanceof AppError) {
+      throw error;
+    }
+
     if (error.status === 401) {
       throw new AppError(
         'GitHub authentication failed',
@@ -41,9 +59,10 @@ class GitHubService {
       );
     }
 
-    if (error.status === 403) {
+    if (error.status === 403 || error.status === 429) {
       const rateLimitRemaining = error.response?.headers?.['x-ratelimit-remaining'];
       const rateLimitReset = error.response?.headers?.['x-ratelimit-reset'];
+      const retryAfter = error.response?.headers?.['retry-after'];
       
       if (rateLimitRemaining === '0') {
         const resetTime = rateLimitReset ? new Date(rateLimitReset * 1000) : 'unknown';
@@ -55,6 +74,16 @@ class GitHubService {
         );
       }
 
+      // Secondary rate limits (too many concurrent or mutating requests)
+      if (error.status === 429 || retryAfter || /secondary rate limit/i.test(error.message)) {
+        throw new AppError(
+          'GitHub API rate limit exceeded',
+          ERROR_CODES.GITHUB_RATE_LIMIT,
+          429,
+          retryAfter ? `Retry after ${retryAfter} seconds` : 'Secondary rate limit exceeded; retry in a minute'
+        );
+      }
+
       throw new AppError(
         'GitHub API access forbidden',
         ERROR_CODES.GITHUB_UNAUTHORIZED,
@@ -92,13 +121,14 @@ class GitHubService {
 
   /**
    * Create a new repository
+   * @param {Object} account - GitHub account
    * @param {string} repoName - Repository name
    * @param {string} description - Repository description
    * @returns {Promise<Object>} Repository data
    */
-  async createRepository(repoName, description = 'FreeDrive storage bucket') {
+  async createRepository(account, repoName, description = 'FreeDrive storage bucket') {
     try {
-      const { data } = await this.octokit.repos.createForAuthenticatedUser({
+      const settings = {
         name: repoName,
         description,
         private: false, // Public repos for free storage
@@ -107,7 +137,21 @@ class GitHubService {
         has_wiki: false,
         auto_init: true, // Initialize with README
         license_template: 'mit'
-      });
+      };
+
+      // App installations create repositories in the account they are installed on
+      if (account.app && !(await account.app.isOrganization())) {
+        throw new AppError(
+          'GitHub App cannot create repositories',
+          ERROR_CODES.REPO_CREATE_FAILED,
+          422,
+          `GitHub Apps can only create repositories in organizations; install the app on an organization instead of ${account.owner}`
+        );
+      }
+
+      const { data } = account.app
+        ? await account.octokit.repos.createInOrg({ org: account.owner, ...settings })
+        : await account.octokit.repos.createForAuthenticatedUser(settings);
 
       console.log(`✅ Created repository: ${repoName}`);
       return {
@@ -120,33 +164,38 @@ class GitHubService {
         createdAt: data.created_at
       };
     } catch (error) {
+      if (error instanceof AppError) throw error;
       this.handleGitHubError(error, 'repository creation');
     }
   }
 
   /**
    * Create a repository with retry logic
+   * @param {Object} account - GitHub account
    * @param {string} repoName - Repository name
    * @param {string} description - Repository description
    * @returns {Promise<Object>} Repository data
    */
-  async createRepositoryWithRetry(repoName, description) {
+  async createRepositoryWithRetry(account, repoName, description) {
+    // Rate limits are already waited out by the scheduler; only retry server errors
     return Helpers.retryWithBackoff(
-      () => this.createRepository(repoName, description),
+      () => this.createRepository(account, repoName, description),
       MAX_RETRIES,
-      1000
+      1000,
+      error => (error.statusCode || 500) >= 500
     );
   }
 
   /**
    * Check if repository exists
+   * @param {Object} account - GitHub account
    * @param {string} repoName - Repository name
    * @returns {Promise<boolean>} True if repository exists
    */
-  async repositoryExists(repoName) {
+  async repositoryExists(account, repoName) {
     try {
-      await this.octokit.repos.get({
-        owner: this.username,
+      await account.octokit.repos.get({
+        owner: account.owner,
         repo: repoName
       });
       return true;
@@ -160,13 +209,14 @@ class GitHubService {
 
   /**
    * Get repository information
+   * @param {Object} account - GitHub account
    * @param {string} repoName - Repository name
    * @returns {Promise<Object>} Repository data
    */
-  async getRepository(repoName) {
+  async getRepository(account, repoName) {
     try {
-      const { data } = await this.octokit.repos.get({
-        owner: this.username,
+      const { data } = await account.octokit.repos.get({
+        owner: account.owner,
         repo: repoName
       });
 
@@ -182,17 +232,68 @@ class GitHubService {
     }
   }
 
+  /**
+   * Delete a repository
+   * Requires the delete_repo scope (or Administration permission for GitHub Apps).
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @returns {Promise<void>}
+   */
+  async deleteRepository(account, repoName) {
+    try {
+      await account.octokit.repos.delete({
+        owner: account.owner,
+        repo: repoName
+      });
+
+      console.log(`✅ Deleted repository: ${repoName}`);
+    } catch (error) {
+      // If repository is already deleted, don't throw error
+      if (error.status === 404) {
+        console.log(`ℹ️ Repository ${repoName} already deleted or not found`);
+        return;
+      }
+      this.handleGitHubError(error, 'repository deletion');
+    } finally {
+      this.openReleases.delete(`${account.owner}/${repoName}`);
+      this.defaultBranches.delete(`${account.owner}/${repoName}`);
+    }
+  }
+
+  /**
+   * Archive a repository, making it read-only
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @returns {Promise<void>}
+   */
+  async archiveRepository(account, repoName) {
+    try {
+      await account.octokit.repos.update({
+        owner: account.owner,
+        repo: repoName,
+        archived: true
+      });
+
+      console.log(`✅ Archived repository: ${repoName}`);
+    } catch (error) {
+      this.handleGitHubError(error, 'repository archival');
+    } finally {
+      this.openReleases.delete(`${account.owner}/${repoName}`);
+    }
+  }
+
   /**
    * Create a release in the repository
+   * @param {Object} account - GitHub account
    * @param {string} repoName - Repository name
    * @param {string} tagName - Tag name for the release
    * @param {string} releaseName - Release name
    * @returns {Promise<Object>} Release data
    */
-  async createRelease(repoName, tagName, releaseName = 'File Storage Release') {
+  async createRelease(account, repoName, tagName, releaseName = 'File Storage Release') {
     try {
-      const { data } = await this.octokit.repos.createRelease({
-        owner: this.username,
+      const { data } = await account.octokit.repos.createRelease({
+        owner: account.owner,
         repo: repoName,
         tag_name: tagName,
         name: releaseName,
@@ -215,35 +316,36 @@ class GitHubService {
 
   /**
    * Upload file as release asset
+   * @param {Object} account - GitHub account
    * @param {string} uploadUrl - Release upload URL
    * @param {string} filename - File name
-   * @param {Buffer} fileBuffer - File buffer
+   * @param {Buffer|Readable} data - File content as a buffer or readable stream
    * @param {string} contentType - File content type
+   * @param {number} size - Content length in bytes (required for streams)
    * @returns {Promise<Object>} Asset data
    */
-  async uploadReleaseAsset(uploadUrl, filename, fileBuffer, contentType) {
+  async uploadReleaseAsset(account, uploadUrl, filename, data, contentType, size = data.length) {
     try {
-      // Remove the template part of the upload URL
-      const cleanUploadUrl = uploadUrl.replace('{?name,label}', '');
-      
-      const { data } = await this.octokit.request({
+      // Octokit expands the {?name,label} template of the upload URL from the parameters
+      const { data: asset } = await account.octokit.request({
         method: 'POST',
-        url: cleanUploadUrl,
+        url: uploadUrl,
         headers: {
           'content-type': contentType,
+          'content-length': size
         },
-        data: fileBuffer,
+        data,
         name: filename,
         label: filename
       });
 
       return {
-        id: data.id.toString(),
-        name: data.name,
-        size: data.size,
-        downloadUrl: data.browser_download_url,
-        contentType: data.content_type,
-        state: data.state
+        id: asset.id.toString(),
+        name: asset.name,
+        size: asset.size,
+        downloadUrl: asset.browser_download_url,
+        contentType: asset.content_type,
+        state: asset.state
       };
     } catch (error) {
       this.handleGitHubError(error, 'asset upload');
@@ -251,31 +353,141 @@ class GitHubService {
   }
 
   /**
-   * Upload file with automatic release creation
+   * Open a new release for packing uploads into
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @returns {Promise<Object>} Open release
+   */
+  async createPackRelease(account, repoName) {
+    const tagName = `${RELEASE_TAG_PREFIX}-${Date.now()}-${Helpers.generateRandomString(8)}`;
+    const release = await this.createRelease(account, repoName, tagName, `File Storage ${new Date().toISOString()}`);
+
+    console.log(`📦 Opened release ${release.tagName} in ${repoName}`);
+    return { ...release, assetCount: 0, pending: 0 };
+  }
+
+  /**
+   * Find the newest pack release that still has room, e.g. after a restart
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @returns {Promise<Object|null>} Open release, or null if there is none
+   */
+  async findPackRelease(account, repoName) {
+    try {
+      const { data: releases } = await account.octokit.repos.listReleases({
+        owner: account.owner,
+        repo: repoName,
+        per_page: 10
+      });
+
+      const release = releases.find(candidate =>
+        !candidate.draft &&
+        candidate.tag_name.startsWith(`${RELEASE_TAG_PREFIX}-`) &&
+        candidate.assets.length < RELEASE_MAX_ASSETS
+      );
+
+      if (!release) {
+        return null;
+      }
+
+      return {
+        id: release.id.toString(),
+        tagName: release.tag_name,
+        name: release.name,
+        uploadUrl: release.upload_url,
+        htmlUrl: release.html_url,
+        assetCount: release.assets.length,
+        pending: 0
+      };
+    } catch (error) {
+      this.handleGitHubError(error, 'release lookup');
+    }
+  }
+
+  /**
+   * Remember the release a repository's uploads go to
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @param {Promise<Object>} opening - Promise of the open release
+   * @returns {Promise<Object>} The same promise
+   */
+  setOpenRelease(account, repoName, opening) {
+    const key = `${account.owner}/${repoName}`;
+    this.openReleases.set(key, opening);
+
+    // Forget failed attempts so the next upload tries again
+    opening.catch(() => {
+      if (this.openReleases.get(key) === opening) {
+        this.openReleases.delete(key);
+      }
+    });
+
+    return opening;
+  }
+
+  /**
+   * Reserve a slot for one asset in the repository's open release
+   * Concurrent uploads share the open release, and a full release is rolled over
+   * exactly once. Callers must decrement `pending` when their upload settles.
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @returns {Promise<Object>} Open release with the slot counted
+   */
+  async reserveReleaseSlot(account, repoName) {
+    const key = `${account.owner}/${repoName}`;
+
+    for (;;) {
+      const opening = this.openReleases.get(key) || this.setOpenRelease(
+        account,
+        repoName,
+        this.findPackRelease(account, repoName).then(release => release || this.createPackRelease(account, repoName))
+      );
+
+      const release = await opening;
+
+      if (release.assetCount < RELEASE_MAX_ASSETS) {
+        release.assetCount += 1;
+        release.pending += 1;
+        return release;
+      }
+
+      // Full: roll over, unless another upload already has
+      if (this.openReleases.get(key) === opening) {
+        this.setOpenRelease(account, repoName, this.createPackRelease(account, repoName));
+      }
+    }
+  }
+
+  /**
+   * Upload file into the repository's open release
+   * @param {Object} account - GitHub account
    * @param {string} repoName - Repository name
    * @param {string} filename - File name
-   * @param {Buffer} fileBuffer - File buffer
+   * @param {Buffer|Readable} data - File content as a buffer or readable stream
    * @param {string} contentType - File content type
+   * @param {number} size - Content length in bytes (required for streams)
    * @returns {Promise<Object>} Complete upload result
    */
-  async uploadFile(repoName, filename, fileBuffer, contentType) {
+  async uploadFile(account, repoName, filename, data, contentType, size = data.length) {
     try {
-      // Create a unique tag for this upload
-      const timestamp = Date.now();
-      const randomId = Helpers.generateRandomString(8);
-      const tagName = `upload-${timestamp}-${randomId}`;
-      const releaseName = `File Upload ${new Date().toISOString()}`;
-
-      // Create release
-      const release = await this.createRelease(repoName, tagName, releaseName);
-
-      // Upload file as asset
-      const asset = await this.uploadReleaseAsset(
-        release.uploadUrl,
-        filename,
-        fileBuffer,
-        contentType
-      );
+      const release = await this.reserveReleaseSlot(account, repoName);
+
+      let asset;
+      try {
+        asset = await this.uploadReleaseAsset(
+          account,
+          release.uploadUrl,
+          filename,
+          data,
+          contentType,
+          size
+        );
+      } catch (error) {
+        release.assetCount -= 1;
+        throw error;
+      } finally {
+        release.pending -= 1;
+      }
 
       return {
         releaseId: release.id,
@@ -286,19 +498,23 @@ class GitHubService {
         releaseUrl: release.htmlUrl
       };
     } catch (error) {
+      if (error instanceof AppError) throw error;
       this.handleGitHubError(error, 'file upload');
     }
   }
 
   /**
    * Delete a release asset
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
    * @param {string} assetId - Asset ID
    * @returns {Promise<void>}
    */
-  async deleteReleaseAsset(assetId) {
+  async deleteReleaseAsset(account, repoName, assetId) {
     try {
-      await this.octokit.repos.deleteReleaseAsset({
-        owner: this.username,
+      await account.octokit.repos.deleteReleaseAsset({
+        owner: account.owner,
+        repo: repoName,
         asset_id: parseInt(assetId)
       });
 
@@ -315,13 +531,16 @@ class GitHubService {
 
   /**
    * Delete a release
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
    * @param {string} releaseId - Release ID
    * @returns {Promise<void>}
    */
-  async deleteRelease(releaseId) {
+  async deleteRelease(account, repoName, releaseId) {
     try {
-      await this.octokit.repos.deleteRelease({
-        owner: this.username,
+      await account.octokit.repos.deleteRelease({
+        owner: account.owner,
+        repo: repoName,
         release_id: parseInt(releaseId)
       });
 
@@ -336,19 +555,99 @@ class GitHubService {
     }
   }
 
+  /**
+   * Delete a tag
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @param {string} tagName - Tag name
+   * @returns {Promise<void>}
+   */
+  async deleteTag(account, repoName, tagName) {
+    try {
+      await account.octokit.git.deleteRef({
+        owner: account.owner,
+        repo: repoName,
+        ref: `tags/${tagName}`
+      });
+    } catch (error) {
+      // If tag is already deleted, don't throw error
+      if (error.status === 404 || error.status === 422) {
+        console.log(`ℹ️ Tag ${tagName} already deleted or not found`);
+        return;
+      }
+      this.handleGitHubError(error, 'tag deletion');
+    }
+  }
+
+  /**
+   * Delete a release and its tag once its last asset is gone
+   * The open release is kept while uploads into it are in flight.
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @param {string} releaseId - Release ID
+   * @returns {Promise<boolean>} True if the release was deleted
+   */
+  async deleteReleaseIfEmpty(account, repoName, releaseId) {
+    const key = `${account.owner}/${repoName}`;
+    const opening = this.openReleases.get(key);
+    const open = opening ? await opening.catch(() => null) : null;
+
+    if (open && open.id === String(releaseId)) {
+      open.assetCount = Math.max(open.assetCount - 1, 0);
+
+      if (open.assetCount > 0 || open.pending > 0) {
+        return false;
+      }
+
+      // Stop new uploads from landing in a release that is about to go away
+      if (this.openReleases.get(key) === opening) {
+        this.openReleases.delete(key);
+      }
+    }
+
+    try {
+      const { data: assets } = await account.octokit.repos.listReleaseAssets({
+        owner: account.owner,
+        repo: repoName,
+        release_id: parseInt(releaseId),
+        per_page: 1
+      });
+
+      if (assets.length > 0) {
+        return false;
+      }
+
+      const { data: release } = await account.octokit.repos.getRelease({
+        owner: account.owner,
+        repo: repoName,
+        release_id: parseInt(releaseId)
+      });
+
+      await this.deleteRelease(account, repoName, releaseId);
+      await this.deleteTag(account, repoName, release.tag_name);
+      return true;
+    } catch (error) {
+      if (error.status === 404) {
+        return false;
+      }
+      this.handleGitHubError(error, 'release cleanup');
+    }
+  }
+
   /**
    * Get repository size and release count
+   * @param {Object} account - GitHub account
    * @param {string} repoName - Repository name
    * @returns {Promise<Object>} Repository statistics
    */
-  async getRepositoryStats(repoName) {
+  async getRepositoryStats(account, repoName) {
     try {
       // Get repository info
-      const repo = await this.getRepository(repoName);
+      const repo = await this.getRepository(account, repoName);
 
       // Get releases
-      const { data: releases } = await this.octokit.repos.listReleases({
-        owner: this.username,
+      const { data: releases } = await account.octokit.repos.listReleases({
+        owner: account.owner,
         repo: repoName,
         per_page: 100
       });
@@ -358,8 +657,9 @@ class GitHubService {
       let totalAssets = 0;
 
       for (const release of releases) {
-        const { data: assets } = await this.octokit.repos.listReleaseAssets({
-          owner: this.username,
+        const { data: assets } = await account.octokit.repos.listReleaseAssets({
+          owner: account.owner,
+          repo: repoName,
           release_id: release.id
         });
 
@@ -380,12 +680,541 @@ class GitHubService {
   }
 
   /**
-   * Get API rate limit status
+   * List every release asset in a repository
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @returns {Promise<Array>} Assets ({ tier, releaseId, assetId, name, size, contentType, complete })
+   */
+  async listRepositoryAssets(account, repoName) {
+    try {
+      const releases = await account.octokit.paginate(account.octokit.repos.listReleases, {
+        owner: account.owner,
+        repo: repoName,
+        per_page: 100
+      });
+
+      const assets = [];
+
+      for (const release of releases) {
+        const releaseAssets = await account.octokit.paginate(account.octokit.repos.listReleaseAssets, {
+          owner: account.owner,
+          repo: repoName,
+          release_id: release.id,
+          per_page: 100
+        });
+
+        assets.push(...releaseAssets.map(asset => ({
+          tier: 'release',
+          releaseId: String(release.id),
+          assetId: String(asset.id),
+          name: asset.name,
+          size: asset.size,
+          contentType: asset.content_type || null,
+          // Interrupted uploads stay behind in the 'starter' state
+          complete: asset.state === 'uploaded'
+        })));
+      }
+
+      return assets;
+    } catch (error) {
+      this.handleGitHubError(error, 'release asset listing');
+    }
+  }
+
+  /**
+   * Download a release asset as a stream
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @param {string} assetId - Asset ID
+   * @param {Object|null} range - Inclusive byte range ({ start, end }), or null for the whole asset
+   * @returns {Promise<Object>} Asset stream, size and content type
+   */
+  async downloadReleaseAsset(account, repoName, assetId, range = null) {
+    try {
+      const headers = {
+        accept: 'application/octet-stream'
+      };
+
+      if (range) {
+        headers.range = `bytes=${range.start}-${range.end}`;
+      }
+
+      // The API redirects to the asset CDN; the Range header is forwarded with it
+      const response = await account.octokit.request('GET /repos/{owner}/{repo}/releases/assets/{asset_id}', {
+        owner: account.owner,
+        repo: repoName,
+        asset_id: parseInt(assetId),
+        headers,
+        request: {
+          parseSuccessResponseBody: false, // Keep the body as a stream
+          priority: 'interactive'
+        }
+      });
+
+      const stream = Readable.fromWeb(response.data);
+
+      if (range) {
+        const length = range.end - range.start + 1;
+
+        return {
+          // A server that ignores Range answers 200 with the whole asset
+          stream: response.status === 206 ? stream : Helpers.sliceStream(stream, range.start, length),
+          size: length,
+          contentType: response.headers['content-type']
+        };
+      }
+
+      return {
+        stream,
+        size: parseInt(response.headers['content-length']) || null,
+        contentType: response.headers['content-type']
+      };
+    } catch (error) {
+      this.handleGitHubError(error, 'asset download');
+    }
+  }
+
+  /**
+   * Get the branch small files are committed to
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @returns {Promise<string>} Default branch name
+   */
+  async getDefaultBranch(account, repoName) {
+    const key = `${account.owner}/${repoName}`;
+
+    if (!this.defaultBranches.has(key)) {
+      try {
+        const { data } = await account.octokit.repos.get({
+          owner: account.owner,
+          repo: repoName
+        });
+
+        this.defaultBranches.set(key, data.default_branch);
+      } catch (error) {
+        this.handleGitHubError(error, 'repository retrieval');
+      }
+    }
+
+    return this.defaultBranches.get(key);
+  }
+
+  /**
+   * Store small file content as a git blob committed to the default branch
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @param {string} filename - File name
+   * @param {Buffer|Readable} data - File content as a buffer or readable stream
+   * @returns {Promise<Object>} Complete upload result
+   */
+  async uploadBlob(account, repoName, filename, data) {
+    try {
+      const content = Buffer.isBuffer(data) ? data : Buffer.concat(await data.toArray());
+      const path = `${BLOB_TIER_DIR}/${filename}`;
+
+      const { data: blob } = await account.octokit.git.createBlob({
+        owner: account.owner,
+        repo: repoName,
+        content: content.toString('base64'),
+        encoding: 'base64'
+      });
+
+      await this.commitTreeChange(account, repoName, { path, sha: blob.sha });
+      const branch = await this.getDefaultBranch(account, repoName);
+
+      console.log(`✅ Committed blob: ${path}`);
+      return {
+        tier: 'blob',
+        releaseId: null,
+        assetId: path,
+        downloadUrl: `https://raw.githubusercontent.com/${account.owner}/${repoName}/${branch}/${path.split('/').map(encodeURIComponent).join('/')}`,
+        filename,
+        size: content.length,
+        releaseUrl: null
+      };
+    } catch (error) {
+      this.handleGitHubError(error, 'blob upload');
+    }
+  }
+
+  /**
+   * Download a blob-tier file as a stream
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @param {string} path - Blob path
+   * @param {Object|null} range - Inclusive byte range ({ start, end }), or null for the whole blob
+   * @returns {Promise<Object>} Blob stream, size and content type
+   */
+  async downloadBlob(account, repoName, path, range = null) {
+    try {
+      const { data } = await account.octokit.repos.getContent({
+        owner: account.owner,
+        repo: repoName,
+        path,
+        ref: await this.getDefaultBranch(account, repoName),
+        request: {
+          priority: 'interactive'
+        }
+      });
+
+      const content = Buffer.from(data.content, 'base64');
+      const body = range ? content.subarray(range.start, range.end + 1) : content;
+
+      return {
+        stream: Readable.from([body]),
+        size: body.length,
+        contentType: 'application/octet-stream'
+      };
+    } catch (error) {
+      this.handleGitHubError(error, 'blob download');
+    }
+  }
+
+  /**
+   * Remove a blob-tier file from the default branch
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @param {string} path - Blob path
+   * @returns {Promise<void>}
+   */
+  async deleteBlob(account, repoName, path) {
+    try {
+      await account.octokit.repos.getContent({
+        owner: account.owner,
+        repo: repoName,
+        path,
+        ref: await this.getDefaultBranch(account, repoName)
+      });
+    } catch (error) {
+      // If blob is already deleted, don't throw error
+      if (error.status === 404) {
+        console.log(`ℹ️ Blob ${path} already deleted or not found`);
+        return;
+      }
+      this.handleGitHubError(error, 'blob deletion');
+    }
+
+    await this.commitTreeChange(account, repoName, { path, sha: null });
+    console.log(`✅ Deleted blob: ${path}`);
+  }
+
+  /**
+   * List the blob-tier files of a repository
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @returns {Promise<Array>} Assets ({ tier, releaseId, assetId, name, size, complete })
+   */
+  async listRepositoryBlobs(account, repoName) {
+    try {
+      const { data } = await account.octokit.git.getTree({
+        owner: account.owner,
+        repo: repoName,
+        tree_sha: await this.getDefaultBranch(account, repoName),
+        recursive: 'true'
+      });
+
+      return data.tree
+        .filter(entry => entry.type === 'blob' && entry.path.startsWith(`${BLOB_TIER_DIR}/`))
+        .map(entry => ({
+          tier: 'blob',
+          releaseId: null,
+          assetId: entry.path,
+          name: entry.path.slice(BLOB_TIER_DIR.length + 1),
+          size: entry.size,
+          contentType: null,
+          complete: true
+        }));
+    } catch (error) {
+      // Repositories without any commit have no tree yet
+      if (error.status === 409) {
+        return [];
+      }
+      this.handleGitHubError(error, 'blob listing');
+    }
+  }
+
+  /**
+   * Queue a change to the default branch's tree
+   * Changes queued for the same repository within BLOB_COMMIT_DELAY_MS are committed together.
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @param {Object} change - Tree change ({ path, sha }), a null sha removes the path
+   * @returns {Promise<void>} Resolves once the change is committed
+   */
+  commitTreeChange(account, repoName, change) {
+    const key = `${account.owner}/${repoName}`;
+    let batch = this.pendingCommits.get(key);
+
+    if (!batch) {
+      batch = { account, repoName, changes: [] };
+      batch.timer = setTimeout(() => this.flushTreeChanges(key, batch), BLOB_COMMIT_DELAY_MS);
+      this.pendingCommits.set(key, batch);
+    }
+
+    return new Promise((resolve, reject) => {
+      batch.changes.push({ ...change, resolve, reject });
+
+      if (batch.changes.length >= BLOB_COMMIT_MAX_CHANGES) {
+        clearTimeout(batch.timer);
+        this.flushTreeChanges(key, batch);
+      }
+    });
+  }
+
+  /**
+   * Commit a batch of queued tree changes and settle their callers
+   * @param {string} key - owner/repoName
+   * @param {Object} batch - Queued batch
+   */
+  flushTreeChanges(key, batch) {
+    if (this.pendingCommits.get(key) === batch) {
+      this.pendingCommits.delete(key);
+    }
+
+    this.commitTree(batch.account, batch.repoName, batch.changes).then(
+      () => batch.changes.forEach(change => change.resolve()),
+      error => batch.changes.forEach(change => change.reject(error))
+    );
+  }
+
+  /**
+   * Commit tree changes on top of the default branch
+   * The branch is only fast-forwarded, so a commit that lost a race with another
+   * process is rebuilt on the new head.
+   * @param {Object} account - GitHub account
+   * @param {string} repoName - Repository name
+   * @param {Array} changes - Tree changes ({ path, sha })
+   * @returns {Promise<string>} Commit SHA
+   */
+  async commitTree(account, repoName, changes) {
+    const branch = await this.getDefaultBranch(account, repoName);
+    const repo = { owner: account.owner, repo: repoName };
+    const added = changes.filter(change => change.sha).length;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { data: ref } = await account.octokit.git.getRef({ ...repo, ref: `heads/${branch}` });
+        const { data: parent } = await account.octokit.git.getCommit({ ...repo, commit_sha: ref.object.sha });
+
+        const { data: tree } = await account.octokit.git.createTree({
+          ...repo,
+          base_tree: parent.tree.sha,
+          tree: changes.map(change => ({ path: change.path, mode: '100644', type: 'blob', sha: change.sha }))
+        });
+
+        const { data: commit } = await account.octokit.git.createCommit({
+          ...repo,
+          message: `Store ${added} and remove ${changes.length - added} file(s)`,
+          tree: tree.sha,
+          parents: [ref.object.sha]
+        });
+
+        await account.octokit.git.updateRef({ ...repo, ref: `heads/${branch}`, sha: commit.sha, force: false });
+        return commit.sha;
+      } catch (error) {
+        // Not a fast-forward: another commit landed first
+        if (error.status === 422 && attempt < MAX_RETRIES) {
+          continue;
+        }
+        this.handleGitHubError(error, 'blob commit');
+      }
+    }
+  }
+
+  /**
+   * Get the account a bucket lives under
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @returns {Promise<Object>} GitHub account; plain names and records without an owner use the default account
+   * @throws {AppError} If the bucket's owner has no usable credentials
+   */
+  async getBucketAccount(bucket) {
+    if (typeof bucket === 'string' || !bucket.user_owned) {
+      return githubAccounts.get(typeof bucket === 'string' ? null : bucket.github_owner);
+    }
+
+    const account = await githubAccounts.getUserAccount(bucket.user_id);
+
+    if (!account || (bucket.github_owner && account.owner.toLowerCase() !== bucket.github_owner.toLowerCase())) {
+      throw new AppError(
+        'GitHub account not linked',
+        ERROR_CODES.GITHUB_UNAUTHORIZED,
+        403,
+        `This bucket lives in the GitHub account ${bucket.github_owner}; link it again in your settings to access it`
+      );
+    }
+
+    return account;
+  }
+
+  /**
+   * Get the remaining core API quota of an account
+   * @param {Object} account - GitHub account
+   * @returns {Promise<number|null>} Remaining requests, or null if it cannot be checked
+   */
+  async getRemainingQuota(account) {
+    try {
+      const rateLimit = await this.getAccountRateLimit(account);
+      return rateLimit.core.remaining;
+    } catch (error) {
+      console.warn(`Unable to check rate limit of ${account.owner}:`, error.message);
+      return null;
+    }
+  }
+
+  // Storage provider contract
+
+  /**
+   * Pick the account a new bucket should be created under
+   * Users who linked their own GitHub account get buckets there; otherwise (or when
+   * the linked token no longer works or is out of quota) the operator account with the most remaining
+   * API quota is used, ties broken at random so buckets spread across idle accounts.
+   * @param {string|null} userId - Owner of the new bucket
+   * @returns {Promise<Object>} Owner fields for the repository record ({ github_owner, user_owned })
+   */
+  async selectBucketOwner(userId = null) {
+    if (userId) {
+      const userAccount = await githubAccounts.getUserAccount(userId);
+
+      if (userAccount && (await this.getRemainingQuota(userAccount)) > 0) {
+        return { github_owner: userAccount.owner, user_owned: true };
+      }
+
+      if (userAccount) {
+        console.warn(`⚠️ Linked GitHub account ${userAccount.owner} of user ${userId} is unusable; falling back to the operator account`);
+      }
+    }
+
+    const accounts = githubAccounts.list();
+
+    if (accounts.length === 1) {
+      return { github_owner: accounts[0].owner, user_owned: false };
+    }
+
+    const quotas = await Promise.all(accounts.map(account => this.getRemainingQuota(account)));
+    const best = Math.max(...quotas.map(quota => quota ?? -1));
+    const candidates = accounts.filter((account, index) => (quotas[index] ?? -1) === best);
+
+    return { github_owner: candidates[Math.floor(Math.random() * candidates.length)].owner, user_owned: false };
+  }
+
+  async createBucket(bucketName, description, owner = null) {
+    const account = owner ? await this.getBucketAccount(owner) : githubAccounts.getDefault();
+    const repository = await this.createRepositoryWithRetry(account, bucketName, description);
+
+    return { ...repository, owner: account.owner };
+  }
+
+  async bucketExists(bucket) {
+    return this.repositoryExists(await this.getBucketAccount(bucket), this.getBucketName(bucket));
+  }
+
+  async deleteBucket(bucket) {
+    return this.deleteRepository(await this.getBucketAccount(bucket), this.getBucketName(bucket));
+  }
+
+  async archiveBucket(bucket) {
+    return this.archiveRepository(await this.getBucketAccount(bucket), this.getBucketName(bucket));
+  }
+
+  async putAsset(bucket, filename, data, contentType, size, options = {}) {
+    const account = await this.getBucketAccount(bucket);
+
+    if (options.tier === 'blob') {
+      return this.uploadBlob(account, this.getBucketName(bucket), filename, data);
+    }
+
+    return {
+      tier: 'release',
+      ...(await this.uploadFile(account, this.getBucketName(bucket), filename, data, contentType, size))
+    };
+  }
+
+  async getAsset(bucket, asset, range = null) {
+    const account = await this.getBucketAccount(bucket);
+
+    if (asset.tier === 'blob') {
+      return this.downloadBlob(account, this.getBucketName(bucket), asset.assetId, range);
+    }
+
+    return this.downloadReleaseAsset(account, this.getBucketName(bucket), asset.assetId, range);
+  }
+
+  async deleteAsset(bucket, asset) {
+    const account = await this.getBucketAccount(bucket);
+    const repoName = this.getBucketName(bucket);
+
+    if (asset.tier === 'blob') {
+      return this.deleteBlob(account, repoName, asset.assetId);
+    }
+
+    await this.deleteReleaseAsset(account, repoName, asset.assetId);
+
+    if (asset.releaseId) {
+      try {
+        await this.deleteReleaseIfEmpty(account, repoName, asset.releaseId);
+      } catch (error) {
+        // The asset is gone; a leftover empty release is harmless
+        console.warn(`Failed to clean up release ${asset.releaseId} in ${repoName}:`, error.message);
+      }
+    }
+  }
+
+  async listAssets(bucket) {
+    const account = await this.getBucketAccount(bucket);
+    const repoName = this.getBucketName(bucket);
+
+    return [
+      ...(await this.listRepositoryAssets(account, repoName)),
+      ...(await this.listRepositoryBlobs(account, repoName))
+    ];
+  }
+
+  async listReleases(bucket) {
+    const account = await this.getBucketAccount(bucket);
+
+    try {
+      const releases = await account.octokit.paginate(account.octokit.repos.listReleases, {
+        owner: account.owner,
+        repo: this.getBucketName(bucket),
+        per_page: 100
+      });
+
+      return releases.map(release => ({
+        releaseId: String(release.id),
+        tagName: release.tag_name,
+        assetCount: release.assets.length
+      }));
+    } catch (error) {
+      this.handleGitHubError(error, 'release listing');
+    }
+  }
+
+  async deleteEmptyRelease(bucket, releaseId) {
+    const account = await this.getBucketAccount(bucket);
+    const repoName = this.getBucketName(bucket);
+    const opening = this.openReleases.get(`${account.owner}/${repoName}`);
+    const open = opening ? await opening.catch(() => null) : null;
+
+    // The open release is empty until uploads land in it
+    if (open && open.id === String(releaseId)) {
+      return false;
+    }
+
+    return this.deleteReleaseIfEmpty(account, repoName, releaseId);
+  }
+
+  async getBucketStats(bucket) {
+    return this.getRepositoryStats(await this.getBucketAccount(bucket), this.getBucketName(bucket));
+  }
+
+  /**
+   * Get API rate limit status of one account
+   * @param {Object} account - GitHub account
    * @returns {Promise<Object>} Rate limit information
    */
-  async getRateLimit() {
+  async getAccountRateLimit(account) {
     try {
-      const { data } = await this.octokit.rateLimit.get();
+      const { data } = await account.octokit.rateLimit.get();
       
       return {
         core: {
@@ -406,18 +1235,45 @@ class GitHubService {
     }
   }
 
+  /**
+   * Get API rate limit status across the account pool
+   * @returns {Promise<Object>} Combined core and search limits, plus each account's limits
+   */
+  async getRateLimit() {
+    const accounts = await Promise.all(githubAccounts.list().map(async account => ({
+      owner: account.owner,
+      ...(await this.getAccountRateLimit(account))
+    })));
+
+    const combine = resource => ({
+      limit: accounts.reduce((sum, account) => sum + account[resource].limit, 0),
+      remaining: accounts.reduce((sum, account) => sum + account[resource].remaining, 0),
+      reset: new Date(Math.min(...accounts.map(account => account[resource].reset.getTime()))),
+      used: accounts.reduce((sum, account) => sum + account[resource].used, 0)
+    });
+
+    return {
+      core: combine('core'),
+      search: combine('search'),
+      accounts
+    };
+  }
+
   /**
    * Check if we can perform operations based on rate limit
+   * @param {Object|string|null} bucket - Bucket whose account to check, or null for any account
    * @returns {Promise<boolean>} True if operations can be performed
    */
-  async canPerformOperations() {
-    try {
-      const rateLimit = await this.getRateLimit();
-      return rateLimit.core.remaining > 10; // Keep some buffer
-    } catch (error) {
-      console.warn('Unable to check rate limit, proceeding with caution:', error.message);
-      return true; // Assume we can proceed if we can't check
-    }
+  async canPerformOperations(bucket = null) {
+    const accounts = bucket ? [await this.getBucketAccount(bucket)] : githubAccounts.list();
+    const quotas = await Promise.all(accounts.map(account => this.getRemainingQuota(account)));
+
+    // Keep some buffer; assume we can proceed if we can't check
+    return quotas.some(quota => quota === null || quota > 10);
+  }
+
+  async runInBackground(task) {
+    return githubScheduler.withPriority('background', task);
   }
 }
 
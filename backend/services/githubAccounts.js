@@ -0,0 +1,228 @@
+const { Octokit } = require('@octokit/rest');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, GITHUB_API_URL } = require('../utils/constants');
+const GitHubAppAuth = require('./githubAppAuth');
+const githubScheduler = require('./githubScheduler');
+const supabaseService = require('./supabase');
+const encryptionService = require('./encryption');
+
+// Linked user accounts are re-read after this long, so unlinks made elsewhere take effect
+const USER_ACCOUNT_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * GitHub Account Pool
+ * The GitHub identities buckets can be created under, each with its own Octokit
+ * client and rate limit. Identities come from GITHUB_ACCOUNTS (comma separated
+ * `username:token` pairs) and GITHUB_USERNAME, authenticated either with
+ * GITHUB_TOKEN or, when GITHUB_AUTH_MODE is 'app', as a GitHub App installation.
+ * The first configured identity is the default, which owns buckets created before
+ * the pool existed.
+ *
+ * Users can also link their own GitHub account; its OAuth token is stored encrypted
+ * with the user's key and only used for that user's buckets.
+ *
+ * Every account's client sends its requests through the request scheduler.
+ */
+class GitHubAccountPool {
+  constructor() {
+    // owner -> { owner, octokit, app }
+    this.accounts = new Map();
+    // userId -> { account, expiresAt }
+    this.userAccounts = new Map();
+    this.authMode = (process.env.GITHUB_AUTH_MODE || 'token').toLowerCase();
+
+    if (!['token', 'app'].includes(this.authMode)) {
+      throw new Error(`Unknown GITHUB_AUTH_MODE "${this.authMode}". Supported modes: token, app.`);
+    }
+
+    if (this.authMode === 'app') {
+      if (process.env.GITHUB_TOKEN) {
+        console.warn('⚠️ GITHUB_TOKEN is ignored when GITHUB_AUTH_MODE is "app"');
+      }
+
+      this.addAppAccount(GitHubAppAuth.fromEnvironment());
+    } else if (process.env.GITHUB_USERNAME && process.env.GITHUB_TOKEN) {
+      this.addAccount(process.env.GITHUB_USERNAME, process.env.GITHUB_TOKEN);
+    }
+
+    for (const { owner, token } of this.parseAccounts(process.env.GITHUB_ACCOUNTS)) {
+      this.addAccount(owner, token);
+    }
+
+    if (this.accounts.size === 0) {
+      throw new Error('GitHub configuration is missing. Please check GITHUB_TOKEN and GITHUB_USERNAME (or GITHUB_ACCOUNTS) environment variables, or set GITHUB_AUTH_MODE=app.');
+    }
+  }
+
+  /**
+   * Parse the GITHUB_ACCOUNTS setting
+   * @param {string} value - Comma separated `username:token` pairs
+   * @returns {Array} Accounts ({ owner, token })
+   * @throws {Error} If an entry is malformed
+   */
+  parseAccounts(value) {
+    if (!value) {
+      return [];
+    }
+
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+      const separator = entry.indexOf(':');
+      const owner = entry.slice(0, separator).trim();
+      const token = entry.slice(separator + 1).trim();
+
+      if (separator <= 0 || !token) {
+        throw new Error('GITHUB_ACCOUNTS must be a comma separated list of username:token pairs');
+      }
+
+      return { owner, token };
+    });
+  }
+
+  /**
+   * Create an authenticated Octokit client
+   * @param {string} token - Access token
+   * @returns {Octokit} Client
+   */
+  createClient(token) {
+    return new Octokit({
+      auth: token,
+      baseUrl: GITHUB_API_URL,
+      request: {
+        timeout: 30000 // 30 seconds timeout
+      }
+    });
+  }
+
+  /**
+   * Add an identity to the pool
+   * @param {string} owner - GitHub username the token belongs to
+   * @param {string} token - Access token
+   * @returns {Object} Account ({ owner, octokit, app })
+   */
+  addAccount(owner, token) {
+    const key = owner.toLowerCase();
+
+    if (!this.accounts.has(key)) {
+      const octokit = githubScheduler.attach(this.createClient(token), { owner });
+      this.accounts.set(key, { owner, octokit, app: null });
+    }
+
+    return this.accounts.get(key);
+  }
+
+  /**
+   * Add a GitHub App installation to the pool
+   * @param {GitHubAppAuth} app - App authentication for the installation's account
+   * @returns {Object} Account ({ owner, octokit, app })
+   */
+  addAppAccount(app) {
+    const key = app.owner.toLowerCase();
+
+    if (!this.accounts.has(key)) {
+      const octokit = githubScheduler.attach(app.createClient(), { owner: app.owner });
+      this.accounts.set(key, { owner: app.owner, octokit, app });
+    }
+
+    return this.accounts.get(key);
+  }
+
+  /**
+   * Get the default identity
+   * @returns {Object} Account
+   */
+  getDefault() {
+    return this.accounts.values().next().value;
+  }
+
+  /**
+   * Get an identity by owner
+   * @param {string|null} owner - GitHub username, or null for the default identity
+   * @returns {Object} Account
+   * @throws {AppError} If the owner is not configured
+   */
+  get(owner) {
+    if (!owner) {
+      return this.getDefault();
+    }
+
+    const account = this.accounts.get(owner.toLowerCase());
+
+    if (!account) {
+      throw new AppError(
+        'GitHub account not configured',
+        ERROR_CODES.GITHUB_UNAUTHORIZED,
+        500,
+        `No credentials are configured for the GitHub account "${owner}"`
+      );
+    }
+
+    return account;
+  }
+
+  /**
+   * List every identity
+   * @returns {Array} Accounts
+   */
+  list() {
+    return Array.from(this.accounts.values());
+  }
+
+  /**
+   * Encrypt a user's GitHub token for storage
+   * @param {string} userId - User ID
+   * @param {string} token - OAuth access token
+   * @returns {string} Encrypted token
+   * @throws {AppError} If encryption is not configured
+   */
+  encryptUserToken(userId, token) {
+    if (!encryptionService.enabled) {
+      throw new AppError(
+        'Encryption not configured',
+        ERROR_CODES.INTERNAL_ERROR,
+        503,
+        'ENCRYPTION_MASTER_KEY is required to store linked GitHub accounts'
+      );
+    }
+
+    return encryptionService.encryptSecret(userId, 'github-token', token);
+  }
+
+  /**
+   * Get the GitHub account a user has linked
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Account ({ owner, octokit, app, userId }), or null if none is linked
+   */
+  async getUserAccount(userId) {
+    const cached = this.userAccounts.get(userId);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.account;
+    }
+
+    const record = await supabaseService.getUserGithubAccount(userId);
+    const account = record
+      ? {
+        owner: record.github_login,
+        octokit: githubScheduler.attach(
+          this.createClient(encryptionService.decryptSecret(userId, 'github-token', record.encrypted_token)),
+          { owner: record.github_login, userId }
+        ),
+        app: null,
+        userId
+      }
+      : null;
+
+    this.userAccounts.set(userId, { account, expiresAt: Date.now() + USER_ACCOUNT_CACHE_MS });
+    return account;
+  }
+
+  /**
+   * Drop a user's cached account after it was linked or unlinked
+   * @param {string} userId - User ID
+   */
+  forgetUserAccount(userId) {
+    this.userAccounts.delete(userId);
+  }
+}
+
+module.exports = new GitHubAccountPool();
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { Octokit } = require('@octokit/rest');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, GITHUB_API_URL } = require('../utils/constants');
+
+// Installation tokens live for an hour; replace them well before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * GitHub App authentication
+ * Signs short-lived app JWTs with the app's private key and exchanges them for
+ * installation access tokens, which are cached and re-minted before they expire.
+ * Requests made through `createClient()` always carry a valid installation token.
+ */
+class GitHubAppAuth {
+  /**
+   * @param {Object} options - App settings
+   * @param {string} options.appId - GitHub App ID
+   * @param {string} options.privateKey - PEM encoded private key
+   * @param {string} options.owner - Account the app is installed on
+   * @param {string|null} options.installationId - Installation ID (looked up from the owner if not set)
+   */
+  constructor({ appId, privateKey, owner, installationId = null }) {
+    this.appId = appId;
+    this.privateKey = privateKey;
+    this.owner = owner;
+    this.installationId = installationId;
+
+    this.installation = null;
+    this.token = null;
+    this.expiresAt = 0;
+    this.refreshing = null;
+  }
+
+  /**
+   * Read GitHub App settings from the environment
+   * @returns {GitHubAppAuth} App authentication for GITHUB_USERNAME's installation
+   * @throws {Error} If a setting is missing or the private key cannot be read
+   */
+  static fromEnvironment() {
+    const { GITHUB_APP_ID, GITHUB_APP_PRIVATE_KEY, GITHUB_APP_PRIVATE_KEY_PATH, GITHUB_APP_INSTALLATION_ID, GITHUB_USERNAME } = process.env;
+
+    if (!GITHUB_APP_ID || !(GITHUB_APP_PRIVATE_KEY || GITHUB_APP_PRIVATE_KEY_PATH) || !GITHUB_USERNAME) {
+      throw new Error('GitHub App configuration is missing. Please check GITHUB_APP_ID, GITHUB_APP_PRIVATE_KEY (or GITHUB_APP_PRIVATE_KEY_PATH) and GITHUB_USERNAME environment variables.');
+    }
+
+    // Keys pasted into a single-line variable usually have escaped newlines
+    const privateKey = GITHUB_APP_PRIVATE_KEY
+      ? GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n')
+      : fs.readFileSync(GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+
+    try {
+      crypto.createPrivateKey(privateKey);
+    } catch (error) {
+      throw new Error(`GITHUB_APP_PRIVATE_KEY is not a valid PEM private key: ${error.message}`);
+    }
+
+    return new GitHubAppAuth({
+      appId: GITHUB_APP_ID,
+      privateKey,
+      owner: GITHUB_USERNAME,
+      installationId: GITHUB_APP_INSTALLATION_ID || null
+    });
+  }
+
+  /**
+   * Sign a JWT identifying the app itself
+   * @returns {string} App JWT, valid for nine minutes
+   */
+  createAppJwt() {
+    const now = Math.floor(Date.now() / 1000);
+
+    // Backdate to allow for clock drift between us and GitHub
+    return jwt.sign({ iat: now - 60, exp: now + 9 * 60, iss: String(this.appId) }, this.privateKey, {
+      algorithm: 'RS256'
+    });
+  }
+
+  /**
+   * Create a client authenticated as the app (not as an installation)
+   * @returns {Octokit} Client
+   */
+  createAppClient() {
+    return new Octokit({
+      auth: this.createAppJwt(),
+      baseUrl: GITHUB_API_URL,
+      request: {
+        timeout: 30000 // 30 seconds timeout
+      }
+    });
+  }
+
+  /**
+   * Get the installation the app acts through
+   * @returns {Promise<Object>} Installation ({ id, account: { login, type } })
+   */
+  async getInstallation() {
+    if (this.installation) {
+      return this.installation;
+    }
+
+    const appClient = this.createAppClient();
+
+    try {
+      let data;
+
+      if (this.installationId) {
+        ({ data } = await appClient.apps.getInstallation({ installation_id: parseInt(this.installationId) }));
+      } else {
+        try {
+          ({ data } = await appClient.apps.getOrgInstallation({ org: this.owner }));
+        } catch (error) {
+          if (error.status !== 404) throw error;
+          ({ data } = await appClient.apps.getUserInstallation({ username: this.owner }));
+        }
+      }
+
+      this.installationId = data.id;
+      this.installation = data;
+      return data;
+    } catch (error) {
+      console.error('GitHub App installation lookup error:', error);
+
+      throw new AppError(
+        'GitHub App installation not found',
+        ERROR_CODES.GITHUB_UNAUTHORIZED,
+        error.status === 404 ? 404 : 500,
+        `The GitHub App is not installed on ${this.owner} or its credentials are invalid`
+      );
+    }
+  }
+
+  /**
+   * Get a valid installation token, minting a new one when the cached token is close to expiry
+   * @returns {Promise<string>} Installation access token
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+
+    // Concurrent requests share one refresh
+    if (!this.refreshing) {
+      this.refreshing = this.mintToken().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Exchange an app JWT for a new installation token
+   * @returns {Promise<string>} Installation access token
+   */
+  async mintToken() {
+    const installation = await this.getInstallation();
+
+    try {
+      const { data } = await this.createAppClient().apps.createInstallationAccessToken({
+        installation_id: installation.id
+      });
+
+      this.token = data.token;
+      this.expiresAt = Date.parse(data.expires_at);
+
+      console.log(`🔑 Minted GitHub App installation token for ${this.owner} (expires ${data.expires_at})`);
+      return this.token;
+    } catch (error) {
+      console.error('GitHub App token error:', error);
+
+      throw new AppError(
+        'GitHub App authentication failed',
+        ERROR_CODES.GITHUB_UNAUTHORIZED,
+        401,
+        'Unable to create an installation access token'
+      );
+    }
+  }
+
+  /**
+   * Create a client whose requests are authenticated with the installation token
+   * @returns {Octokit} Client
+   */
+  createClient() {
+    const octokit = new Octokit({
+      baseUrl: GITHUB_API_URL,
+      request: {
+        timeout: 30000 // 30 seconds timeout
+      }
+    });
+
+    octokit.hook.before('request', async (options) => {
+      options.headers.authorization = `token ${await this.getToken()}`;
+    });
+
+    return octokit;
+  }
+
+  /**
+   * Check whether the installation belongs to an organization
+   * @returns {Promise<boolean>} True for organization installations
+   */
+  async isOrganization() {
+    const installation = await this.getInstallation();
+    return installation.account.type === 'Organization';
+  }
+}
+
+module.exports = GitHubAppAuth;
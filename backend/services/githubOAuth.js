@@ -0,0 +1,319 @@
+const supabaseService = require('./supabase');
+const storageService = require('./storage');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, GITHUB_OAUTH_URL } = require('../utils/constants');
+
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+
+/**
+ * GitHub OAuth Service
+ * Links a user's own GitHub account through the OAuth device flow: the user enters
+ * a short code at GitHub while the dashboard polls until access is granted. The
+ * resulting token is stored encrypted and new buckets are created in that account.
+ */
+class GitHubOAuthService {
+  constructor() {
+    this.clientId = process.env.GITHUB_OAUTH_CLIENT_ID || null;
+    this.scope = process.env.GITHUB_OAUTH_SCOPE || 'public_repo';
+    this.enabled = Boolean(this.clientId) && storageService.providerName === 'github';
+
+    // userId -> { deviceCode, interval, expiresAt, nextPollAt }
+    this.pendingFlows = new Map();
+  }
+
+  /**
+   * Get the GitHub account pool
+   * Loaded lazily: it requires GitHub credentials, which other providers do not have.
+   * @returns {Object} Account pool
+   */
+  getAccountPool() {
+    return require('./githubAccounts');
+  }
+
+  /**
+   * Fail unless account linking is configured
+   * @throws {AppError}
+   */
+  assertEnabled() {
+    if (!this.enabled) {
+      throw new AppError(
+        'GitHub account linking not available',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'This server does not allow linking GitHub accounts'
+      );
+    }
+  }
+
+  /**
+   * Post a form to a GitHub OAuth endpoint
+   * @param {string} path - Endpoint path
+   * @param {Object} params - Form fields
+   * @returns {Promise<Object>} JSON response
+   */
+  async postForm(path, params) {
+    let response;
+
+    try {
+      response = await fetch(`${GITHUB_OAUTH_URL}${path}`, {
+        method: 'POST',
+        headers: {
+          accept: 'application/json',
+          'content-type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams(params)
+      });
+    } catch (error) {
+      throw new AppError(
+        'GitHub OAuth request failed',
+        ERROR_CODES.GITHUB_API_ERROR,
+        502,
+        error.message
+      );
+    }
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data) {
+      throw new AppError(
+        'GitHub OAuth request failed',
+        ERROR_CODES.GITHUB_API_ERROR,
+        502,
+        data?.error_description || `GitHub responded with ${response.status}`
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * Start linking a GitHub account
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Code for the user to enter ({ userCode, verificationUri, expiresIn, interval })
+   */
+  async startDeviceFlow(userId) {
+    this.assertEnabled();
+
+    const data = await this.postForm('/login/device/code', {
+      client_id: this.clientId,
+      scope: this.scope
+    });
+
+    if (data.error) {
+      throw new AppError(
+        'Failed to start GitHub authorization',
+        ERROR_CODES.GITHUB_API_ERROR,
+        502,
+        data.error_description || data.error
+      );
+    }
+
+    this.pendingFlows.set(userId, {
+      deviceCode: data.device_code,
+      interval: data.interval || 5,
+      expiresAt: Date.now() + data.expires_in * 1000,
+      nextPollAt: Date.now()
+    });
+
+    return {
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      expiresIn: data.expires_in,
+      interval: data.interval || 5
+    };
+  }
+
+  /**
+   * Check whether the user has authorized the pending link yet
+   * Polls faster than GitHub's interval are answered locally.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { status: 'pending', interval } or { status: 'linked', account }
+   */
+  async pollDeviceFlow(userId) {
+    this.assertEnabled();
+
+    const flow = this.pendingFlows.get(userId);
+
+    if (!flow || flow.expiresAt <= Date.now()) {
+      this.pendingFlows.delete(userId);
+      throw new AppError(
+        'No GitHub authorization in progress',
+        ERROR_CODES.VALIDATION_ERROR,
+        410,
+        'The authorization code has expired or was never requested; start linking again'
+      );
+    }
+
+    if (Date.now() < flow.nextPollAt) {
+      return { status: 'pending', interval: flow.interval };
+    }
+
+    flow.nextPollAt = Date.now() + flow.interval * 1000;
+
+    const data = await this.postForm('/login/oauth/access_token', {
+      client_id: this.clientId,
+      device_code: flow.deviceCode,
+      grant_type: DEVICE_GRANT_TYPE
+    });
+
+    if (data.error === 'authorization_pending') {
+      return { status: 'pending', interval: flow.interval };
+    }
+
+    if (data.error === 'slow_down') {
+      flow.interval = data.interval || flow.interval + 5;
+      flow.nextPollAt = Date.now() + flow.interval * 1000;
+      return { status: 'pending', interval: flow.interval };
+    }
+
+    this.pendingFlows.delete(userId);
+
+    if (data.error === 'access_denied') {
+      throw new AppError(
+        'GitHub authorization denied',
+        ERROR_CODES.GITHUB_UNAUTHORIZED,
+        403,
+        'The request to link your GitHub account was denied'
+      );
+    }
+
+    if (data.error || !data.access_token) {
+      throw new AppError(
+        'GitHub authorization failed',
+        ERROR_CODES.GITHUB_API_ERROR,
+        data.error === 'expired_token' ? 410 : 502,
+        data.error_description || data.error || 'No access token received'
+      );
+    }
+
+    const account = await this.linkAccount(userId, data.access_token, data.scope);
+    return { status: 'linked', account };
+  }
+
+  /**
+   * Store a user's GitHub token and move their new uploads to buckets in that account
+   * @param {string} userId - User ID
+   * @param {string} token - OAuth access token
+   * @param {string} scope - Granted scopes
+   * @returns {Promise<Object>} Linked account ({ login, scope, linkedAt })
+   */
+  async linkAccount(userId, token, scope) {
+    const scopes = (scope || '').split(/[\s,]+/);
+
+    if (!scopes.includes('public_repo') && !scopes.includes('repo')) {
+      throw new AppError(
+        'Insufficient GitHub permissions',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        'FreeDrive needs the public_repo scope to create storage repositories in your account'
+      );
+    }
+
+    const pool = this.getAccountPool();
+    let user;
+
+    try {
+      ({ data: user } = await pool.createClient(token).users.getAuthenticated());
+    } catch (error) {
+      throw new AppError(
+        'GitHub account verification failed',
+        ERROR_CODES.GITHUB_UNAUTHORIZED,
+        502,
+        error.message
+      );
+    }
+
+    // Buckets in a previously linked, different account would become unreachable
+    const repositories = await supabaseService.getUserRepositories(userId);
+    const otherAccountRepos = repositories.filter(repo =>
+      repo.user_owned && (repo.github_owner || '').toLowerCase() !== user.login.toLowerCase()
+    );
+
+    if (await supabaseService.countRepositoryObjects(otherAccountRepos.map(repo => repo.id)) > 0) {
+      throw new AppError(
+        'Another GitHub account is linked',
+        ERROR_CODES.VALIDATION_ERROR,
+        409,
+        'Files are still stored in your previously linked GitHub account; delete them before linking a different account'
+      );
+    }
+
+    const record = await supabaseService.saveUserGithubAccount(userId, {
+      login: user.login,
+      githubUserId: user.id,
+      encryptedToken: pool.encryptUserToken(userId, token),
+      scope
+    });
+
+    // Existing buckets keep their files, but new uploads go to the linked account
+    await supabaseService.setRepositoriesActive(
+      repositories.filter(repo => repo.is_active && (!repo.user_owned || otherAccountRepos.includes(repo))).map(repo => repo.id),
+      false
+    );
+
+    pool.forgetUserAccount(userId);
+
+    console.log(`🔗 User ${userId} linked GitHub account ${user.login}`);
+    return this.formatAccount(record);
+  }
+
+  /**
+   * Unlink a user's GitHub account
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async unlinkAccount(userId) {
+    const record = await supabaseService.getUserGithubAccount(userId);
+
+    if (!record) {
+      throw new AppError(
+        'No GitHub account linked',
+        ERROR_CODES.VALIDATION_ERROR,
+        404,
+        'There is no linked GitHub account to remove'
+      );
+    }
+
+    const ownRepos = (await supabaseService.getUserRepositories(userId)).filter(repo => repo.user_owned);
+
+    if (await supabaseService.countRepositoryObjects(ownRepos.map(repo => repo.id)) > 0) {
+      throw new AppError(
+        'GitHub account still in use',
+        ERROR_CODES.VALIDATION_ERROR,
+        409,
+        'Files are still stored in your GitHub account; delete them before unlinking it'
+      );
+    }
+
+    await supabaseService.setRepositoriesActive(ownRepos.filter(repo => repo.is_active).map(repo => repo.id), false);
+    await supabaseService.deleteUserGithubAccount(userId);
+    this.getAccountPool().forgetUserAccount(userId);
+
+    console.log(`🔗 User ${userId} unlinked GitHub account ${record.github_login}`);
+  }
+
+  /**
+   * Get the GitHub account a user has linked
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Linked account ({ login, scope, linkedAt }), or null
+   */
+  async getLinkedAccount(userId) {
+    const record = await supabaseService.getUserGithubAccount(userId);
+    return record ? this.formatAccount(record) : null;
+  }
+
+  /**
+   * Format a linked account record for API responses (never includes the token)
+   * @param {Object} record - user_github_accounts record
+   * @returns {Object} Linked account
+   */
+  formatAccount(record) {
+    return {
+      login: record.github_login,
+      scope: record.token_scope,
+      linkedAt: record.updated_at || record.created_at
+    };
+  }
+}
+
+module.exports = new GitHubOAuthService();
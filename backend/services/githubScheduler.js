@@ -0,0 +1,429 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { AppError } = require('../middleware/errorHandler');
+const Helpers = require('../utils/helpers');
+const {
+  ERROR_CODES,
+  MAX_RETRIES,
+  GITHUB_MAX_CONCURRENT_REQUESTS,
+  GITHUB_MAX_QUEUE_WAIT_MS,
+  GITHUB_BACKGROUND_RESERVE_PERCENT
+} = require('../utils/constants');
+
+// Highest priority first
+const PRIORITIES = ['interactive', 'normal', 'background'];
+
+// GitHub asks clients hitting a secondary rate limit without retry-after to wait at least a minute
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+// Reads worth revalidating with If-None-Match; a 304 does not count against the quota
+const CONDITIONAL_ROUTES = new Set([
+  'GET /repos/{owner}/{repo}',
+  'GET /repos/{owner}/{repo}/releases',
+  'GET /repos/{owner}/{repo}/releases/{release_id}',
+  'GET /repos/{owner}/{repo}/releases/{release_id}/assets'
+]);
+const ETAG_CACHE_SIZE = 500;
+
+/**
+ * GitHub Request Scheduler
+ * Every Octokit client of a GitHub account is attached to the scheduler, which queues
+ * its requests by priority (interactive downloads before normal work before background
+ * jobs such as the integrity scrubber), caps concurrent requests per account and keeps
+ * track of the remaining quota from response headers. When the quota runs out, or
+ * GitHub answers with retry-after or a secondary rate limit, the account is paused and
+ * the request is retried once it may be sent again. Background work stops early to
+ * leave part of the quota for interactive requests.
+ *
+ * Repository and release reads are sent as conditional requests, answered from a small
+ * cache when GitHub replies 304 Not Modified.
+ */
+class GitHubScheduler {
+  constructor() {
+    // Priority of the work currently running, set by withPriority()
+    this.context = new AsyncLocalStorage();
+
+    // account key -> scheduling state
+    this.accounts = new Map();
+
+    // `${account key} ${url}` -> last response with an ETag
+    this.etagCache = new Map();
+  }
+
+  /**
+   * Route an Octokit client's requests through the scheduler
+   * Clients of the same account share one queue and quota.
+   * @param {Octokit} octokit - Client
+   * @param {Object} account - Account the client authenticates as
+   * @param {string} account.owner - GitHub login
+   * @param {string|null} account.userId - User whose linked account this is, if any
+   * @returns {Octokit} The same client
+   */
+  attach(octokit, { owner, userId = null }) {
+    const state = this.getAccountState(owner, userId);
+
+    octokit.hook.wrap('request', (request, options) => this.schedule(state, request, options, octokit.request.endpoint));
+    return octokit;
+  }
+
+  /**
+   * Get the scheduling state of an account, creating it on first use
+   * @param {string} owner - GitHub login
+   * @param {string|null} userId - Linking user, if any
+   * @returns {Object} Account state
+   */
+  getAccountState(owner, userId) {
+    const key = userId ? `user:${userId}` : owner.toLowerCase();
+
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        key,
+        owner,
+        userId,
+        queues: Object.fromEntries(PRIORITIES.map(priority => [priority, []])),
+        inFlight: 0,
+        pausedUntil: 0,
+        pauseReason: null,
+        timer: null,
+        // resource (core, search, ...) -> { limit, remaining, used, reset }
+        quota: {},
+        requests: 0,
+        retries: 0,
+        notModified: 0
+      });
+    }
+
+    return this.accounts.get(key);
+  }
+
+  /**
+   * Run work at a given priority
+   * Every GitHub request made while the work runs, including nested calls, is queued
+   * at that priority.
+   * @param {string} priority - 'interactive', 'normal' or 'background'
+   * @param {Function} task - Async work
+   * @returns {Promise} Result of the work
+   */
+  withPriority(priority, task) {
+    return this.context.run({ priority }, task);
+  }
+
+  /**
+   * Work out the priority of a request
+   * The surrounding work's priority wins, so a background job's downloads stay in the
+   * background; otherwise a request can ask for one with `request.priority`.
+   * @param {Object} options - Request options
+   * @returns {string} Priority
+   */
+  getPriority(options) {
+    const priority = this.context.getStore()?.priority || options.request?.priority;
+    return PRIORITIES.includes(priority) ? priority : 'normal';
+  }
+
+  /**
+   * Send a request through an account's queue
+   * @param {Object} state - Account state
+   * @param {Function} request - Octokit request function
+   * @param {Object} options - Request options
+   * @param {Function} endpoint - The client's endpoint helper, used to resolve URLs
+   * @returns {Promise<Object>} Response
+   */
+  async schedule(state, request, options, endpoint) {
+    // Checking the rate limit is free and must not wait behind it
+    if (options.method === 'GET' && options.url === '/rate_limit') {
+      const response = await request(options);
+      this.recordQuota(state, response.headers);
+      return response;
+    }
+
+    const priority = this.getPriority(options);
+    const cacheKey = CONDITIONAL_ROUTES.has(`${options.method} ${options.url}`)
+      ? `${state.key} ${endpoint.parse(options).url}`
+      : null;
+    const cached = cacheKey ? this.etagCache.get(cacheKey) : null;
+
+    if (cached) {
+      options.headers = { ...options.headers, 'if-none-match': cached.headers.etag };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(state, priority);
+      state.requests += 1;
+
+      let response;
+      try {
+        response = await request(options);
+      } catch (error) {
+        this.release(state, error.response?.headers);
+
+        if (error.status === 304 && cached) {
+          state.notModified += 1;
+          this.rememberResponse(cacheKey, cached);
+          return cached;
+        }
+
+        const delayMs = this.getRetryDelay(error, attempt);
+
+        if (delayMs === null) {
+          throw error;
+        }
+
+        const rateLimited = error.status === 403 || error.status === 429;
+
+        // Rate limits apply to the whole account, so everything behind this request waits too
+        if (rateLimited) {
+          const quotaExhausted = error.response?.headers?.['x-ratelimit-remaining'] === '0';
+          this.pause(state, delayMs, quotaExhausted ? 'primary rate limit' : 'secondary rate limit');
+        }
+
+        // A streamed body has been consumed and cannot be sent again
+        if (typeof options.data?.pipe === 'function') {
+          throw error;
+        }
+
+        if (!rateLimited) {
+          await Helpers.delay(delayMs);
+        }
+
+        state.retries += 1;
+        continue;
+      }
+
+      this.release(state, response.headers);
+
+      if (cacheKey && response.headers.etag) {
+        this.rememberResponse(cacheKey, response);
+      }
+
+      return response;
+    }
+  }
+
+  /**
+   * Wait for a request slot
+   * @param {Object} state - Account state
+   * @param {string} priority - Request priority
+   * @returns {Promise<void>} Resolves once the request may be sent
+   * @throws {AppError} If the account stays rate limited longer than the request may wait
+   */
+  acquire(state, priority) {
+    return new Promise((resolve, reject) => {
+      state.queues[priority].push({
+        resolve,
+        reject,
+        // Background work waits as long as it takes
+        deadline: priority === 'background' ? Infinity : Date.now() + GITHUB_MAX_QUEUE_WAIT_MS
+      });
+      this.drain(state);
+    });
+  }
+
+  /**
+   * Release a request slot and record the quota reported with the response
+   * @param {Object} state - Account state
+   * @param {Object|undefined} headers - Response headers
+   */
+  release(state, headers) {
+    state.inFlight -= 1;
+    this.recordQuota(state, headers);
+    this.drain(state);
+  }
+
+  /**
+   * Start as many queued requests as the account's slots and quota allow
+   * @param {Object} state - Account state
+   */
+  drain(state) {
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    let wakeAt = Infinity;
+
+    for (const priority of PRIORITIES) {
+      const queue = state.queues[priority];
+      const readyAt = this.getReadyAt(state, priority);
+
+      if (readyAt > Date.now()) {
+        // Fail fast instead of holding requests that could not be sent in time anyway
+        state.queues[priority] = queue.filter((entry) => {
+          if (entry.deadline >= readyAt) return true;
+          entry.reject(this.createRateLimitError(state, readyAt));
+          return false;
+        });
+
+        if (state.queues[priority].length > 0) {
+          wakeAt = Math.min(wakeAt, readyAt);
+        }
+        continue;
+      }
+
+      while (queue.length > 0 && state.inFlight < GITHUB_MAX_CONCURRENT_REQUESTS && this.getReadyAt(state, priority) <= Date.now()) {
+        state.inFlight += 1;
+        queue.shift().resolve();
+      }
+    }
+
+    if (wakeAt < Infinity) {
+      state.timer = setTimeout(() => this.drain(state), wakeAt - Date.now()).unref();
+    }
+  }
+
+  /**
+   * Work out when a request of a given priority may be sent next
+   * @param {Object} state - Account state
+   * @param {string} priority - Request priority
+   * @returns {number} Timestamp (ms); now or earlier if it may be sent right away
+   */
+  getReadyAt(state, priority) {
+    let readyAt = state.pausedUntil;
+    const core = state.quota.core;
+
+    if (core && core.reset * 1000 > Date.now()) {
+      const reserve = priority === 'background'
+        ? Math.ceil(core.limit * GITHUB_BACKGROUND_RESERVE_PERCENT / 100)
+        : 0;
+
+      // Requests in flight will use quota too
+      if (core.remaining - state.inFlight <= reserve) {
+        readyAt = Math.max(readyAt, core.reset * 1000);
+      }
+    }
+
+    return readyAt;
+  }
+
+  /**
+   * Stop sending an account's requests for a while
+   * @param {Object} state - Account state
+   * @param {number} delayMs - Pause length
+   * @param {string} reason - Why the account is paused
+   */
+  pause(state, delayMs, reason) {
+    const until = Date.now() + delayMs;
+
+    if (until > state.pausedUntil) {
+      state.pausedUntil = until;
+      state.pauseReason = reason;
+      console.warn(`⏳ GitHub requests for ${state.owner} paused for ${Math.ceil(delayMs / 1000)}s (${reason})`);
+    }
+  }
+
+  /**
+   * Decide whether and when a failed request should be retried
+   * @param {Object} error - Octokit request error
+   * @param {number} attempt - Attempts made so far, minus one
+   * @returns {number|null} Delay in milliseconds, or null to give up
+   */
+  getRetryDelay(error, attempt) {
+    if (attempt >= MAX_RETRIES) {
+      return null;
+    }
+
+    const headers = error.response?.headers || {};
+
+    if (error.status === 403 || error.status === 429) {
+      if (headers['retry-after']) {
+        return parseInt(headers['retry-after']) * 1000;
+      }
+
+      if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        return Math.max(parseInt(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0) + 1000;
+      }
+
+      if (error.status === 429 || /secondary rate limit/i.test(error.message)) {
+        return Helpers.exponentialBackoff(attempt, SECONDARY_LIMIT_WAIT_MS);
+      }
+
+      // A plain permission error
+      return null;
+    }
+
+    // Transient server errors
+    if ([502, 503, 504].includes(error.status)) {
+      return Helpers.exponentialBackoff(attempt, 1000);
+    }
+
+    return null;
+  }
+
+  /**
+   * Record the quota GitHub reported in response headers
+   * @param {Object} state - Account state
+   * @param {Object|undefined} headers - Response headers
+   */
+  recordQuota(state, headers) {
+    if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    state.quota[headers['x-ratelimit-resource'] || 'core'] = {
+      limit: parseInt(headers['x-ratelimit-limit']),
+      remaining: parseInt(headers['x-ratelimit-remaining']),
+      used: parseInt(headers['x-ratelimit-used']) || 0,
+      reset: parseInt(headers['x-ratelimit-reset'])
+    };
+  }
+
+  /**
+   * Keep a response for conditional requests, evicting the least recently used
+   * @param {string} cacheKey - Account key and URL
+   * @param {Object} response - Response with an ETag header
+   */
+  rememberResponse(cacheKey, response) {
+    this.etagCache.delete(cacheKey);
+    this.etagCache.set(cacheKey, response);
+
+    if (this.etagCache.size > ETAG_CACHE_SIZE) {
+      this.etagCache.delete(this.etagCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Create the error for requests that cannot be sent in time
+   * @param {Object} state - Account state
+   * @param {number} readyAt - When the account accepts requests again
+   * @returns {AppError} Rate limit error
+   */
+  createRateLimitError(state, readyAt) {
+    return new AppError(
+      'GitHub API rate limit exceeded',
+      ERROR_CODES.GITHUB_RATE_LIMIT,
+      429,
+      `Requests for ${state.owner} resume at ${new Date(readyAt).toISOString()}`
+    );
+  }
+
+  /**
+   * Get queue and quota status of every account
+   * @returns {Object} Scheduler status
+   */
+  getStatus() {
+    const now = Date.now();
+
+    return {
+      accounts: Array.from(this.accounts.values()).map(state => ({
+        owner: state.owner,
+        userId: state.userId,
+        queued: Object.fromEntries(PRIORITIES.map(priority => [priority, state.queues[priority].length])),
+        queueDepth: PRIORITIES.reduce((total, priority) => total + state.queues[priority].length, 0),
+        inFlight: state.inFlight,
+        pausedUntil: state.pausedUntil > now ? new Date(state.pausedUntil).toISOString() : null,
+        pauseReason: state.pausedUntil > now ? state.pauseReason : null,
+        quota: Object.fromEntries(Object.entries(state.quota).map(([resource, quota]) => [resource, {
+          ...quota,
+          reset: new Date(quota.reset * 1000).toISOString()
+        }])),
+        requests: state.requests,
+        retries: state.retries,
+        notModified: state.notModified
+      })),
+      etagCacheEntries: this.etagCache.size,
+      settings: {
+        maxConcurrentRequests: GITHUB_MAX_CONCURRENT_REQUESTS,
+        maxQueueWaitSeconds: GITHUB_MAX_QUEUE_WAIT_MS / 1000,
+        backgroundReservePercent: GITHUB_BACKGROUND_RESERVE_PERCENT
+      }
+    };
+  }
+}
+
+module.exports = new GitHubScheduler();
@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const storageService = require('./storage');
+const supabaseService = require('./supabase');
+const fileManagerService = require('./fileManager');
+const encryptionService = require('./encryption');
+const { ERROR_CODES, SCRUB_INTERVAL_HOURS, SCRUB_VERIFY_BYTES_PER_RUN } = require('../utils/constants');
+
+/**
+ * Integrity Scrubber Service
+ * Walks each bucket's asset listing and compares it with the `files` and `file_chunks`
+ * rows stored there, by asset id and stored size. A missing, incomplete or wrongly sized
+ * asset marks its file as damaged. Each run also downloads a budgeted amount of content,
+ * least recently verified first, and compares it with the stored SHA-256.
+ * Uploads, deletions and moves change rows and assets one after the other, so buckets and
+ * assets unfinished sagas are working on are left for the next run, and a file's row is
+ * read again before it is marked damaged.
+ */
+class IntegrityScrubberService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Schedule periodic scrubs of all repositories
+   */
+  start() {
+    if (this.timer || !(SCRUB_INTERVAL_HOURS > 0)) {
+      return;
+    }
+
+    const intervalMs = SCRUB_INTERVAL_HOURS * 60 * 60 * 1000;
+    this.timer = setInterval(() => {
+      this.scrubAll().catch(error => console.error('Scheduled integrity scrub failed:', error));
+    }, intervalMs);
+    this.timer.unref();
+
+    console.log(`🩺 Integrity scrub scheduled every ${SCRUB_INTERVAL_HOURS} hour(s)`);
+  }
+
+  /**
+   * Stop scheduled scrubs
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Scrub every repository, including inactive ones that still hold files
+   * @returns {Promise<Object|null>} Run summary, or null if a scrub is already running
+   */
+  async scrubAll() {
+    return storageService.runInBackground(async () => this.run(await supabaseService.getAllRepositories()));
+  }
+
+  /**
+   * Scrub the repositories of one user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Run summary, or null if a scrub is already running
+   */
+  async scrubUser(userId) {
+    return storageService.runInBackground(async () => this.run(await supabaseService.getUserRepositories(userId)));
+  }
+
+  /**
+   * Scrub a set of repositories
+   * Chunked files can span repositories, so findings are collected for the whole run
+   * before any file's health is written.
+   * @param {Array} repositories - Repository records
+   * @returns {Promise<Object|null>} Run summary, or null if a scrub is already running
+   */
+  async run(repositories) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    const summary = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      repositoriesScanned: 0,
+      repositoriesFailed: [],
+      repositoriesBusy: [],
+      filesChecked: 0,
+      healthy: 0,
+      damaged: 0,
+      contentVerified: 0
+    };
+
+    // fileId -> { file, issues[], skipped, chunkAssets (chunk index -> asset ID) }
+    const findings = new Map();
+    const track = (file) => {
+      if (!findings.has(file.id)) {
+        findings.set(file.id, { file, issues: [], skipped: false, chunkAssets: new Map() });
+      }
+      return findings.get(file.id);
+    };
+
+    try {
+      console.log(`🩺 Integrity scrub started for ${repositories.length} repositories`);
+
+      const inProgress = await this.getWorkInProgress();
+
+      for (const repository of repositories) {
+        const { files, chunks } = await supabaseService.getRepositoryContents(repository.id);
+
+        if (inProgress.repoIds.has(repository.id)) {
+          summary.repositoriesBusy.push(repository.name);
+          files.forEach(file => { track(file).skipped = true; });
+          chunks.forEach(chunk => { track(chunk.files).skipped = true; });
+          continue;
+        }
+
+        let assets;
+        try {
+          assets = await this.listBucketAssets(repository);
+          summary.repositoriesScanned += 1;
+        } catch (error) {
+          // Never mark files damaged because the provider could not be reached
+          summary.repositoriesFailed.push({ repository: repository.name, error: error.message });
+          files.forEach(file => { track(file).skipped = true; });
+          chunks.forEach(chunk => { track(chunk.files).skipped = true; });
+          continue;
+        }
+
+        const assetsById = new Map((assets || []).map(asset => [asset.assetId, asset]));
+
+        for (const file of files) {
+          const finding = track(file);
+          if (inProgress.assetIds.has(String(file.gh_asset_id)) || inProgress.names.has(file.filename)) {
+            finding.skipped = true;
+            continue;
+          }
+
+          const issue = this.checkAsset(assetsById, file.gh_asset_id, this.getExpectedAssetSize(file));
+          if (issue) finding.issues.push(issue);
+        }
+
+        for (const chunk of chunks) {
+          const finding = track(chunk.files);
+          if (inProgress.assetIds.has(String(chunk.gh_asset_id))) {
+            finding.skipped = true;
+            continue;
+          }
+
+          const issue = this.checkAsset(assetsById, chunk.gh_asset_id, Number(chunk.size_bytes));
+          finding.chunkAssets.set(chunk.chunk_index, String(chunk.gh_asset_id));
+          if (issue) finding.issues.push(`Chunk ${chunk.chunk_index + 1}: ${issue}`);
+        }
+      }
+
+      await this.verifyContent(findings, summary);
+
+      const checkedAt = new Date().toISOString();
+      for (const finding of findings.values()) {
+        if (finding.skipped) continue;
+
+        const status = finding.issues.length > 0 ? 'damaged' : 'healthy';
+
+        // Content moved, swapped with another version or deleted since it was listed is not damaged
+        if (status === 'damaged' && !(await this.isUnchanged(finding))) {
+          continue;
+        }
+        await supabaseService.updateFileHealth(finding.file.id, {
+          status,
+          issue: finding.issues.join('; ') || null,
+          checkedAt,
+          verifiedAt: finding.verifiedAt
+        });
+
+        summary.filesChecked += 1;
+        summary[status] += 1;
+
+        if (status === 'damaged' && finding.file.health_status !== 'damaged') {
+          console.warn(`⚠️ File ${finding.file.id} (${finding.file.original_name}) is damaged: ${finding.issues.join('; ')}`);
+        }
+      }
+
+      summary.finishedAt = new Date().toISOString();
+      this.lastRun = summary;
+
+      console.log(`🩺 Integrity scrub finished: ${summary.healthy} healthy, ${summary.damaged} damaged, ${summary.repositoriesFailed.length} repositories unreachable, ${summary.repositoriesBusy.length} busy`);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Get the repositories, assets and asset names unfinished sagas are working on
+   * @returns {Promise<Object>} Sets of repository IDs, asset IDs and asset names
+   */
+  async getWorkInProgress() {
+    const repoIds = new Set();
+    const assetIds = new Set();
+    const names = new Set();
+
+    for (const saga of await supabaseService.getPendingSagas()) {
+      for (const step of saga.steps) {
+        if (step.repoId) repoIds.add(step.repoId);
+        if (step.targetRepoId) repoIds.add(step.targetRepoId);
+        if (step.assetId) assetIds.add(String(step.assetId));
+        if (step.filename) names.add(step.filename);
+        (step.assets || []).forEach(asset => {
+          repoIds.add(asset.repoId);
+          if (asset.assetId) assetIds.add(String(asset.assetId));
+        });
+      }
+    }
+
+    return { repoIds, assetIds, names };
+  }
+
+  /**
+   * Check that a file still refers to the content that was checked
+   * @param {Object} finding - Finding of this run
+   * @returns {Promise<boolean>} False if the file is gone or its row points at other assets
+   */
+  async isUnchanged(finding) {
+    const { file } = finding;
+    let current;
+
+    try {
+      current = await supabaseService.getFileById(file.id, file.user_id);
+    } catch (error) {
+      if (error.statusCode === 404) return false;
+      throw error;
+    }
+
+    if (!current || current.filename !== file.filename || current.repo_id !== file.repo_id ||
+      String(current.gh_asset_id) !== String(file.gh_asset_id)) {
+      return false;
+    }
+
+    if (finding.chunkAssets.size === 0) {
+      return true;
+    }
+
+    const chunks = await supabaseService.getFileChunks(file.id, file.user_id);
+    return chunks.every(chunk =>
+      !finding.chunkAssets.has(chunk.chunk_index) || finding.chunkAssets.get(chunk.chunk_index) === String(chunk.gh_asset_id)
+    );
+  }
+
+  /**
+   * List a bucket's assets, treating a missing bucket as empty
+   * @param {Object} repository - Repository record
+   * @returns {Promise<Array>} Assets
+   */
+  async listBucketAssets(repository) {
+    if (!(await storageService.bucketExists(repository))) {
+      return [];
+    }
+
+    return storageService.listAssets(repository);
+  }
+
+  /**
+   * Compare one expected asset with the bucket listing
+   * @param {Map} assetsById - Listed assets by asset ID
+   * @param {string} assetId - Expected asset ID
+   * @param {number|null} expectedSize - Expected stored size in bytes, or null if unknown
+   * @returns {string|null} Issue description, or null if the asset looks intact
+   */
+  checkAsset(assetsById, assetId, expectedSize) {
+    const asset = assetsById.get(String(assetId));
+
+    if (!asset) {
+      return 'Stored asset is missing';
+    }
+
+    if (!asset.complete) {
+      return 'Stored asset upload is incomplete';
+    }
+
+    if (expectedSize !== null && asset.size !== expectedSize) {
+      return `Stored asset is ${asset.size} bytes, expected ${expectedSize}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the plaintext size of a file record
+   * @param {Object} file - File record
+   * @returns {number} Size in bytes
+   */
+  getSizeBytes(file) {
+    return fileManagerService.getSizeBytes(file);
+  }
+
+  /**
+   * Get the stored size of a single-asset file
+   * Records from before exact sizes were kept only have a rounded size_mb, so their
+   * size cannot be checked.
+   * @param {Object} file - File record
+   * @returns {number|null} Stored size in bytes, or null if unknown
+   */
+  getExpectedAssetSize(file) {
+    if (!file.size_bytes) {
+      return null;
+    }
+
+    const size = Number(file.size_bytes);
+    return file.encryption_algorithm
+      ? encryptionService.getEncryptedSize(0, size, file.encryption_segment_size || undefined)
+      : size;
+  }
+
+  /**
+   * Download and hash files whose listing looked intact, least recently verified first
+   * @param {Map} findings - Findings of this run
+   * @param {Object} summary - Run summary to update
+   * @returns {Promise<void>}
+   */
+  async verifyContent(findings, summary) {
+    const candidates = Array.from(findings.values())
+      .filter(finding => !finding.skipped && finding.issues.length === 0 && finding.file.content_sha256)
+      .sort((a, b) => (Date.parse(a.file.content_verified_at) || 0) - (Date.parse(b.file.content_verified_at) || 0));
+
+    // Deduplicated rows share content; verify each stored asset once per run
+    const verifiedAssets = new Map();
+    let budget = SCRUB_VERIFY_BYTES_PER_RUN;
+
+    for (const finding of candidates) {
+      const { file } = finding;
+      const assetKey = `${file.user_id}:${file.filename}`;
+      const size = this.getSizeBytes(file);
+
+      if (!verifiedAssets.has(assetKey)) {
+        // The first file always fits, so huge files are not skipped forever
+        if (budget <= 0 || (size > budget && budget < SCRUB_VERIFY_BYTES_PER_RUN)) {
+          continue;
+        }
+
+        budget -= size;
+        verifiedAssets.set(assetKey, await this.hashStoredContent(file));
+      }
+
+      const result = verifiedAssets.get(assetKey);
+      if (result.error) {
+        if (result.damaged) finding.issues.push(result.error);
+        continue;
+      }
+
+      if (result.sha256 !== file.content_sha256) {
+        finding.issues.push('Stored content does not match its checksum');
+      } else {
+        finding.verifiedAt = new Date().toISOString();
+        summary.contentVerified += 1;
+      }
+    }
+  }
+
+  /**
+   * Download a file's content and hash it
+   * @param {Object} file - File record
+   * @returns {Promise<Object>} Hash result ({ sha256 } or { error, damaged })
+   */
+  async hashStoredContent(file) {
+    try {
+      const download = await fileManagerService.openDownloadStream(file.id, file.user_id);
+      const hash = crypto.createHash('sha256');
+
+      for await (const chunk of download.stream) {
+        hash.update(chunk);
+      }
+
+      return { sha256: hash.digest('hex') };
+    } catch (error) {
+      // Authentication failures of encrypted content are damage; anything else may be transient
+      if (error.code === ERROR_CODES.FILE_INTEGRITY_ERROR) {
+        return { error: error.message, damaged: true };
+      }
+
+      console.warn(`Content verification of ${file.id} failed:`, error.message);
+      return { error: error.message, damaged: false };
+    }
+  }
+}
+
+module.exports = new IntegrityScrubberService();
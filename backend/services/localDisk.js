@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const StorageProvider = require('./storageProvider');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('../utils/constants');
+const Helpers = require('../utils/helpers');
+
+/**
+ * Local disk storage provider
+ * Stores buckets as directories and assets as files on the local filesystem.
+ * Intended for offline development and CI, where no GitHub token is available.
+ * There is no small-file tier; every asset is stored the same way.
+ *
+ * Layout:
+ *   <root>/<bucket>/bucket.json        Bucket metadata
+ *   <root>/<bucket>/assets/<assetId>    Asset content
+ *   <root>/<bucket>/assets/<assetId>.json  Asset metadata
+ */
+class LocalDiskProvider extends StorageProvider {
+  constructor() {
+    super('local');
+
+    this.rootPath = path.resolve(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '..', 'storage'));
+    fs.mkdirSync(this.rootPath, { recursive: true });
+  }
+
+  /**
+   * Get the directory of a bucket
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @returns {string} Absolute bucket path
+   */
+  getBucketPath(bucket) {
+    const bucketName = this.getBucketName(bucket);
+
+    // Bucket names come from Helpers.generateRepoName, but never trust them as paths
+    if (!/^[a-zA-Z0-9_.-]+$/.test(bucketName)) {
+      throw new AppError(
+        'Invalid bucket name',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        `Bucket name ${bucketName} contains invalid characters`
+      );
+    }
+
+    return path.join(this.rootPath, bucketName);
+  }
+
+  /**
+   * Get the content path of an asset
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @param {string} assetId - Asset ID
+   * @returns {string} Absolute asset path
+   */
+  getAssetPath(bucket, assetId) {
+    if (!/^[a-f0-9]+$/.test(assetId)) {
+      throw new AppError(
+        'Invalid asset ID',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        `Asset ID ${assetId} is not a local asset`
+      );
+    }
+
+    return path.join(this.getBucketPath(bucket), 'assets', assetId);
+  }
+
+  async createBucket(bucketName, description = 'FreeDrive storage bucket') {
+    const bucketPath = this.getBucketPath(bucketName);
+
+    if (fs.existsSync(bucketPath)) {
+      throw new AppError(
+        'Bucket already exists',
+        ERROR_CODES.REPO_CREATE_FAILED,
+        422,
+        `Bucket ${bucketName} already exists`
+      );
+    }
+
+    const bucket = {
+      id: `local-${Helpers.generateRandomString(16)}`,
+      name: bucketName,
+      description,
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(path.join(bucketPath, 'assets'), { recursive: true });
+    await fs.promises.writeFile(path.join(bucketPath, 'bucket.json'), JSON.stringify(bucket, null, 2));
+
+    console.log(`✅ Created local bucket: ${bucketName}`);
+    return {
+      ...bucket,
+      size: 0
+    };
+  }
+
+  async bucketExists(bucket) {
+    return fs.existsSync(path.join(this.getBucketPath(bucket), 'bucket.json'));
+  }
+
+  async deleteBucket(bucket) {
+    await fs.promises.rm(this.getBucketPath(bucket), { recursive: true, force: true });
+
+    console.log(`✅ Deleted local bucket: ${this.getBucketName(bucket)}`);
+  }
+
+  async archiveBucket(bucket) {
+    const metadataPath = path.join(this.getBucketPath(bucket), 'bucket.json');
+    const metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
+
+    await fs.promises.writeFile(metadataPath, JSON.stringify({ ...metadata, archivedAt: new Date().toISOString() }, null, 2));
+
+    console.log(`✅ Archived local bucket: ${this.getBucketName(bucket)}`);
+  }
+
+  async putAsset(bucket, filename, data, contentType, size, options = {}) {
+    if (!(await this.bucketExists(bucket))) {
+      throw new AppError(
+        'Bucket not found',
+        ERROR_CODES.REPO_NOT_FOUND,
+        404,
+        `Bucket ${this.getBucketName(bucket)} does not exist`
+      );
+    }
+
+    const assetId = Helpers.generateRandomString(24);
+    const assetPath = this.getAssetPath(bucket, assetId);
+
+    if (Buffer.isBuffer(data)) {
+      await fs.promises.writeFile(assetPath, data);
+    } else {
+      await pipeline(data, fs.createWriteStream(assetPath));
+    }
+
+    const { size: storedSize } = await fs.promises.stat(assetPath);
+    const metadata = {
+      id: assetId,
+      name: filename,
+      size: storedSize,
+      contentType,
+      createdAt: new Date().toISOString()
+    };
+    await fs.promises.writeFile(`${assetPath}.json`, JSON.stringify(metadata, null, 2));
+
+    return {
+      tier: 'release',
+      releaseId: 'local',
+      assetId,
+      downloadUrl: `local://${this.getBucketName(bucket)}/${assetId}`,
+      filename,
+      size: storedSize,
+      releaseUrl: null
+    };
+  }
+
+  async getAsset(bucket, asset, range = null) {
+    const assetPath = this.getAssetPath(bucket, asset.assetId);
+
+    let metadata;
+    try {
+      metadata = JSON.parse(await fs.promises.readFile(`${assetPath}.json`, 'utf8'));
+    } catch (error) {
+      throw new AppError(
+        'Asset not found',
+        ERROR_CODES.FILE_NOT_FOUND,
+        404,
+        `Asset ${asset.assetId} not found in bucket ${this.getBucketName(bucket)}`
+      );
+    }
+
+    if (range) {
+      return {
+        stream: fs.createReadStream(assetPath, { start: range.start, end: range.end }),
+        size: range.end - range.start + 1,
+        contentType: metadata.contentType
+      };
+    }
+
+    return {
+      stream: fs.createReadStream(assetPath),
+      size: metadata.size,
+      contentType: metadata.contentType
+    };
+  }
+
+  async deleteAsset(bucket, asset) {
+    const assetPath = this.getAssetPath(bucket, asset.assetId);
+
+    await fs.promises.rm(assetPath, { force: true });
+    await fs.promises.rm(`${assetPath}.json`, { force: true });
+
+    console.log(`✅ Deleted local asset: ${asset.assetId}`);
+  }
+
+  async listAssets(bucket) {
+    const assetsPath = path.join(this.getBucketPath(bucket), 'assets');
+    const entries = await fs.promises.readdir(assetsPath);
+    const assets = [];
+
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
+      const metadata = JSON.parse(await fs.promises.readFile(path.join(assetsPath, entry), 'utf8'));
+
+      // Report the bytes actually on disk, so truncated content shows up as a size mismatch
+      let size;
+      try {
+        ({ size } = await fs.promises.stat(path.join(assetsPath, metadata.id)));
+      } catch (error) {
+        continue;
+      }
+
+      assets.push({
+        tier: 'release',
+        releaseId: 'local',
+        assetId: metadata.id,
+        name: metadata.name,
+        size,
+        contentType: metadata.contentType || null,
+        complete: true
+      });
+    }
+
+    return assets;
+  }
+
+  async getBucketStats(bucket) {
+    const assetsPath = path.join(this.getBucketPath(bucket), 'assets');
+    const entries = await fs.promises.readdir(assetsPath);
+
+    let totalAssetSize = 0;
+    let totalAssets = 0;
+
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
+      const metadata = JSON.parse(await fs.promises.readFile(path.join(assetsPath, entry), 'utf8'));
+      totalAssets += 1;
+      totalAssetSize += metadata.size;
+    }
+
+    return {
+      repoSize: 0,
+      releaseCount: totalAssets > 0 ? 1 : 0,
+      assetCount: totalAssets,
+      totalAssetSize,
+      totalAssetSizeMb: Helpers.bytesToMb(totalAssetSize)
+    };
+  }
+}
+
+module.exports = new LocalDiskProvider();
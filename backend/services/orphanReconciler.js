@@ -0,0 +1,412 @@
+const storageService = require('./storage');
+const supabaseService = require('./supabase');
+const fileManagerService = require('./fileManager');
+const repoManagerService = require('./repoManager');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, ORPHAN_SCAN_INTERVAL_HOURS, ORPHAN_SCAN_POLICY } = require('../utils/constants');
+const Helpers = require('../utils/helpers');
+
+const RECONCILE_POLICIES = ['deactivate', 'delete', 'adopt'];
+
+// Chunks and encrypted assets cannot become files again without the records they lost
+const UNADOPTABLE_ASSET = /(\.part\d{3}|\.enc)$/;
+
+// Storage names generated from the original name: <base>_<timestamp>_<random>.<ext>
+const GENERATED_NAME = /^(.+)_\d{13}_[0-9a-f]{16}(\.[^.]+)$/;
+
+/**
+ * Orphan Reconciler Service
+ * Compares the database with storage in both directions:
+ *
+ * - missing buckets: `repos` rows whose bucket no longer exists
+ * - missing assets: `files` rows (or chunks) whose asset is gone from an existing bucket
+ * - orphan assets: assets no file or chunk row points to
+ * - empty releases: releases left without any assets
+ *
+ * A scan without a policy is a dry run that only reports. With a policy, findings are
+ * resolved as follows:
+ *
+ * - deactivate: missing buckets stop receiving uploads and their files, like files with
+ *   missing assets, are marked damaged; storage is left alone
+ * - delete: records of missing buckets and assets are removed, orphan assets and empty
+ *   releases are deleted from storage
+ * - adopt: orphan assets are recorded as files of the bucket's owner (chunks, encrypted
+ *   and incomplete assets cannot be adopted); records are left alone
+ *
+ * Assets of uploads and deletions still in progress are never reported.
+ */
+class OrphanReconcilerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  /**
+   * Schedule periodic scans, applying ORPHAN_SCAN_POLICY
+   */
+  start() {
+    if (this.timer || !(ORPHAN_SCAN_INTERVAL_HOURS > 0)) {
+      return;
+    }
+
+    const policy = ORPHAN_SCAN_POLICY === 'report' ? null : ORPHAN_SCAN_POLICY;
+
+    if (policy && !RECONCILE_POLICIES.includes(policy)) {
+      console.warn(`⚠️ Unknown ORPHAN_SCAN_POLICY "${ORPHAN_SCAN_POLICY}", scheduled orphan scans are disabled`);
+      return;
+    }
+
+    const intervalMs = ORPHAN_SCAN_INTERVAL_HOURS * 60 * 60 * 1000;
+    this.timer = setInterval(() => {
+      this.reconcileAll(policy).catch(error => console.error('Scheduled orphan scan failed:', error));
+    }, intervalMs);
+    this.timer.unref();
+
+    console.log(`🧹 Orphan scan scheduled every ${ORPHAN_SCAN_INTERVAL_HOURS} hour(s) (policy: ${ORPHAN_SCAN_POLICY})`);
+  }
+
+  /**
+   * Stop scheduled scans
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Fail unless a policy is known
+   * @param {string|null} policy - Policy, or null for a dry run
+   * @throws {AppError}
+   */
+  assertPolicy(policy) {
+    if (policy !== null && !RECONCILE_POLICIES.includes(policy)) {
+      throw new AppError(
+        'Invalid reconcile policy',
+        ERROR_CODES.VALIDATION_ERROR,
+        400,
+        `Policy must be one of: ${RECONCILE_POLICIES.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Reconcile every repository
+   * @param {string|null} policy - Policy to apply, or null for a dry run
+   * @returns {Promise<Object|null>} Report, or null if a reconciliation is already running
+   */
+  async reconcileAll(policy = null) {
+    this.assertPolicy(policy);
+    return storageService.runInBackground(async () => this.run(await supabaseService.getAllRepositories(), policy));
+  }
+
+  /**
+   * Reconcile the repositories of one user
+   * @param {string} userId - User ID
+   * @param {string|null} policy - Policy to apply, or null for a dry run
+   * @returns {Promise<Object|null>} Report, or null if a reconciliation is already running
+   */
+  async reconcileUser(userId, policy = null) {
+    this.assertPolicy(policy);
+    return storageService.runInBackground(async () => this.run(await supabaseService.getUserRepositories(userId), policy));
+  }
+
+  /**
+   * Scan a set of repositories and apply a policy to the findings
+   * @param {Array} repositories - Repository records
+   * @param {string|null} policy - Policy to apply, or null for a dry run
+   * @returns {Promise<Object|null>} Report, or null if a reconciliation is already running
+   */
+  async run(repositories, policy) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    const report = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      policy,
+      dryRun: policy === null,
+      repositoriesScanned: 0,
+      repositoriesFailed: [],
+      missingBuckets: [],
+      missingAssets: [],
+      orphanAssets: [],
+      emptyReleases: [],
+      applied: 0,
+      failed: 0
+    };
+
+    // Scan state that is not part of the report
+    const context = {
+      repositories: new Map(repositories.map(repository => [repository.id, repository])),
+      // repoId -> files stored in a missing bucket
+      bucketFiles: new Map(),
+      // fileId -> missing asset finding (chunked files may span repositories)
+      missingAssets: new Map()
+    };
+
+    try {
+      console.log(`🧹 Orphan scan started for ${repositories.length} repositories${policy ? ` (policy: ${policy})` : ''}`);
+
+      for (const repository of repositories) {
+        try {
+          await this.scanRepository(repository, report, context);
+          report.repositoriesScanned += 1;
+        } catch (error) {
+          report.repositoriesFailed.push({ repository: repository.name, error: error.message });
+        }
+      }
+
+      report.missingAssets = Array.from(context.missingAssets.values());
+
+      if (policy) {
+        await this.apply(report, policy, context);
+      }
+
+      report.finishedAt = new Date().toISOString();
+      this.lastReport = report;
+
+      console.log(
+        `🧹 Orphan scan finished: ${report.missingBuckets.length} missing buckets, ` +
+        `${report.missingAssets.length} missing assets, ${report.orphanAssets.length} orphan assets, ` +
+        `${report.emptyReleases.length} empty releases` +
+        (policy ? `; ${report.applied} resolved, ${report.failed} failed` : '')
+      );
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Compare one repository with its bucket
+   * Storage is listed before the records are read, so files stored during the scan are
+   * either listed or skipped as newer than the listing.
+   * @param {Object} repository - Repository record
+   * @param {Object} report - Report to add findings to
+   * @param {Object} context - Scan state
+   * @returns {Promise<void>}
+   */
+  async scanRepository(repository, report, context) {
+    const listedAt = Date.now();
+
+    if (!(await storageService.bucketExists(repository))) {
+      const { files, chunks } = await supabaseService.getRepositoryContents(repository.id);
+      const stored = new Map([...files, ...chunks.map(chunk => chunk.files)].map(file => [file.id, file]));
+
+      context.bucketFiles.set(repository.id, Array.from(stored.values()));
+      report.missingBuckets.push({
+        repoId: repository.id,
+        repository: repository.name,
+        userId: repository.user_id,
+        isActive: repository.is_active,
+        fileCount: stored.size,
+        action: null
+      });
+      return;
+    }
+
+    const assets = await storageService.listAssets(repository);
+    const releases = await storageService.listReleases(repository);
+    const inProgress = await this.getAssetsInProgress();
+    const { files, chunks } = await supabaseService.getRepositoryContents(repository.id);
+
+    const listedIds = new Set(assets.map(asset => asset.assetId));
+    const knownIds = new Set([...files, ...chunks].map(row => String(row.gh_asset_id)));
+    const isNew = row => Date.parse(row.created_at) >= listedAt;
+
+    const addMissing = (file, issue) => {
+      if (!context.missingAssets.has(file.id)) {
+        context.missingAssets.set(file.id, {
+          fileId: file.id,
+          userId: file.user_id,
+          originalName: file.original_name,
+          repository: repository.name,
+          issues: [],
+          action: null
+        });
+      }
+      context.missingAssets.get(file.id).issues.push(issue);
+    };
+
+    for (const file of files) {
+      if (file.gh_asset_id && !isNew(file) && !listedIds.has(String(file.gh_asset_id))) {
+        addMissing(file, 'Stored asset is missing');
+      }
+    }
+
+    for (const chunk of chunks) {
+      if (!isNew(chunk) && !listedIds.has(String(chunk.gh_asset_id))) {
+        addMissing(chunk.files, `Chunk ${chunk.chunk_index + 1}: Stored asset is missing`);
+      }
+    }
+
+    for (const asset of assets) {
+      if (knownIds.has(asset.assetId) || inProgress.ids.has(asset.assetId) || inProgress.names.has(asset.name)) {
+        continue;
+      }
+
+      report.orphanAssets.push({
+        repoId: repository.id,
+        repository: repository.name,
+        userId: repository.user_id,
+        tier: asset.tier,
+        releaseId: asset.releaseId,
+        assetId: asset.assetId,
+        name: asset.name,
+        size: asset.size,
+        contentType: asset.contentType || null,
+        complete: asset.complete,
+        adoptable: asset.complete && !UNADOPTABLE_ASSET.test(asset.name),
+        action: null
+      });
+    }
+
+    for (const release of releases.filter(candidate => candidate.assetCount === 0)) {
+      report.emptyReleases.push({
+        repoId: repository.id,
+        repository: repository.name,
+        releaseId: release.releaseId,
+        tagName: release.tagName,
+        action: null
+      });
+    }
+  }
+
+  /**
+   * Get the assets that unfinished upload and delete sagas are working on
+   * @returns {Promise<Object>} Asset IDs and names ({ ids, names })
+   */
+  async getAssetsInProgress() {
+    const ids = new Set();
+    const names = new Set();
+
+    for (const saga of await supabaseService.getPendingSagas()) {
+      for (const step of saga.steps) {
+        if (step.filename) names.add(step.filename);
+        if (step.assetId) ids.add(String(step.assetId));
+        (step.assets || []).forEach(asset => asset.assetId && ids.add(String(asset.assetId)));
+      }
+    }
+
+    return { ids, names };
+  }
+
+  /**
+   * Resolve the findings of a scan
+   * Each finding records what was done with it; failures are recorded and skipped.
+   * @param {Object} report - Scan report
+   * @param {string} policy - Policy to apply
+   * @param {Object} context - Scan state
+   * @returns {Promise<void>}
+   */
+  async apply(report, policy, context) {
+    const checkedAt = new Date().toISOString();
+    // Files already removed, e.g. chunked files with chunks in several missing buckets
+    const removedFiles = new Set();
+
+    const resolve = async (finding, action, work) => {
+      try {
+        const result = await work();
+        finding.action = result === false ? null : action;
+        if (finding.action) report.applied += 1;
+      } catch (error) {
+        finding.action = 'failed';
+        finding.error = error.message;
+        report.failed += 1;
+      }
+    };
+
+    const removeFile = async (file) => {
+      if (!removedFiles.has(file.id)) {
+        removedFiles.add(file.id);
+        await fileManagerService.deleteFile(file.id, file.user_id);
+      }
+    };
+
+    for (const finding of report.missingBuckets) {
+      const files = context.bucketFiles.get(finding.repoId);
+
+      if (policy === 'deactivate') {
+        await resolve(finding, 'deactivated', async () => {
+          await supabaseService.setRepositoriesActive([finding.repoId], false);
+          for (const file of files) {
+            await supabaseService.updateFileHealth(file.id, { status: 'damaged', issue: 'Storage bucket no longer exists', checkedAt });
+          }
+        });
+      } else if (policy === 'delete') {
+        await resolve(finding, 'deleted', async () => {
+          for (const file of files) {
+            await removeFile(file);
+          }
+          await supabaseService.deleteRepository(finding.repoId);
+        });
+      }
+    }
+
+    for (const finding of report.missingAssets) {
+      if (policy === 'deactivate') {
+        await resolve(finding, 'marked_damaged', () =>
+          supabaseService.updateFileHealth(finding.fileId, { status: 'damaged', issue: finding.issues.join('; '), checkedAt })
+        );
+      } else if (policy === 'delete') {
+        await resolve(finding, 'deleted', () => removeFile({ id: finding.fileId, user_id: finding.userId }));
+      }
+    }
+
+    for (const finding of report.orphanAssets) {
+      const repository = context.repositories.get(finding.repoId);
+
+      if (policy === 'delete') {
+        await resolve(finding, 'deleted', () =>
+          storageService.deleteAsset(repository, { tier: finding.tier, releaseId: finding.releaseId, assetId: finding.assetId })
+        );
+      } else if (policy === 'adopt' && finding.adoptable) {
+        await resolve(finding, 'adopted', async () => {
+          finding.fileId = await this.adoptAsset(repository, finding);
+        });
+      }
+    }
+
+    if (policy === 'delete') {
+      for (const finding of report.emptyReleases) {
+        await resolve(finding, 'deleted', () =>
+          storageService.deleteEmptyRelease(context.repositories.get(finding.repoId), finding.releaseId)
+        );
+      }
+    }
+  }
+
+  /**
+   * Record an orphan asset as a file of its bucket's owner
+   * @param {Object} repository - Repository record
+   * @param {Object} finding - Orphan asset finding
+   * @returns {Promise<string>} New file ID
+   */
+  async adoptAsset(repository, finding) {
+    const sizeMb = Helpers.bytesToMb(finding.size);
+    const match = finding.name.match(GENERATED_NAME);
+
+    const dbFile = await supabaseService.createFile({
+      userId: repository.user_id,
+      repoId: repository.id,
+      filename: finding.name,
+      originalName: match ? `${match[1]}${match[2]}` : finding.name,
+      sizeMb,
+      sizeBytes: finding.size,
+      mimeType: finding.contentType || 'application/octet-stream',
+      ghReleaseId: finding.releaseId,
+      ghAssetId: finding.assetId,
+      storageTier: finding.tier
+    });
+
+    await repoManagerService.updateRepositorySize(repository.id, sizeMb, 1);
+
+    console.log(`🧹 Adopted orphan asset ${finding.name} in ${repository.name} as file ${dbFile.id}`);
+    return dbFile.id;
+  }
+}
+
+module.exports = new OrphanReconcilerService();
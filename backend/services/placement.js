@@ -0,0 +1,211 @@
+const supabaseService = require('./supabase');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  ERROR_CODES,
+  MAX_FILES_PER_REPO,
+  MAX_REPO_SIZE_BYTES,
+  PLACEMENT_STRATEGY,
+  PLACEMENT_FILL_PERCENT,
+  PLACEMENT_MAX_ASSETS,
+  BUCKET_NAME_TEMPLATE,
+  MIME_FAMILIES
+} = require('../utils/constants');
+const Helpers = require('../utils/helpers');
+
+/**
+ * Placement strategies, each picking one of the buckets that have room for an upload
+ * (oldest first). Strategies with byFamily only consider buckets dedicated to the
+ * upload's MIME family, and new buckets are dedicated to it.
+ */
+const STRATEGIES = {
+  // Fill the oldest bucket before using the next one
+  'fill-first': {
+    select: candidates => candidates[0]
+  },
+  // Take turns: the next bucket created after the one that took the previous upload
+  'round-robin': {
+    select: (candidates, previous) => candidates.find(repo => previous && repo.created_at > previous) || candidates[0]
+  },
+  // Fill the oldest bucket of the upload's family
+  'mime-family': {
+    select: candidates => candidates[0],
+    byFamily: true
+  }
+};
+
+const POLICY_FIELDS = ['strategy', 'fillPercent', 'maxAssets', 'nameTemplate'];
+
+// GitHub repository names are at most 100 characters of letters, digits, '-', '_' and '.'
+const NAME_TEMPLATE = /^[a-zA-Z0-9_.{}-]{1,60}$/;
+
+/**
+ * Placement Service
+ * Decides which of a user's buckets receives an upload, when a new bucket is needed
+ * and what it is called. The policy ({ strategy, fillPercent, maxAssets, nameTemplate })
+ * is set for the deployment through PLACEMENT_* and BUCKET_NAME_TEMPLATE; admins can
+ * override any of its fields for a single user.
+ */
+class PlacementService {
+  constructor() {
+    try {
+      this.defaultPolicy = this.assertPolicy({
+        strategy: PLACEMENT_STRATEGY,
+        fillPercent: PLACEMENT_FILL_PERCENT,
+        maxAssets: PLACEMENT_MAX_ASSETS || MAX_FILES_PER_REPO,
+        nameTemplate: BUCKET_NAME_TEMPLATE
+      });
+    } catch (error) {
+      throw new Error(`Invalid bucket placement configuration: ${error.details || error.message}`);
+    }
+
+    // userId -> creation time of the bucket that took the user's last round-robin upload
+    this.lastPlaced = new Map();
+  }
+
+  /**
+   * Validate a complete placement policy
+   * @param {Object} policy - Placement policy
+   * @returns {Object} The policy
+   */
+  assertPolicy(policy) {
+    const invalid = details => new AppError('Invalid placement policy', ERROR_CODES.VALIDATION_ERROR, 400, details);
+
+    if (!STRATEGIES[policy.strategy]) {
+      throw invalid(`Strategy must be one of: ${Object.keys(STRATEGIES).join(', ')}`);
+    }
+
+    if (!(policy.fillPercent > 0 && policy.fillPercent <= 100)) {
+      throw invalid('fillPercent must be above 0 and at most 100');
+    }
+
+    if (!Number.isInteger(policy.maxAssets) || policy.maxAssets < 1 || policy.maxAssets > MAX_FILES_PER_REPO) {
+      throw invalid(`maxAssets must be a whole number from 1 to ${MAX_FILES_PER_REPO}`);
+    }
+
+    if (typeof policy.nameTemplate !== 'string' || !NAME_TEMPLATE.test(policy.nameTemplate) || !policy.nameTemplate.includes('{number}')) {
+      throw invalid('nameTemplate must contain {number} and otherwise only letters, digits, "-", "_", "." and the {user} and {family} placeholders');
+    }
+
+    const unknown = (policy.nameTemplate.match(/\{[^}]*\}/g) || []).find(placeholder => !['{user}', '{number}', '{family}'].includes(placeholder));
+    if (unknown) {
+      throw invalid(`Unknown placeholder ${unknown} in nameTemplate`);
+    }
+
+    return policy;
+  }
+
+  /**
+   * Get the placement policy that applies to a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Placement policy
+   */
+  async getPolicy(userId) {
+    const override = await supabaseService.getUserPlacementPolicy(userId);
+    return override ? { ...this.defaultPolicy, ...override } : this.defaultPolicy;
+  }
+
+  /**
+   * Set or clear the fields of a user's policy that differ from the deployment's
+   * @param {string} userId - User ID
+   * @param {Object|null} override - Policy fields to override, or null to use the deployment policy
+   * @returns {Promise<Object>} Placement policy that now applies to the user
+   */
+  async setUserPolicy(userId, override) {
+    if (override !== null && (typeof override !== 'object' || Array.isArray(override))) {
+      throw new AppError('Invalid placement policy', ERROR_CODES.VALIDATION_ERROR, 400, 'Policy must be an object or null');
+    }
+
+    const fields = override ? Object.keys(override) : [];
+    const unknown = fields.find(field => !POLICY_FIELDS.includes(field));
+
+    if (unknown) {
+      throw new AppError('Invalid placement policy', ERROR_CODES.VALIDATION_ERROR, 400, `Unknown policy field ${unknown}`);
+    }
+
+    const policy = this.assertPolicy({ ...this.defaultPolicy, ...override });
+
+    await supabaseService.updateUserPlacementPolicy(userId, fields.length > 0 ? override : null);
+    this.lastPlaced.delete(userId);
+
+    console.log(`📦 Placement policy of user ${userId} ${fields.length > 0 ? `set to ${JSON.stringify(override)}` : 'reset'}`);
+    return policy;
+  }
+
+  /**
+   * Get the MIME family of a content type
+   * @param {string|null} mimeType - Content type
+   * @returns {string} Family name ('other' if no family matches)
+   */
+  getFamily(mimeType) {
+    const family = Object.entries(MIME_FAMILIES)
+      .find(([, prefixes]) => mimeType && prefixes.some(prefix => mimeType.startsWith(prefix)));
+
+    return family ? family[0] : 'other';
+  }
+
+  /**
+   * Get the family a bucket holds under a policy
+   * @param {Object} repository - Repository record
+   * @param {Object} policy - Placement policy
+   * @returns {string|null} Family name, or null if the policy does not separate families
+   */
+  getBucketFamily(repository, policy) {
+    // Buckets created before families were separated hold everything; they count as 'other'
+    return STRATEGIES[policy.strategy].byFamily ? repository.placement_family || 'other' : null;
+  }
+
+  /**
+   * Check whether a bucket can take more data under a policy
+   * @param {Object} repository - Repository record
+   * @param {number} sizeMb - Size to add in MB
+   * @param {Object} policy - Placement policy
+   * @param {number} assetCount - Number of assets to add
+   * @returns {boolean} True if the bucket stays within the policy's limits
+   */
+  hasRoom(repository, sizeMb, policy, assetCount = 1) {
+    const maxSize = repository.max_size_mb || Helpers.bytesToMb(MAX_REPO_SIZE_BYTES);
+
+    return Number(repository.size_mb) + sizeMb <= maxSize * (policy.fillPercent / 100) &&
+      (repository.file_count || 0) + assetCount <= policy.maxAssets;
+  }
+
+  /**
+   * Pick the bucket that receives an upload
+   * @param {string} userId - User ID
+   * @param {Array} repositories - The user's active repositories, oldest first
+   * @param {number} sizeMb - Size of the upload in MB
+   * @param {string|null} mimeType - Content type of the upload
+   * @param {Object} policy - Placement policy
+   * @returns {Object} Selected repository (null if a new bucket is needed) and the family a new bucket is for
+   */
+  selectBucket(userId, repositories, sizeMb, mimeType, policy) {
+    const strategy = STRATEGIES[policy.strategy];
+    const family = strategy.byFamily ? this.getFamily(mimeType) : null;
+
+    const candidates = repositories.filter(repo =>
+      this.getBucketFamily(repo, policy) === family && this.hasRoom(repo, sizeMb, policy)
+    );
+
+    const repository = candidates.length > 0 ? strategy.select(candidates, this.lastPlaced.get(userId)) : null;
+
+    if (repository && policy.strategy === 'round-robin') {
+      this.lastPlaced.set(userId, repository.created_at);
+    }
+
+    return { repository, family };
+  }
+
+  /**
+   * Name a user's new bucket
+   * @param {string} userId - User ID
+   * @param {number} bucketNumber - Bucket number
+   * @param {Object} policy - Placement policy
+   * @param {string|null} family - Family the bucket is dedicated to
+   * @returns {string} Bucket name
+   */
+  getBucketName(userId, bucketNumber, policy, family = null) {
+    return Helpers.generateRepoName(userId, bucketNumber, policy.nameTemplate, family);
+  }
+}
+
+module.exports = new PlacementService();
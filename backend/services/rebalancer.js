@@ -0,0 +1,469 @@
+const crypto = require('crypto');
+const storageService = require('./storage');
+const supabaseService = require('./supabase');
+const repoManagerService = require('./repoManager');
+const fileManagerService = require('./fileManager');
+const fileSagaService = require('./fileSagas');
+const placementService = require('./placement');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, REBALANCE_SPARSE_PERCENT, REBALANCE_EMPTIED_BUCKETS } = require('../utils/constants');
+const Helpers = require('../utils/helpers');
+
+// Finished runs stay readable for a day so clients can fetch their outcome
+const FINISHED_RUN_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rebalancer Service
+ * Deletes leave buckets partly empty while uploads keep filling the newest ones. A
+ * rebalance compacts a user's buckets: buckets filled below REBALANCE_SPARSE_PERCENT
+ * are emptied, sparsest first, into the fullest buckets that still have room under the
+ * user's placement policy (and hold the same MIME family, where the policy separates
+ * families). A bucket is only emptied if all of its assets fit elsewhere, and the last
+ * active bucket is never emptied.
+ *
+ * Each asset is moved as a saga (see FileSagaService): it is copied to the target, every
+ * file and chunk row stored as it is switched to the copy in one transaction (together
+ * with both repositories' usage), then the original is deleted. Buckets being emptied are
+ * deactivated first so no uploads land in them; emptied buckets are archived or deleted
+ * according to REBALANCE_EMPTIED_BUCKETS.
+ */
+class RebalancerService {
+  constructor() {
+    // userId -> latest run
+    this.runs = new Map();
+  }
+
+  /**
+   * Plan a rebalance of a user's buckets and, unless it is a dry run, start moving assets
+   * in the background
+   * @param {string} userId - User ID
+   * @param {Object} options - Options ({ dryRun })
+   * @returns {Promise<Object>} Run status with the plan
+   */
+  async rebalance(userId, options = {}) {
+    const current = this.runs.get(userId);
+
+    if (current && !current.finishedAt) {
+      throw new AppError(
+        'Rebalance already running',
+        ERROR_CODES.VALIDATION_ERROR,
+        409,
+        'A rebalance of your repositories is already in progress, please try again later'
+      );
+    }
+
+    const run = {
+      id: crypto.randomUUID(),
+      userId,
+      status: 'planning',
+      dryRun: Boolean(options.dryRun),
+      emptiedBuckets: REBALANCE_EMPTIED_BUCKETS,
+      buckets: [],
+      assetsMoved: 0,
+      sizeMovedMb: 0,
+      assetsSkipped: 0,
+      assetsFailed: 0,
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.runs.set(userId, run);
+
+    try {
+      run.buckets = await this.plan(userId);
+    } catch (error) {
+      this.finishRun(run, 'failed', error);
+      throw error;
+    }
+
+    if (run.dryRun || run.buckets.length === 0) {
+      this.finishRun(run, run.dryRun ? 'planned' : 'completed');
+      return this.formatRun(run);
+    }
+
+    run.status = 'moving';
+    console.log(`🚚 Rebalancing ${run.buckets.length} bucket(s) of user ${userId}`);
+
+    storageService.runInBackground(() => this.execute(run))
+      .then(() => this.finishRun(run, 'completed'))
+      .catch((error) => {
+        console.error(`Rebalance of user ${userId} failed:`, error);
+        this.finishRun(run, 'failed', error);
+      });
+
+    return this.formatRun(run);
+  }
+
+  /**
+   * Get the status of a user's latest rebalance
+   * @param {string} userId - User ID
+   * @returns {Object|null} Run status, or null if the user has not rebalanced recently
+   */
+  getRun(userId) {
+    const run = this.runs.get(userId);
+    return run ? this.formatRun(run) : null;
+  }
+
+  /**
+   * Decide which buckets to empty and where each of their assets goes
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Buckets to empty ({ repository, assets: [{ ...asset, target }] })
+   */
+  async plan(userId) {
+    const repositories = (await supabaseService.getUserRepositories(userId)).filter(repo => !repo.archived_at);
+    const busy = await this.getBusyRepositories(userId);
+    const policy = await placementService.getPolicy(userId);
+
+    const usage = new Map(repositories.map(repo => [repo.id, Number(repo.size_mb) || 0]));
+    const assetCounts = new Map(repositories.map(repo => [repo.id, repo.file_count || 0]));
+    const sources = new Set();
+    const targets = new Set();
+    const plan = [];
+
+    const isSparse = repo => (usage.get(repo.id) / repo.max_size_mb) * 100 < REBALANCE_SPARSE_PERCENT;
+    const candidates = repositories
+      .filter(repo => isSparse(repo) && !busy.has(repo.id))
+      .sort((a, b) => usage.get(a.id) - usage.get(b.id));
+
+    for (const source of candidates) {
+      if (targets.has(source.id)) {
+        continue;
+      }
+
+      const family = placementService.getBucketFamily(source, policy);
+      const receivers = repositories.filter(repo =>
+        repo.is_active && repo.id !== source.id && !sources.has(repo.id) &&
+        placementService.getBucketFamily(repo, policy) === family
+      );
+
+      // Keep a bucket open for uploads
+      if (receivers.length === 0) {
+        continue;
+      }
+
+      const assets = await this.getStoredAssets(source);
+      if (!assets) {
+        continue;
+      }
+
+      // Place the largest assets first, each into the fullest bucket it fits in
+      const planned = new Map(usage);
+      const plannedCounts = new Map(assetCounts);
+      const moves = [];
+
+      for (const asset of assets.sort((a, b) => b.sizeMb - a.sizeMb)) {
+        const target = receivers
+          .filter(repo => !repoManagerService.shouldRotateRepository(
+            { ...repo, size_mb: planned.get(repo.id), file_count: plannedCounts.get(repo.id) },
+            asset.sizeMb,
+            policy
+          ))
+          .sort((a, b) => planned.get(b.id) - planned.get(a.id))[0];
+
+        if (!target) {
+          break;
+        }
+
+        planned.set(target.id, planned.get(target.id) + asset.sizeMb);
+        plannedCounts.set(target.id, plannedCounts.get(target.id) + 1);
+        moves.push({ ...asset, target });
+      }
+
+      if (moves.length < assets.length) {
+        continue;
+      }
+
+      sources.add(source.id);
+      moves.forEach(move => targets.add(move.target.id));
+      planned.forEach((sizeMb, repoId) => usage.set(repoId, sizeMb));
+      plannedCounts.forEach((count, repoId) => assetCounts.set(repoId, count));
+      usage.set(source.id, 0);
+      assetCounts.set(source.id, 0);
+
+      plan.push({
+        repository: source,
+        usagePercentage: (Number(source.size_mb) / source.max_size_mb) * 100,
+        assets: moves,
+        moved: 0,
+        status: 'pending',
+        error: null
+      });
+    }
+
+    return plan;
+  }
+
+  /**
+   * Get the repositories unfinished sagas of a user are working in
+   * Their rows and assets are not in step yet, so they are not emptied.
+   * @param {string} userId - User ID
+   * @returns {Promise<Set>} Repository IDs
+   */
+  async getBusyRepositories(userId) {
+    const busy = new Set();
+
+    for (const saga of (await supabaseService.getPendingSagas()).filter(pending => pending.user_id === userId)) {
+      for (const step of saga.steps) {
+        if (step.repoId) busy.add(step.repoId);
+        if (step.targetRepoId) busy.add(step.targetRepoId);
+        (step.assets || []).forEach(asset => busy.add(asset.repoId));
+      }
+    }
+
+    return busy;
+  }
+
+  /**
+   * Get the assets stored in a repository, each once however many rows share it
+   * @param {Object} repository - Repository record
+   * @returns {Promise<Array|null>} Assets ({ tier, assetId, releaseId, filename, sizeMb, fileId }),
+   *   or null if a row has no asset to move
+   */
+  async getStoredAssets(repository) {
+    const { files, chunks } = await supabaseService.getRepositoryContents(repository.id);
+    const assets = new Map();
+
+    for (const file of files) {
+      if (!file.gh_asset_id) {
+        return null;
+      }
+
+      if (!assets.has(String(file.gh_asset_id))) {
+        assets.set(String(file.gh_asset_id), {
+          tier: file.storage_tier,
+          assetId: String(file.gh_asset_id),
+          releaseId: file.gh_release_id,
+          filename: file.filename,
+          sizeMb: Number(file.size_mb),
+          fileId: file.id
+        });
+      }
+    }
+
+    for (const chunk of chunks) {
+      if (!assets.has(String(chunk.gh_asset_id))) {
+        assets.set(String(chunk.gh_asset_id), {
+          tier: 'release',
+          assetId: String(chunk.gh_asset_id),
+          releaseId: chunk.gh_release_id,
+          filename: `${chunk.files.filename}.part${String(chunk.chunk_index + 1).padStart(3, '0')}`,
+          sizeMb: Helpers.bytesToMb(chunk.size_bytes),
+          fileId: chunk.file_id
+        });
+      }
+    }
+
+    return Array.from(assets.values());
+  }
+
+  /**
+   * Empty the planned buckets and archive or delete them
+   * A bucket that could not be emptied completely is kept (and reactivated if it was active).
+   * @param {Object} run - Rebalance run
+   * @returns {Promise<void>}
+   */
+  async execute(run) {
+    for (const bucket of run.buckets) {
+      const { repository } = bucket;
+      const wasActive = repository.is_active;
+      bucket.status = 'moving';
+
+      try {
+        if (wasActive) {
+          await supabaseService.setRepositoriesActive([repository.id], false);
+        }
+
+        for (const asset of bucket.assets) {
+          try {
+            if (await this.moveAsset(run.userId, repository, asset)) {
+              run.assetsMoved += 1;
+              run.sizeMovedMb += asset.sizeMb;
+            } else {
+              run.assetsSkipped += 1;
+            }
+          } catch (error) {
+            console.error(`Failed to move asset ${asset.filename} out of ${repository.name}:`, error.message);
+            run.assetsFailed += 1;
+            bucket.error = error.message;
+          }
+          bucket.moved += 1;
+        }
+
+        await this.retireBucket(bucket);
+      } catch (error) {
+        bucket.error = error.message;
+        bucket.status = 'failed';
+      }
+
+      if (bucket.status !== 'archived' && bucket.status !== 'deleted' && wasActive) {
+        await supabaseService.setRepositoriesActive([repository.id], true).catch(error => {
+          console.error(`Failed to reactivate repository ${repository.name}:`, error.message);
+        });
+      }
+    }
+  }
+
+  /**
+   * Move one asset to its planned target as a move saga
+   * @param {string} userId - User ID
+   * @param {Object} source - Repository record the asset is stored in
+   * @param {Object} asset - Planned asset move
+   * @returns {Promise<boolean>} False if no row referenced the asset any more
+   */
+  async moveAsset(userId, source, asset) {
+    const { target } = asset;
+    const saga = await fileSagaService.begin('move', userId, asset.fileId, [{
+      step: 'move_planned',
+      repoId: source.id,
+      tier: asset.tier,
+      releaseId: asset.releaseId,
+      assetId: asset.assetId,
+      filename: asset.filename,
+      sizeMb: asset.sizeMb,
+      targetRepoId: target.id
+    }]);
+
+    let content = null;
+
+    try {
+      content = await storageService.getAsset(source, asset);
+
+      const stored = await fileManagerService.storeAsset(
+        saga,
+        target,
+        asset.filename,
+        content.stream,
+        content.contentType || 'application/octet-stream',
+        content.size,
+        asset.tier
+      );
+
+      const moved = await supabaseService.moveStoredAsset(
+        { repoId: source.id, assetId: asset.assetId },
+        { repoId: target.id, tier: stored.tier, releaseId: stored.releaseId, assetId: stored.assetId, downloadUrl: stored.downloadUrl },
+        asset.sizeMb
+      );
+
+      if (moved === 0) {
+        // Deleted while it was being copied
+        await fileSagaService.abort(saga, new Error('Asset is no longer referenced'));
+        return false;
+      }
+    } catch (error) {
+      if (content) content.stream.destroy();
+      await fileSagaService.abort(saga, error);
+      throw error;
+    }
+
+    if (!(await fileSagaService.releaseMovedAsset(saga))) {
+      console.warn(`Deletion of moved asset ${asset.filename} from ${source.name} deferred, it will be retried in the background`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Archive or delete a bucket the rebalancer emptied
+   * Buckets that still hold rows or unrecorded assets (e.g. from an upload that was
+   * under way when the bucket was deactivated) are kept.
+   * @param {Object} bucket - Planned bucket
+   * @returns {Promise<void>}
+   */
+  async retireBucket(bucket) {
+    const { repository } = bucket;
+    const remaining = await supabaseService.countRepositoryObjects([repository.id]);
+    const leftovers = remaining > 0 || !(await storageService.bucketExists(repository))
+      ? []
+      : await storageService.listAssets(repository);
+
+    if (remaining > 0 || leftovers.length > 0) {
+      bucket.status = 'kept';
+      bucket.error = bucket.error || `Bucket still holds ${remaining || leftovers.length} object(s)`;
+      return;
+    }
+
+    if (REBALANCE_EMPTIED_BUCKETS === 'delete') {
+      await storageService.deleteBucket(repository);
+      await supabaseService.deleteRepository(repository.id);
+      bucket.status = 'deleted';
+    } else {
+      await storageService.archiveBucket(repository);
+      await supabaseService.archiveRepository(repository.id);
+      bucket.status = 'archived';
+    }
+
+    console.log(`🚚 Emptied and ${bucket.status} bucket ${repository.name}`);
+  }
+
+  /**
+   * Move a run to a final state and forget it after a while
+   * @param {Object} run - Rebalance run
+   * @param {string} status - 'planned', 'completed' or 'failed'
+   * @param {Error|null} error - Error that failed the run
+   */
+  finishRun(run, status, error = null) {
+    Object.assign(run, {
+      status,
+      error: error ? error.message : null,
+      finishedAt: new Date().toISOString()
+    });
+
+    if (status === 'completed' && run.buckets.length > 0) {
+      console.log(`🚚 Rebalance of user ${run.userId} finished: ${run.assetsMoved} asset(s) moved, ${run.assetsFailed} failed`);
+    }
+
+    setTimeout(() => {
+      if (this.runs.get(run.userId) === run) {
+        this.runs.delete(run.userId);
+      }
+    }, FINISHED_RUN_TTL_MS).unref();
+  }
+
+  /**
+   * Format a run for API responses
+   * @param {Object} run - Rebalance run
+   * @returns {Object} Run status with progress
+   */
+  formatRun(run) {
+    const assetsPlanned = run.buckets.reduce((total, bucket) => total + bucket.assets.length, 0);
+    const sizePlannedMb = run.buckets.reduce(
+      (total, bucket) => total + bucket.assets.reduce((sum, asset) => sum + asset.sizeMb, 0),
+      0
+    );
+    const assetsDone = run.assetsMoved + run.assetsSkipped + run.assetsFailed;
+
+    return {
+      id: run.id,
+      status: run.status,
+      dryRun: run.dryRun,
+      emptiedBuckets: run.emptiedBuckets,
+      progress: {
+        bucketsPlanned: run.buckets.length,
+        assetsPlanned,
+        assetsMoved: run.assetsMoved,
+        assetsSkipped: run.assetsSkipped,
+        assetsFailed: run.assetsFailed,
+        sizePlannedMb,
+        sizeMovedMb: run.sizeMovedMb,
+        percent: assetsPlanned > 0
+          ? Math.floor((assetsDone / assetsPlanned) * 100)
+          : (run.finishedAt ? 100 : 0)
+      },
+      buckets: run.buckets.map(bucket => ({
+        id: bucket.repository.id,
+        name: bucket.repository.name,
+        usagePercentage: bucket.usagePercentage,
+        status: bucket.status,
+        assets: bucket.assets.length,
+        assetsDone: bucket.moved,
+        targets: [...new Set(bucket.assets.map(asset => asset.target.name))],
+        error: bucket.error
+      })),
+      error: run.error,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt
+    };
+  }
+}
+
+module.exports = new RebalancerService();
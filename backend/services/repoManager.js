@@ -1,15 +1,65 @@
-const githubService = require('./github');
+const storageService = require('./storage');
 const supabaseService = require('./supabase');
+const placementService = require('./placement');
 const { AppError } = require('../middleware/errorHandler');
-const { ERROR_CODES, MAX_REPO_SIZE_BYTES } = require('../utils/constants');
+const { ERROR_CODES, MAX_REPO_SIZE_BYTES, REPO_RECONCILE_INTERVAL_HOURS } = require('../utils/constants');
 const Helpers = require('../utils/helpers');
 
 /**
  * Repository Manager Service
  * Handles repository creation, rotation, and management
+ * Which bucket receives an upload is decided by the user's placement policy.
  */
 class RepoManagerService {
-  
+  constructor() {
+    this.reconcileTimer = null;
+  }
+
+  /**
+   * Schedule periodic reconciliation of repository usage
+   */
+  start() {
+    if (this.reconcileTimer || !(REPO_RECONCILE_INTERVAL_HOURS > 0)) {
+      return;
+    }
+
+    const intervalMs = REPO_RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000;
+    this.reconcileTimer = setInterval(() => {
+      this.reconcileUsage().catch(error => console.error('Scheduled usage reconciliation failed:', error));
+    }, intervalMs);
+    this.reconcileTimer.unref();
+
+    console.log(`⚖️ Repository usage reconciliation scheduled every ${REPO_RECONCILE_INTERVAL_HOURS} hour(s)`);
+  }
+
+  /**
+   * Stop scheduled reconciliation
+   */
+  stop() {
+    clearInterval(this.reconcileTimer);
+    this.reconcileTimer = null;
+  }
+
+  /**
+   * Recompute every repository's size and asset count from its stored files and
+   * correct (and log) the ones whose recorded usage drifted
+   * @returns {Promise<Array>} Corrected repositories
+   */
+  async reconcileUsage() {
+    const drifted = await supabaseService.reconcileRepositoryUsage();
+
+    for (const repo of drifted) {
+      console.warn(
+        `⚖️ Repository ${repo.repo_name} usage drifted: ` +
+        `${repo.recorded_size_mb}MB/${repo.recorded_file_count} assets recorded, ` +
+        `${repo.actual_size_mb}MB/${repo.actual_file_count} assets stored`
+      );
+    }
+
+    console.log(`⚖️ Repository usage reconciled, ${drifted.length} repositories corrected`);
+    return drifted;
+  }
+
   /**
    * Get or create the first active repository for a user
    * @param {string} userId - User ID
@@ -43,25 +93,36 @@ class RepoManagerService {
    * Create a new repository for a user
    * @param {string} userId - User ID
    * @param {number} bucketNumber - Bucket number (1, 2, 3, etc.)
+   * @param {Object} placement - Placement policy to name the bucket by (the user's if omitted)
+   *   and the MIME family the bucket is dedicated to
    * @returns {Promise<Object>} Repository record
    */
-  async createNewRepository(userId, bucketNumber) {
+  async createNewRepository(userId, bucketNumber, placement = {}) {
     try {
+      const policy = placement.policy || await placementService.getPolicy(userId);
+      const family = placement.family || null;
+
       // Generate repository name
-      const repoName = Helpers.generateRepoName(userId, bucketNumber);
+      const repoName = placementService.getBucketName(userId, bucketNumber, policy, family);
+
+      // Pick the account to own the new bucket: the user's linked account, or the
+      // operator account with the most API quota left
+      const owner = await storageService.selectBucketOwner(userId);
+      const bucket = { name: repoName, user_id: userId, ...owner };
       
-      // Check if repository already exists on GitHub
-      const exists = await githubService.repositoryExists(repoName);
+      // Check if repository already exists in storage
+      const exists = await storageService.bucketExists(bucket);
       if (exists) {
         // If it exists, try the next bucket number
-        return await this.createNewRepository(userId, bucketNumber + 1);
+        return await this.createNewRepository(userId, bucketNumber + 1, { policy, family });
       }
 
-      // Create repository on GitHub
-      console.log(`Creating GitHub repository: ${repoName}`);
-      const githubRepo = await githubService.createRepositoryWithRetry(
+      // Create repository in storage
+      console.log(`Creating ${storageService.providerName} bucket: ${bucket.github_owner ? `${bucket.github_owner}/` : ''}${repoName}`);
+      const githubRepo = await storageService.createBucket(
         repoName, 
-        `FreeDrive storage bucket ${bucketNumber} for user ${userId}`
+        `FreeDrive storage bucket ${bucketNumber} for user ${userId}`,
+        owner ? bucket : null
       );
 
       // Store repository in database
@@ -69,6 +130,9 @@ class RepoManagerService {
         userId,
         name: repoName,
         githubRepoId: githubRepo.id,
+        githubOwner: githubRepo.owner || null,
+        userOwned: Boolean(owner && owner.user_owned),
+        placementFamily: family,
         maxSizeMb: Helpers.bytesToMb(MAX_REPO_SIZE_BYTES)
       };
 
@@ -93,28 +157,36 @@ class RepoManagerService {
    * Get available repository for file upload
    * @param {string} userId - User ID
    * @param {number} fileSizeBytes - File size in bytes
+   * @param {string|null} mimeType - Content type of the file
    * @returns {Promise<Object>} Available repository
    */
-  async getAvailableRepository(userId, fileSizeBytes) {
+  async getAvailableRepository(userId, fileSizeBytes, mimeType = null) {
     try {
       const fileSizeMb = Helpers.bytesToMb(fileSizeBytes);
+      const policy = await placementService.getPolicy(userId);
       
-      // Check current repositories for available space
-      const availableRepo = await supabaseService.getAvailableRepository(userId, fileSizeMb);
+      // Let the placement policy pick one of the active repositories with room
+      const { repository: availableRepo, family } = placementService.selectBucket(
+        userId,
+        await supabaseService.getUserRepositories(userId, true),
+        fileSizeMb,
+        mimeType,
+        policy
+      );
       
       if (availableRepo) {
-        console.log(`Using existing repository: ${availableRepo.name} (${availableRepo.size_mb}MB used)`);
+        console.log(`Using existing repository: ${availableRepo.name} (${availableRepo.size_mb}MB used, ${policy.strategy})`);
         return availableRepo;
       }
 
       // No available repository, create a new one
-      console.log(`No available repository for ${fileSizeMb}MB file, creating new one`);
+      console.log(`No available ${family ? `${family} ` : ''}repository for ${fileSizeMb}MB file, creating new one`);
       
       // Get current repository count to determine bucket number
       const allRepos = await supabaseService.getUserRepositories(userId);
       const nextBucketNumber = allRepos.length + 1;
       
-      return await this.createNewRepository(userId, nextBucketNumber);
+      return await this.createNewRepository(userId, nextBucketNumber, { policy, family });
     } catch (error) {
       console.error('Error getting available repository:', error);
       if (error instanceof AppError) throw error;
@@ -130,17 +202,17 @@ class RepoManagerService {
 
   /**
    * Update repository size after file operations
+   * The change is applied atomically in the database.
    * @param {string} repoId - Repository ID
    * @param {number} sizeChangeMb - Size change in MB (positive for additions, negative for deletions)
+   * @param {number} fileCountChange - Change in stored asset count
    * @returns {Promise<Object>} Updated repository
    */
-  async updateRepositorySize(repoId, sizeChangeMb) {
+  async updateRepositorySize(repoId, sizeChangeMb, fileCountChange = 0) {
     try {
-      // Get current repository data
-      const repos = await supabaseService.getUserRepositories('', false);
-      const currentRepo = repos.find(repo => repo.id === repoId);
-      
-      if (!currentRepo) {
+      const updatedRepo = await supabaseService.adjustRepositoryUsage(repoId, sizeChangeMb, fileCountChange);
+
+      if (!updatedRepo) {
         throw new AppError(
           'Repository not found',
           ERROR_CODES.REPO_NOT_FOUND,
@@ -148,12 +220,7 @@ class RepoManagerService {
         );
       }
 
-      const newSizeMb = Math.max(0, currentRepo.size_mb + sizeChangeMb);
-      
-      // Update repository size
-      const updatedRepo = await supabaseService.updateRepositorySize(repoId, newSizeMb);
-      
-      console.log(`Updated repository ${currentRepo.name} size: ${currentRepo.size_mb}MB → ${newSizeMb}MB`);
+      console.log(`Updated repository ${updatedRepo.name} size: ${sizeChangeMb >= 0 ? '+' : ''}${sizeChangeMb}MB → ${updatedRepo.size_mb}MB`);
       return updatedRepo;
     } catch (error) {
       console.error('Error updating repository size:', error);
@@ -169,19 +236,14 @@ class RepoManagerService {
   }
 
   /**
-   * Check if repository should be rotated (approaching size limit)
+   * Check if repository should be rotated (approaching its size or asset limit)
    * @param {Object} repository - Repository object
    * @param {number} additionalSizeMb - Additional size to be added
+   * @param {Object} policy - Placement policy whose limits apply
    * @returns {boolean} True if repository should be rotated
    */
-  shouldRotateRepository(repository, additionalSizeMb) {
-    const totalSizeAfterUpload = repository.size_mb + additionalSizeMb;
-    const maxSize = repository.max_size_mb || Helpers.bytesToMb(MAX_REPO_SIZE_BYTES);
-    
-    // Rotate when we would exceed 90% of the limit
-    const rotationThreshold = maxSize * 0.9;
-    
-    return totalSizeAfterUpload > rotationThreshold;
+  shouldRotateRepository(repository, additionalSizeMb, policy = placementService.defaultPolicy) {
+    return !placementService.hasRoom(repository, additionalSizeMb, policy);
   }
 
   /**
@@ -204,6 +266,7 @@ class RepoManagerService {
         sizeMb: repo.size_mb,
         maxSizeMb: repo.max_size_mb,
         usagePercentage: (repo.size_mb / repo.max_size_mb) * 100,
+        assetCount: repo.file_count || 0,
         isActive: repo.is_active,
         createdAt: repo.created_at
       }));
@@ -255,12 +318,12 @@ class RepoManagerService {
 
       for (const repo of repositories) {
         try {
-          // Check if repository exists on GitHub
-          const exists = await githubService.repositoryExists(repo.name);
+          // Check if repository exists in storage
+          const exists = await storageService.bucketExists(repo);
           
           if (exists) {
-            // Get actual repository stats from GitHub
-            const githubStats = await githubService.getRepositoryStats(repo.name);
+            // Get actual repository stats from storage
+            const githubStats = await storageService.getBucketStats(repo);
             
             // Check if sizes are significantly different (more than 10MB difference)
             const sizeDifferenceMb = Math.abs(repo.size_mb - githubStats.totalAssetSizeMb);
@@ -280,7 +343,7 @@ class RepoManagerService {
           } else {
             validationResults.invalid.push({
               repository: repo.name,
-              reason: 'Repository not found on GitHub'
+              reason: `Repository not found in ${storageService.providerName} storage`
             });
           }
         } catch (error) {
@@ -304,54 +367,6 @@ class RepoManagerService {
       );
     }
   }
-
-  /**
-   * Clean up orphaned repositories (exist in DB but not on GitHub)
-   * @param {string} userId - User ID
-   * @returns {Promise<Object>} Cleanup results
-   */
-  async cleanupOrphanedRepositories(userId) {
-    try {
-      const validationResults = await this.validateAndSyncRepositories(userId);
-      const cleanupResults = {
-        cleaned: [],
-        errors: []
-      };
-
-      for (const invalid of validationResults.invalid) {
-        try {
-          // Find the repository in database
-          const repositories = await supabaseService.getUserRepositories(userId);
-          const orphanedRepo = repositories.find(repo => repo.name === invalid.repository);
-          
-          if (orphanedRepo) {
-            // Note: In a real implementation, you might want to backup or migrate data
-            // For now, we'll just mark it as inactive rather than delete
-            console.log(`Marking orphaned repository as inactive: ${invalid.repository}`);
-            // This would require an update method in supabaseService
-            cleanupResults.cleaned.push(invalid.repository);
-          }
-        } catch (error) {
-          cleanupResults.errors.push({
-            repository: invalid.repository,
-            error: error.message
-          });
-        }
-      }
-
-      return cleanupResults;
-    } catch (error) {
-      console.error('Error cleaning up repositories:', error);
-      if (error instanceof AppError) throw error;
-      
-      throw new AppError(
-        'Failed to cleanup orphaned repositories',
-        ERROR_CODES.DATABASE_ERROR,
-        500,
-        error.message
-      );
-    }
-  }
 }
 
 module.exports = new RepoManagerService();
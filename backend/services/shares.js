@@ -0,0 +1,371 @@
+const bcrypt = require('bcrypt');
+const supabaseService = require('./supabase');
+const fileManagerService = require('./fileManager');
+const folderService = require('./folders');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  createShareAccessToken,
+  verifyShareAccessToken,
+  createShareDownloadGrant,
+  verifyShareDownloadGrant
+} = require('../middleware/auth');
+const { ERROR_CODES, SHARE_PASSWORD_ROUNDS, SHARE_ACCESS_TTL_SECONDS } = require('../utils/constants');
+const Helpers = require('../utils/helpers');
+
+// bcrypt only uses the first 72 bytes of a password
+const MAX_PASSWORD_BYTES = 72;
+
+/**
+ * Share Service
+ * Share links give anyone with the link access to one file, or to everything in a folder,
+ * without an account. A share can expire, be limited to a number of downloads and require
+ * a password; once the password was given, a short-lived access token stands in for it.
+ * A counted download comes with a short-lived download grant, so the range requests that
+ * continue it (seeking, resuming) are not counted again.
+ */
+class ShareService {
+  /**
+   * Validate the options of a new share
+   * @param {Object} options - Share options (password, expiresAt or expiresIn, maxDownloads)
+   * @returns {Promise<Object>} Password hash, expiry time and download limit to store
+   */
+  async validateOptions({ password, expiresAt, expiresIn, maxDownloads } = {}) {
+    const invalid = details => new AppError('Invalid share options', ERROR_CODES.VALIDATION_ERROR, 400, details);
+    let expires = null;
+
+    if (password !== undefined && password !== null &&
+      (typeof password !== 'string' || password.length === 0 || Buffer.byteLength(password) > MAX_PASSWORD_BYTES)) {
+      throw invalid(`password must be a non-empty string of at most ${MAX_PASSWORD_BYTES} bytes`);
+    }
+
+    if (expiresAt !== undefined && expiresIn !== undefined) {
+      throw invalid('Give either expiresAt or expiresIn, not both');
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expires = new Date(expiresAt);
+
+      if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+        throw invalid('expiresAt must be a date in the future');
+      }
+    }
+
+    if (expiresIn !== undefined && expiresIn !== null) {
+      if (!Number.isInteger(expiresIn) || expiresIn < 1) {
+        throw invalid('expiresIn must be a whole number of seconds');
+      }
+
+      expires = new Date(Date.now() + expiresIn * 1000);
+    }
+
+    if (maxDownloads !== undefined && maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      throw invalid('maxDownloads must be a positive whole number');
+    }
+
+    return {
+      passwordHash: password ? await bcrypt.hash(password, SHARE_PASSWORD_ROUNDS) : null,
+      expiresAt: expires ? expires.toISOString() : null,
+      maxDownloads: maxDownloads || null
+    };
+  }
+
+  /**
+   * Get whether a share can still be used
+   * @param {Object} share - Share record
+   * @returns {string} 'active', 'revoked', 'expired' or 'exhausted'
+   */
+  getStatus(share) {
+    if (share.revoked_at) return 'revoked';
+    if (share.expires_at && new Date(share.expires_at) <= new Date()) return 'expired';
+    if (share.max_downloads && share.download_count >= share.max_downloads) return 'exhausted';
+    return 'active';
+  }
+
+  /**
+   * Format a share for its owner
+   * @param {Object} share - Share record (with the shared file's or folder's name)
+   * @param {string} baseUrl - Origin the public share route is served from
+   * @returns {Object} Formatted share
+   */
+  formatShare(share, baseUrl) {
+    return {
+      id: share.id,
+      type: share.file_id ? 'file' : 'folder',
+      fileId: share.file_id || null,
+      folderId: share.folder_id || null,
+      name: share.file_id ? share.files?.original_name : share.folders?.name,
+      shareUrl: `${baseUrl}/s/${share.token}`,
+      status: this.getStatus(share),
+      hasPassword: Boolean(share.password_hash),
+      expiresAt: share.expires_at || null,
+      maxDownloads: share.max_downloads || null,
+      downloadCount: share.download_count || 0,
+      downloadsRemaining: share.max_downloads ? Math.max(share.max_downloads - (share.download_count || 0), 0) : null,
+      revokedAt: share.revoked_at || null,
+      createdAt: share.created_at
+    };
+  }
+
+  /**
+   * Share a file or a folder
+   * @param {string} userId - User ID
+   * @param {Object} target - { fileId } or { folderId }
+   * @param {Object} options - Share options (password, expiresAt or expiresIn, maxDownloads)
+   * @param {string} baseUrl - Origin the public share route is served from
+   * @returns {Promise<Object>} Formatted share
+   */
+  async createShare(userId, { fileId, folderId }, options, baseUrl) {
+    // Both throw 404s for missing or foreign files and folders; files in the trash are refused
+    if (fileId) {
+      await fileManagerService.getCurrentFileRecord(fileId, userId);
+    } else {
+      await folderService.getFolderRecord(userId, folderId);
+    }
+
+    const share = await supabaseService.createShare({
+      userId,
+      fileId,
+      folderId,
+      token: Helpers.generateRandomString(32),
+      ...(await this.validateOptions(options))
+    });
+
+    console.log(`🔗 Shared ${fileId ? `file ${fileId}` : `folder ${folderId}`} as share ${share.id}`);
+    return this.formatShare(share, baseUrl);
+  }
+
+  /**
+   * List a user's shares
+   * @param {string} userId - User ID
+   * @param {Object} filter - Only shares of this fileId or folderId, if given
+   * @param {string} baseUrl - Origin the public share route is served from
+   * @returns {Promise<Array>} Formatted shares, newest first
+   */
+  async listShares(userId, filter, baseUrl) {
+    if ([filter.fileId, filter.folderId].some(id => id !== undefined && !Helpers.isValidUUID(id))) {
+      return [];
+    }
+
+    const shares = await supabaseService.getUserShares(userId, filter);
+    return shares.map(share => this.formatShare(share, baseUrl));
+  }
+
+  /**
+   * Revoke a share; revoking it again changes nothing
+   * @param {string} userId - User ID
+   * @param {string} shareId - Share ID
+   * @param {string} baseUrl - Origin the public share route is served from
+   * @returns {Promise<Object>} Formatted share
+   */
+  async revokeShare(userId, shareId, baseUrl) {
+    let share = Helpers.isValidUUID(shareId) ? await supabaseService.getShareById(shareId, userId) : null;
+
+    if (!share) {
+      throw new AppError(
+        'Share not found',
+        ERROR_CODES.SHARE_NOT_FOUND,
+        404,
+        'The requested share does not exist or you do not have access to it'
+      );
+    }
+
+    if (!share.revoked_at) {
+      share = await supabaseService.revokeShare(share.id, userId);
+      console.log(`🔗 Revoked share ${share.id}`);
+    }
+
+    return this.formatShare(share, baseUrl);
+  }
+
+  /**
+   * Look up a share for public access
+   * @param {string} token - Share token
+   * @param {string|null} accessToken - Access token from unlockShare, for password-protected shares
+   * @param {boolean} requireAccess - Whether a password-protected share needs the access token
+   * @param {Array} grants - Download grants the request presents; a share out of downloads
+   *   still serves the downloads they were issued for
+   * @returns {Promise<Object>} Share record
+   */
+  async openShare(token, accessToken = null, requireAccess = true, grants = []) {
+    const share = typeof token === 'string' && /^[a-f0-9]{32}$/.test(token)
+      ? await supabaseService.getShareByToken(token)
+      : null;
+
+    if (!share) {
+      throw new AppError(
+        'Share not found',
+        ERROR_CODES.SHARE_NOT_FOUND,
+        404,
+        'This share link does not exist'
+      );
+    }
+
+    const status = this.getStatus(share);
+    const granted = status === 'exhausted' && grants.some(grant => verifyShareDownloadGrant(grant, share.id));
+
+    if (status !== 'active' && !granted) {
+      throw new AppError(
+        'Share unavailable',
+        ERROR_CODES.SHARE_UNAVAILABLE,
+        410,
+        `This share link is ${status === 'exhausted' ? 'out of downloads' : status}`
+      );
+    }
+
+    if (requireAccess && share.password_hash && !(accessToken && verifyShareAccessToken(accessToken, share.id))) {
+      throw new AppError(
+        'Password required',
+        ERROR_CODES.SHARE_PASSWORD_REQUIRED,
+        401,
+        'This share is protected by a password; unlock it to get an access token'
+      );
+    }
+
+    return share;
+  }
+
+  /**
+   * Check the password of a share and grant access to it
+   * @param {string} token - Share token
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Access token and its lifetime in seconds
+   */
+  async unlockShare(token, password) {
+    const share = await this.openShare(token, null, false);
+
+    if (share.password_hash &&
+      !(typeof password === 'string' && await bcrypt.compare(password, share.password_hash))) {
+      throw new AppError(
+        'Incorrect password',
+        ERROR_CODES.SHARE_PASSWORD_REQUIRED,
+        401,
+        'The password for this share is incorrect'
+      );
+    }
+
+    return {
+      accessToken: createShareAccessToken(share.id),
+      expiresIn: SHARE_ACCESS_TTL_SECONDS
+    };
+  }
+
+  /**
+   * Describe what a share gives access to, without owner details
+   * @param {Object} share - Share record
+   * @returns {Object} Public share information
+   */
+  describeShare(share) {
+    return {
+      type: share.file_id ? 'file' : 'folder',
+      name: share.file_id ? share.files?.original_name : share.folders?.name,
+      hasPassword: Boolean(share.password_hash),
+      expiresAt: share.expires_at || null,
+      downloadsRemaining: share.max_downloads ? Math.max(share.max_downloads - share.download_count, 0) : null
+    };
+  }
+
+  /**
+   * List a folder inside a shared folder
+   * @param {Object} share - Folder share record
+   * @param {string} path - Path below the shared folder ('/' for the shared folder itself)
+   * @param {Object} options - File query options (limit, offset)
+   * @returns {Promise<Object>} Share information, the folder's subfolders and files, and pagination
+   */
+  async listSharedFolder(share, path = '/', options = {}) {
+    const names = String(path || '').split('/').filter(Boolean);
+    let folder = await folderService.getFolderRecord(share.user_id, share.folder_id);
+
+    for (const name of names) {
+      folder = await supabaseService.findFolder(share.user_id, folder.id, name);
+
+      if (!folder) {
+        throw new AppError(
+          'Folder not found',
+          ERROR_CODES.FOLDER_NOT_FOUND,
+          404,
+          `No folder at ${path} in this share`
+        );
+      }
+    }
+
+    const listing = await folderService.listFolder(share.user_id, { folderId: folder.id }, options);
+    const folderPath = names.length > 0 ? `/${names.join('/')}` : '/';
+
+    return {
+      share: this.describeShare(share),
+      path: folderPath,
+      folders: listing.folders.map(child => ({
+        name: child.name,
+        path: `${folderPath === '/' ? '' : folderPath}/${child.name}`,
+        fileCount: child.fileCount,
+        size: child.size,
+        sizeFormatted: child.sizeFormatted
+      })),
+      files: listing.files.map(file => ({
+        id: file.id,
+        name: file.originalName,
+        size: file.size,
+        sizeFormatted: file.sizeFormatted,
+        mimeType: file.mimeType,
+        uploadedAt: file.uploadedAt
+      })),
+      pagination: listing.pagination
+    };
+  }
+
+  /**
+   * Get a file a share gives access to
+   * @param {Object} share - Share record
+   * @param {string|null} fileId - File inside a shared folder (ignored for file shares)
+   * @returns {Promise<Object>} File data from fileManagerService.getFile
+   */
+  async getSharedFile(share, fileId = null) {
+    const targetId = share.file_id || fileId;
+    const file = Helpers.isValidUUID(targetId)
+      ? await fileManagerService.getFile(targetId, share.user_id).catch(error => {
+        if (error.statusCode === 404) return null;
+        throw error;
+      })
+      : null;
+    const inShare = file && (share.file_id ||
+      (file.folderId && (await supabaseService.getFolderSubtree(share.user_id, share.folder_id)).includes(file.folderId)));
+
+    // Files in the trash are not shared until they are restored
+    if (!inShare || file.trashedAt) {
+      throw new AppError(
+        'File not found',
+        ERROR_CODES.FILE_NOT_FOUND,
+        404,
+        'This share has no such file'
+      );
+    }
+
+    return file;
+  }
+
+  /**
+   * Count a download against a share's limit, unless it continues a counted one
+   * @param {Object} share - Share record
+   * @param {string} fileId - Downloaded file ID
+   * @param {Array} grants - Download grants the request presents
+   * @returns {Promise<string|null>} Grant for the new download, or null if one was presented
+   */
+  async claimDownload(share, fileId, grants = []) {
+    if (grants.some(grant => verifyShareDownloadGrant(grant, share.id, fileId))) {
+      return null;
+    }
+
+    if (!(await supabaseService.claimShareDownload(share.id))) {
+      throw new AppError(
+        'Share unavailable',
+        ERROR_CODES.SHARE_UNAVAILABLE,
+        410,
+        'This share link is no longer available'
+      );
+    }
+
+    return createShareDownloadGrant(share.id, fileId);
+  }
+}
+
+module.exports = new ShareService();
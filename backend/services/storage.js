@@ -0,0 +1,18 @@
+/**
+ * Storage service
+ * Selects the storage provider for this deployment from the STORAGE_PROVIDER
+ * environment variable ('github' by default, 'local' for offline development).
+ * Providers are loaded lazily so an unused provider's configuration is never required.
+ */
+const STORAGE_PROVIDERS = {
+  github: () => require('./github'),
+  local: () => require('./localDisk')
+};
+
+const providerName = (process.env.STORAGE_PROVIDER || 'github').toLowerCase();
+
+if (!STORAGE_PROVIDERS[providerName]) {
+  throw new Error(`Unknown storage provider "${providerName}". Supported providers: ${Object.keys(STORAGE_PROVIDERS).join(', ')}.`);
+}
+
+module.exports = STORAGE_PROVIDERS[providerName]();
@@ -0,0 +1,198 @@
+/**
+ * Storage provider contract
+ * Every storage backend (GitHub releases, local disk, ...) extends this class and
+ * implements the bucket and asset operations used by the file and repository managers.
+ *
+ * Buckets may be passed either as a repository record (with a `name` field, and the
+ * owner fields for providers with several accounts) or as a plain bucket name.
+ * Assets are referenced by `{ tier, releaseId, assetId }`. The tier names where the
+ * content lives: 'release' (the default) for regular assets, or 'blob' for the small-file
+ * tier of providers that have one. Providers without a small-file tier store every asset
+ * in the 'release' tier.
+ */
+class StorageProvider {
+  /**
+   * @param {string} name - Provider name (e.g. 'github', 'local')
+   */
+  constructor(name) {
+    this.providerName = name;
+
+    // Whether asset download URLs can be handed to clients directly
+    this.providesPublicUrls = false;
+  }
+
+  /**
+   * Resolve a bucket argument to its name
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @returns {string} Bucket name
+   */
+  getBucketName(bucket) {
+    return typeof bucket === 'string' ? bucket : bucket.name;
+  }
+
+  /**
+   * Throw for contract methods a provider does not implement
+   * @param {string} method - Method name
+   * @throws {Error}
+   */
+  notImplemented(method) {
+    throw new Error(`Storage provider "${this.providerName}" does not implement ${method}()`);
+  }
+
+  /**
+   * Pick the account a new bucket should be created under
+   * Providers without accounts return null.
+   * @param {string|null} userId - User the bucket is for
+   * @returns {Promise<Object|null>} Owner fields for the repository record
+   */
+  async selectBucketOwner(userId = null) {
+    return null;
+  }
+
+  /**
+   * Create a new bucket
+   * @param {string} bucketName - Bucket name
+   * @param {string} description - Bucket description
+   * @param {Object|null} owner - Owner fields from selectBucketOwner, with the bucket's user_id
+   * @returns {Promise<Object>} Bucket data ({ id, name, owner, ... })
+   */
+  async createBucket(bucketName, description, owner = null) {
+    this.notImplemented('createBucket');
+  }
+
+  /**
+   * Check if a bucket exists
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @returns {Promise<boolean>} True if the bucket exists
+   */
+  async bucketExists(bucket) {
+    this.notImplemented('bucketExists');
+  }
+
+  /**
+   * Delete a bucket and everything stored in it
+   * Implementations must treat already-missing buckets as deleted.
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @returns {Promise<void>}
+   */
+  async deleteBucket(bucket) {
+    this.notImplemented('deleteBucket');
+  }
+
+  /**
+   * Make a bucket read-only, keeping its content
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @returns {Promise<void>}
+   */
+  async archiveBucket(bucket) {
+    this.notImplemented('archiveBucket');
+  }
+
+  /**
+   * Store an asset in a bucket
+   * Content may be a buffer or a readable stream; streams must be consumed without
+   * buffering them whole, and need their size passed explicitly. Content for the
+   * small-file tier is small enough to be buffered.
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @param {string} filename - Asset file name
+   * @param {Buffer|Readable} data - Asset content
+   * @param {string} contentType - Asset content type
+   * @param {number} size - Content length in bytes (defaults to data.length for buffers)
+   * @param {Object} options - Options ({ tier }: 'blob' asks for the small-file tier)
+   * @returns {Promise<Object>} Stored asset ({ tier, releaseId, assetId, downloadUrl, filename, size })
+   */
+  async putAsset(bucket, filename, data, contentType, size, options = {}) {
+    this.notImplemented('putAsset');
+  }
+
+  /**
+   * Open an asset for reading
+   * When a byte range is given, the stream must contain exactly those bytes.
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @param {Object} asset - Asset reference ({ tier, releaseId, assetId })
+   * @param {Object|null} range - Inclusive byte range ({ start, end }), or null for the whole asset
+   * @returns {Promise<Object>} Readable asset ({ stream, size, contentType }), size being the streamed length
+   */
+  async getAsset(bucket, asset, range = null) {
+    this.notImplemented('getAsset');
+  }
+
+  /**
+   * Delete an asset from a bucket
+   * Implementations must treat already-missing assets as deleted.
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @param {Object} asset - Asset reference ({ tier, releaseId, assetId })
+   * @returns {Promise<void>}
+   */
+  async deleteAsset(bucket, asset) {
+    this.notImplemented('deleteAsset');
+  }
+
+  /**
+   * List every asset stored in a bucket, in all tiers
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @returns {Promise<Array>} Assets ({ tier, releaseId, assetId, name, size, contentType, complete }); size is the stored length
+   */
+  async listAssets(bucket) {
+    this.notImplemented('listAssets');
+  }
+
+  /**
+   * List the releases assets are grouped in
+   * Providers that do not group assets have none.
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @returns {Promise<Array>} Releases ({ releaseId, tagName, assetCount })
+   */
+  async listReleases(bucket) {
+    return [];
+  }
+
+  /**
+   * Delete a release that holds no assets
+   * Releases still receiving uploads are kept.
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @param {string} releaseId - Release ID
+   * @returns {Promise<boolean>} True if the release was deleted
+   */
+  async deleteEmptyRelease(bucket, releaseId) {
+    return false;
+  }
+
+  /**
+   * Get bucket statistics
+   * @param {Object|string} bucket - Repository record or bucket name
+   * @returns {Promise<Object>} Bucket statistics ({ releaseCount, assetCount, totalAssetSize, totalAssetSizeMb })
+   */
+  async getBucketStats(bucket) {
+    this.notImplemented('getBucketStats');
+  }
+
+  /**
+   * Get API rate limit status, if the provider has one
+   * @returns {Promise<Object|null>} Rate limit information or null
+   */
+  async getRateLimit() {
+    return null;
+  }
+
+  /**
+   * Check if the provider can currently accept operations
+   * @param {Object|string|null} bucket - Bucket to check, or null for the provider as a whole
+   * @returns {Promise<boolean>} True if operations can be performed
+   */
+  async canPerformOperations(bucket = null) {
+    return true;
+  }
+
+  /**
+   * Run maintenance work that should yield to user requests
+   * Providers with rate limits queue the work's requests behind interactive ones.
+   * @param {Function} task - Async work
+   * @returns {Promise} Result of the work
+   */
+  async runInBackground(task) {
+    return task();
+  }
+}
+
+module.exports = StorageProvider;
@@ -119,6 +119,9 @@ class SupabaseService {
           user_id: repoData.userId,
           name: repoData.name,
           github_repo_id: repoData.githubRepoId,
+          github_owner: repoData.githubOwner || null,
+          user_owned: repoData.userOwned || false,
+          placement_family: repoData.placementFamily || null,
           size_mb: 0,
           max_size_mb: repoData.maxSizeMb || 800,
           is_active: true,
@@ -165,31 +168,48 @@ class SupabaseService {
   }
 
   /**
-   * Get active repository with available space
+   * Get the placement policy fields overridden for a user
    * @param {string} userId - User ID
-   * @param {number} requiredSpaceMb - Required space in MB
-   * @returns {Promise<Object|null>} Repository record or null if no space available
+   * @returns {Promise<Object|null>} Overridden fields, or null if the deployment policy applies
    */
-  async getAvailableRepository(userId, requiredSpaceMb) {
+  async getUserPlacementPolicy(userId) {
     try {
-      const { data, error } = await this.client
-        .from('repos')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('is_active', true)
-        .order('created_at', { ascending: true });
+      const { data, error } = await this.adminClient
+        .from('users')
+        .select('placement_policy')
+        .eq('id', userId)
+        .maybeSingle();
 
-      if (error) this.handleError(error, 'available repository retrieval');
+      if (error) this.handleError(error, 'placement policy retrieval');
+      return data?.placement_policy || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'placement policy retrieval');
+    }
+  }
 
-      // Find repository with enough space
-      const availableRepo = data?.find(repo => 
-        (repo.size_mb + requiredSpaceMb) <= repo.max_size_mb
-      );
+  /**
+   * Override placement policy fields for a user
+   * @param {string} userId - User ID
+   * @param {Object|null} policy - Overridden fields, or null to use the deployment policy
+   * @returns {Promise<void>}
+   */
+  async updateUserPlacementPolicy(userId, policy) {
+    try {
+      const { data, error } = await this.adminClient
+        .from('users')
+        .update({ placement_policy: policy, updated_at: new Date().toISOString() })
+        .eq('id', userId)
+        .select('id');
 
-      return availableRepo || null;
+      if (error) this.handleError(error, 'placement policy update');
+
+      if (!data || data.length === 0) {
+        throw new AppError('User not found', ERROR_CODES.DATABASE_ERROR, 404, `User ${userId} does not exist`);
+      }
     } catch (error) {
       if (error instanceof AppError) throw error;
-      this.handleError(error, 'available repository retrieval');
+      this.handleError(error, 'placement policy update');
     }
   }
 
@@ -219,6 +239,49 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Atomically change a repository's recorded usage
+   * The delta is applied in the database, so concurrent changes cannot overwrite each other.
+   * @param {string} repoId - Repository ID
+   * @param {number} sizeDeltaMb - Size change in MB (negative for removals)
+   * @param {number} fileDelta - Change in stored asset count
+   * @returns {Promise<Object|null>} Updated repository record, or null if it does not exist
+   */
+  async adjustRepositoryUsage(repoId, sizeDeltaMb, fileDelta = 0) {
+    try {
+      const { data, error } = await this.adminClient
+        .rpc('adjust_repo_usage', {
+          repo_uuid: repoId,
+          size_delta_mb: sizeDeltaMb,
+          file_delta: fileDelta
+        })
+        .maybeSingle();
+
+      if (error) this.handleError(error, 'repository usage update');
+      return data || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'repository usage update');
+    }
+  }
+
+  /**
+   * Recompute repository usage from stored files and correct repositories that drifted
+   * @returns {Promise<Array>} Corrected repositories (repo_id, repo_name, recorded_size_mb,
+   *   actual_size_mb, recorded_file_count, actual_file_count)
+   */
+  async reconcileRepositoryUsage() {
+    try {
+      const { data, error } = await this.adminClient.rpc('reconcile_repo_usage');
+
+      if (error) this.handleError(error, 'repository usage reconciliation');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'repository usage reconciliation');
+    }
+  }
+
   /**
    * Create a new file record
    * @param {Object} fileData - File data
@@ -229,15 +292,29 @@ class SupabaseService {
       const { data, error } = await this.client
         .from('files')
         .insert({
+          // Callers may choose the ID up front so it can be logged before the row exists
+          ...(fileData.id && { id: fileData.id }),
           user_id: fileData.userId,
           repo_id: fileData.repoId,
+          folder_id: fileData.folderId || null,
+          version_of: fileData.versionOf || null,
           filename: fileData.filename,
           original_name: fileData.originalName,
           size_mb: fileData.sizeMb,
+          size_bytes: fileData.sizeBytes,
           mime_type: fileData.mimeType,
-          download_url: fileData.downloadUrl,
-          gh_release_id: fileData.ghReleaseId,
-          gh_asset_id: fileData.ghAssetId,
+          download_url: fileData.downloadUrl || null,
+          gh_release_id: fileData.ghReleaseId || null,
+          gh_asset_id: fileData.ghAssetId || null,
+          storage_tier: fileData.storageTier || 'release',
+          is_chunked: fileData.isChunked || false,
+          chunk_count: fileData.chunkCount || 1,
+          encryption_algorithm: fileData.encryption ? fileData.encryption.algorithm : null,
+          encryption_key_scope: fileData.encryption ? fileData.encryption.keyScope : null,
+          encrypted_data_key: fileData.encryption ? fileData.encryption.encryptedDataKey : null,
+          encryption_nonce: fileData.encryption ? fileData.encryption.nonce : null,
+          encryption_segment_size: fileData.encryption ? fileData.encryption.segmentSize : null,
+          content_sha256: fileData.contentSha256 || null,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
         })
@@ -252,23 +329,90 @@ class SupabaseService {
     }
   }
 
+  /**
+   * Create chunk manifest records for a chunked file
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID
+   * @param {Array} chunks - Chunk data (chunkIndex, repoId, sizeBytes, downloadUrl, ghReleaseId, ghAssetId)
+   * @returns {Promise<Array>} Chunk records
+   */
+  async createFileChunks(fileId, userId, chunks) {
+    try {
+      const { data, error } = await this.client
+        .from('file_chunks')
+        .insert(chunks.map(chunk => ({
+          file_id: fileId,
+          user_id: userId,
+          repo_id: chunk.repoId,
+          chunk_index: chunk.chunkIndex,
+          size_bytes: chunk.sizeBytes,
+          download_url: chunk.downloadUrl,
+          gh_release_id: chunk.ghReleaseId,
+          gh_asset_id: chunk.ghAssetId,
+          created_at: new Date().toISOString()
+        })))
+        .select();
+
+      if (error) this.handleError(error, 'file chunk creation');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file chunk creation');
+    }
+  }
+
+  /**
+   * Get the chunk manifest of a file, in reassembly order
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Array>} Chunk records with repository information
+   */
+  async getFileChunks(fileId, userId) {
+    try {
+      const { data, error } = await this.client
+        .from('file_chunks')
+        .select(`
+          *,
+          repos!inner(name, user_id, github_repo_id, github_owner, user_owned)
+        `)
+        .eq('file_id', fileId)
+        .eq('user_id', userId)
+        .order('chunk_index', { ascending: true });
+
+      if (error) this.handleError(error, 'file chunk retrieval');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file chunk retrieval');
+    }
+  }
+
   /**
    * Get user files
    * @param {string} userId - User ID
    * @param {number} limit - Number of files to return
    * @param {number} offset - Offset for pagination
+   * @param {string|null|undefined} folderId - Only files in this folder (null for the root); all files if undefined
    * @returns {Promise<Object>} Files data with pagination info
    */
-  async getUserFiles(userId, limit = 50, offset = 0) {
+  async getUserFiles(userId, limit = 50, offset = 0, folderId = undefined) {
     try {
       // Get files with repository information
-      const { data, error, count } = await this.client
+      let query = this.client
         .from('files')
         .select(`
           *,
-          repos!inner(name, github_repo_id)
+          repos!inner(name, user_id, github_repo_id, github_owner, user_owned)
         `, { count: 'exact' })
         .eq('user_id', userId)
+        .is('version_of', null)
+        .is('trashed_at', null);
+
+      if (folderId !== undefined) {
+        query = folderId === null ? query.is('folder_id', null) : query.eq('folder_id', folderId);
+      }
+
+      const { data, error, count } = await query
         .order('created_at', { ascending: false })
         .range(offset, offset + limit - 1);
 
@@ -298,7 +442,7 @@ class SupabaseService {
         .from('files')
         .select(`
           *,
-          repos!inner(name, github_repo_id)
+          repos!inner(name, user_id, github_repo_id, github_owner, user_owned)
         `)
         .eq('id', fileId)
         .eq('user_id', userId)
@@ -337,30 +481,1200 @@ class SupabaseService {
   }
 
   /**
-   * Get user storage statistics
+   * Find a user's file with the given content
+   * Stored content that any of its records found damaged is never matched, so the bytes
+   * are stored again instead of being linked to the broken asset.
    * @param {string} userId - User ID
-   * @returns {Promise<Object>} Storage statistics
+   * @param {string} contentSha256 - SHA-256 of the content (hex)
+   * @param {number} sizeBytes - Content size in bytes
+   * @returns {Promise<Object|null>} Most recent matching file record with intact content or null
    */
-  async getUserStorageStats(userId) {
+  async findFileByContentHash(userId, contentSha256, sizeBytes) {
     try {
-      // Get total files and size
-      const { data: filesData, error: filesError } = await this.client
+      const { data, error } = await this.client
         .from('files')
-        .select('size_mb')
-        .eq('user_id', userId);
+        .select(`
+          *,
+          repos!inner(name, user_id, github_repo_id, github_owner, user_owned, size_mb)
+        `)
+        .eq('user_id', userId)
+        .eq('content_sha256', contentSha256)
+        .eq('size_bytes', sizeBytes)
+        .order('created_at', { ascending: false });
 
-      if (filesError) this.handleError(filesError, 'storage stats retrieval');
+      if (error) this.handleError(error, 'file lookup by content');
 
-      // Get repository count
-      const { count: repoCount, error: repoError } = await this.client
-        .from('repos')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', userId);
+      const damaged = new Set((data || [])
+        .filter(file => file.health_status === 'damaged')
+        .map(file => file.filename));
 
-      if (repoError) this.handleError(repoError, 'repository count retrieval');
+      return (data || []).find(file => !damaged.has(file.filename)) || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file lookup by content');
+    }
+  }
 
-      const totalFiles = filesData?.length || 0;
-      const totalSizeMb = filesData?.reduce((sum, file) => sum + (file.size_mb || 0), 0) || 0;
+  /**
+   * Count the other file records that share a stored asset
+   * Deduplicated files reuse the storage filename of the upload that stored the bytes.
+   * @param {string} userId - User ID
+   * @param {string} filename - Storage filename
+   * @param {string} excludeFileId - File ID to leave out of the count
+   * @returns {Promise<number>} Number of other references
+   */
+  async countFileReferences(userId, filename, excludeFileId) {
+    try {
+      const { count, error } = await this.client
+        .from('files')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('filename', filename)
+        .neq('id', excludeFileId);
+
+      if (error) this.handleError(error, 'file reference count');
+      return count || 0;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file reference count');
+    }
+  }
+
+  /**
+   * Create a file record that refers to another file's stored content (and chunks)
+   * @param {string} sourceId - File ID whose content is referenced
+   * @param {string} userId - User ID
+   * @param {Object} fields - Fields of the new record (folderId, versionOf, originalName, sizeMb,
+   *   sizeBytes, mimeType, contentSha256)
+   * @returns {Promise<Object|null>} New file record, or null if the source no longer exists
+   */
+  async addFileReference(sourceId, userId, fields) {
+    try {
+      const { data, error } = await this.client
+        .rpc('add_file_reference', {
+          owner: userId,
+          source_file: sourceId,
+          fields: {
+            folder_id: fields.folderId || null,
+            version_of: fields.versionOf || null,
+            original_name: fields.originalName,
+            size_mb: fields.sizeMb,
+            size_bytes: fields.sizeBytes,
+            mime_type: fields.mimeType,
+            content_sha256: fields.contentSha256 || null
+          }
+        });
+
+      if (error) this.handleError(error, 'file reference creation');
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file reference creation');
+    }
+  }
+
+  /**
+   * Delete a file record for a delete saga
+   * The deletion and the count of other records sharing its stored content are one
+   * transaction, logged as the saga's file_deleted step.
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @param {string} sagaId - Delete saga ID
+   * @returns {Promise<number|null>} Number of other references, or null if the file does not exist
+   */
+  async deleteFileReference(fileId, userId, sagaId) {
+    try {
+      const { data, error } = await this.adminClient
+        .rpc('delete_file_reference', { owner: userId, target_file: fileId, delete_saga: sagaId });
+
+      if (error) this.handleError(error, 'file deletion');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file deletion');
+    }
+  }
+
+  /**
+   * Rename or move a file
+   * Only the record changes; the stored content stays where it is.
+   * @param {string} fileId - File ID
+   * @param {string} userId - User ID (for security)
+   * @param {Object} changes - New original_name and/or folder_id
+   * @returns {Promise<Object>} Updated file record
+   */
+  async updateFile(fileId, userId, changes) {
+    try {
+      const { data, error } = await this.client
+        .from('files')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', fileId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) this.handleError(error, 'file update');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file update');
+    }
+  }
+
+  /**
+   * Get the names of the files directly in a folder
+   * @param {string} userId - User ID
+   * @param {string|null} folderId - Folder ID, or null for the root
+   * @param {string|null} excludeFileId - File ID to leave out
+   * @returns {Promise<Array>} Original file names
+   */
+  async getFolderFileNames(userId, folderId, excludeFileId = null) {
+    try {
+      let query = this.client
+        .from('files')
+        .select('original_name')
+        .eq('user_id', userId)
+        .is('version_of', null)
+        .is('trashed_at', null);
+
+      query = folderId === null ? query.is('folder_id', null) : query.eq('folder_id', folderId);
+
+      if (excludeFileId) {
+        query = query.neq('id', excludeFileId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) this.handleError(error, 'folder file names retrieval');
+      return (data || []).map(row => row.original_name);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder file names retrieval');
+    }
+  }
+
+  /**
+   * Find the file with a given name directly in a folder
+   * @param {string} userId - User ID
+   * @param {string|null} folderId - Folder ID, or null for the root
+   * @param {string} name - Original file name
+   * @returns {Promise<Object|null>} Current file record or null
+   */
+  async findFileByName(userId, folderId, name) {
+    try {
+      let query = this.client
+        .from('files')
+        .select('*')
+        .eq('user_id', userId)
+        .is('version_of', null)
+        .is('trashed_at', null)
+        .eq('original_name', name);
+
+      query = folderId === null ? query.is('folder_id', null) : query.eq('folder_id', folderId);
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) this.handleError(error, 'file lookup by name');
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file lookup by name');
+    }
+  }
+
+  /**
+   * Get the earlier versions of a file
+   * @param {string} fileId - File ID of the current version
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Array>} Version records, newest first
+   */
+  async getFileVersions(fileId, userId) {
+    try {
+      const { data, error } = await this.client
+        .from('files')
+        .select(`
+          *,
+          repos!inner(name, user_id, github_repo_id, github_owner, user_owned)
+        `)
+        .eq('user_id', userId)
+        .eq('version_of', fileId)
+        .order('version_number', { ascending: false });
+
+      if (error) this.handleError(error, 'file versions retrieval');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file versions retrieval');
+    }
+  }
+
+  /**
+   * Make a version the current content of its file
+   * The rows swap their content, so the file keeps its ID and its previous content
+   * becomes a version.
+   * @param {string} fileId - File ID of the current version
+   * @param {string} versionId - File ID of the version to promote
+   * @returns {Promise<number>} New current version number
+   */
+  async promoteFileVersion(fileId, versionId) {
+    try {
+      const { data, error } = await this.adminClient
+        .rpc('promote_file_version', { current_file: fileId, version_file: versionId });
+
+      if (error) this.handleError(error, 'file version promotion');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file version promotion');
+    }
+  }
+
+  /**
+   * Create a folder
+   * @param {string} userId - User ID
+   * @param {string} name - Folder name
+   * @param {string|null} parentId - Parent folder ID, or null for the root
+   * @returns {Promise<Object>} Folder record
+   */
+  async createFolder(userId, name, parentId) {
+    try {
+      const { data, error } = await this.client
+        .from('folders')
+        .insert({ user_id: userId, name, parent_id: parentId })
+        .select()
+        .single();
+
+      if (error) this.handleError(error, 'folder creation');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder creation');
+    }
+  }
+
+  /**
+   * Get a folder
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object|null>} Folder record, or null if the user has no such folder
+   */
+  async getFolderById(folderId, userId) {
+    try {
+      const { data, error } = await this.client
+        .from('folders')
+        .select('*')
+        .eq('id', folderId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) this.handleError(error, 'folder retrieval');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder retrieval');
+    }
+  }
+
+  /**
+   * Get a folder by name
+   * @param {string} userId - User ID
+   * @param {string|null} parentId - Parent folder ID, or null for the root
+   * @param {string} name - Folder name
+   * @returns {Promise<Object|null>} Folder record, or null if there is none
+   */
+  async findFolder(userId, parentId, name) {
+    try {
+      let query = this.client
+        .from('folders')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('name', name);
+
+      query = parentId === null ? query.is('parent_id', null) : query.eq('parent_id', parentId);
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) this.handleError(error, 'folder retrieval');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder retrieval');
+    }
+  }
+
+  /**
+   * Get the folders directly inside a folder
+   * @param {string} userId - User ID
+   * @param {string|null} parentId - Parent folder ID, or null for the root
+   * @returns {Promise<Array>} Folder records by name
+   */
+  async getChildFolders(userId, parentId) {
+    try {
+      let query = this.client
+        .from('folders')
+        .select('*')
+        .eq('user_id', userId);
+
+      query = parentId === null ? query.is('parent_id', null) : query.eq('parent_id', parentId);
+
+      const { data, error } = await query.order('name', { ascending: true });
+
+      if (error) this.handleError(error, 'folder listing');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder listing');
+    }
+  }
+
+  /**
+   * Rename or move a folder
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID (for security)
+   * @param {Object} changes - New name and/or parent_id
+   * @returns {Promise<Object>} Updated folder record
+   */
+  async updateFolder(folderId, userId, changes) {
+    try {
+      const { data, error } = await this.client
+        .from('folders')
+        .update(changes)
+        .eq('id', folderId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) this.handleError(error, 'folder update');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder update');
+    }
+  }
+
+  /**
+   * Delete a folder and the folders below it
+   * Fails while any of them still holds files.
+   * @param {string} folderId - Folder ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<void>}
+   */
+  async deleteFolder(folderId, userId) {
+    try {
+      const { error } = await this.client
+        .from('folders')
+        .delete()
+        .eq('id', folderId)
+        .eq('user_id', userId);
+
+      if (error) this.handleError(error, 'folder deletion');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder deletion');
+    }
+  }
+
+  /**
+   * Get the IDs of a folder and every folder below it
+   * @param {string} userId - User ID
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Array>} Folder IDs
+   */
+  async getFolderSubtree(userId, folderId) {
+    try {
+      const { data, error } = await this.client
+        .rpc('folder_subtree', { owner: userId, root_folder: folderId });
+
+      if (error) this.handleError(error, 'folder subtree retrieval');
+      return (data || []).map(row => row.folder_id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder subtree retrieval');
+    }
+  }
+
+  /**
+   * Get recursive file counts, folder counts and sizes of folders
+   * @param {string} userId - User ID
+   * @param {Array} folderIds - Folder IDs
+   * @returns {Promise<Array>} Stats ({ folder_id, file_count, folder_count, size_bytes })
+   */
+  async getFolderStats(userId, folderIds) {
+    if (folderIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const { data, error } = await this.client
+        .rpc('folder_stats', { owner: userId, folder_ids: folderIds });
+
+      if (error) this.handleError(error, 'folder stats retrieval');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder stats retrieval');
+    }
+  }
+
+  /**
+   * Get the IDs of the files in any of the given folders, leaving out files in the trash
+   * @param {string} userId - User ID
+   * @param {Array} folderIds - Folder IDs
+   * @returns {Promise<Array>} File IDs
+   */
+  async getFolderFileIds(userId, folderIds) {
+    try {
+      const { data, error } = await this.client
+        .from('files')
+        .select('id')
+        .eq('user_id', userId)
+        .in('folder_id', folderIds)
+        .is('trashed_at', null);
+
+      if (error) this.handleError(error, 'folder files retrieval');
+      return (data || []).map(row => row.id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'folder files retrieval');
+    }
+  }
+
+  /**
+   * Get the files in a user's trash
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of files to return
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Object>} Files data with pagination info, most recently trashed first
+   */
+  async getTrashedFiles(userId, limit = 50, offset = 0) {
+    try {
+      const { data, error, count } = await this.client
+        .from('files')
+        .select(`
+          *,
+          repos!inner(name, user_id, github_repo_id, github_owner, user_owned)
+        `, { count: 'exact' })
+        .eq('user_id', userId)
+        .not('trashed_at', 'is', null)
+        .order('trashed_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) this.handleError(error, 'trash retrieval');
+
+      return {
+        files: data || [],
+        total: count || 0,
+        limit,
+        offset
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'trash retrieval');
+    }
+  }
+
+  /**
+   * Get the IDs of all files in a user's trash
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} File IDs
+   */
+  async getTrashedFileIds(userId) {
+    try {
+      const { data, error } = await this.client
+        .from('files')
+        .select('id')
+        .eq('user_id', userId)
+        .not('trashed_at', 'is', null);
+
+      if (error) this.handleError(error, 'trash retrieval');
+      return (data || []).map(row => row.id);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'trash retrieval');
+    }
+  }
+
+  /**
+   * Get files of all users that went to the trash before a given time
+   * @param {string} before - ISO timestamp
+   * @param {number} limit - Maximum number of files to return
+   * @returns {Promise<Array>} File records (id, user_id, original_name, trashed_at), oldest first
+   */
+  async getExpiredTrash(before, limit = 1000) {
+    try {
+      const { data, error } = await this.adminClient
+        .from('files')
+        .select('id, user_id, original_name, trashed_at')
+        .lt('trashed_at', before)
+        .order('trashed_at', { ascending: true })
+        .limit(limit);
+
+      if (error) this.handleError(error, 'expired trash retrieval');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'expired trash retrieval');
+    }
+  }
+
+  /**
+   * Move the trashed files of folders about to be deleted to the root
+   * They stay in the trash and are restored to the root.
+   * @param {string} userId - User ID
+   * @param {Array} folderIds - Folder IDs
+   * @returns {Promise<void>}
+   */
+  async detachTrashedFiles(userId, folderIds) {
+    try {
+      const { error } = await this.client
+        .from('files')
+        .update({ folder_id: null, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .in('folder_id', folderIds)
+        .not('trashed_at', 'is', null);
+
+      if (error) this.handleError(error, 'trashed files detachment');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'trashed files detachment');
+    }
+  }
+
+  /**
+   * Create a share link
+   * @param {Object} shareData - Share data (userId, fileId or folderId, token, passwordHash, expiresAt, maxDownloads)
+   * @returns {Promise<Object>} Share record
+   */
+  async createShare(shareData) {
+    try {
+      const { data, error } = await this.client
+        .from('shares')
+        .insert({
+          user_id: shareData.userId,
+          file_id: shareData.fileId || null,
+          folder_id: shareData.folderId || null,
+          token: shareData.token,
+          password_hash: shareData.passwordHash || null,
+          expires_at: shareData.expiresAt || null,
+          max_downloads: shareData.maxDownloads || null
+        })
+        .select('*, files(original_name), folders(name)')
+        .single();
+
+      if (error) this.handleError(error, 'share creation');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'share creation');
+    }
+  }
+
+  /**
+   * Get a user's share links, newest first
+   * @param {string} userId - User ID
+   * @param {Object} filter - Only shares of this fileId or folderId, if given
+   * @returns {Promise<Array>} Share records with the shared file or folder name
+   */
+  async getUserShares(userId, { fileId, folderId } = {}) {
+    try {
+      let query = this.client
+        .from('shares')
+        .select('*, files(original_name), folders(name)')
+        .eq('user_id', userId);
+
+      if (fileId) {
+        query = query.eq('file_id', fileId);
+      }
+
+      if (folderId) {
+        query = query.eq('folder_id', folderId);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+
+      if (error) this.handleError(error, 'shares retrieval');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'shares retrieval');
+    }
+  }
+
+  /**
+   * Get a share link of a user
+   * @param {string} shareId - Share ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object|null>} Share record or null
+   */
+  async getShareById(shareId, userId) {
+    try {
+      const { data, error } = await this.client
+        .from('shares')
+        .select('*, files(original_name), folders(name)')
+        .eq('id', shareId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) this.handleError(error, 'share retrieval');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'share retrieval');
+    }
+  }
+
+  /**
+   * Get a share link by its token (for public, unauthenticated access)
+   * @param {string} token - Share token
+   * @returns {Promise<Object|null>} Share record or null
+   */
+  async getShareByToken(token) {
+    try {
+      const { data, error } = await this.adminClient
+        .from('shares')
+        .select('*, files(original_name), folders(name)')
+        .eq('token', token)
+        .maybeSingle();
+
+      if (error) this.handleError(error, 'share lookup');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'share lookup');
+    }
+  }
+
+  /**
+   * Revoke a share link
+   * @param {string} shareId - Share ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} Revoked share record
+   */
+  async revokeShare(shareId, userId) {
+    try {
+      const { data, error } = await this.client
+        .from('shares')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', shareId)
+        .eq('user_id', userId)
+        .select('*, files(original_name), folders(name)')
+        .single();
+
+      if (error) this.handleError(error, 'share revocation');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'share revocation');
+    }
+  }
+
+  /**
+   * Count a download of a share, if it still allows one
+   * @param {string} shareId - Share ID
+   * @returns {Promise<boolean>} True if the download may be served
+   */
+  async claimShareDownload(shareId) {
+    try {
+      const { data, error } = await this.adminClient
+        .rpc('claim_share_download', { target_share: shareId });
+
+      if (error) this.handleError(error, 'share download claim');
+      return data === true;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'share download claim');
+    }
+  }
+
+  /**
+   * Get all repositories across users (for background jobs)
+   * @param {boolean} activeOnly - Return only active repositories
+   * @returns {Promise<Array>} Repository records
+   */
+  async getAllRepositories(activeOnly = false) {
+    try {
+      let query = this.adminClient
+        .from('repos')
+        .select('*')
+        .order('created_at', { ascending: true });
+
+      if (activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) this.handleError(error, 'repository listing');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'repository listing');
+    }
+  }
+
+  /**
+   * Get a repository by ID regardless of owner (for background jobs)
+   * @param {string} repoId - Repository ID
+   * @returns {Promise<Object|null>} Repository record, or null if it does not exist
+   */
+  async getRepositoryById(repoId) {
+    try {
+      const { data, error } = await this.adminClient
+        .from('repos')
+        .select('*')
+        .eq('id', repoId)
+        .maybeSingle();
+
+      if (error) this.handleError(error, 'repository retrieval');
+      return data || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'repository retrieval');
+    }
+  }
+
+  /**
+   * Delete a repository record regardless of owner
+   * Its file and chunk rows are removed with it.
+   * @param {string} repoId - Repository ID
+   * @returns {Promise<void>}
+   */
+  async deleteRepository(repoId) {
+    try {
+      const { error } = await this.adminClient
+        .from('repos')
+        .delete()
+        .eq('id', repoId);
+
+      if (error) this.handleError(error, 'repository deletion');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'repository deletion');
+    }
+  }
+
+  /**
+   * Mark a repository whose bucket was archived
+   * Archived repositories stay inactive and no longer receive uploads.
+   * @param {string} repoId - Repository ID
+   * @returns {Promise<void>}
+   */
+  async archiveRepository(repoId) {
+    try {
+      const { error } = await this.adminClient
+        .from('repos')
+        .update({ is_active: false, archived_at: new Date().toISOString() })
+        .eq('id', repoId);
+
+      if (error) this.handleError(error, 'repository archival');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'repository archival');
+    }
+  }
+
+  /**
+   * Atomically point every file and chunk stored as one asset at its copy in another
+   * repository, moving the asset's usage along with it
+   * @param {Object} source - Current location ({ repoId, assetId })
+   * @param {Object} target - New location ({ repoId, releaseId, assetId, downloadUrl })
+   * @param {number} sizeMb - Usage of the asset in MB
+   * @returns {Promise<number>} Number of rows moved (0 if nothing references the asset any more)
+   */
+  async moveStoredAsset(source, target, sizeMb) {
+    try {
+      const { data, error } = await this.adminClient
+        .rpc('move_stored_asset', {
+          source_repo: source.repoId,
+          source_asset_id: String(source.assetId),
+          target_repo: target.repoId,
+          target_release_id: target.releaseId ? String(target.releaseId) : null,
+          target_asset_id: String(target.assetId),
+          target_download_url: target.downloadUrl || null,
+          target_storage_tier: target.tier || 'release',
+          asset_size_mb: sizeMb
+        });
+
+      if (error) this.handleError(error, 'asset move');
+      return data || 0;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'asset move');
+    }
+  }
+
+  /**
+   * Count the files and chunks stored as a given asset
+   * @param {string} repoId - Repository ID
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<number>} Number of referencing rows
+   */
+  async countAssetReferences(repoId, assetId) {
+    try {
+      const { count: fileCount, error: filesError } = await this.adminClient
+        .from('files')
+        .select('id', { count: 'exact', head: true })
+        .eq('repo_id', repoId)
+        .eq('gh_asset_id', String(assetId));
+
+      if (filesError) this.handleError(filesError, 'asset reference count');
+
+      const { count: chunkCount, error: chunksError } = await this.adminClient
+        .from('file_chunks')
+        .select('id', { count: 'exact', head: true })
+        .eq('repo_id', repoId)
+        .eq('gh_asset_id', String(assetId));
+
+      if (chunksError) this.handleError(chunksError, 'asset reference count');
+
+      return (fileCount || 0) + (chunkCount || 0);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'asset reference count');
+    }
+  }
+
+  /**
+   * Get the stored objects that should exist in a repository
+   * Single-asset files live in `files`; chunks of chunked files live in `file_chunks`
+   * and carry their parent file.
+   * @param {string} repoId - Repository ID
+   * @returns {Promise<Object>} Stored objects ({ files, chunks })
+   */
+  async getRepositoryContents(repoId) {
+    try {
+      const { data: files, error: filesError } = await this.adminClient
+        .from('files')
+        .select('*')
+        .eq('repo_id', repoId)
+        .eq('is_chunked', false);
+
+      if (filesError) this.handleError(filesError, 'repository contents retrieval');
+
+      const { data: chunks, error: chunksError } = await this.adminClient
+        .from('file_chunks')
+        .select(`
+          *,
+          files!inner(*)
+        `)
+        .eq('repo_id', repoId);
+
+      if (chunksError) this.handleError(chunksError, 'repository contents retrieval');
+
+      return {
+        files: files || [],
+        chunks: chunks || []
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'repository contents retrieval');
+    }
+  }
+
+  /**
+   * Record the outcome of an integrity check for a file
+   * @param {string} fileId - File ID
+   * @param {Object} health - Health data ({ status, issue, checkedAt, verifiedAt })
+   * @returns {Promise<void>}
+   */
+  async updateFileHealth(fileId, health) {
+    try {
+      const changes = {
+        health_status: health.status,
+        health_issue: health.issue || null,
+        health_checked_at: health.checkedAt
+      };
+
+      if (health.verifiedAt) {
+        changes.content_verified_at = health.verifiedAt;
+      }
+
+      const { error } = await this.adminClient
+        .from('files')
+        .update(changes)
+        .eq('id', fileId);
+
+      if (error) this.handleError(error, 'file health update');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file health update');
+    }
+  }
+
+  /**
+   * Get the integrity state of a user's files
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} File health records
+   */
+  async getUserFileHealth(userId) {
+    try {
+      const { data, error } = await this.client
+        .from('files')
+        .select('id, original_name, size_bytes, health_status, health_issue, health_checked_at, content_verified_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) this.handleError(error, 'file health retrieval');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'file health retrieval');
+    }
+  }
+
+  /**
+   * Get the GitHub account a user has linked
+   * Tokens are only ever read with the service role.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Linked account record, or null if none
+   */
+  async getUserGithubAccount(userId) {
+    try {
+      const { data, error } = await this.adminClient
+        .from('user_github_accounts')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) this.handleError(error, 'GitHub account retrieval');
+      return data || null;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'GitHub account retrieval');
+    }
+  }
+
+  /**
+   * Link a GitHub account to a user, replacing any previous link
+   * @param {string} userId - User ID
+   * @param {Object} account - Account data (login, githubUserId, encryptedToken, scope)
+   * @returns {Promise<Object>} Linked account record
+   */
+  async saveUserGithubAccount(userId, account) {
+    try {
+      const { data, error } = await this.adminClient
+        .from('user_github_accounts')
+        .upsert({
+          user_id: userId,
+          github_login: account.login,
+          github_user_id: String(account.githubUserId),
+          encrypted_token: account.encryptedToken,
+          token_scope: account.scope || null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+      if (error) this.handleError(error, 'GitHub account link');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'GitHub account link');
+    }
+  }
+
+  /**
+   * Unlink a user's GitHub account
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUserGithubAccount(userId) {
+    try {
+      const { error } = await this.adminClient
+        .from('user_github_accounts')
+        .delete()
+        .eq('user_id', userId);
+
+      if (error) this.handleError(error, 'GitHub account unlink');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'GitHub account unlink');
+    }
+  }
+
+  /**
+   * Mark repositories as active or inactive
+   * Inactive repositories keep their files but receive no new uploads.
+   * @param {Array<string>} repoIds - Repository IDs
+   * @param {boolean} isActive - New state
+   * @returns {Promise<void>}
+   */
+  async setRepositoriesActive(repoIds, isActive) {
+    if (repoIds.length === 0) {
+      return;
+    }
+
+    try {
+      const { error } = await this.adminClient
+        .from('repos')
+        .update({ is_active: isActive })
+        .in('id', repoIds);
+
+      if (error) this.handleError(error, 'repository update');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'repository update');
+    }
+  }
+
+  /**
+   * Count the stored objects (files and chunks) in a set of repositories
+   * @param {Array<string>} repoIds - Repository IDs
+   * @returns {Promise<number>} Number of files and chunks
+   */
+  async countRepositoryObjects(repoIds) {
+    if (repoIds.length === 0) {
+      return 0;
+    }
+
+    try {
+      const { count: fileCount, error: filesError } = await this.adminClient
+        .from('files')
+        .select('id', { count: 'exact', head: true })
+        .in('repo_id', repoIds);
+
+      if (filesError) this.handleError(filesError, 'repository object count');
+
+      const { count: chunkCount, error: chunksError } = await this.adminClient
+        .from('file_chunks')
+        .select('id', { count: 'exact', head: true })
+        .in('repo_id', repoIds);
+
+      if (chunksError) this.handleError(chunksError, 'repository object count');
+
+      return (fileCount || 0) + (chunkCount || 0);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'repository object count');
+    }
+  }
+
+  /**
+   * Start a saga log
+   * @param {Object} sagaData - Saga data (userId, type, fileId, steps)
+   * @returns {Promise<Object>} Saga record
+   */
+  async createSaga(sagaData) {
+    try {
+      const { data, error } = await this.adminClient
+        .from('file_sagas')
+        .insert({
+          user_id: sagaData.userId,
+          type: sagaData.type,
+          status: 'running',
+          file_id: sagaData.fileId || null,
+          steps: sagaData.steps || []
+        })
+        .select()
+        .single();
+
+      if (error) this.handleError(error, 'saga creation');
+      return data;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'saga creation');
+    }
+  }
+
+  /**
+   * Update a saga log
+   * @param {string} sagaId - Saga ID
+   * @param {Object} changes - Columns to update (status, steps, error, attempts, next_attempt_at)
+   * @returns {Promise<void>}
+   */
+  async updateSaga(sagaId, changes) {
+    try {
+      const { error } = await this.adminClient
+        .from('file_sagas')
+        .update(changes)
+        .eq('id', sagaId);
+
+      if (error) this.handleError(error, 'saga update');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'saga update');
+    }
+  }
+
+  /**
+   * Get sagas that have not finished, oldest first
+   * @returns {Promise<Array>} Running and compensating saga records
+   */
+  async getPendingSagas() {
+    try {
+      const { data, error } = await this.adminClient
+        .from('file_sagas')
+        .select('*')
+        .in('status', ['running', 'compensating'])
+        .order('created_at', { ascending: true });
+
+      if (error) this.handleError(error, 'saga listing');
+      return data || [];
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'saga listing');
+    }
+  }
+
+  /**
+   * Remove the logs of sagas that finished cleanly
+   * Failed sagas are kept for investigation.
+   * @param {string} before - ISO timestamp; older logs are removed
+   * @returns {Promise<void>}
+   */
+  async deleteFinishedSagas(before) {
+    try {
+      const { error } = await this.adminClient
+        .from('file_sagas')
+        .delete()
+        .in('status', ['completed', 'compensated'])
+        .lt('updated_at', before);
+
+      if (error) this.handleError(error, 'saga cleanup');
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      this.handleError(error, 'saga cleanup');
+    }
+  }
+
+  /**
+   * Get user storage statistics
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Storage statistics
+   */
+  async getUserStorageStats(userId) {
+    try {
+      // Get total files and size
+      const { data: filesData, error: filesError } = await this.client
+        .from('files')
+        .select('id, size_mb, size_bytes, version_of, trashed_at')
+        .eq('user_id', userId);
+
+      if (filesError) this.handleError(filesError, 'storage stats retrieval');
+
+      // Get repository count
+      const { count: repoCount, error: repoError } = await this.client
+        .from('repos')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+      if (repoError) this.handleError(repoError, 'repository count retrieval');
+
+      const sumSizeBytes = (files) => files.reduce((sum, file) =>
+        sum + (file.size_bytes ? Number(file.size_bytes) : Math.round((file.size_mb || 0) * 1024 * 1024)), 0);
+
+      // A file counts once; its earlier versions take up storage of their own
+      const versions = (filesData || []).filter(file => file.version_of);
+      const versionSizeBytes = sumSizeBytes(versions);
+      const totalFiles = (filesData || []).length - versions.length;
+      const totalSizeMb = filesData?.reduce((sum, file) => sum + (file.size_mb || 0), 0) || 0;
+
+      // Files in the trash, with their versions, still take up storage until purged
+      const trashedIds = new Set((filesData || []).filter(file => file.trashed_at).map(file => file.id));
+      const trashedFiles = (filesData || []).filter(file => trashedIds.has(file.id) || trashedIds.has(file.version_of));
+      const trashedSizeBytes = sumSizeBytes(trashedFiles);
       const totalRepositories = repoCount || 0;
       
       // Calculate available storage (assuming 50GB total across multiple repos)
@@ -372,6 +1686,12 @@ class SupabaseService {
         totalFiles,
         totalSizeMb,
         totalSizeBytes: totalSizeMb * 1024 * 1024,
+        trashedFiles: trashedIds.size,
+        trashedSizeBytes,
+        trashedSizeMb: trashedSizeBytes / (1024 * 1024),
+        versionFiles: versions.length,
+        versionSizeBytes,
+        versionSizeMb: versionSizeBytes / (1024 * 1024),
         totalRepositories,
         usedStorageGb,
         availableStorageGb,
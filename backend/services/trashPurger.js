@@ -0,0 +1,93 @@
+const storageService = require('./storage');
+const supabaseService = require('./supabase');
+const fileManagerService = require('./fileManager');
+const { TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL_HOURS } = require('../utils/constants');
+
+// Files purged per run; anything left over is picked up by the next run
+const PURGE_BATCH_SIZE = 1000;
+
+/**
+ * Trash Purger Service
+ * Deleted files stay in the trash for TRASH_RETENTION_DAYS. A scheduled run then deletes
+ * them for good, with their versions, releasing their stored content through delete sagas.
+ */
+class TrashPurgerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Schedule periodic purges of expired trash
+   */
+  start() {
+    if (this.timer || !(TRASH_PURGE_INTERVAL_HOURS > 0)) {
+      return;
+    }
+
+    const intervalMs = TRASH_PURGE_INTERVAL_HOURS * 60 * 60 * 1000;
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch(error => console.error('Scheduled trash purge failed:', error));
+    }, intervalMs);
+    this.timer.unref();
+
+    console.log(`🗑️ Trash purge scheduled every ${TRASH_PURGE_INTERVAL_HOURS} hour(s) (retention: ${TRASH_RETENTION_DAYS} day(s))`);
+  }
+
+  /**
+   * Stop scheduled purges
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Permanently delete every file that has been in the trash longer than the retention period
+   * @returns {Promise<Object|null>} Run summary, or null if a purge is already running
+   */
+  async purgeExpired() {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    const summary = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      purged: 0,
+      failed: []
+    };
+
+    try {
+      const before = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const expired = await supabaseService.getExpiredTrash(before, PURGE_BATCH_SIZE);
+
+      await storageService.runInBackground(async () => {
+        for (const file of expired) {
+          try {
+            await fileManagerService.deleteFile(file.id, file.user_id);
+            summary.purged += 1;
+          } catch (error) {
+            console.error(`Failed to purge file ${file.id} from the trash:`, error);
+            summary.failed.push({ fileId: file.id, error: error.message });
+          }
+        }
+      });
+
+      summary.finishedAt = new Date().toISOString();
+      this.lastRun = summary;
+
+      if (expired.length > 0) {
+        console.log(`🗑️ Trash purge finished: ${summary.purged} file(s) deleted, ${summary.failed.length} failed`);
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new TrashPurgerService();
@@ -0,0 +1,469 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const fileManagerService = require('./fileManager');
+const folderService = require('./folders');
+const uploadTracker = require('./uploadTracker');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  ERROR_CODES,
+  UPLOAD_TEMP_DIR,
+  TUS_UPLOAD_EXPIRY_HOURS,
+  TUS_SWEEP_INTERVAL_HOURS,
+  TUS_MAX_PENDING_UPLOADS
+} = require('../utils/constants');
+const Helpers = require('../utils/helpers');
+
+/**
+ * Resumable Upload Service (tus protocol 1.0.0)
+ * Keeps partial uploads on disk next to the multipart spool. Each upload has a data
+ * file and a JSON info file; the data file's length is the authoritative offset, so
+ * bytes written before a dropped connection are kept. Completed uploads are handed to
+ * the file manager exactly like multipart uploads. Uploads expire TUS_UPLOAD_EXPIRY_HOURS
+ * after they were last written to, and a scheduled sweep removes them from disk.
+ */
+class TusUploadService {
+  constructor() {
+    this.uploadDir = path.join(UPLOAD_TEMP_DIR, 'tus');
+    fs.mkdirSync(this.uploadDir, { recursive: true });
+
+    // Uploads currently receiving a PATCH, to reject concurrent writers
+    this.activeUploads = new Set();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Schedule periodic sweeps of expired uploads
+   */
+  start() {
+    if (this.sweepTimer || !(TUS_SWEEP_INTERVAL_HOURS > 0)) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => {
+      this.sweepExpiredUploads().catch(error => console.error('Resumable upload sweep failed:', error));
+    }, TUS_SWEEP_INTERVAL_HOURS * 60 * 60 * 1000);
+    this.sweepTimer.unref();
+
+    console.log(`📤 Expired resumable uploads are swept every ${TUS_SWEEP_INTERVAL_HOURS} hour(s)`);
+  }
+
+  /**
+   * Stop scheduled sweeps
+   */
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Get the time an upload written to at a given time expires
+   * @param {number} from - Time of the last write in milliseconds (now by default)
+   * @returns {string} ISO timestamp
+   */
+  getExpiry(from = Date.now()) {
+    return new Date(from + TUS_UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Get whether an upload has expired
+   * Uploads receiving data never expire while the PATCH lasts. Uploads created before
+   * expiry times were recorded expire relative to their creation.
+   * @param {Object} info - Upload info
+   * @returns {boolean} True if the upload may be removed
+   */
+  isExpired(info) {
+    const expiresAt = info.expiresAt || this.getExpiry(new Date(info.createdAt).getTime());
+    return !this.activeUploads.has(info.id) && new Date(expiresAt) <= new Date();
+  }
+
+  /**
+   * Read the info files of all uploads on disk
+   * @returns {Promise<Array>} Upload infos; unreadable info files are skipped
+   */
+  async listUploads() {
+    const names = await fs.promises.readdir(this.uploadDir);
+    const uploads = [];
+
+    for (const name of names.filter(entry => entry.endsWith('.json'))) {
+      try {
+        uploads.push(JSON.parse(await fs.promises.readFile(path.join(this.uploadDir, name), 'utf8')));
+      } catch (error) {
+        // Removed by a sweep or terminated meanwhile, or half written
+      }
+    }
+
+    return uploads;
+  }
+
+  /**
+   * Get the data and info paths of an upload
+   * @param {string} uploadId - Upload ID
+   * @returns {Object} Paths ({ dataPath, infoPath })
+   */
+  getPaths(uploadId) {
+    if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+      throw new AppError(
+        'Upload not found',
+        ERROR_CODES.FILE_NOT_FOUND,
+        404,
+        'The requested upload does not exist'
+      );
+    }
+
+    return {
+      dataPath: path.join(this.uploadDir, uploadId),
+      infoPath: path.join(this.uploadDir, `${uploadId}.json`)
+    };
+  }
+
+  /**
+   * Parse a tus Upload-Metadata header
+   * @param {string} header - Comma-separated "key base64value" pairs
+   * @returns {Object} Decoded metadata
+   */
+  parseMetadata(header = '') {
+    const metadata = {};
+
+    for (const pair of header.split(',')) {
+      const [key, value] = pair.trim().split(' ');
+      if (key) {
+        metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Create a new resumable upload
+   * @param {string} userId - User ID
+   * @param {number} length - Total upload length in bytes
+   * @param {string} metadataHeader - Raw Upload-Metadata header
+   * @returns {Promise<Object>} Upload info
+   */
+  async createUpload(userId, length, metadataHeader) {
+    const metadata = this.parseMetadata(metadataHeader);
+    const originalName = Helpers.sanitizeFilename(metadata.filename || metadata.name || '');
+    const mimeType = metadata.filetype || metadata.type || 'application/octet-stream';
+
+    // The file is listed in the folder given by the folderId or path metadata, the root by default
+    const folder = await folderService.resolveFolder(userId, { folderId: metadata.folderId, path: metadata.path });
+
+    // Reject files the upload pipeline would refuse before any bytes are sent
+    fileManagerService.validateFile({
+      originalname: originalName,
+      mimetype: mimeType,
+      size: length
+    });
+
+    const pending = (await this.listUploads())
+      .filter(upload => upload.userId === userId && upload.state === 'uploading' && !this.isExpired(upload));
+
+    if (pending.length >= TUS_MAX_PENDING_UPLOADS) {
+      throw new AppError(
+        'Too many unfinished uploads',
+        ERROR_CODES.TOO_MANY_UPLOADS,
+        429,
+        `At most ${TUS_MAX_PENDING_UPLOADS} resumable uploads can be unfinished at a time; finish or terminate one first`
+      );
+    }
+
+    const uploadId = Helpers.generateRandomString(32);
+    const { dataPath, infoPath } = this.getPaths(uploadId);
+
+    const info = {
+      id: uploadId,
+      userId,
+      length,
+      originalName,
+      mimeType,
+      folderId: folder ? folder.id : null,
+      metadata: metadataHeader || '',
+      state: 'uploading',
+      fileId: null,
+      createdAt: new Date().toISOString(),
+      expiresAt: this.getExpiry()
+    };
+
+    await fs.promises.writeFile(dataPath, Buffer.alloc(0));
+    await fs.promises.writeFile(infoPath, JSON.stringify(info, null, 2));
+
+    console.log(`📤 Created resumable upload ${uploadId}: ${originalName} (${Helpers.formatBytes(length)})`);
+    return { ...info, offset: 0 };
+  }
+
+  /**
+   * Get an upload with its current offset
+   * @param {string} uploadId - Upload ID
+   * @param {string} userId - User ID (for security)
+   * @returns {Promise<Object>} Upload info with offset
+   */
+  async getUpload(uploadId, userId) {
+    const { dataPath, infoPath } = this.getPaths(uploadId);
+
+    let info;
+    try {
+      info = JSON.parse(await fs.promises.readFile(infoPath, 'utf8'));
+    } catch (error) {
+      info = null;
+    }
+
+    if (!info || info.userId !== userId) {
+      throw new AppError(
+        'Upload not found',
+        ERROR_CODES.FILE_NOT_FOUND,
+        404,
+        'The requested upload does not exist or you do not have access to it'
+      );
+    }
+
+    if (this.isExpired(info)) {
+      throw new AppError(
+        'Upload expired',
+        ERROR_CODES.UPLOAD_EXPIRED,
+        410,
+        'This upload expired; start a new one'
+      );
+    }
+
+    if (info.state === 'completed') {
+      return { ...info, offset: info.length };
+    }
+
+    const { size } = await fs.promises.stat(dataPath);
+    return { ...info, offset: size };
+  }
+
+  /**
+   * Append a request body to an upload
+   * When the final byte arrives, the upload is passed to the file manager.
+   * @param {string} uploadId - Upload ID
+   * @param {string} userId - User ID
+   * @param {number} offset - Client's Upload-Offset
+   * @param {Readable} body - Request body stream
+   * @returns {Promise<Object>} Upload info with the new offset
+   */
+  async appendChunk(uploadId, userId, offset, body) {
+    const upload = await this.getUpload(uploadId, userId);
+
+    if (this.activeUploads.has(uploadId)) {
+      throw new AppError(
+        'Upload in progress',
+        ERROR_CODES.VALIDATION_ERROR,
+        409,
+        'Another request is already writing to this upload'
+      );
+    }
+
+    if (offset !== upload.offset) {
+      throw new AppError(
+        'Offset mismatch',
+        ERROR_CODES.VALIDATION_ERROR,
+        409,
+        `Upload-Offset ${offset} does not match current offset ${upload.offset}`
+      );
+    }
+
+    this.activeUploads.add(uploadId);
+
+    try {
+      if (upload.state === 'uploading' && upload.offset < upload.length) {
+        // Every PATCH pushes the expiry back, including ones that fail part way
+        const writing = { ...upload, expiresAt: this.getExpiry() };
+        await this.saveInfo(writing);
+        await this.writeBody(writing, body);
+      }
+
+      const updated = await this.getUpload(uploadId, userId);
+
+      if (updated.offset === updated.length && updated.state !== 'completed') {
+        return await this.completeUpload(updated);
+      }
+
+      if (updated.state === 'completed') {
+        return updated;
+      }
+
+      // Counted from the end of the PATCH, which may have taken long
+      const refreshed = { ...updated, expiresAt: this.getExpiry() };
+      await this.saveInfo(refreshed);
+      return refreshed;
+    } finally {
+      this.activeUploads.delete(uploadId);
+    }
+  }
+
+  /**
+   * Write a request body to the end of an upload's data file
+   * Bytes received before a failure stay on disk so the client can resume from them.
+   * @param {Object} upload - Upload info with offset
+   * @param {Readable} body - Request body stream
+   * @returns {Promise<void>}
+   */
+  async writeBody(upload, body) {
+    const { dataPath } = this.getPaths(upload.id);
+
+    let trackerId = upload.trackerId;
+    if (!trackerId || !uploadTracker.get(trackerId)) {
+      trackerId = uploadTracker.start({
+        userId: upload.userId,
+        filename: upload.originalName,
+        totalBytes: upload.length
+      });
+      uploadTracker.update(trackerId, { bytesReceived: upload.offset });
+      await this.saveInfo({ ...upload, trackerId });
+    }
+
+    let remaining = upload.length - upload.offset;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        if (chunk.length > remaining) {
+          return callback(new AppError(
+            'Upload exceeds declared length',
+            ERROR_CODES.VALIDATION_ERROR,
+            400,
+            `Upload-Length is ${upload.length} bytes`
+          ));
+        }
+
+        remaining -= chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(
+      body,
+      limiter,
+      uploadTracker.createCounter(trackerId, 'bytesReceived'),
+      fs.createWriteStream(dataPath, { flags: 'a' })
+    );
+  }
+
+  /**
+   * Hand a fully received upload to the file manager
+   * If storing fails the data is kept, and an empty PATCH at the final offset retries.
+   * @param {Object} upload - Upload info with offset
+   * @returns {Promise<Object>} Upload info including the created file
+   */
+  async completeUpload(upload) {
+    const { dataPath } = this.getPaths(upload.id);
+
+    console.log(`📤 Resumable upload ${upload.id} received, storing file`);
+
+    const result = await fileManagerService.uploadFile({
+      path: dataPath,
+      originalname: upload.originalName,
+      mimetype: upload.mimeType,
+      size: upload.length,
+      folderId: upload.folderId,
+      uploadId: upload.trackerId
+    }, upload.userId);
+
+    const completed = {
+      ...upload,
+      state: 'completed',
+      fileId: result.file.id,
+      file: result.file,
+      expiresAt: this.getExpiry()
+    };
+
+    // Only the info file is kept, so HEAD still answers until the upload is terminated or expires
+    await this.saveInfo(completed);
+    await fs.promises.rm(dataPath, { force: true });
+
+    return completed;
+  }
+
+  /**
+   * Persist an upload's info file
+   * @param {Object} upload - Upload info
+   * @returns {Promise<void>}
+   */
+  async saveInfo(upload) {
+    const { infoPath } = this.getPaths(upload.id);
+    const { offset, ...info } = upload;
+
+    await fs.promises.writeFile(infoPath, JSON.stringify(info, null, 2));
+  }
+
+  /**
+   * Terminate an upload and discard its data
+   * @param {string} uploadId - Upload ID
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async terminateUpload(uploadId, userId) {
+    const upload = await this.getUpload(uploadId, userId);
+    const { dataPath, infoPath } = this.getPaths(uploadId);
+
+    if (this.activeUploads.has(uploadId)) {
+      throw new AppError(
+        'Upload in progress',
+        ERROR_CODES.VALIDATION_ERROR,
+        409,
+        'The upload cannot be terminated while data is being written'
+      );
+    }
+
+    await fs.promises.rm(dataPath, { force: true });
+    await fs.promises.rm(infoPath, { force: true });
+
+    if (upload.trackerId) {
+      uploadTracker.finish(upload.trackerId, 'failed', 'Upload terminated');
+    }
+
+    console.log(`🗑️ Terminated resumable upload ${uploadId}`);
+  }
+
+  /**
+   * Remove expired uploads from disk
+   * Data files left without a readable info file (by a crash during creation) and unreadable
+   * info files are removed once they have not been written to for the expiry period.
+   * @returns {Promise<number>} Number of uploads removed
+   */
+  async sweepExpiredUploads() {
+    const uploads = await this.listUploads();
+    const known = new Set(uploads.map(upload => upload.id));
+    let removed = 0;
+
+    for (const upload of uploads.filter(info => this.isExpired(info))) {
+      const { dataPath, infoPath } = this.getPaths(upload.id);
+
+      await fs.promises.rm(dataPath, { force: true });
+      await fs.promises.rm(infoPath, { force: true });
+
+      if (upload.state !== 'completed' && upload.trackerId) {
+        uploadTracker.finish(upload.trackerId, 'failed', 'Upload expired');
+      }
+
+      removed += 1;
+    }
+
+    const staleBefore = Date.now() - TUS_UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000;
+    for (const name of await fs.promises.readdir(this.uploadDir)) {
+      const uploadId = name.replace(/\.json$/, '');
+
+      if (!/^[a-f0-9]{32}$/.test(uploadId) || known.has(uploadId) || this.activeUploads.has(uploadId)) {
+        continue;
+      }
+
+      const strayPath = path.join(this.uploadDir, name);
+      const stats = await fs.promises.stat(strayPath).catch(() => null);
+
+      if (stats && stats.mtimeMs < staleBefore) {
+        await fs.promises.rm(strayPath, { force: true });
+        removed += 1;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🗑️ Removed ${removed} expired resumable upload(s)`);
+    }
+
+    return removed;
+  }
+}
+
+module.exports = new TusUploadService();
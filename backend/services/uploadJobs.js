@@ -0,0 +1,372 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fileManagerService = require('./fileManager');
+const uploadTracker = require('./uploadTracker');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES, UPLOAD_TEMP_DIR, UPLOAD_JOB_CONCURRENCY } = require('../utils/constants');
+const Helpers = require('../utils/helpers');
+
+// Finished jobs stay readable for a day so clients can fetch their outcome
+const FINISHED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Upload Job Service
+ * Runs uploads in the background so the HTTP request only has to deliver the file.
+ * An accepted upload's spooled data is moved next to a JSON info file and queued;
+ * a small pool of workers hands each job to the file manager exactly like a
+ * synchronous upload. Info files make jobs survive a restart: jobs that were queued
+ * or processing are queued again when the service starts.
+ */
+class UploadJobService {
+  constructor() {
+    this.jobDir = path.join(UPLOAD_TEMP_DIR, 'jobs');
+    fs.mkdirSync(this.jobDir, { recursive: true });
+
+    // jobId -> job info
+    this.jobs = new Map();
+    // Job IDs waiting for a worker, oldest first
+    this.queue = [];
+    // jobId -> AbortController of jobs being processed
+    this.running = new Map();
+  }
+
+  /**
+   * Get the data and info paths of a job
+   * @param {string} jobId - Job ID
+   * @returns {Object} Paths ({ dataPath, infoPath })
+   */
+  getPaths(jobId) {
+    return {
+      dataPath: path.join(this.jobDir, jobId),
+      infoPath: path.join(this.jobDir, `${jobId}.json`)
+    };
+  }
+
+  /**
+   * Load jobs left by a previous run and start processing the unfinished ones
+   * The server accepts uploads before this runs; jobs this process already knows about
+   * are its own and are left alone.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const entries = await fs.promises.readdir(this.jobDir);
+
+    for (const entry of entries.filter(name => name.endsWith('.json'))) {
+      if (this.jobs.has(path.basename(entry, '.json'))) {
+        continue;
+      }
+
+      let job;
+      try {
+        job = JSON.parse(await fs.promises.readFile(path.join(this.jobDir, entry), 'utf8'));
+      } catch (error) {
+        console.warn(`Skipping unreadable upload job ${entry}:`, error.message);
+        continue;
+      }
+
+      this.jobs.set(job.id, job);
+
+      if (job.finishedAt) {
+        this.scheduleRemoval(job);
+        continue;
+      }
+
+      // Interrupted jobs start over; whatever they already stored is rolled back by their upload saga
+      job.state = 'queued';
+      job.startedAt = null;
+      job.trackerId = null;
+      this.queue.push(job.id);
+    }
+
+    if (this.queue.length > 0) {
+      console.log(`📦 Resuming ${this.queue.length} upload job(s)`);
+    }
+
+    this.pump();
+  }
+
+  /**
+   * Accept a spooled upload for background processing
+   * The job takes over the spooled file, so the upload middleware no longer removes it.
+   * @param {Object} file - File object from multer
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Job status
+   */
+  async enqueue(file, userId) {
+    // Reject uploads the worker would refuse before accepting them
+    fileManagerService.validateFile(file);
+
+    const jobId = crypto.randomBytes(16).toString('hex');
+    const { dataPath } = this.getPaths(jobId);
+    const now = new Date().toISOString();
+
+    await fs.promises.rename(file.path, dataPath);
+    file.path = null;
+
+    const job = {
+      id: jobId,
+      userId,
+      state: 'queued',
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      folderId: file.folderId || null,
+      versionOf: file.versionOf || null,
+      sha256: file.sha256 || null,
+      trackerId: file.uploadId || null,
+      fileId: null,
+      file: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(jobId, job);
+    await this.saveJob(job);
+
+    if (job.trackerId) {
+      uploadTracker.update(job.trackerId, { status: 'queued' });
+    }
+
+    this.queue.push(jobId);
+    this.pump();
+
+    console.log(`📦 Queued upload job ${jobId}: ${job.originalName} (${Helpers.formatBytes(job.size)})`);
+    return this.formatJob(job);
+  }
+
+  /**
+   * Start queued jobs while workers are free
+   */
+  pump() {
+    while (this.running.size < UPLOAD_JOB_CONCURRENCY && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+
+      if (job && job.state === 'queued') {
+        this.process(job).catch(error => console.error(`Upload job ${job.id} failed unexpectedly:`, error));
+      }
+    }
+  }
+
+  /**
+   * Store a job's file and record the outcome
+   * @param {Object} job - Job info
+   * @returns {Promise<void>}
+   */
+  async process(job) {
+    const controller = new AbortController();
+    const { dataPath } = this.getPaths(job.id);
+
+    this.running.set(job.id, controller);
+
+    try {
+      if (!job.trackerId || !uploadTracker.get(job.trackerId)) {
+        job.trackerId = uploadTracker.start({
+          userId: job.userId,
+          filename: job.originalName,
+          totalBytes: job.size
+        });
+      }
+
+      await this.updateJob(job, { state: 'processing', startedAt: new Date().toISOString() });
+
+      const result = await fileManagerService.uploadFile({
+        path: dataPath,
+        originalname: job.originalName,
+        mimetype: job.mimeType,
+        size: job.size,
+        folderId: job.folderId,
+        versionOf: job.versionOf,
+        sha256: job.sha256,
+        uploadId: job.trackerId,
+        signal: controller.signal
+      }, job.userId);
+
+      await this.finishJob(job, 'completed', { fileId: result.file.id, file: result.file });
+    } catch (error) {
+      if (job.cancelRequested) {
+        await this.finishJob(job, 'cancelled');
+      } else {
+        await this.finishJob(job, 'failed', {
+          error: {
+            message: error.message,
+            code: error.code || ERROR_CODES.FILE_UPLOAD_FAILED,
+            details: error.details || null
+          }
+        });
+      }
+    } finally {
+      this.running.delete(job.id);
+      await fs.promises.rm(dataPath, { force: true });
+      this.pump();
+    }
+  }
+
+  /**
+   * Update a job's fields and persist them
+   * @param {Object} job - Job info
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    await this.saveJob(job);
+  }
+
+  /**
+   * Move a job to a final state and schedule its removal
+   * @param {Object} job - Job info
+   * @param {string} state - 'completed', 'failed' or 'cancelled'
+   * @param {Object} changes - Additional fields to record
+   * @returns {Promise<void>}
+   */
+  async finishJob(job, state, changes = {}) {
+    await this.updateJob(job, { ...changes, state, finishedAt: new Date().toISOString() });
+    this.scheduleRemoval(job);
+
+    console.log(`📦 Upload job ${job.id} ${state}: ${job.originalName}`);
+  }
+
+  /**
+   * Forget a finished job once clients have had time to read its outcome
+   * @param {Object} job - Finished job info
+   */
+  scheduleRemoval(job) {
+    const delayMs = Math.max(Date.parse(job.finishedAt) + FINISHED_JOB_TTL_MS - Date.now(), 0);
+
+    setTimeout(() => {
+      this.jobs.delete(job.id);
+      fs.promises.rm(this.getPaths(job.id).infoPath, { force: true }).catch(() => {});
+    }, delayMs).unref();
+  }
+
+  /**
+   * Persist a job's info file
+   * @param {Object} job - Job info
+   * @returns {Promise<void>}
+   */
+  async saveJob(job) {
+    await fs.promises.writeFile(this.getPaths(job.id).infoPath, JSON.stringify(job, null, 2));
+  }
+
+  /**
+   * Get a job owned by a user
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID
+   * @returns {Object} Job info
+   * @throws {AppError} If the job does not exist or belongs to someone else
+   */
+  getOwnedJob(jobId, userId) {
+    const job = this.jobs.get(jobId);
+
+    if (!job || job.userId !== userId) {
+      throw new AppError(
+        'Upload job not found',
+        ERROR_CODES.FILE_NOT_FOUND,
+        404,
+        'The requested upload job does not exist or you do not have access to it'
+      );
+    }
+
+    return job;
+  }
+
+  /**
+   * Get a job's status
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID
+   * @returns {Object} Job status
+   */
+  getJob(jobId, userId) {
+    return this.formatJob(this.getOwnedJob(jobId, userId));
+  }
+
+  /**
+   * List a user's jobs, newest first
+   * @param {string} userId - User ID
+   * @param {boolean} activeOnly - Only return queued and processing jobs
+   * @returns {Array} Job statuses
+   */
+  listJobs(userId, activeOnly = false) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.userId === userId && (!activeOnly || !job.finishedAt))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.formatJob(job));
+  }
+
+  /**
+   * Cancel a job
+   * Queued jobs are dropped at once. Processing jobs stop storing content; a job that is
+   * already recording its file finishes anyway and is reported as completed.
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Job status
+   */
+  async cancelJob(jobId, userId) {
+    const job = this.getOwnedJob(jobId, userId);
+
+    if (job.finishedAt) {
+      throw new AppError(
+        'Upload job already finished',
+        ERROR_CODES.VALIDATION_ERROR,
+        409,
+        `The upload job is already ${job.state}`
+      );
+    }
+
+    if (job.state === 'queued') {
+      this.queue = this.queue.filter(id => id !== jobId);
+      await fs.promises.rm(this.getPaths(jobId).dataPath, { force: true });
+
+      if (job.trackerId) {
+        uploadTracker.finish(job.trackerId, 'failed', 'Upload cancelled');
+      }
+
+      await this.finishJob(job, 'cancelled', { cancelRequested: true });
+    } else {
+      await this.updateJob(job, { cancelRequested: true });
+      this.running.get(jobId)?.abort();
+    }
+
+    return this.formatJob(job);
+  }
+
+  /**
+   * Format a job for API responses
+   * @param {Object} job - Job info
+   * @returns {Object} Job status with progress
+   */
+  formatJob(job) {
+    const tracker = job.trackerId ? uploadTracker.get(job.trackerId) : null;
+    const bytesStored = job.state === 'completed' ? job.size : Math.min(tracker?.bytesStored || 0, job.size);
+
+    return {
+      id: job.id,
+      state: job.state,
+      originalName: job.originalName,
+      mimeType: job.mimeType,
+      size: job.size,
+      sizeFormatted: Helpers.formatBytes(job.size),
+      progress: {
+        bytesStored,
+        totalBytes: job.size,
+        percent: job.size > 0 ? Math.floor((bytesStored / job.size) * 100) : (job.state === 'completed' ? 100 : 0)
+      },
+      queuePosition: job.state === 'queued' ? this.queue.indexOf(job.id) + 1 : null,
+      cancelRequested: job.cancelRequested,
+      fileId: job.fileId,
+      file: job.file,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = new UploadJobService();
@@ -0,0 +1,101 @@
+const { Transform } = require('stream');
+const Helpers = require('../utils/helpers');
+
+// Finished uploads stay readable for a while so clients can fetch their final state
+const FINISHED_UPLOAD_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Upload Tracker Service
+ * Keeps per-upload byte counters for data received from clients and data
+ * written to the storage provider. Other services read these to report progress.
+ */
+class UploadTrackerService {
+  constructor() {
+    this.uploads = new Map();
+  }
+
+  /**
+   * Start tracking an upload
+   * @param {Object} details - Upload details
+   * @param {string} details.userId - User ID
+   * @param {string} details.filename - Original filename
+   * @param {number|null} details.totalBytes - Expected size, if known
+   * @returns {string} Upload ID
+   */
+  start({ userId, filename, totalBytes = null }) {
+    const uploadId = Helpers.generateRandomString(24);
+    const now = new Date().toISOString();
+
+    this.uploads.set(uploadId, {
+      id: uploadId,
+      userId,
+      filename,
+      totalBytes,
+      bytesReceived: 0,
+      bytesStored: 0,
+      status: 'receiving',
+      error: null,
+      startedAt: now,
+      updatedAt: now
+    });
+
+    return uploadId;
+  }
+
+  /**
+   * Get a snapshot of an upload's counters
+   * @param {string} uploadId - Upload ID
+   * @returns {Object|null} Upload counters or null if unknown
+   */
+  get(uploadId) {
+    const upload = this.uploads.get(uploadId);
+    return upload ? { ...upload } : null;
+  }
+
+  /**
+   * Update an upload's fields
+   * @param {string} uploadId - Upload ID
+   * @param {Object} changes - Fields to update
+   */
+  update(uploadId, changes) {
+    const upload = this.uploads.get(uploadId);
+    if (!upload) return;
+
+    Object.assign(upload, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Mark an upload as finished and schedule its removal
+   * @param {string} uploadId - Upload ID
+   * @param {string} status - Final status ('completed' or 'failed')
+   * @param {string|null} error - Error message for failed uploads
+   */
+  finish(uploadId, status, error = null) {
+    this.update(uploadId, { status, error });
+
+    setTimeout(() => this.uploads.delete(uploadId), FINISHED_UPLOAD_TTL_MS).unref();
+  }
+
+  /**
+   * Create a pass-through stream that adds the bytes flowing through it to a counter
+   * @param {string} uploadId - Upload ID
+   * @param {string} counter - Counter name ('bytesReceived' or 'bytesStored')
+   * @returns {Transform} Counting stream
+   */
+  createCounter(uploadId, counter) {
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        const upload = this.uploads.get(uploadId);
+
+        if (upload) {
+          upload[counter] += chunk.length;
+          upload.updatedAt = new Date().toISOString();
+        }
+
+        callback(null, chunk);
+      }
+    });
+  }
+}
+
+module.exports = new UploadTrackerService();
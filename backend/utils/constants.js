@@ -1,17 +1,117 @@
+const os = require('os');
+const path = require('path');
+
 // Application constants
 module.exports = {
   // Storage limits
-  MAX_FILE_SIZE_BYTES: (parseInt(process.env.MAX_FILE_SIZE_MB) || 2048) * 1024 * 1024, // 2GB default
+  MAX_FILE_SIZE_BYTES: (parseInt(process.env.MAX_FILE_SIZE_MB) || 20480) * 1024 * 1024, // 20GB default (large files are chunked)
   MAX_REPO_SIZE_BYTES: (parseInt(process.env.MAX_REPO_SIZE_MB) || 800) * 1024 * 1024, // 800MB default
   MAX_FILES_PER_REPO: parseInt(process.env.FILES_PER_REPO) || 1000,
 
+  // Files larger than this are split into numbered chunks, each stored as its own asset.
+  // Chunks must fit in a single release asset and comfortably inside one repository.
+  CHUNK_SIZE_BYTES: (parseInt(process.env.CHUNK_SIZE_MB) || 500) * 1024 * 1024, // 500MB default
+
+  // Uploads are spooled here between the request body and the storage provider
+  UPLOAD_TEMP_DIR: process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'freedrive-uploads'),
+
+  // Resumable (tus) uploads: hours an unfinished upload is kept after its last PATCH, hours
+  // between sweeps removing expired uploads (0 disables them), and unfinished uploads per user
+  TUS_UPLOAD_EXPIRY_HOURS: parseFloat(process.env.TUS_UPLOAD_EXPIRY_HOURS ?? '24'),
+  TUS_SWEEP_INTERVAL_HOURS: parseFloat(process.env.TUS_SWEEP_INTERVAL_HOURS ?? '1'),
+  TUS_MAX_PENDING_UPLOADS: parseInt(process.env.TUS_MAX_PENDING_UPLOADS) || 10,
+
+  // Asynchronous uploads (?async=true) stored to the provider at the same time
+  UPLOAD_JOB_CONCURRENCY: parseInt(process.env.UPLOAD_JOB_CONCURRENCY) || 2,
+
+  // Downloads are either streamed through the API ('proxy') or redirected to the
+  // provider's public asset URL where it has one ('redirect')
+  DOWNLOAD_MODE: process.env.DOWNLOAD_MODE === 'redirect' ? 'redirect' : 'proxy',
+
+  // Lifetime of signed download links handed out by ?url=true
+  DOWNLOAD_URL_TTL_SECONDS: parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS) || 60 * 60, // 1 hour default
+
+  // Share links: bcrypt cost of share passwords, how long access to a
+  // password-protected share lasts once unlocked, and how long one counted download
+  // may be continued with range requests (seeking, resuming) without counting again
+  SHARE_PASSWORD_ROUNDS: parseInt(process.env.SHARE_PASSWORD_ROUNDS) || 10,
+  SHARE_ACCESS_TTL_SECONDS: parseInt(process.env.SHARE_ACCESS_TTL_SECONDS) || 60 * 60, // 1 hour default
+  SHARE_DOWNLOAD_GRANT_SECONDS: parseInt(process.env.SHARE_DOWNLOAD_GRANT_SECONDS) || 4 * 60 * 60, // 4 hours default
+
+  // Trash: days deleted files are kept before they are purged for good, and hours between
+  // scheduled purges (0 disables them)
+  TRASH_RETENTION_DAYS: parseFloat(process.env.TRASH_RETENTION_DAYS ?? '30'),
+  TRASH_PURGE_INTERVAL_HOURS: parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS ?? '24'),
+
+  // Integrity scrubber: hours between scheduled scrubs (0 disables them) and how much
+  // content per run is downloaded to re-check checksums
+  SCRUB_INTERVAL_HOURS: parseFloat(process.env.SCRUB_INTERVAL_HOURS ?? '24'),
+  SCRUB_VERIFY_BYTES_PER_RUN: (parseInt(process.env.SCRUB_VERIFY_MB_PER_RUN) || 1024) * 1024 * 1024, // 1GB default
+
+  // Orphan reconciler: hours between scheduled scans comparing repository, file and chunk
+  // rows with the buckets, releases and assets in storage (0 disables them), and the policy
+  // scheduled scans apply ('report' only logs findings; 'deactivate', 'delete' or 'adopt')
+  ORPHAN_SCAN_INTERVAL_HOURS: parseFloat(process.env.ORPHAN_SCAN_INTERVAL_HOURS ?? '24'),
+  ORPHAN_SCAN_POLICY: process.env.ORPHAN_SCAN_POLICY || 'report',
+
+  // Hours between recomputations of repository usage from stored files (0 disables them)
+  REPO_RECONCILE_INTERVAL_HOURS: parseFloat(process.env.REPO_RECONCILE_INTERVAL_HOURS ?? '6'),
+
+  // Rebalancer: buckets filled below this percentage are emptied into fuller ones, which
+  // is then done with the emptied buckets ('archive' keeps them read-only, 'delete' removes them)
+  REBALANCE_SPARSE_PERCENT: parseFloat(process.env.REBALANCE_SPARSE_PERCENT ?? '50'),
+  REBALANCE_EMPTIED_BUCKETS: process.env.REBALANCE_EMPTIED_BUCKETS || 'archive',
+
+  // Upload, delete and move sagas whose compensation or cleanup fails are retried with
+  // exponential backoff, up to this many attempts before they are marked failed
+  FILE_SAGA_MAX_ATTEMPTS: parseInt(process.env.FILE_SAGA_MAX_ATTEMPTS) || 8,
+
   // Repository naming
   REPO_PREFIX: 'user',
   REPO_SUFFIX: 'bucket',
+
+  // Bucket placement policy for the deployment; users can be given their own (see services/placement.js).
+  // The strategy spreads uploads over a user's buckets ('fill-first', 'round-robin' or 'mime-family'),
+  // and a bucket stops receiving uploads past the fill percentage or asset count (at most MAX_FILES_PER_REPO).
+  // Bucket names come from the template's {user}, {number} and {family} placeholders.
+  PLACEMENT_STRATEGY: process.env.PLACEMENT_STRATEGY || 'fill-first',
+  PLACEMENT_FILL_PERCENT: parseFloat(process.env.PLACEMENT_FILL_PERCENT ?? '90'),
+  PLACEMENT_MAX_ASSETS: parseInt(process.env.PLACEMENT_MAX_ASSETS) || null,
+  BUCKET_NAME_TEMPLATE: process.env.BUCKET_NAME_TEMPLATE || 'user_{user}_bucket_{number}',
+
+  // MIME type prefixes of the families that get dedicated buckets under the 'mime-family'
+  // strategy; anything else is placed in 'other' buckets
+  MIME_FAMILIES: {
+    media: ['image/', 'video/', 'audio/'],
+    documents: ['text/', 'application/pdf', 'application/msword', 'application/vnd.', 'application/json', 'application/xml']
+  },
   
   // GitHub limits
   GITHUB_RELEASE_ASSET_LIMIT: 2 * 1024 * 1024 * 1024, // 2GB per file
   GITHUB_REPO_SIZE_LIMIT: 800 * 1024 * 1024, // 800MB per repo
+  GITHUB_RELEASE_MAX_ASSETS: 1000, // Assets per release
+
+  // GitHub endpoints; override to use GitHub Enterprise or a local stand-in
+  GITHUB_API_URL: process.env.GITHUB_API_URL || 'https://api.github.com',
+  GITHUB_OAUTH_URL: process.env.GITHUB_OAUTH_URL || 'https://github.com',
+
+  // Uploads are packed into a bucket's open release until it holds this many assets,
+  // then a new release is opened
+  RELEASE_MAX_ASSETS: Math.min(parseInt(process.env.RELEASE_MAX_ASSETS) || 500, 1000),
+  RELEASE_TAG_PREFIX: 'pack',
+
+  // Files whose stored content is at most this size are committed as git blobs to the
+  // bucket's default branch (under BLOB_TIER_DIR) instead of being uploaded as release
+  // assets; blobs are read back through the contents API, which serves up to 1MB (0 disables the tier)
+  SMALL_FILE_MAX_BYTES: Math.min(parseInt(process.env.SMALL_FILE_MAX_KB ?? '512') || 0, 1000) * 1024,
+  BLOB_TIER_DIR: 'files',
+
+  // GitHub request scheduler: concurrent requests per account, how long interactive
+  // requests may queue behind a rate limit before failing, and the share of each
+  // account's hourly quota that background work leaves for interactive requests
+  GITHUB_MAX_CONCURRENT_REQUESTS: parseInt(process.env.GITHUB_MAX_CONCURRENT_REQUESTS) || 8,
+  GITHUB_MAX_QUEUE_WAIT_MS: (parseInt(process.env.GITHUB_MAX_QUEUE_WAIT_SECONDS) || 60) * 1000,
+  GITHUB_BACKGROUND_RESERVE_PERCENT: parseInt(process.env.GITHUB_BACKGROUND_RESERVE_PERCENT ?? '20'),
   
   // Retry configuration
   MAX_RETRIES: 3,
@@ -50,6 +150,20 @@ module.exports = {
     FILE_UPLOAD_FAILED: 'FILE_UPLOAD_FAILED',
     FILE_DELETE_FAILED: 'FILE_DELETE_FAILED',
     INVALID_FILE_TYPE: 'INVALID_FILE_TYPE',
+    FILE_INTEGRITY_ERROR: 'FILE_INTEGRITY_ERROR',
+    FOLDER_NOT_FOUND: 'FOLDER_NOT_FOUND',
+    FOLDER_NOT_EMPTY: 'FOLDER_NOT_EMPTY',
+    NAME_CONFLICT: 'NAME_CONFLICT',
+    VERSION_NOT_FOUND: 'VERSION_NOT_FOUND',
+    FILE_IN_TRASH: 'FILE_IN_TRASH',
+    FILE_NOT_IN_TRASH: 'FILE_NOT_IN_TRASH',
+    UPLOAD_EXPIRED: 'UPLOAD_EXPIRED',
+    TOO_MANY_UPLOADS: 'TOO_MANY_UPLOADS',
+    
+    // Share links
+    SHARE_NOT_FOUND: 'SHARE_NOT_FOUND',
+    SHARE_UNAVAILABLE: 'SHARE_UNAVAILABLE',
+    SHARE_PASSWORD_REQUIRED: 'SHARE_PASSWORD_REQUIRED',
     
     // Repository operations
     REPO_CREATE_FAILED: 'REPO_CREATE_FAILED',
@@ -0,0 +1,123 @@
+const { pipeline } = require('stream/promises');
+const fileManagerService = require('../services/fileManager');
+const { AppError } = require('../middleware/errorHandler');
+const { ERROR_CODES } = require('./constants');
+
+// Sending stored file content in HTTP responses (authenticated downloads and share links)
+
+/**
+ * Resolve the byte range to serve for a download request
+ * Malformed, multi-range and stale (If-Range mismatch) requests get the whole file.
+ * @param {Object} req - Express request object
+ * @param {Object} file - File data from fileManagerService.getFile
+ * @returns {Object|null} Inclusive byte range ({ start, end }) or null for the whole file
+ * @throws {AppError} If the range cannot be satisfied
+ */
+const resolveRange = (req, file) => {
+  if (!req.headers.range || file.size === 0) {
+    return null;
+  }
+
+  const ifRange = req.headers['if-range'];
+  if (ifRange) {
+    const isETag = ifRange.startsWith('"') || ifRange.startsWith('W/');
+    const matches = isETag
+      ? ifRange === file.etag
+      : Date.parse(ifRange) === Math.floor(Date.parse(file.uploadedAt) / 1000) * 1000;
+
+    if (!matches) {
+      return null;
+    }
+  }
+
+  const ranges = req.range(file.size, { combine: true });
+
+  if (ranges === -1) {
+    const error = new AppError(
+      'Range not satisfiable',
+      ERROR_CODES.VALIDATION_ERROR,
+      416,
+      `File is ${file.size} bytes`
+    );
+    error.contentRange = `bytes */${file.size}`;
+    throw error;
+  }
+
+  if (ranges === -2 || ranges.type !== 'bytes' || ranges.length !== 1) {
+    return null;
+  }
+
+  return { start: ranges[0].start, end: ranges[0].end };
+};
+
+/**
+ * Stream a file through the API, honoring Range and If-Range
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} file - File data from fileManagerService.getFile
+ * @param {string} ownerId - User ID of the file's owner
+ * @param {Function} onOpen - Called with the range to serve once the content is open, before
+ *   any headers are written (may throw to refuse it; the content is closed again)
+ * @returns {Promise<void>}
+ */
+const sendFileContent = async (req, res, file, ownerId, onOpen = null) => {
+  let range;
+  try {
+    range = resolveRange(req, file);
+  } catch (error) {
+    if (error.contentRange) {
+      res.setHeader('Content-Range', error.contentRange);
+    }
+    throw error;
+  }
+
+  // Open the content before writing headers, so storage errors still get a clean error response
+  const download = req.method === 'HEAD'
+    ? null
+    : await fileManagerService.openDownloadStream(file.id, ownerId, range);
+
+  if (onOpen) {
+    try {
+      await onOpen(range);
+    } catch (error) {
+      download?.stream.destroy();
+      throw error;
+    }
+  }
+
+  res.attachment(file.originalName);
+  res.set({
+    'Content-Type': file.mimeType || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    'ETag': file.etag,
+    'Last-Modified': new Date(file.uploadedAt).toUTCString(),
+    // no-transform keeps compression from re-encoding byte ranges
+    'Cache-Control': 'private, no-transform'
+  });
+
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+    res.set('Content-Length', range.end - range.start + 1);
+  } else {
+    res.set('Content-Length', file.size);
+  }
+
+  if (!download) {
+    return res.end();
+  }
+
+  try {
+    await pipeline(download.stream, res);
+  } catch (streamError) {
+    // Clients abort ranged downloads all the time (e.g. video seeking)
+    if (streamError.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('File stream error:', streamError);
+    }
+  }
+};
+
+module.exports = {
+  resolveRange,
+  sendFileContent
+};
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { Readable } = require('stream');
 
 /**
  * Utility functions for the FreeDrive application
@@ -22,12 +23,18 @@ class Helpers {
    * Generate repository name for a user
    * @param {string} userId - User ID
    * @param {number} bucketNumber - Bucket number (1, 2, 3, etc.)
+   * @param {string} template - Name template with {user}, {number} and {family} placeholders
+   * @param {string|null} family - MIME family the bucket is dedicated to, if any
    * @returns {string} - Repository name
    */
-  static generateRepoName(userId, bucketNumber = 1) {
+  static generateRepoName(userId, bucketNumber = 1, template = 'user_{user}_bucket_{number}', family = null) {
     // Clean userId to make it safe for repository names
     const cleanUserId = userId.replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
-    return `user_${cleanUserId}_bucket_${bucketNumber}`;
+
+    return template
+      .replace(/\{user\}/g, cleanUserId)
+      .replace(/\{number\}/g, String(bucketNumber))
+      .replace(/\{family\}/g, family || 'all');
   }
 
   /**
@@ -76,6 +83,44 @@ class Helpers {
     return emailRegex.test(email);
   }
 
+  /**
+   * Validate UUID format
+   * @param {string} value - Value to check
+   * @returns {boolean} - True if valid
+   */
+  static isValidUUID(value) {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    return typeof value === 'string' && uuidRegex.test(value);
+  }
+
+  /**
+   * Validate the name of a file or folder as shown to its owner
+   * @param {string} name - Name to check
+   * @returns {boolean} - True if valid
+   */
+  static isValidEntryName(name) {
+    return typeof name === 'string' &&
+      name.length > 0 &&
+      name.length <= 255 &&
+      name !== '.' &&
+      name !== '..' &&
+      !/[/\\\x00-\x1f]/.test(name);
+  }
+
+  /**
+   * Number a name to tell it apart from an existing one ("report.pdf" → "report (2).pdf")
+   * @param {string} name - Name to number
+   * @param {number} number - Number to add
+   * @returns {string} - Numbered name
+   */
+  static numberName(name, number) {
+    const dot = name.lastIndexOf('.');
+    const hasExtension = dot > 0;
+    const base = (hasExtension ? name.slice(0, dot) : name).replace(/ \(\d+\)$/, '');
+
+    return `${base} (${number})${hasExtension ? name.slice(dot) : ''}`;
+  }
+
   /**
    * Generate a random string
    * @param {number} length - Length of the string
@@ -134,9 +179,10 @@ class Helpers {
    * @param {Function} fn - Function to retry
    * @param {number} maxRetries - Maximum number of retries
    * @param {number} baseDelay - Base delay in milliseconds
+   * @param {Function} shouldRetry - Decides from the error whether another attempt may help
    * @returns {Promise} - Promise that resolves with function result
    */
-  static async retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+  static async retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) {
     let lastError;
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -145,7 +191,7 @@ class Helpers {
       } catch (error) {
         lastError = error;
         
-        if (attempt === maxRetries) {
+        if (attempt === maxRetries || !shouldRetry(error)) {
           throw error;
         }
 
@@ -157,6 +203,39 @@ class Helpers {
     throw lastError;
   }
 
+  /**
+   * Cut a byte window out of a stream
+   * @param {Readable} stream - Source stream
+   * @param {number} skip - Bytes to drop from the start
+   * @param {number} length - Bytes to keep after that
+   * @returns {Readable} - Stream of the requested bytes
+   */
+  static sliceStream(stream, skip, length) {
+    return Readable.from((async function* () {
+      let position = 0;
+      const end = skip + length;
+
+      if (length <= 0) {
+        stream.destroy();
+        return;
+      }
+
+      for await (const chunk of stream) {
+        const chunkStart = position;
+        position += chunk.length;
+
+        if (position <= skip) continue;
+
+        yield chunk.subarray(Math.max(skip - chunkStart, 0), Math.min(end - chunkStart, chunk.length));
+
+        if (position >= end) {
+          stream.destroy();
+          return;
+        }
+      }
+    })());
+  }
+
   /**
    * Extract file extension from filename
    * @param {string} filename - Filename
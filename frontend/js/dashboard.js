@@ -1,4 +1,13 @@
 // FreeDrive Dashboard JavaScript
+
+// Files larger than this are uploaded through the resumable (tus) endpoint
+const RESUMABLE_UPLOAD_THRESHOLD = 50 * 1024 * 1024; // 50MB
+const RESUMABLE_RETRY_DELAYS = [1000, 3000, 5000, 10000, 20000];
+const TUS_VERSION = '1.0.0';
+
+// Multipart uploads are stored by a server-side job; poll it this often
+const UPLOAD_JOB_POLL_INTERVAL = 2000;
+
 class DashboardManager {
   constructor(app) {
     this.app = app;
@@ -34,7 +43,8 @@ class DashboardManager {
       await Promise.all([
         this.loadFiles(),
         this.loadRepositories(),
-        this.loadStorageStats()
+        this.loadStorageStats(),
+        this.loadUploadJobs()
       ]);
     } catch (error) {
       console.error('Failed to load dashboard data:', error);
@@ -134,6 +144,15 @@ class DashboardManager {
         }
       });
     }
+    
+    const progressContainer = document.getElementById('uploadProgress');
+    if (progressContainer) {
+      progressContainer.addEventListener('click', (e) => {
+        if (e.target.classList.contains('upload-cancel')) {
+          this.cancelUploadJob(e.target.dataset.jobId);
+        }
+      });
+    }
   }
 
   async handleFileUpload(files) {
@@ -169,6 +188,11 @@ class DashboardManager {
   async uploadFile(uploadItem) {
     const { file } = uploadItem;
     
+    // Large files use resumable uploads so a dropped connection doesn't restart them
+    if (file.size > RESUMABLE_UPLOAD_THRESHOLD) {
+      return this.uploadFileResumable(uploadItem);
+    }
+    
     uploadItem.status = 'uploading';
     this.updateUploadProgress();
     
@@ -177,7 +201,8 @@ class DashboardManager {
     formData.append('path', this.currentPath);
     
     try {
-      const response = await fetch(`${this.app.API_BASE}/files/upload`, {
+      // The server answers once the file is received and stores it in the background
+      const response = await fetch(`${this.app.API_BASE}/files/upload?async=true`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${this.app.token}`
@@ -187,13 +212,172 @@ class DashboardManager {
       
       const data = await response.json();
       
-      if (data.success) {
-        uploadItem.status = 'completed';
-        uploadItem.progress = 100;
+      if (!data.success) {
+        throw new Error(data.error || 'Upload failed');
+      }
+      
+      uploadItem.jobId = data.data.job.id;
+      this.applyUploadJob(uploadItem, data.data.job);
+      this.updateUploadProgress();
+      await this.waitForUploadJob(uploadItem);
+      
+      if (uploadItem.status === 'completed') {
         this.app.showToast(`${file.name} uploaded successfully`, 'success');
+      } else if (uploadItem.status === 'cancelled') {
+        this.app.showToast(`Upload of ${file.name} cancelled`, 'warning');
       } else {
-        throw new Error(data.error || 'Upload failed');
+        throw new Error(uploadItem.error || 'Upload failed');
+      }
+    } catch (error) {
+      uploadItem.status = 'error';
+      uploadItem.error = error.message;
+      this.app.showToast(`Failed to upload ${file.name}: ${error.message}`, 'error');
+    }
+    
+    this.updateUploadProgress();
+  }
+
+  applyUploadJob(uploadItem, job) {
+    uploadItem.status = job.state === 'failed' ? 'error' : job.state;
+    uploadItem.progress = job.progress.percent;
+    uploadItem.error = job.error ? (job.error.details || job.error.message) : null;
+  }
+
+  async waitForUploadJob(uploadItem) {
+    while (uploadItem.status === 'queued' || uploadItem.status === 'processing') {
+      await new Promise(resolve => setTimeout(resolve, UPLOAD_JOB_POLL_INTERVAL));
+      
+      const response = await fetch(`${this.app.API_BASE}/files/jobs/${uploadItem.jobId}`, {
+        headers: {
+          'Authorization': `Bearer ${this.app.token}`
+        }
+      });
+      
+      const data = await response.json();
+      
+      if (!data.success) {
+        throw new Error(data.error || 'Lost track of the upload');
+      }
+      
+      this.applyUploadJob(uploadItem, data.data.job);
+      this.updateUploadProgress();
+    }
+  }
+
+  async loadUploadJobs() {
+    // Uploads started before the page was loaded keep being stored on the server
+    try {
+      const response = await fetch(`${this.app.API_BASE}/files/jobs?active=true`, {
+        headers: {
+          'Authorization': `Bearer ${this.app.token}`
+        }
+      });
+      
+      const data = await response.json();
+      
+      if (!data.success) return;
+      
+      const newItems = data.data.jobs
+        .filter(job => !this.uploadQueue.some(item => item.jobId === job.id))
+        .map(job => {
+          const item = { id: job.id, jobId: job.id, file: { name: job.originalName }, progress: 0, status: 'queued', error: null };
+          this.applyUploadJob(item, job);
+          return item;
+        });
+      
+      if (newItems.length === 0) return;
+      
+      this.uploadQueue.push(...newItems);
+      this.updateUploadProgress();
+      
+      for (const item of newItems) {
+        this.waitForUploadJob(item)
+          .catch(error => {
+            item.status = 'error';
+            item.error = error.message;
+          })
+          .finally(() => {
+            this.updateUploadProgress();
+            this.loadFiles();
+          });
+      }
+    } catch (error) {
+      console.error('Failed to load upload jobs:', error);
+    }
+  }
+
+  async cancelUploadJob(jobId) {
+    try {
+      const response = await fetch(`${this.app.API_BASE}/files/jobs/${jobId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${this.app.token}`
+        }
+      });
+      
+      const data = await response.json();
+      
+      if (!data.success) {
+        throw new Error(data.error || 'Cancel failed');
+      }
+      
+      const item = this.uploadQueue.find(queued => queued.jobId === jobId);
+      if (item) {
+        this.applyUploadJob(item, data.data.job);
+        this.updateUploadProgress();
+      }
+    } catch (error) {
+      this.app.showToast(`Failed to cancel upload: ${error.message}`, 'error');
+    }
+  }
+
+  async uploadFileResumable(uploadItem) {
+    const { file } = uploadItem;
+    const fingerprint = `freedrive-tus:${file.name}:${file.size}:${file.lastModified}`;
+    
+    uploadItem.status = 'uploading';
+    this.updateUploadProgress();
+    
+    try {
+      let uploadUrl = localStorage.getItem(fingerprint);
+      let offset = null;
+      
+      // Resume a previous attempt of the same file if the server still has it
+      if (uploadUrl) {
+        offset = await this.getResumableOffset(uploadUrl);
       }
+      
+      if (offset === null) {
+        uploadUrl = await this.createResumableUpload(file);
+        localStorage.setItem(fingerprint, uploadUrl);
+        offset = 0;
+      }
+      
+      let attempt = 0;
+      let fileId = null;
+      
+      while (!fileId) {
+        try {
+          fileId = await this.patchResumableUpload(uploadUrl, file, offset, uploadItem);
+        } catch (error) {
+          if (error.fatal || attempt >= RESUMABLE_RETRY_DELAYS.length) {
+            throw error;
+          }
+          
+          await new Promise(resolve => setTimeout(resolve, RESUMABLE_RETRY_DELAYS[attempt++]));
+          
+          // Ask the server how much it kept before sending the rest
+          offset = await this.getResumableOffset(uploadUrl);
+          if (offset === null) {
+            throw new Error('Upload expired on the server');
+          }
+        }
+      }
+      
+      localStorage.removeItem(fingerprint);
+      uploadItem.status = 'completed';
+      uploadItem.progress = 100;
+      this.app.showToast(`${file.name} uploaded successfully`, 'success');
     } catch (error) {
       uploadItem.status = 'error';
       uploadItem.error = error.message;
@@ -203,6 +387,88 @@ class DashboardManager {
     this.updateUploadProgress();
   }
 
+  async createResumableUpload(file) {
+    // tus metadata values are base64 encoded; encode UTF-8 names byte by byte
+    const encode = value => btoa(unescape(encodeURIComponent(value)));
+    const metadata = [
+      `filename ${encode(file.name)}`,
+      `filetype ${encode(file.type || 'application/octet-stream')}`
+    ].join(',');
+    
+    const response = await fetch(`${this.app.API_BASE}/files/tus`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.app.token}`,
+        'Tus-Resumable': TUS_VERSION,
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': metadata
+      }
+    });
+    
+    if (response.status !== 201) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.details || data.error || 'Could not start upload');
+    }
+    
+    return response.headers.get('Location');
+  }
+
+  async getResumableOffset(uploadUrl) {
+    const response = await fetch(uploadUrl, {
+      method: 'HEAD',
+      headers: {
+        'Authorization': `Bearer ${this.app.token}`,
+        'Tus-Resumable': TUS_VERSION
+      }
+    });
+    
+    if (!response.ok) {
+      return null;
+    }
+    
+    return parseInt(response.headers.get('Upload-Offset'), 10);
+  }
+
+  patchResumableUpload(uploadUrl, file, offset, uploadItem) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      
+      xhr.open('PATCH', uploadUrl);
+      xhr.setRequestHeader('Authorization', `Bearer ${this.app.token}`);
+      xhr.setRequestHeader('Tus-Resumable', TUS_VERSION);
+      xhr.setRequestHeader('Upload-Offset', String(offset));
+      xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+      
+      xhr.upload.onprogress = (event) => {
+        uploadItem.progress = Math.round(((offset + event.loaded) / file.size) * 100);
+        this.updateUploadProgress();
+      };
+      
+      xhr.onload = () => {
+        if (xhr.status === 204) {
+          return resolve(xhr.getResponseHeader('FreeDrive-File-Id'));
+        }
+        
+        let message = 'Upload failed';
+        try {
+          const data = JSON.parse(xhr.responseText);
+          message = data.details || data.error || message;
+        } catch (error) {
+          // Keep the generic message
+        }
+        
+        // Client errors won't succeed on retry, except an offset conflict
+        const error = new Error(message);
+        error.fatal = xhr.status >= 400 && xhr.status < 500 && xhr.status !== 409;
+        reject(error);
+      };
+      
+      xhr.onerror = () => reject(new Error('Network error during upload'));
+      
+      xhr.send(file.slice(offset));
+    });
+  }
+
   updateUploadProgress() {
     const progressContainer = document.getElementById('uploadProgress');
     if (!progressContainer) return;
@@ -222,9 +488,14 @@ class DashboardManager {
           <div class="upload-progress-status">
             ${item.status === 'completed' ? 'Completed' : 
               item.status === 'error' ? `Error: ${item.error}` : 
+              item.status === 'cancelled' ? 'Cancelled' : 
+              item.status === 'queued' ? 'Queued for storage' : 
+              item.status === 'processing' ? `Storing... ${item.progress}%` : 
               item.status === 'uploading' ? 'Uploading...' : 'Pending'}
           </div>
         </div>
+        ${item.jobId && (item.status === 'queued' || item.status === 'processing') ? 
+          `<button class="btn btn-small btn-outline upload-cancel" data-job-id="${item.jobId}">Cancel</button>` : ''}
       </div>
     `).join('');
     
@@ -233,7 +504,7 @@ class DashboardManager {
     // Clear completed items after a delay
     setTimeout(() => {
       this.uploadQueue = this.uploadQueue.filter(item => 
-        item.status !== 'completed' && item.status !== 'error'
+        item.status !== 'completed' && item.status !== 'error' && item.status !== 'cancelled'
       );
       if (this.uploadQueue.length === 0) {
         progressContainer.innerHTML = '';
@@ -256,6 +527,13 @@ class DashboardManager {
         const fileId = e.target.dataset.fileId;
         
         this.handleFileAction(action, fileId);
+        return;
+      }
+
+      // Opening a folder lists its contents
+      const folderItem = e.target.closest('[data-folder-path]');
+      if (folderItem) {
+        this.navigateToPath(folderItem.dataset.folderPath);
       }
     });
   }
@@ -274,6 +552,9 @@ class DashboardManager {
       case 'rename':
         await this.renameFile(file);
         break;
+      case 'copy':
+        await this.copyFile(file);
+        break;
       case 'share':
         await this.shareFile(file);
         break;
@@ -284,7 +565,8 @@ class DashboardManager {
     try {
       this.app.showLoading('Preparing download...');
       
-      const response = await this.app.makeRequest(`/files/${file.id}/download`);
+      // Ask for a link instead of the content, so the browser streams it to disk itself
+      const response = await this.app.makeRequest(`/files/${file.id}/download?url=true`);
       
       if (response.success) {
         // Create download link
@@ -307,19 +589,19 @@ class DashboardManager {
   }
 
   async deleteFile(file) {
-    if (!confirm(`Are you sure you want to delete ${file.name}?`)) {
+    if (!confirm(`Move ${file.name} to the trash?`)) {
       return;
     }
     
     try {
-      this.app.showLoading('Deleting file...');
+      this.app.showLoading('Moving file to trash...');
       
       const response = await this.app.makeRequest(`/files/${file.id}`, {
         method: 'DELETE'
       });
       
       if (response.success) {
-        this.app.showToast(`${file.name} deleted successfully`, 'success');
+        this.app.showToast(`${file.name} moved to trash`, 'success');
         await this.loadFiles();
       } else {
         throw new Error(response.error || 'Delete failed');
@@ -358,6 +640,28 @@ class DashboardManager {
     }
   }
 
+  async copyFile(file) {
+    try {
+      this.app.showLoading('Copying file...');
+      
+      const response = await this.app.makeRequest(`/files/${file.id}/copy`, {
+        method: 'POST',
+        body: JSON.stringify({})
+      });
+      
+      if (response.success) {
+        this.app.showToast(`Copied to ${response.data.file.originalName}`, 'success');
+        await this.loadFiles();
+      } else {
+        throw new Error(response.error || 'Copy failed');
+      }
+    } catch (error) {
+      this.app.showToast(`Copy failed: ${error.message}`, 'error');
+    } finally {
+      this.app.hideLoading();
+    }
+  }
+
   async shareFile(file) {
     try {
       const response = await this.app.makeRequest(`/files/${file.id}/share`, {
@@ -455,7 +759,12 @@ class DashboardManager {
       const response = await this.app.makeRequest(`/files?path=${encodeURIComponent(this.currentPath)}`);
       
       if (response.success) {
-        this.files = response.data.files || [];
+        // Subfolders are listed before the folder's files
+        const folders = (response.data.folders || []).map(folder => ({
+          ...folder,
+          updated_at: folder.updatedAt
+        }));
+        this.files = [...folders, ...(response.data.files || [])];
         this.filteredFiles = [...this.files];
         this.renderFiles();
         this.updateBreadcrumb();
@@ -502,18 +811,22 @@ class DashboardManager {
         <div>Actions</div>
       </div>
       ${this.filteredFiles.map(file => `
-        <div class="file-item" data-file-id="${file.id}">
+        <div class="file-item" data-file-id="${file.id}"${file.type === 'folder' ? ` data-folder-path="${file.path}"` : ''}>
           <div class="file-info">
             <span class="file-icon">${this.app.getFileIcon(file.name, file.type === 'folder')}</span>
             <span class="file-name">${file.name}</span>
+            ${this.renderDamagedBadge(file)}
           </div>
           <div class="file-size">${this.app.formatFileSize(file.size || 0)}</div>
           <div class="file-date">${this.app.formatDate(file.updated_at)}</div>
           <div class="file-actions">
+            ${file.type === 'folder' ? '' : `
             <button class="file-action" data-action="download" data-file-id="${file.id}" title="Download">⬇️</button>
             <button class="file-action" data-action="share" data-file-id="${file.id}" title="Share">🔗</button>
             <button class="file-action" data-action="rename" data-file-id="${file.id}" title="Rename">✏️</button>
+            <button class="file-action" data-action="copy" data-file-id="${file.id}" title="Make a copy">📄</button>
             <button class="file-action danger" data-action="delete" data-file-id="${file.id}" title="Delete">🗑️</button>
+            `}
           </div>
         </div>
       `).join('')}
@@ -524,15 +837,18 @@ class DashboardManager {
 
   renderFileGrid(container) {
     const html = this.filteredFiles.map(file => `
-      <div class="file-card" data-file-id="${file.id}">
+      <div class="file-card" data-file-id="${file.id}"${file.type === 'folder' ? ` data-folder-path="${file.path}"` : ''}>
         <div class="file-card-icon">${this.app.getFileIcon(file.name, file.type === 'folder')}</div>
         <div class="file-card-name">${file.name}</div>
+        ${this.renderDamagedBadge(file)}
         <div class="file-card-meta">
           ${this.app.formatFileSize(file.size || 0)} • ${this.app.formatDate(file.updated_at)}
         </div>
         <div class="file-card-actions">
+          ${file.type === 'folder' ? '' : `
           <button class="file-action btn btn-small btn-outline" data-action="download" data-file-id="${file.id}">Download</button>
           <button class="file-action btn btn-small btn-outline" data-action="share" data-file-id="${file.id}">Share</button>
+          `}
         </div>
       </div>
     `).join('');
@@ -540,6 +856,12 @@ class DashboardManager {
     container.innerHTML = html;
   }
 
+  renderDamagedBadge(file) {
+    if (!file.isDamaged) return '';
+
+    return `<span class="file-badge damaged" title="${file.healthIssue || 'Stored content is missing or corrupted'}">⚠️ Damaged</span>`;
+  }
+
   async loadRepositories() {
     try {
       const response = await this.app.makeRequest('/repos');